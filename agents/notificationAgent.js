@@ -1,6 +1,8 @@
 // agents/notificationAgent.js - Refactored to use intelligent LLM responses with actual resident names
 const MunicipalAnalysisEngine = require('../services/MunicipalAnalysisEngine');
 const ResidentFilterService = require('../services/ResidentFilterService');
+const { compileFilter } = require('../services/query');
+const { normalizeText } = require('../services/textMatching');
 
 class IntelligentNotificationAgent {
   constructor() {
@@ -12,6 +14,13 @@ class IntelligentNotificationAgent {
   async processQuery(query, llmResult, preloadedContext = null) {
     try {
       console.log(`[${this.name}] Processing: ${query}`);
+
+      // PRIORITY 0: A saved segment named in the query ("enviar para o segmento voluntários")
+      const savedSegment = this.findSavedSegment(query);
+      if (savedSegment) {
+        console.log(`[${this.name}] Targeting saved segment: ${savedSegment.entry.name}`);
+        return await this.targetSavedSegment(query, savedSegment);
+      }
       
       // PRIORITY 1: Use intelligent LLM response with resident data
       if (preloadedContext?.llmResult?.response && 
@@ -67,6 +76,74 @@ class IntelligentNotificationAgent {
     }
   }
 
+  /**
+   * Saved segment named after the word "segmento"/"segment" in the query, longest name first,
+   * with the predicate compiled from its filter. Null when the query names none.
+   */
+  findSavedSegment(query) {
+    const dataAccess = this.analysisEngine.dataAccess;
+    const segments = dataAccess?.segments;
+    const text = ` ${normalizeText(query)} `;
+    if (!segments || !/ segment(o|os)? /.test(text)) return null;
+
+    const entry = segments.list()
+      .filter(candidate => text.includes(` ${normalizeText(candidate.name)} `))
+      .sort((a, b) => b.name.length - a.name.length)[0];
+    if (!entry) return null;
+
+    const parsed = segments.filterOf(entry.id);
+    if (parsed.error) {
+      console.warn(`[${this.name}] Segment ${entry.name} has an invalid filter: ${parsed.error}`);
+      return null;
+    }
+    return { entry, matches: compileFilter(parsed.filter, { neighborhoods: dataAccess.neighborhoods }) };
+  }
+
+  async targetSavedSegment(query, { entry, matches }) {
+    const contacts = await this.analysisEngine.dataAccess.getAllContacts();
+    const residents = this.residentFilter.filterResidents(contacts, { type: 'segment', matches });
+    const withWhatsApp = residents.filter(resident => resident.whatsapp);
+
+    let summary = `Saved Segment: ${entry.name}\n\n`;
+    if (entry.description) summary += `${entry.description}\n\n`;
+    summary += `Target: ${residents.length} residents (${withWhatsApp.length} reachable on WhatsApp)\n\n`;
+    if (residents.length > 0) {
+      summary += `RESIDENT CONTACTS:\n`;
+      residents.slice(0, 15).forEach((resident, index) => {
+        summary += `${index + 1}. ${resident.name} (${resident.neighborhood || '—'})`;
+        summary += resident.whatsapp ? ` • WhatsApp: ${resident.whatsapp}\n` : ' • no WhatsApp\n';
+      });
+      if (residents.length > 15) {
+        summary += `... and ${residents.length - 15} more residents\n`;
+      }
+    }
+
+    const report = this.buildSegmentReport(residents, 'saved_segment', entry.name);
+    if (report?.text) {
+      summary += `\n\n${report.text}`;
+    }
+
+    return {
+      agent: this.name,
+      query,
+      analysis: {
+        summary,
+        insights: [`${residents.length} residents in segment "${entry.name}"`],
+        recommendations: residents.length
+          ? [`Send to this segment with POST /api/bulk-send { "segment": "${entry.id}" } (try dryRun first)`]
+          : ['Review the segment filter; no resident matches it right now'],
+        residents,
+        report,
+        segment: { id: entry.id, name: entry.name, filter: entry.filter },
+        type: 'saved_segment_targeting'
+      },
+      dataSource: 'municipal_intelligence_system',
+      realData: true,
+      timestamp: new Date().toISOString(),
+      success: true
+    };
+  }
+
   extractResidentData(query, preloadedContext) {
     // Get raw contact data from intelligent context
     const rawContacts = preloadedContext.intelligentContext?.rawData || 
@@ -165,7 +242,7 @@ class IntelligentNotificationAgent {
     return 'general';
   }
 
-  buildSegmentReport(residents, segment) {
+  buildSegmentReport(residents, segment, customLabel = null) {
     if (!Array.isArray(residents) || residents.length === 0) return null;
     const total = residents.length;
     const byNeighborhood = {};
@@ -175,7 +252,7 @@ class IntelligentNotificationAgent {
     let withWhatsApp = 0;
 
     residents.forEach(r => {
-      const n = (r.neighborhood || 'Desconhecido');
+      const n = this.analysisEngine.dataAccess.neighborhoods.groupOf(r)?.name || 'Desconhecido';
       byNeighborhood[n] = (byNeighborhood[n] || 0) + 1;
       const issue = (r.issue || r.mainIssue || '—');
       byIssue[issue] = (byIssue[issue] || 0) + 1;
@@ -196,11 +273,12 @@ class IntelligentNotificationAgent {
     const satisfactionBreakdown = Object.entries(bySatisfaction)
       .sort((a,b)=>b[1]-a[1]);
 
-    const label = segment === 'dissatisfied' ? 'Insatisfeitos' : 
+    const label = customLabel || (
+                 segment === 'dissatisfied' ? 'Insatisfeitos' : 
                  segment === 'satisfied' ? 'Satisfeitos' : 
                  segment === 'participation_interested' ? 'Interessados em Participar' :
                  segment === 'participation_not_interested' ? 'Não Interessados em Participar' :
-                 'Contatos';
+                 'Contatos');
     
     let text = `📊 RELATÓRIO DE SEGMENTO: ${label.toUpperCase()}\n`;
     text += `${'='.repeat(60)}\n\n`;
@@ -608,7 +686,7 @@ class IntelligentNotificationAgent {
   async getSatisfiedResidents() {
     const analysisEngine = this.analysisEngine;
     const dataAccess = analysisEngine.dataAccess;
-    const allContacts = dataAccess.getAllContacts();
+    const allContacts = await dataAccess.getAllContacts();
     
     const satisfiedResidents = allContacts.filter(contact => 
       contact.survey && 
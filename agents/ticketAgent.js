@@ -11,8 +11,8 @@ class TicketAgent {
     try {
       const dataAccess = this.analysisEngine.dataAccess;
       const contacts = (typeof dataAccess.getAllContacts === 'function')
-        ? dataAccess.getAllContacts()
-        : (typeof dataAccess.loadData === 'function' ? dataAccess.loadData() : []);
+        ? await dataAccess.getAllContacts()
+        : (typeof dataAccess.loadData === 'function' ? await dataAccess.loadData() : []);
 
       const total = contacts.length;
       const sent = contacts.filter(c => !!c.whatsappSentAt).length;
@@ -36,7 +36,7 @@ class TicketAgent {
 
       const byNeighborhood = {};
       contacts.forEach(c => {
-        const n = c.neighborhood || 'Desconhecido';
+        const n = dataAccess.neighborhoods.groupOf(c)?.name || 'Desconhecido';
         if (!byNeighborhood[n]) byNeighborhood[n] = { total: 0, answered: 0, sent: 0 };
         byNeighborhood[n].total++;
         if (c.survey) byNeighborhood[n].answered++;
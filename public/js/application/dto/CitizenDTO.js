@@ -37,6 +37,9 @@ export class CitizenDTO {
 
     this.createdAt = citizen.metadata.createdAt;
     this.updatedAt = citizen.metadata.updatedAt;
+    this.revision = citizen.metadata.revision;
+    this.tags = [...citizen.tags];
+    this.customFields = { ...citizen.customFields };
   }
 
   static fromCitizenList(citizens) {
@@ -9,6 +9,11 @@ export class FilterCriteriaDTO {
     this.satisfactionLevel = options.satisfactionLevel || null;
     this.participationIntent = options.participationIntent !== undefined ? options.participationIntent : null;
     this.engagementStatus = options.engagementStatus || null;
+    this.tag = options.tag || null;
+    // Saved segment, by id
+    this.segment = options.segment || null;
+    // Free-form filter in the server syntax, e.g. "age>=60 and satisfaction<=Insatisfeito"
+    this.expression = options.expression || null;
   }
 
   static empty() {
@@ -18,15 +23,56 @@ export class FilterCriteriaDTO {
   static fromFormData(formData) {
     return new FilterCriteriaDTO({
       neighborhood: formData.neighborhood?.trim() || null,
-      hasResponded: formData.answered === 'true' ? true : formData.answered === 'false' ? false : null
+      hasResponded: formData.answered === 'true' ? true : formData.answered === 'false' ? false : null,
+      satisfactionLevel: formData.satisfaction || null,
+      engagementStatus: formData.engagement || null,
+      tag: formData.tag?.trim() || null,
+      segment: formData.segment || null,
+      expression: formData.expression?.trim() || null
     });
   }
 
+  // Filter parameters of GET /api/contacts and /api/export
+  toQueryParams() {
+    return {
+      neighborhood: this.neighborhood,
+      answered: this.hasResponded === null ? null : String(this.hasResponded),
+      satisfaction: this.satisfactionLevel,
+      // Not willing covers "Não", "Talvez" and citizens who have not answered
+      [this.participationIntent === false ? 'participate[ne]' : 'participate']: this.participationIntent === null ? null : 'Sim',
+      engagement: this.engagementStatus,
+      tags: this.tag,
+      segment: this.segment,
+      filter: this.expression
+    };
+  }
+
+  /**
+   * Same criteria in the text syntax of the advanced filter, e.g. to save them as a segment
+   * @returns {string}
+   */
+  toExpression() {
+    const quote = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+    const conditions = [];
+    if (this.neighborhood !== null) conditions.push(`neighborhood=${quote(this.neighborhood)}`);
+    if (this.hasResponded !== null) conditions.push(this.hasResponded ? 'answered' : 'not answered');
+    if (this.satisfactionLevel !== null) conditions.push(`satisfaction=${quote(this.satisfactionLevel)}`);
+    if (this.participationIntent !== null) conditions.push(`participate${this.participationIntent ? '=' : '!='}Sim`);
+    if (this.engagementStatus !== null) conditions.push(`engagement=${this.engagementStatus}`);
+    if (this.tag !== null) conditions.push(`tags=${quote(this.tag)}`);
+    if (this.segment !== null) conditions.push(`segment=${quote(this.segment)}`);
+    if (this.expression !== null) conditions.push(`(${this.expression})`);
+    return conditions.join(' and ');
+  }
+
   hasFilters() {
     return this.neighborhood !== null ||
            this.hasResponded !== null ||
            this.satisfactionLevel !== null ||
            this.participationIntent !== null ||
-           this.engagementStatus !== null;
+           this.engagementStatus !== null ||
+           this.tag !== null ||
+           this.segment !== null ||
+           this.expression !== null;
   }
 }
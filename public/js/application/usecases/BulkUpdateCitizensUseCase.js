@@ -0,0 +1,53 @@
+/**
+ * BulkUpdateCitizensUseCase - Application Use Case
+ * Applies one admin operation to the selected citizens
+ * Single Responsibility: Orchestrate bulk updates
+ */
+export class BulkUpdateCitizensUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  /**
+   * @param {Array<number|string>} ids - Selected citizens
+   * @param {string} operation - set-neighborhood | mark-sent | add-tag | delete
+   * @param {Object} [params] - { neighborhood } or { tag }
+   */
+  async execute(ids, operation, params = {}) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return {
+        success: false,
+        error: 'Selecione ao menos um contato'
+      };
+    }
+
+    if (operation === 'set-neighborhood' && !String(params.neighborhood || '').trim()) {
+      return {
+        success: false,
+        error: 'Informe o bairro'
+      };
+    }
+
+    if (operation === 'add-tag' && !String(params.tag || '').trim()) {
+      return {
+        success: false,
+        error: 'Informe a etiqueta'
+      };
+    }
+
+    try {
+      const report = await this.repository.bulkUpdate(ids, operation, params);
+
+      return {
+        success: true,
+        report
+      };
+    } catch (error) {
+      console.error('[BulkUpdateCitizensUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao aplicar a operação em massa'
+      };
+    }
+  }
+}
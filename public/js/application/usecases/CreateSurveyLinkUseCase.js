@@ -0,0 +1,28 @@
+/**
+ * CreateSurveyLinkUseCase - Application Use Case
+ * Gets a signed survey link for a citizen (links carry a token, not the citizen id)
+ * Single Responsibility: Orchestrate survey link creation
+ */
+export class CreateSurveyLinkUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute(citizenId) {
+    try {
+      const link = await this.repository.createSurveyLink(citizenId);
+
+      return {
+        success: true,
+        url: link.url,
+        expiresAt: link.expiresAt
+      };
+    } catch (error) {
+      console.error('[CreateSurveyLinkUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao gerar link da pesquisa'
+      };
+    }
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * DeleteCustomFieldUseCase - Application Use Case
+ * Removes an extra citizen field; stored values stay on the records
+ * Single Responsibility: Orchestrate custom field removal
+ */
+export class DeleteCustomFieldUseCase {
+  constructor(customFieldRepository) {
+    this.repository = customFieldRepository;
+  }
+
+  async execute(id) {
+    try {
+      await this.repository.delete(id);
+      return { success: true };
+    } catch (error) {
+      console.error('[DeleteCustomFieldUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao remover campo'
+      };
+    }
+  }
+}
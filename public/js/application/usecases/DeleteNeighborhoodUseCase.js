@@ -0,0 +1,23 @@
+/**
+ * DeleteNeighborhoodUseCase - Application Use Case
+ * Removes a neighborhood that no citizen points at
+ * Single Responsibility: Orchestrate neighborhood removal
+ */
+export class DeleteNeighborhoodUseCase {
+  constructor(neighborhoodRepository) {
+    this.repository = neighborhoodRepository;
+  }
+
+  async execute(id) {
+    try {
+      await this.repository.delete(id);
+      return { success: true };
+    } catch (error) {
+      console.error('[DeleteNeighborhoodUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao remover bairro'
+      };
+    }
+  }
+}
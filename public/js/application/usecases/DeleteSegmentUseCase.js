@@ -0,0 +1,23 @@
+/**
+ * DeleteSegmentUseCase - Application Use Case
+ * Removes a saved segment no other segment builds on
+ * Single Responsibility: Orchestrate segment removal
+ */
+export class DeleteSegmentUseCase {
+  constructor(segmentRepository) {
+    this.repository = segmentRepository;
+  }
+
+  async execute(id) {
+    try {
+      await this.repository.delete(id);
+      return { success: true };
+    } catch (error) {
+      console.error('[DeleteSegmentUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao remover segmento'
+      };
+    }
+  }
+}
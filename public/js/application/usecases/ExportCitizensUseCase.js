@@ -8,10 +8,13 @@ export class ExportCitizensUseCase {
     this.repository = citizenRepository;
   }
 
-  async execute() {
+  /**
+   * @param {FilterCriteriaDTO} [filterCriteria] - Only citizens matching it are exported
+   */
+  async execute(filterCriteria = null) {
     try {
       // Delegate to repository which handles the API call
-      await this.repository.exportToCSV();
+      await this.repository.exportToCSV(filterCriteria ? filterCriteria.toQueryParams() : {});
 
       return {
         success: true,
@@ -0,0 +1,34 @@
+/**
+ * ImportCitizensUseCase - Application Use Case
+ * Previews (dry run) or commits a spreadsheet import of citizens
+ * Single Responsibility: Orchestrate citizen import
+ */
+export class ImportCitizensUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute(file, { mapping = {}, dryRun = true } = {}) {
+    if (!file) {
+      return {
+        success: false,
+        error: 'Selecione um arquivo CSV ou XLSX'
+      };
+    }
+
+    try {
+      const report = await this.repository.importFile(file, { mapping, dryRun });
+
+      return {
+        success: true,
+        report
+      };
+    } catch (error) {
+      console.error('[ImportCitizensUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao importar contatos'
+      };
+    }
+  }
+}
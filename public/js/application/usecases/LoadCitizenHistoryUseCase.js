@@ -0,0 +1,28 @@
+/**
+ * LoadCitizenHistoryUseCase - Application Use Case
+ * Loads the audit trail (who changed what, and when) of a citizen record
+ * Single Responsibility: Orchestrate citizen history retrieval
+ */
+export class LoadCitizenHistoryUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute(citizenId) {
+    try {
+      const entries = await this.repository.getHistory(citizenId);
+
+      return {
+        success: true,
+        entries
+      };
+    } catch (error) {
+      console.error('[LoadCitizenHistoryUseCase] Error:', error);
+      return {
+        success: false,
+        entries: [],
+        error: error.message || 'Falha ao carregar histórico'
+      };
+    }
+  }
+}
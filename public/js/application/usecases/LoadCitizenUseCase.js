@@ -0,0 +1,36 @@
+/**
+ * LoadCitizenUseCase - Application Use Case
+ * Loads a single citizen by id, wherever it sits in the listing
+ * Single Responsibility: Orchestrate single citizen lookup
+ */
+import { CitizenDTO } from '../dto/CitizenDTO.js';
+
+export class LoadCitizenUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute(citizenId) {
+    try {
+      const citizen = await this.repository.findById(citizenId);
+
+      if (!citizen) {
+        return {
+          success: false,
+          error: 'Cidadão não encontrado'
+        };
+      }
+
+      return {
+        success: true,
+        citizen: new CitizenDTO(citizen)
+      };
+    } catch (error) {
+      console.error('[LoadCitizenUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao buscar cidadão'
+      };
+    }
+  }
+}
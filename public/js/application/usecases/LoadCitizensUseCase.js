@@ -1,39 +1,37 @@
 /**
  * LoadCitizensUseCase - Application Use Case
- * Orchestrates loading and filtering citizens
+ * Orchestrates loading one page of filtered, sorted citizens
  * Single Responsibility: Coordinate citizen loading workflow
  */
 import { CitizenDTO } from '../dto/CitizenDTO.js';
 
 export class LoadCitizensUseCase {
-  constructor(citizenRepository, filterService, statisticsService) {
+  constructor(citizenRepository) {
     this.repository = citizenRepository;
-    this.filterService = filterService;
-    this.statisticsService = statisticsService;
   }
 
-  async execute(filterCriteria) {
+  /**
+   * @param {FilterCriteriaDTO} filterCriteria
+   * @param {Object} [listOptions] - { page, limit, sort }
+   */
+  async execute(filterCriteria, listOptions = {}) {
     try {
-      // Load all citizens from repository
-      const allCitizens = await this.repository.findAll();
-
-      // Apply filters if any
-      const filteredCitizens = filterCriteria.hasFilters()
-        ? this.filterService.apply(allCitizens, filterCriteria)
-        : allCitizens;
-
-      // Calculate statistics
-      const statistics = this.statisticsService.calculate(filteredCitizens);
-
-      // Convert to DTOs for presentation layer
-      const citizenDTOs = CitizenDTO.fromCitizenList(filteredCitizens);
+      // Filtering, sorting and paging happen on the server
+      const result = await this.repository.findPage({
+        ...listOptions,
+        filters: filterCriteria.toQueryParams()
+      });
 
       return {
         success: true,
-        citizens: citizenDTOs,
-        statistics,
-        totalCount: allCitizens.length,
-        filteredCount: filteredCitizens.length
+        citizens: CitizenDTO.fromCitizenList(result.citizens),
+        statistics: result.statistics,
+        pagination: {
+          page: result.page,
+          pages: result.pages,
+          limit: result.limit,
+          total: result.total
+        }
       };
     } catch (error) {
       console.error('[LoadCitizensUseCase] Error:', error);
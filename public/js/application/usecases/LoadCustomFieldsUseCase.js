@@ -0,0 +1,28 @@
+/**
+ * LoadCustomFieldsUseCase - Application Use Case
+ * Loads the extra fields admins added to citizen records
+ * Single Responsibility: Orchestrate custom field listing
+ */
+export class LoadCustomFieldsUseCase {
+  constructor(customFieldRepository) {
+    this.repository = customFieldRepository;
+  }
+
+  async execute() {
+    try {
+      const fields = await this.repository.findAll();
+
+      return {
+        success: true,
+        fields
+      };
+    } catch (error) {
+      console.error('[LoadCustomFieldsUseCase] Error:', error);
+      return {
+        success: false,
+        fields: [],
+        error: error.message || 'Falha ao carregar campos extras'
+      };
+    }
+  }
+}
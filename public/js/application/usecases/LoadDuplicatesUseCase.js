@@ -0,0 +1,29 @@
+/**
+ * LoadDuplicatesUseCase - Application Use Case
+ * Loads pairs of citizens that look like the same resident registered twice
+ * Single Responsibility: Orchestrate duplicate listing
+ */
+export class LoadDuplicatesUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute(options = {}) {
+    try {
+      const { pairs, total } = await this.repository.findDuplicates(options);
+
+      return {
+        success: true,
+        pairs,
+        total
+      };
+    } catch (error) {
+      console.error('[LoadDuplicatesUseCase] Error:', error);
+      return {
+        success: false,
+        pairs: [],
+        error: error.message || 'Falha ao buscar duplicados'
+      };
+    }
+  }
+}
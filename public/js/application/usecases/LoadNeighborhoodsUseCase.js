@@ -0,0 +1,30 @@
+/**
+ * LoadNeighborhoodsUseCase - Application Use Case
+ * Loads the canonical neighborhood list and its regions
+ * Single Responsibility: Orchestrate neighborhood listing
+ */
+export class LoadNeighborhoodsUseCase {
+  constructor(neighborhoodRepository) {
+    this.repository = neighborhoodRepository;
+  }
+
+  async execute() {
+    try {
+      const { neighborhoods, regions } = await this.repository.findAll();
+
+      return {
+        success: true,
+        neighborhoods,
+        regions
+      };
+    } catch (error) {
+      console.error('[LoadNeighborhoodsUseCase] Error:', error);
+      return {
+        success: false,
+        neighborhoods: [],
+        regions: [],
+        error: error.message || 'Falha ao carregar bairros'
+      };
+    }
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * LoadSegmentsUseCase - Application Use Case
+ * Loads the saved segments and how many citizens each matches
+ * Single Responsibility: Orchestrate segment listing
+ */
+export class LoadSegmentsUseCase {
+  constructor(segmentRepository) {
+    this.repository = segmentRepository;
+  }
+
+  async execute() {
+    try {
+      const segments = await this.repository.findAll();
+
+      return {
+        success: true,
+        segments
+      };
+    } catch (error) {
+      console.error('[LoadSegmentsUseCase] Error:', error);
+      return {
+        success: false,
+        segments: [],
+        error: error.message || 'Falha ao carregar segmentos'
+      };
+    }
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * LoadSurveyDefinitionUseCase - Application Use Case
+ * Loads the questions of the survey residents answer
+ * Single Responsibility: Orchestrate survey definition loading
+ */
+export class LoadSurveyDefinitionUseCase {
+  constructor(surveyRepository) {
+    this.repository = surveyRepository;
+  }
+
+  async execute() {
+    try {
+      const definition = await this.repository.findCurrent();
+
+      return {
+        success: true,
+        definition
+      };
+    } catch (error) {
+      console.error('[LoadSurveyDefinitionUseCase] Error:', error);
+      return {
+        success: false,
+        definition: null,
+        error: error.message || 'Falha ao carregar a pesquisa'
+      };
+    }
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * LoadTagsUseCase - Application Use Case
+ * Loads the tags in use, offered as suggestions in the filters and editors
+ * Single Responsibility: Orchestrate tag listing
+ */
+export class LoadTagsUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute() {
+    try {
+      const tags = await this.repository.findTags();
+
+      return {
+        success: true,
+        tags
+      };
+    } catch (error) {
+      console.error('[LoadTagsUseCase] Error:', error);
+      return {
+        success: false,
+        tags: [],
+        error: error.message || 'Falha ao carregar etiquetas'
+      };
+    }
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * LoadTrashUseCase - Application Use Case
+ * Loads the citizens in the trash along with their scheduled purge dates
+ * Single Responsibility: Orchestrate trash listing
+ */
+export class LoadTrashUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute() {
+    try {
+      const { entries, retentionDays } = await this.repository.findDeleted();
+
+      return {
+        success: true,
+        entries,
+        retentionDays
+      };
+    } catch (error) {
+      console.error('[LoadTrashUseCase] Error:', error);
+      return {
+        success: false,
+        entries: [],
+        error: error.message || 'Falha ao carregar a lixeira'
+      };
+    }
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * MergeCitizensUseCase - Application Use Case
+ * Merges a duplicate citizen into the one that is kept
+ * Single Responsibility: Orchestrate citizen merging
+ */
+export class MergeCitizensUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute(survivorId, duplicateId, fields = {}) {
+    try {
+      const citizen = await this.repository.merge(survivorId, duplicateId, fields);
+
+      return {
+        success: true,
+        citizen
+      };
+    } catch (error) {
+      console.error('[MergeCitizensUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao mesclar contatos'
+      };
+    }
+  }
+}
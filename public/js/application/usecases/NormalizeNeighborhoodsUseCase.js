@@ -0,0 +1,27 @@
+/**
+ * NormalizeNeighborhoodsUseCase - Application Use Case
+ * Previews or applies the remapping of stored citizens onto the neighborhood list
+ * Single Responsibility: Orchestrate neighborhood normalization
+ */
+export class NormalizeNeighborhoodsUseCase {
+  constructor(neighborhoodRepository) {
+    this.repository = neighborhoodRepository;
+  }
+
+  async execute({ dryRun = true, seed = false } = {}) {
+    try {
+      const report = await this.repository.normalize({ dryRun, seed });
+
+      return {
+        success: true,
+        report
+      };
+    } catch (error) {
+      console.error('[NormalizeNeighborhoodsUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao normalizar bairros'
+      };
+    }
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * PurgeCitizenUseCase - Application Use Case
+ * Permanently removes a citizen that is already in the trash
+ * Single Responsibility: Orchestrate permanent deletion
+ */
+export class PurgeCitizenUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute(citizenId) {
+    try {
+      await this.repository.purge(citizenId);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[PurgeCitizenUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao excluir definitivamente'
+      };
+    }
+  }
+}
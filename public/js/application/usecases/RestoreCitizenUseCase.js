@@ -0,0 +1,27 @@
+/**
+ * RestoreCitizenUseCase - Application Use Case
+ * Brings a deleted citizen back from the trash (also used by "Desfazer")
+ * Single Responsibility: Orchestrate citizen restoration
+ */
+export class RestoreCitizenUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute(citizenId) {
+    try {
+      const citizen = await this.repository.restore(citizenId);
+
+      return {
+        success: true,
+        citizen
+      };
+    } catch (error) {
+      console.error('[RestoreCitizenUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao restaurar cidadão'
+      };
+    }
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * SaveCustomFieldUseCase - Application Use Case
+ * Creates or updates an extra citizen field (label, type and its rules)
+ * Single Responsibility: Orchestrate custom field editing
+ */
+export class SaveCustomFieldUseCase {
+  constructor(customFieldRepository) {
+    this.repository = customFieldRepository;
+  }
+
+  async execute(fields) {
+    const label = String(fields.label || '').trim();
+    if (!label) {
+      return { success: false, error: 'Informe o nome do campo' };
+    }
+
+    const options = String(fields.options || '')
+      .split(',')
+      .map(option => option.trim())
+      .filter(Boolean);
+    if (fields.type === 'select' && !options.length) {
+      return { success: false, error: 'Informe as opções da lista, separadas por vírgula' };
+    }
+
+    const number = (value) => (String(value ?? '').trim() === '' ? null : Number(value));
+
+    try {
+      const field = await this.repository.save({
+        id: fields.id || null,
+        label,
+        type: fields.type,
+        required: !!fields.required,
+        options: fields.type === 'select' ? options : null,
+        min: fields.type === 'number' ? number(fields.min) : null,
+        max: fields.type === 'number' ? number(fields.max) : null,
+        maxLength: fields.type === 'text' ? number(fields.maxLength) : null
+      });
+
+      return {
+        success: true,
+        field
+      };
+    } catch (error) {
+      console.error('[SaveCustomFieldUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao salvar campo'
+      };
+    }
+  }
+}
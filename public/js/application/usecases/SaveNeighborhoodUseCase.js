@@ -0,0 +1,41 @@
+/**
+ * SaveNeighborhoodUseCase - Application Use Case
+ * Creates or updates a neighborhood (name, aliases, region)
+ * Single Responsibility: Orchestrate neighborhood editing
+ */
+export class SaveNeighborhoodUseCase {
+  constructor(neighborhoodRepository) {
+    this.repository = neighborhoodRepository;
+  }
+
+  async execute(fields) {
+    const name = String(fields.name || '').trim();
+    if (!name) {
+      return { success: false, error: 'Informe o nome do bairro' };
+    }
+
+    const aliases = Array.isArray(fields.aliases)
+      ? fields.aliases
+      : String(fields.aliases || '').split(',');
+
+    try {
+      const neighborhood = await this.repository.save({
+        id: fields.id || null,
+        name,
+        aliases: aliases.map(alias => alias.trim()).filter(Boolean),
+        region: String(fields.region || '').trim() || null
+      });
+
+      return {
+        success: true,
+        neighborhood
+      };
+    } catch (error) {
+      console.error('[SaveNeighborhoodUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao salvar bairro'
+      };
+    }
+  }
+}
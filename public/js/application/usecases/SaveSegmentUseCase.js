@@ -0,0 +1,42 @@
+/**
+ * SaveSegmentUseCase - Application Use Case
+ * Creates or updates a saved segment (name, description, filter)
+ * Single Responsibility: Orchestrate segment editing
+ */
+export class SaveSegmentUseCase {
+  constructor(segmentRepository) {
+    this.repository = segmentRepository;
+  }
+
+  async execute(fields) {
+    const name = String(fields.name || '').trim();
+    if (!name) {
+      return { success: false, error: 'Informe o nome do segmento' };
+    }
+
+    const filter = String(fields.filter || '').trim();
+    if (!filter) {
+      return { success: false, error: 'Informe o filtro do segmento' };
+    }
+
+    try {
+      const segment = await this.repository.save({
+        id: fields.id || null,
+        name,
+        description: String(fields.description || '').trim() || null,
+        filter
+      });
+
+      return {
+        success: true,
+        segment
+      };
+    } catch (error) {
+      console.error('[SaveSegmentUseCase] Error:', error);
+      return {
+        success: false,
+        error: error.message || 'Falha ao salvar segmento'
+      };
+    }
+  }
+}
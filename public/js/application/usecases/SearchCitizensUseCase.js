@@ -0,0 +1,33 @@
+/**
+ * SearchCitizensUseCase - Application Use Case
+ * Type-ahead lookup of citizens by name, phone, CEP or complemento
+ * Single Responsibility: Orchestrate citizen search
+ */
+export const MIN_QUERY_LENGTH = 2;
+
+export class SearchCitizensUseCase {
+  constructor(citizenRepository) {
+    this.repository = citizenRepository;
+  }
+
+  async execute(query) {
+    const text = String(query ?? '').trim();
+
+    // One letter matches half the city; wait for more
+    if (text.length < MIN_QUERY_LENGTH) {
+      return { success: true, query: text, results: [] };
+    }
+
+    try {
+      const results = await this.repository.search(text);
+      return { success: true, query: text, results };
+    } catch (error) {
+      console.error('[SearchCitizensUseCase] Error:', error);
+      return {
+        success: false,
+        query: text,
+        error: error.message || 'Falha ao buscar cidadãos'
+      };
+    }
+  }
+}
@@ -10,7 +10,14 @@ export class UpdateCitizenUseCase {
     this.repository = citizenRepository;
   }
 
-  async execute(citizenId, updateData) {
+  /**
+   * @param {number|string} citizenId
+   * @param {Object} updateData - { name, age, neighborhood, whatsapp, tags, customFields }
+   * @param {Object} [options]
+   * @param {number} [options.revision] - Revision the edit started from; when someone saved since,
+   *   the result has `conflict: true` and `current` (the stored Citizen) instead of overwriting it
+   */
+  async execute(citizenId, updateData, options = {}) {
     try {
       // Get existing citizen
       const citizen = await this.repository.findById(citizenId);
@@ -51,9 +58,21 @@ export class UpdateCitizenUseCase {
         rawData.whatsapp = updateData.whatsapp;
       }
 
+      if (updateData.tags !== undefined) {
+        rawData.tags = updateData.tags;
+      }
+
+      if (updateData.customFields !== undefined) {
+        rawData.customFields = updateData.customFields;
+      }
+
       // Update timestamp
       rawData.updatedAt = new Date().toISOString();
 
+      if (options.revision !== undefined && options.revision !== null) {
+        rawData.revision = options.revision;
+      }
+
       // Create updated citizen from raw data
       const updatedCitizen = Citizen.fromRawData(rawData);
 
@@ -66,6 +85,14 @@ export class UpdateCitizenUseCase {
       };
     } catch (error) {
       console.error('[UpdateCitizenUseCase] Error:', error);
+      if (error.conflict) {
+        return {
+          success: false,
+          conflict: true,
+          current: error.current,
+          error: error.message
+        };
+      }
       return {
         success: false,
         error: error.message || 'Falha ao atualizar cidadão'
@@ -6,6 +6,7 @@ import { PersonalInfo } from './PersonalInfo.js';
 import { ContactInfo } from './ContactInfo.js';
 import { SurveyResponse } from './SurveyResponse.js';
 import { EngagementHistory } from './EngagementHistory.js';
+import { toCitizenId } from '../../shared/utils/citizenIds.js';
 
 export class Citizen {
   constructor(id, personalInfo, contactInfo, engagementHistory, surveyResponse = null, metadata = {}) {
@@ -30,8 +31,16 @@ export class Citizen {
     this._surveyResponse = surveyResponse;
     this._metadata = {
       createdAt: metadata.createdAt || null,
-      updatedAt: metadata.updatedAt || null
+      updatedAt: metadata.updatedAt || null,
+      // Server-side version of the record, sent back on save to detect concurrent edits
+      revision: Number(metadata.revision) || 0
     };
+    // Free-form labels set by the admins ("voluntário", "liderança comunitária")
+    this._tags = Array.isArray(metadata.tags) ? [...metadata.tags] : [];
+    // Values of the extra fields admins define, keyed by field id
+    this._customFields = metadata.customFields && typeof metadata.customFields === 'object'
+      ? { ...metadata.customFields }
+      : {};
   }
 
   get id() {
@@ -58,6 +67,14 @@ export class Citizen {
     return this._metadata;
   }
 
+  get tags() {
+    return this._tags;
+  }
+
+  get customFields() {
+    return this._customFields;
+  }
+
   // Business Logic Methods
 
   hasResponded() {
@@ -126,17 +143,28 @@ export class Citizen {
         data.survey.answeredAt,
         data.survey.otherIssue,
         data.survey.cep,
-        data.survey.complemento
+        data.survey.complemento,
+        data.survey.bairro || data.survey.logradouro || data.survey.cidade ? {
+          logradouro: data.survey.logradouro || null,
+          bairro: data.survey.bairro || null,
+          cidade: data.survey.cidade || null,
+          uf: data.survey.uf || null,
+          neighborhoodMismatch: data.survey.neighborhoodMismatch ?? null
+        } : null
       );
     }
 
     const metadata = {
       createdAt: data.createdAt,
-      updatedAt: data.updatedAt
+      updatedAt: data.updatedAt,
+      revision: data.revision,
+      tags: data.tags,
+      customFields: data.customFields
     };
 
+    // Numeric ids (older contacts) may arrive as strings; ULIDs stay strings
     return new Citizen(
-      data.id,
+      toCitizenId(data.id),
       personalInfo,
       contactInfo,
       engagementHistory,
@@ -169,7 +197,10 @@ export class Citizen {
         complemento: this._surveyResponse.complemento
       } : null,
       createdAt: this._metadata.createdAt,
-      updatedAt: this._metadata.updatedAt
+      updatedAt: this._metadata.updatedAt,
+      revision: this._metadata.revision,
+      tags: [...this._tags],
+      customFields: { ...this._customFields }
     };
   }
 }
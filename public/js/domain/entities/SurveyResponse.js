@@ -4,6 +4,15 @@
  */
 import { SatisfactionLevel, CivicIssueType, ParticipationIntent } from '../../shared/constants.js';
 
+// Rating (1-5) of each satisfaction answer; replaced by the scale of the survey definition
+let satisfactionRatings = new Map([
+  [SatisfactionLevel.VERY_SATISFIED, 5],
+  [SatisfactionLevel.SATISFIED, 4],
+  [SatisfactionLevel.NEUTRAL, 3],
+  [SatisfactionLevel.DISSATISFIED, 2],
+  [SatisfactionLevel.VERY_DISSATISFIED, 1]
+]);
+
 export class SurveyResponse {
   constructor(
     civicIssue,
@@ -12,7 +21,8 @@ export class SurveyResponse {
     answeredAt,
     otherIssueDetails = null,
     cep = null,
-    complemento = null
+    complemento = null,
+    address = null
   ) {
     this._civicIssue = civicIssue;
     this._satisfactionLevel = satisfactionLevel;
@@ -21,6 +31,8 @@ export class SurveyResponse {
     this._otherIssueDetails = otherIssueDetails;
     this._cep = cep;
     this._complemento = complemento;
+    // Found by the server for the CEP: { logradouro, bairro, cidade, uf, neighborhoodMismatch }
+    this._address = address;
 
     Object.freeze(this);
   }
@@ -53,14 +65,35 @@ export class SurveyResponse {
     return this._complemento;
   }
 
+  get address() {
+    return this._address;
+  }
+
+  // The CEP's bairro is not the neighborhood registered for the citizen
+  hasNeighborhoodMismatch() {
+    return this._address?.neighborhoodMismatch === true;
+  }
+
+  /**
+   * Use the scores of a survey's satisfaction scale, mapped onto 1-5 as the server analyses do
+   * @param {Array<{value: string, score: number}>} options - Options of the `satisfaction` scale question
+   */
+  static useSatisfactionScale(options) {
+    const scores = (options || []).map(option => option.score);
+    if (scores.length < 2) return;
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    satisfactionRatings = new Map(options.map(option => [option.value, 1 + (4 * (option.score - min)) / (max - min)]));
+  }
+
+  // Above or below the middle of the scale
   isSatisfied() {
-    return this._satisfactionLevel === SatisfactionLevel.SATISFIED ||
-           this._satisfactionLevel === SatisfactionLevel.VERY_SATISFIED;
+    return this.getSatisfactionRating() > 3;
   }
 
   isDissatisfied() {
-    return this._satisfactionLevel === SatisfactionLevel.DISSATISFIED ||
-           this._satisfactionLevel === SatisfactionLevel.VERY_DISSATISFIED;
+    const rating = this.getSatisfactionRating();
+    return rating > 0 && rating < 3;
   }
 
   isWillingToParticipate() {
@@ -68,14 +101,7 @@ export class SurveyResponse {
   }
 
   getSatisfactionRating() {
-    const ratingMap = {
-      [SatisfactionLevel.VERY_SATISFIED]: 5,
-      [SatisfactionLevel.SATISFIED]: 4,
-      [SatisfactionLevel.NEUTRAL]: 3,
-      [SatisfactionLevel.DISSATISFIED]: 2,
-      [SatisfactionLevel.VERY_DISSATISFIED]: 1
-    };
-    return ratingMap[this._satisfactionLevel] || 0;
+    return satisfactionRatings.get(this._satisfactionLevel) || 0;
   }
 
   equals(other) {
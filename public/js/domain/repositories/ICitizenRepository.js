@@ -12,6 +12,25 @@ export class ICitizenRepository {
     throw new Error('Method not implemented: findAll');
   }
 
+  /**
+   * One page of citizens, sorted and filtered by the server
+   * @param {Object} options - { page, limit, sort: '-createdAt' | 'survey.satisfaction,name', filters: { neighborhood, answered } }
+   * @returns {Promise<{citizens: Citizen[], total: number, page: number, pages: number, limit: number, statistics: Object}>}
+   */
+  async findPage(options) {
+    throw new Error('Method not implemented: findPage');
+  }
+
+  /**
+   * Type-ahead search by name, phone fragment, CEP or complemento
+   * @param {string} query
+   * @param {number} [limit]
+   * @returns {Promise<Array<{id, name, neighborhood, whatsapp, cep, complemento, matches: string[]}>>} best match first
+   */
+  async search(query, limit) {
+    throw new Error('Method not implemented: search');
+  }
+
   /**
    * Find citizen by ID
    * @param {number} id
@@ -23,6 +42,8 @@ export class ICitizenRepository {
 
   /**
    * Save a citizen (create or update)
+   * Updates only apply if the stored citizen is still at citizen.metadata.revision;
+   * otherwise the error thrown has `conflict: true` and `current` (the stored Citizen).
    * @param {Citizen} citizen
    * @returns {Promise<Citizen>}
    */
@@ -40,19 +61,113 @@ export class ICitizenRepository {
   }
 
   /**
-   * Export all citizens to CSV
+   * Tags in use, most used first
+   * @returns {Promise<Array<{tag: string, count: number}>>}
+   */
+  async findTags() {
+    throw new Error('Method not implemented: findTags');
+  }
+
+  /**
+   * Apply one operation to several citizens at once (all of them or none)
+   * @param {Array<number|string>} ids
+   * @param {string} operation - set-neighborhood | mark-sent | add-tag | delete
+   * @param {Object} [params] - { neighborhood } or { tag }
+   * @returns {Promise<Object>} report: { applied, summary: { targeted, changed, unchanged, notFound }, results }
+   */
+  async bulkUpdate(ids, operation, params) {
+    throw new Error('Method not implemented: bulkUpdate');
+  }
+
+  /**
+   * Export citizens to CSV
+   * @param {Object} [filters] - Filter parameters (FilterCriteriaDTO.toQueryParams()); all citizens when empty
    * @returns {Promise<Blob>}
    */
-  async exportToCSV() {
+  async exportToCSV(filters) {
     throw new Error('Method not implemented: exportToCSV');
   }
 
   /**
-   * Delete a citizen by ID
+   * Delete a citizen by ID (moves it to the trash)
    * @param {number} id
    * @returns {Promise<boolean>}
    */
   async delete(id) {
     throw new Error('Method not implemented: delete');
   }
+
+  /**
+   * Find citizens in the trash, most recently deleted first
+   * @returns {Promise<{entries: Array<{citizen: Citizen, deletedAt: string, deletedBy: string|null, purgeAt: string}>, retentionDays: number}>}
+   */
+  async findDeleted() {
+    throw new Error('Method not implemented: findDeleted');
+  }
+
+  /**
+   * Restore a citizen from the trash
+   * @param {number} id
+   * @returns {Promise<Citizen>}
+   */
+  async restore(id) {
+    throw new Error('Method not implemented: restore');
+  }
+
+  /**
+   * Permanently delete a citizen that is in the trash
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async purge(id) {
+    throw new Error('Method not implemented: purge');
+  }
+
+  /**
+   * Import citizens from a CSV or XLSX file
+   * @param {File} file
+   * @param {Object} options - { mapping, dryRun }
+   * @returns {Promise<Object>} import report (accepted, rejected, duplicates, summary)
+   */
+  async importFile(file, options) {
+    throw new Error('Method not implemented: importFile');
+  }
+
+  /**
+   * Pairs of citizens that are probably the same resident, best matches first
+   * @param {Object} options - { minScore }
+   * @returns {Promise<{pairs: Array<{id: string, score: number, signals: Object, survivorId: number, citizens: Citizen[]}>, total: number}>}
+   */
+  async findDuplicates(options) {
+    throw new Error('Method not implemented: findDuplicates');
+  }
+
+  /**
+   * Merge a duplicate into the surviving citizen; the duplicate's id keeps resolving to the survivor
+   * @param {number} survivorId
+   * @param {number} duplicateId
+   * @param {Object} fields - { name|age|neighborhood|whatsapp: 'survivor'|'duplicate' }
+   * @returns {Promise<Citizen>} the merged citizen
+   */
+  async merge(survivorId, duplicateId, fields) {
+    throw new Error('Method not implemented: merge');
+  }
+
+  /**
+   * Audit trail of a citizen's record, newest first
+   * @param {number} id
+   * @returns {Promise<Array<{at: string, type: string, actor: string|null, ip: string|null, changes: Array}>>}
+   */
+  async getHistory(id) {
+    throw new Error('Method not implemented: getHistory');
+  }
+
+  /**
+   * Signed link to the citizen's survey (the current round of the default survey)
+   * @param {number|string} id
+   * @returns {Promise<{url: string, shortUrl: string, expiresAt: string|null}>}
+   */
+  async createSurveyLink(id) {
+    throw new Error('Method not implemented: createSurveyLink');
+  }
 }
@@ -0,0 +1,32 @@
+/**
+ * ICustomFieldRepository - Repository Interface (DDD)
+ * Defines the contract for the extra fields admins add to citizen records
+ * Following Dependency Inversion Principle (SOLID)
+ */
+export class ICustomFieldRepository {
+  /**
+   * Field definitions, in form order
+   * @returns {Promise<Array<{id: string, label: string, type: string, required: boolean, options: string[]|null, min: number|null, max: number|null, maxLength: number|null}>>}
+   */
+  async findAll() {
+    throw new Error('Method not implemented: findAll');
+  }
+
+  /**
+   * Create a field, or update it when an id is given (the type never changes)
+   * @param {Object} fields - { id?, label, type, required, options, min, max, maxLength }
+   * @returns {Promise<Object>} the saved field
+   */
+  async save(fields) {
+    throw new Error('Method not implemented: save');
+  }
+
+  /**
+   * Remove a field; values already stored on citizens are kept
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented: delete');
+  }
+}
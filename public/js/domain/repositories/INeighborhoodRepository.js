@@ -0,0 +1,41 @@
+/**
+ * INeighborhoodRepository - Repository Interface (DDD)
+ * Defines the contract for the canonical neighborhood list
+ * Following Dependency Inversion Principle (SOLID)
+ */
+export class INeighborhoodRepository {
+  /**
+   * Registered neighborhoods, sorted by name
+   * @returns {Promise<{neighborhoods: Array<{id: string, name: string, aliases: string[], region: string|null}>, regions: string[]}>}
+   */
+  async findAll() {
+    throw new Error('Method not implemented: findAll');
+  }
+
+  /**
+   * Create a neighborhood, or update it when an id is given
+   * @param {Object} fields - { id?, name, aliases, region }
+   * @returns {Promise<Object>} the saved neighborhood
+   */
+  async save(fields) {
+    throw new Error('Method not implemented: save');
+  }
+
+  /**
+   * Remove a neighborhood no contact points at
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented: delete');
+  }
+
+  /**
+   * Remap stored citizens onto the list
+   * @param {Object} options - { dryRun, seed }
+   * @returns {Promise<Object>} normalization report (changes, unmatched, seeded)
+   */
+  async normalize(options) {
+    throw new Error('Method not implemented: normalize');
+  }
+}
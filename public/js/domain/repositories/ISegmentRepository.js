@@ -0,0 +1,32 @@
+/**
+ * ISegmentRepository - Repository Interface (DDD)
+ * Defines the contract for saved citizen segments (a name for a filter)
+ * Following Dependency Inversion Principle (SOLID)
+ */
+export class ISegmentRepository {
+  /**
+   * Saved segments, sorted by name, with how many citizens each matches now
+   * @returns {Promise<Array<{id: string, name: string, description: string|null, filter: string|Object, count: number|null}>>}
+   */
+  async findAll() {
+    throw new Error('Method not implemented: findAll');
+  }
+
+  /**
+   * Create a segment, or update it when an id is given
+   * @param {Object} fields - { id?, name, description, filter }
+   * @returns {Promise<Object>} the saved segment
+   */
+  async save(fields) {
+    throw new Error('Method not implemented: save');
+  }
+
+  /**
+   * Remove a segment no other segment refers to
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    throw new Error('Method not implemented: delete');
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * ISurveyRepository - Repository Interface (DDD)
+ * Defines the contract for the survey definition residents answer
+ * Following Dependency Inversion Principle (SOLID)
+ */
+export class ISurveyRepository {
+  /**
+   * Questions of the survey residents currently answer
+   * @returns {Promise<{id: string, title: string, description: string|null, questions: Array<{id: string, type: string, label: string, required: boolean, options?: Array<{value: string, score?: number, other?: boolean}>}>}>}
+   */
+  async findCurrent() {
+    throw new Error('Method not implemented: findCurrent');
+  }
+}
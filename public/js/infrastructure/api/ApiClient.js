@@ -18,24 +18,24 @@ export class ApiClient {
   async post(endpoint, data = null, options = {}) {
     return this.request(endpoint, {
       method: 'POST',
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers
       },
-      body: data ? JSON.stringify(data) : null,
-      ...options
+      body: data ? JSON.stringify(data) : null
     });
   }
 
   async put(endpoint, data, options = {}) {
     return this.request(endpoint, {
       method: 'PUT',
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers
       },
-      body: JSON.stringify(data),
-      ...options
+      body: JSON.stringify(data)
     });
   }
 
@@ -58,7 +58,11 @@ export class ApiClient {
       const response = await fetch(url, config);
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        // JSON error bodies (e.g. the current record sent with a 412) stay available to callers
+        error.data = await this.readErrorBody(response);
+        throw error;
       }
 
       // Handle different response types
@@ -74,6 +78,18 @@ export class ApiClient {
     }
   }
 
+  async readErrorBody(response) {
+    const contentType = response.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
+      return null;
+    }
+    try {
+      return await response.json();
+    } catch {
+      return null;
+    }
+  }
+
   buildUrl(endpoint) {
     if (endpoint.startsWith('http')) {
       return endpoint;
@@ -7,63 +7,147 @@ import { ICitizenRepository } from '../../domain/repositories/ICitizenRepository
 import { Citizen } from '../../domain/entities/Citizen.js';
 import { ApiEndpoints } from '../../shared/constants.js';
 
+// Fields Citizen.fromRawData reads; listings ask the server for these only
+const CITIZEN_FIELDS = [
+  'name', 'age', 'neighborhood', 'whatsapp', 'whatsappProvider',
+  'whatsappSentAt', 'whatsappMessageId', 'whatsappStatus', 'whatsappStatusUpdatedAt',
+  'clickedAt', 'survey', 'createdAt', 'updatedAt', 'revision', 'tags', 'customFields'
+];
+
+// Largest page the server accepts, used when walking the whole list
+const MAX_PAGE_SIZE = 500;
+
+function appendFilters(params, filters = {}) {
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      params.set(key, String(value));
+    }
+  });
+  return params;
+}
+
 export class HttpCitizenRepository extends ICitizenRepository {
   constructor(apiClient) {
     super();
     this.api = apiClient;
   }
 
+  // Walks the listing with cursors, so large datasets come in bounded requests
   async findAll() {
     try {
-      // Try multiple data sources with fallback
-      const candidates = [
-        ApiEndpoints.CONTACTS + '?legacy=true',
-        '/data.json',
-        '../data.json',
-        './data.json'
-      ];
-
-      for (const url of candidates) {
-        try {
-          const response = await this.api.get(url);
-          const rawData = Array.isArray(response) ? response : response.data;
-
-          if (Array.isArray(rawData) && rawData.length > 0) {
-            // Convert raw data to domain entities
-            return rawData.map(data => Citizen.fromRawData(data));
-          }
-        } catch (error) {
-          // Try next candidate
-          continue;
-        }
-      }
+      const citizens = [];
+      let cursor = null;
+
+      do {
+        const params = new URLSearchParams({ limit: String(MAX_PAGE_SIZE), fields: CITIZEN_FIELDS.join(',') });
+        if (cursor) params.set('cursor', cursor);
+
+        const response = await this.api.get(`${ApiEndpoints.CONTACTS}?${params}`);
+        const rawData = Array.isArray(response?.data) ? response.data : [];
+        citizens.push(...rawData.map(data => Citizen.fromRawData(data)));
+        cursor = response?.nextCursor || null;
+      } while (cursor);
 
-      // No data found, return empty array
-      console.warn('[HttpCitizenRepository] No data found, returning empty array');
-      return [];
+      return citizens;
     } catch (error) {
       console.error('[HttpCitizenRepository] findAll error:', error);
       throw new Error('Falha ao carregar cidadãos');
     }
   }
 
+  async findPage({ page = 1, limit = 50, sort = null, filters = {} } = {}) {
+    const params = new URLSearchParams({
+      page: String(page),
+      limit: String(limit),
+      fields: CITIZEN_FIELDS.join(',')
+    });
+    if (sort) params.set('sort', sort);
+    appendFilters(params, filters);
+
+    try {
+      const response = await this.api.get(`${ApiEndpoints.CONTACTS}?${params}`);
+      const rawData = Array.isArray(response?.data) ? response.data : [];
+      const stats = response?.stats || {};
+      const total = response?.total ?? rawData.length;
+
+      return {
+        citizens: rawData.map(data => Citizen.fromRawData(data)),
+        total,
+        page: response?.page ?? page,
+        pages: response?.pages ?? 1,
+        limit: response?.limit ?? limit,
+        // Counted by the server over every matching citizen, not just this page
+        statistics: {
+          total,
+          sent: stats.sent ?? 0,
+          responded: stats.answered ?? 0,
+          pending: total - (stats.answered ?? 0),
+          clicked: stats.clicked ?? 0
+        }
+      };
+    } catch (error) {
+      console.error('[HttpCitizenRepository] findPage error:', error);
+      if (String(error.message).includes('400')) {
+        throw new Error('Filtro inválido. Confira os campos, operadores e aspas do filtro avançado.');
+      }
+      throw new Error('Falha ao carregar cidadãos');
+    }
+  }
+
+  // Summaries only: the details panel loads the full citizen when one is picked
+  async search(query, limit = 8) {
+    try {
+      const params = new URLSearchParams({ q: query, limit: String(limit) });
+      const response = await this.api.get(`${ApiEndpoints.CONTACTS_SEARCH}?${params}`);
+      return Array.isArray(response?.data) ? response.data : [];
+    } catch (error) {
+      console.error('[HttpCitizenRepository] search error:', error);
+      throw new Error('Falha ao buscar cidadãos');
+    }
+  }
+
+  async findTags() {
+    try {
+      const response = await this.api.get(ApiEndpoints.TAGS);
+      return Array.isArray(response?.data) ? response.data : [];
+    } catch (error) {
+      console.error('[HttpCitizenRepository] findTags error:', error);
+      throw new Error('Falha ao carregar etiquetas');
+    }
+  }
+
   async findById(id) {
     try {
-      const allCitizens = await this.findAll();
-      return allCitizens.find(citizen => citizen.id === id) || null;
+      const data = await this.api.get(`${ApiEndpoints.CONTACTS}/${encodeURIComponent(id)}`);
+      return Citizen.fromRawData(data);
     } catch (error) {
+      if (String(error.message).includes('404')) {
+        return null;
+      }
       console.error('[HttpCitizenRepository] findById error:', error);
       throw new Error('Falha ao buscar cidadão');
     }
   }
 
+  // The server's ETag is the quoted revision; a 412 means someone else saved first
   async save(citizen) {
     try {
       const rawData = citizen.toRawData();
-      const response = await this.api.put(`${ApiEndpoints.CONTACTS}/${citizen.id}`, rawData);
+      const response = await this.api.put(`${ApiEndpoints.CONTACTS}/${citizen.id}`, rawData, {
+        headers: { 'If-Match': `"${citizen.metadata.revision}"` }
+      });
       return Citizen.fromRawData(response);
     } catch (error) {
       console.error('[HttpCitizenRepository] save error:', error);
+      if (error.status === 412 && error.data?.current) {
+        const conflict = new Error('Este cadastro foi alterado por outra pessoa enquanto você editava');
+        conflict.conflict = true;
+        conflict.current = Citizen.fromRawData(error.data.current);
+        throw conflict;
+      }
+      if (error.status === 400 && error.data?.error) {
+        throw new Error(`Dados inválidos: ${error.data.error}`);
+      }
       throw new Error('Falha ao salvar cidadão');
     }
   }
@@ -78,9 +162,10 @@ export class HttpCitizenRepository extends ICitizenRepository {
     }
   }
 
-  async exportToCSV() {
+  async exportToCSV(filters = {}) {
     try {
-      const response = await this.api.get(ApiEndpoints.EXPORT, {
+      const query = appendFilters(new URLSearchParams(), filters).toString();
+      const response = await this.api.get(query ? `${ApiEndpoints.EXPORT}?${query}` : ApiEndpoints.EXPORT, {
         headers: {
           Accept: 'text/csv'
         }
@@ -135,4 +220,141 @@ export class HttpCitizenRepository extends ICitizenRepository {
       throw new Error('Falha ao deletar cidadão');
     }
   }
+
+  async findDeleted() {
+    try {
+      const response = await this.api.get(ApiEndpoints.TRASH);
+      const rawData = Array.isArray(response?.data) ? response.data : [];
+      return {
+        entries: rawData.map(data => ({
+          citizen: Citizen.fromRawData(data),
+          deletedAt: data.deletedAt,
+          deletedBy: data.deletedBy || null,
+          purgeAt: data.purgeAt || null
+        })),
+        retentionDays: response?.retentionDays ?? null
+      };
+    } catch (error) {
+      console.error('[HttpCitizenRepository] findDeleted error:', error);
+      throw new Error('Falha ao carregar a lixeira');
+    }
+  }
+
+  async restore(id) {
+    try {
+      const response = await this.api.post(ApiEndpoints.TRASH_RESTORE(id));
+      return Citizen.fromRawData(response.contact);
+    } catch (error) {
+      console.error('[HttpCitizenRepository] restore error:', error);
+      if (String(error.message).includes('409')) {
+        throw new Error('Já existe outro contato ativo com este WhatsApp');
+      }
+      throw new Error('Falha ao restaurar cidadão');
+    }
+  }
+
+  async purge(id) {
+    try {
+      await this.api.delete(ApiEndpoints.TRASH_ITEM(id));
+      return true;
+    } catch (error) {
+      console.error('[HttpCitizenRepository] purge error:', error);
+      throw new Error('Falha ao excluir definitivamente');
+    }
+  }
+
+  async importFile(file, { mapping = {}, dryRun = true } = {}) {
+    const params = new URLSearchParams({ filename: file.name, dryRun: String(dryRun) });
+    Object.entries(mapping).forEach(([field, column]) => {
+      if (column !== null && column !== undefined && column !== '') {
+        params.append(`mapping[${field}]`, String(column));
+      }
+    });
+
+    try {
+      return await this.api.request(`${ApiEndpoints.CONTACTS_IMPORT}?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type || 'application/octet-stream' },
+        body: file
+      });
+    } catch (error) {
+      console.error('[HttpCitizenRepository] importFile error:', error);
+      if (String(error.message).includes('400')) {
+        throw new Error('Não foi possível ler a planilha. Use um arquivo CSV ou XLSX');
+      }
+      if (String(error.message).includes('413')) {
+        throw new Error('Arquivo muito grande (limite de 5 MB)');
+      }
+      throw new Error('Falha ao importar contatos');
+    }
+  }
+
+  async findDuplicates({ minScore = null } = {}) {
+    try {
+      const query = minScore !== null ? `?minScore=${encodeURIComponent(minScore)}` : '';
+      const response = await this.api.get(`${ApiEndpoints.DUPLICATES}${query}`);
+      const rawData = Array.isArray(response?.data) ? response.data : [];
+      return {
+        pairs: rawData.map(pair => ({
+          id: pair.id,
+          score: pair.score,
+          signals: pair.signals || {},
+          survivorId: pair.survivorId,
+          citizens: pair.contacts.map(data => Citizen.fromRawData(data))
+        })),
+        total: response?.total ?? rawData.length
+      };
+    } catch (error) {
+      console.error('[HttpCitizenRepository] findDuplicates error:', error);
+      throw new Error('Falha ao buscar duplicados');
+    }
+  }
+
+  // All or nothing: the server reports per contact what changed, or a 409 when nothing was applied
+  async bulkUpdate(ids, operation, params = {}) {
+    try {
+      return await this.api.post(ApiEndpoints.CONTACTS_BULK, { ids, operation, params });
+    } catch (error) {
+      console.error('[HttpCitizenRepository] bulkUpdate error:', error);
+      if (error.status === 409) {
+        throw new Error('Um dos contatos selecionados foi alterado durante a operação e nada foi aplicado. Tente novamente');
+      }
+      if (error.status === 400) {
+        throw new Error('Operação inválida. Confira o bairro ou a etiqueta informados');
+      }
+      throw new Error('Falha ao aplicar a operação em massa');
+    }
+  }
+
+  async merge(survivorId, duplicateId, fields = {}) {
+    try {
+      const response = await this.api.post(ApiEndpoints.CONTACT_MERGE(survivorId), { duplicateId, fields });
+      return Citizen.fromRawData(response.contact);
+    } catch (error) {
+      console.error('[HttpCitizenRepository] merge error:', error);
+      if (String(error.message).includes('404')) {
+        throw new Error('Um dos contatos não existe mais. Atualize a lista');
+      }
+      throw new Error('Falha ao mesclar contatos');
+    }
+  }
+
+  async getHistory(id) {
+    try {
+      const response = await this.api.get(ApiEndpoints.CONTACT_HISTORY(id));
+      return Array.isArray(response?.entries) ? response.entries : [];
+    } catch (error) {
+      console.error('[HttpCitizenRepository] getHistory error:', error);
+      throw new Error('Falha ao carregar histórico');
+    }
+  }
+
+  async createSurveyLink(id) {
+    try {
+      return await this.api.post(ApiEndpoints.SURVEY_LINK(id));
+    } catch (error) {
+      console.error('[HttpCitizenRepository] createSurveyLink error:', error);
+      throw new Error('Falha ao gerar link da pesquisa');
+    }
+  }
 }
@@ -0,0 +1,51 @@
+/**
+ * HttpCustomFieldRepository - Infrastructure
+ * Concrete implementation of ICustomFieldRepository using HTTP
+ */
+import { ICustomFieldRepository } from '../../domain/repositories/ICustomFieldRepository.js';
+import { ApiEndpoints } from '../../shared/constants.js';
+
+export class HttpCustomFieldRepository extends ICustomFieldRepository {
+  constructor(apiClient) {
+    super();
+    this.api = apiClient;
+  }
+
+  async findAll() {
+    try {
+      const response = await this.api.get(ApiEndpoints.CUSTOM_FIELDS);
+      return Array.isArray(response?.data) ? response.data : [];
+    } catch (error) {
+      console.error('[HttpCustomFieldRepository] findAll error:', error);
+      throw new Error('Falha ao carregar campos extras');
+    }
+  }
+
+  async save({ id = null, label, type, required = false, options = null, min = null, max = null, maxLength = null }) {
+    const body = { label, required, options, min, max, maxLength };
+    try {
+      return id
+        ? await this.api.put(ApiEndpoints.CUSTOM_FIELD(id), body)
+        : await this.api.post(ApiEndpoints.CUSTOM_FIELDS, { ...body, type });
+    } catch (error) {
+      console.error('[HttpCustomFieldRepository] save error:', error);
+      if (error.status === 409) {
+        throw new Error('Já existe um campo com este nome');
+      }
+      if (error.status === 400) {
+        throw new Error(`Campo inválido: ${error.data?.error || 'confira o nome e as regras'}`);
+      }
+      throw new Error('Falha ao salvar campo');
+    }
+  }
+
+  async delete(id) {
+    try {
+      await this.api.delete(ApiEndpoints.CUSTOM_FIELD(id));
+      return true;
+    } catch (error) {
+      console.error('[HttpCustomFieldRepository] delete error:', error);
+      throw new Error('Falha ao remover campo');
+    }
+  }
+}
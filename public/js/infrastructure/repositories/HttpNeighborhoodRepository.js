@@ -0,0 +1,67 @@
+/**
+ * HttpNeighborhoodRepository - Infrastructure
+ * Concrete implementation of INeighborhoodRepository using HTTP
+ */
+import { INeighborhoodRepository } from '../../domain/repositories/INeighborhoodRepository.js';
+import { ApiEndpoints } from '../../shared/constants.js';
+
+export class HttpNeighborhoodRepository extends INeighborhoodRepository {
+  constructor(apiClient) {
+    super();
+    this.api = apiClient;
+  }
+
+  async findAll() {
+    try {
+      const response = await this.api.get(ApiEndpoints.NEIGHBORHOODS);
+      return {
+        neighborhoods: Array.isArray(response?.data) ? response.data : [],
+        regions: Array.isArray(response?.regions) ? response.regions : []
+      };
+    } catch (error) {
+      console.error('[HttpNeighborhoodRepository] findAll error:', error);
+      throw new Error('Falha ao carregar bairros');
+    }
+  }
+
+  async save({ id = null, name, aliases = [], region = null }) {
+    const body = { name, aliases, region };
+    try {
+      return id
+        ? await this.api.put(ApiEndpoints.NEIGHBORHOOD(id), body)
+        : await this.api.post(ApiEndpoints.NEIGHBORHOODS, body);
+    } catch (error) {
+      console.error('[HttpNeighborhoodRepository] save error:', error);
+      if (String(error.message).includes('409')) {
+        throw new Error('O nome ou um dos apelidos já pertence a outro bairro');
+      }
+      if (String(error.message).includes('400')) {
+        throw new Error('Informe o nome do bairro');
+      }
+      throw new Error('Falha ao salvar bairro');
+    }
+  }
+
+  async delete(id) {
+    try {
+      await this.api.delete(ApiEndpoints.NEIGHBORHOOD(id));
+      return true;
+    } catch (error) {
+      console.error('[HttpNeighborhoodRepository] delete error:', error);
+      if (String(error.message).includes('409')) {
+        throw new Error('Há contatos neste bairro. Mude-os de bairro antes de removê-lo');
+      }
+      throw new Error('Falha ao remover bairro');
+    }
+  }
+
+  async normalize({ dryRun = true, seed = false } = {}) {
+    const params = new URLSearchParams({ dryRun: String(dryRun), seed: String(seed) });
+    try {
+      return await this.api.post(`${ApiEndpoints.NEIGHBORHOODS_NORMALIZE}?${params}`);
+    } catch (error) {
+      console.error('[HttpNeighborhoodRepository] normalize error:', error);
+      throw new Error('Falha ao normalizar bairros');
+    }
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * HttpSegmentRepository - Infrastructure
+ * Concrete implementation of ISegmentRepository using HTTP
+ */
+import { ISegmentRepository } from '../../domain/repositories/ISegmentRepository.js';
+import { ApiEndpoints } from '../../shared/constants.js';
+
+export class HttpSegmentRepository extends ISegmentRepository {
+  constructor(apiClient) {
+    super();
+    this.api = apiClient;
+  }
+
+  async findAll() {
+    try {
+      const response = await this.api.get(ApiEndpoints.SEGMENTS);
+      return Array.isArray(response?.data) ? response.data : [];
+    } catch (error) {
+      console.error('[HttpSegmentRepository] findAll error:', error);
+      throw new Error('Falha ao carregar segmentos');
+    }
+  }
+
+  async save({ id = null, name, description = null, filter }) {
+    const body = { name, description, filter };
+    try {
+      return id
+        ? await this.api.put(ApiEndpoints.SEGMENT(id), body)
+        : await this.api.post(ApiEndpoints.SEGMENTS, body);
+    } catch (error) {
+      console.error('[HttpSegmentRepository] save error:', error);
+      if (error.status === 409) {
+        // Either the name is taken or another segment refers to this one by its old name
+        throw new Error(String(error.data?.error).includes('used by')
+          ? `O segmento ${error.data.conflict?.name} usa este pelo nome; ajuste-o antes de renomear`
+          : 'Já existe um segmento com este nome');
+      }
+      if (error.status === 400) {
+        throw new Error(`Filtro inválido: ${error.data?.error || 'confira o nome e o filtro'}`);
+      }
+      throw new Error('Falha ao salvar segmento');
+    }
+  }
+
+  async delete(id) {
+    try {
+      await this.api.delete(ApiEndpoints.SEGMENT(id));
+      return true;
+    } catch (error) {
+      console.error('[HttpSegmentRepository] delete error:', error);
+      if (error.status === 409) {
+        throw new Error(`O segmento ${error.data?.conflict?.name || 'outro segmento'} depende deste. Remova-o ou ajuste o filtro antes`);
+      }
+      throw new Error('Falha ao remover segmento');
+    }
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * HttpSurveyRepository - Infrastructure
+ * Concrete implementation of ISurveyRepository using HTTP
+ */
+import { ISurveyRepository } from '../../domain/repositories/ISurveyRepository.js';
+import { ApiEndpoints } from '../../shared/constants.js';
+
+export class HttpSurveyRepository extends ISurveyRepository {
+  constructor(apiClient) {
+    super();
+    this.api = apiClient;
+  }
+
+  async findCurrent() {
+    try {
+      return await this.api.get(ApiEndpoints.SURVEY_DEFINITION);
+    } catch (error) {
+      console.error('[HttpSurveyRepository] findCurrent error:', error);
+      throw new Error('Falha ao carregar a pesquisa');
+    }
+  }
+}
@@ -10,24 +10,60 @@ import { registerAllComponents } from './web-components/index.js';
 // Domain
 import { CitizenFilterService } from './domain/services/CitizenFilterService.js';
 import { StatisticsService } from './domain/services/StatisticsService.js';
+import { SurveyResponse } from './domain/entities/SurveyResponse.js';
 
 // Application
 import { LoadCitizensUseCase } from './application/usecases/LoadCitizensUseCase.js';
+import { LoadCitizenUseCase } from './application/usecases/LoadCitizenUseCase.js';
+import { SearchCitizensUseCase } from './application/usecases/SearchCitizensUseCase.js';
 import { SendWhatsAppMessageUseCase } from './application/usecases/SendWhatsAppMessageUseCase.js';
 import { ExportCitizensUseCase } from './application/usecases/ExportCitizensUseCase.js';
 import { ProcessAIQueryUseCase } from './application/usecases/ProcessAIQueryUseCase.js';
 import { UpdateCitizenUseCase } from './application/usecases/UpdateCitizenUseCase.js';
 import { DeleteCitizenUseCase } from './application/usecases/DeleteCitizenUseCase.js';
+import { LoadCitizenHistoryUseCase } from './application/usecases/LoadCitizenHistoryUseCase.js';
+import { CreateSurveyLinkUseCase } from './application/usecases/CreateSurveyLinkUseCase.js';
+import { LoadTrashUseCase } from './application/usecases/LoadTrashUseCase.js';
+import { RestoreCitizenUseCase } from './application/usecases/RestoreCitizenUseCase.js';
+import { PurgeCitizenUseCase } from './application/usecases/PurgeCitizenUseCase.js';
+import { ImportCitizensUseCase } from './application/usecases/ImportCitizensUseCase.js';
+import { LoadDuplicatesUseCase } from './application/usecases/LoadDuplicatesUseCase.js';
+import { MergeCitizensUseCase } from './application/usecases/MergeCitizensUseCase.js';
+import { LoadNeighborhoodsUseCase } from './application/usecases/LoadNeighborhoodsUseCase.js';
+import { SaveNeighborhoodUseCase } from './application/usecases/SaveNeighborhoodUseCase.js';
+import { DeleteNeighborhoodUseCase } from './application/usecases/DeleteNeighborhoodUseCase.js';
+import { NormalizeNeighborhoodsUseCase } from './application/usecases/NormalizeNeighborhoodsUseCase.js';
+import { BulkUpdateCitizensUseCase } from './application/usecases/BulkUpdateCitizensUseCase.js';
+import { LoadTagsUseCase } from './application/usecases/LoadTagsUseCase.js';
+import { LoadSegmentsUseCase } from './application/usecases/LoadSegmentsUseCase.js';
+import { SaveSegmentUseCase } from './application/usecases/SaveSegmentUseCase.js';
+import { DeleteSegmentUseCase } from './application/usecases/DeleteSegmentUseCase.js';
+import { LoadCustomFieldsUseCase } from './application/usecases/LoadCustomFieldsUseCase.js';
+import { SaveCustomFieldUseCase } from './application/usecases/SaveCustomFieldUseCase.js';
+import { DeleteCustomFieldUseCase } from './application/usecases/DeleteCustomFieldUseCase.js';
+import { LoadSurveyDefinitionUseCase } from './application/usecases/LoadSurveyDefinitionUseCase.js';
 
 // Infrastructure
 import { ApiClient } from './infrastructure/api/ApiClient.js';
 import { HttpCitizenRepository } from './infrastructure/repositories/HttpCitizenRepository.js';
+import { HttpNeighborhoodRepository } from './infrastructure/repositories/HttpNeighborhoodRepository.js';
+import { HttpSegmentRepository } from './infrastructure/repositories/HttpSegmentRepository.js';
+import { HttpCustomFieldRepository } from './infrastructure/repositories/HttpCustomFieldRepository.js';
+import { HttpSurveyRepository } from './infrastructure/repositories/HttpSurveyRepository.js';
 import { AIAssistantService } from './infrastructure/services/AIAssistantService.js';
 
 // Presentation
 import { StatisticsPanel } from './presentation/components/StatisticsPanel.js';
 import { CitizenTable } from './presentation/components/CitizenTable.js';
 import { CitizenDetailsPanel } from './presentation/components/CitizenDetailsPanel.js';
+import { TrashPanel } from './presentation/components/TrashPanel.js';
+import { ImportPanel } from './presentation/components/ImportPanel.js';
+import { DuplicatesPanel } from './presentation/components/DuplicatesPanel.js';
+import { NeighborhoodsPanel } from './presentation/components/NeighborhoodsPanel.js';
+import { SegmentsPanel } from './presentation/components/SegmentsPanel.js';
+import { CustomFieldsPanel } from './presentation/components/CustomFieldsPanel.js';
+import { CitizenSearchBox } from './presentation/components/CitizenSearchBox.js';
+import { BulkActionBar } from './presentation/components/BulkActionBar.js';
 import { AdminViewModel } from './presentation/viewmodels/AdminViewModel.js';
 
 // Shared
@@ -85,6 +121,18 @@ class Application {
     this.dependencies.citizenRepository = new HttpCitizenRepository(
       this.dependencies.apiClient
     );
+    this.dependencies.neighborhoodRepository = new HttpNeighborhoodRepository(
+      this.dependencies.apiClient
+    );
+    this.dependencies.segmentRepository = new HttpSegmentRepository(
+      this.dependencies.apiClient
+    );
+    this.dependencies.customFieldRepository = new HttpCustomFieldRepository(
+      this.dependencies.apiClient
+    );
+    this.dependencies.surveyRepository = new HttpSurveyRepository(
+      this.dependencies.apiClient
+    );
 
     // Services
     this.dependencies.aiAssistantService = new AIAssistantService(
@@ -99,9 +147,15 @@ class Application {
 
   setupUseCases() {
     this.dependencies.loadCitizensUseCase = new LoadCitizensUseCase(
-      this.dependencies.citizenRepository,
-      this.dependencies.filterService,
-      this.dependencies.statisticsService
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.loadCitizenUseCase = new LoadCitizenUseCase(
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.searchCitizensUseCase = new SearchCitizensUseCase(
+      this.dependencies.citizenRepository
     );
 
     this.dependencies.sendWhatsAppUseCase = new SendWhatsAppMessageUseCase(
@@ -112,6 +166,10 @@ class Application {
       this.dependencies.citizenRepository
     );
 
+    this.dependencies.createSurveyLinkUseCase = new CreateSurveyLinkUseCase(
+      this.dependencies.citizenRepository
+    );
+
     this.dependencies.processAIQueryUseCase = new ProcessAIQueryUseCase(
       this.dependencies.aiAssistantService
     );
@@ -123,6 +181,86 @@ class Application {
     this.dependencies.deleteCitizenUseCase = new DeleteCitizenUseCase(
       this.dependencies.citizenRepository
     );
+
+    this.dependencies.loadCitizenHistoryUseCase = new LoadCitizenHistoryUseCase(
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.loadTrashUseCase = new LoadTrashUseCase(
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.restoreCitizenUseCase = new RestoreCitizenUseCase(
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.purgeCitizenUseCase = new PurgeCitizenUseCase(
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.importCitizensUseCase = new ImportCitizensUseCase(
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.loadDuplicatesUseCase = new LoadDuplicatesUseCase(
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.mergeCitizensUseCase = new MergeCitizensUseCase(
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.loadNeighborhoodsUseCase = new LoadNeighborhoodsUseCase(
+      this.dependencies.neighborhoodRepository
+    );
+
+    this.dependencies.saveNeighborhoodUseCase = new SaveNeighborhoodUseCase(
+      this.dependencies.neighborhoodRepository
+    );
+
+    this.dependencies.deleteNeighborhoodUseCase = new DeleteNeighborhoodUseCase(
+      this.dependencies.neighborhoodRepository
+    );
+
+    this.dependencies.normalizeNeighborhoodsUseCase = new NormalizeNeighborhoodsUseCase(
+      this.dependencies.neighborhoodRepository
+    );
+
+    this.dependencies.bulkUpdateCitizensUseCase = new BulkUpdateCitizensUseCase(
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.loadTagsUseCase = new LoadTagsUseCase(
+      this.dependencies.citizenRepository
+    );
+
+    this.dependencies.loadSegmentsUseCase = new LoadSegmentsUseCase(
+      this.dependencies.segmentRepository
+    );
+
+    this.dependencies.saveSegmentUseCase = new SaveSegmentUseCase(
+      this.dependencies.segmentRepository
+    );
+
+    this.dependencies.deleteSegmentUseCase = new DeleteSegmentUseCase(
+      this.dependencies.segmentRepository
+    );
+
+    this.dependencies.loadCustomFieldsUseCase = new LoadCustomFieldsUseCase(
+      this.dependencies.customFieldRepository
+    );
+
+    this.dependencies.saveCustomFieldUseCase = new SaveCustomFieldUseCase(
+      this.dependencies.customFieldRepository
+    );
+
+    this.dependencies.deleteCustomFieldUseCase = new DeleteCustomFieldUseCase(
+      this.dependencies.customFieldRepository
+    );
+
+    this.dependencies.loadSurveyDefinitionUseCase = new LoadSurveyDefinitionUseCase(
+      this.dependencies.surveyRepository
+    );
   }
 
   setupPresentationComponents() {
@@ -158,23 +296,104 @@ class Application {
   }
 
   setupViewModel() {
-    // Set update and delete use cases in details panel
+    // Set update, delete, restore and history use cases in details panel
     this.dependencies.detailsPanel.setUpdateCitizenUseCase(
       this.dependencies.updateCitizenUseCase
     );
     this.dependencies.detailsPanel.setDeleteCitizenUseCase(
       this.dependencies.deleteCitizenUseCase
     );
+    this.dependencies.detailsPanel.setRestoreCitizenUseCase(
+      this.dependencies.restoreCitizenUseCase
+    );
+    this.dependencies.detailsPanel.setLoadHistoryUseCase(
+      this.dependencies.loadCitizenHistoryUseCase
+    );
 
     this.dependencies.adminViewModel = new AdminViewModel({
       loadCitizensUseCase: this.dependencies.loadCitizensUseCase,
+      loadCitizenUseCase: this.dependencies.loadCitizenUseCase,
       sendWhatsAppUseCase: this.dependencies.sendWhatsAppUseCase,
+      createSurveyLinkUseCase: this.dependencies.createSurveyLinkUseCase,
       exportCitizensUseCase: this.dependencies.exportCitizensUseCase,
+      loadTagsUseCase: this.dependencies.loadTagsUseCase,
       statisticsPanel: this.dependencies.statisticsPanel,
       citizenTable: this.dependencies.citizenTable,
       detailsPanel: this.dependencies.detailsPanel,
       toastManager: this.dependencies.toastManager
     });
+
+    // Type-ahead search; picking a result opens it in the details panel
+    this.dependencies.citizenSearchBox = new CitizenSearchBox('citizenSearch', 'citizenSearchResults', {
+      searchCitizensUseCase: this.dependencies.searchCitizensUseCase,
+      onSelect: (id) => this.dependencies.adminViewModel.openCitizenById(id)
+    });
+
+    // Bulk actions over the rows selected in the table (applying reloads it)
+    this.dependencies.bulkActionBar = new BulkActionBar('bulkActionBar', {
+      citizenTable: this.dependencies.citizenTable,
+      bulkUpdateCitizensUseCase: this.dependencies.bulkUpdateCitizensUseCase,
+      toastManager: this.dependencies.toastManager,
+      onApplied: () => this.dependencies.adminViewModel.refresh()
+    });
+
+    // Trash bin (restores reload the contacts table)
+    this.dependencies.trashPanel = new TrashPanel('trashOverlay', {
+      loadTrashUseCase: this.dependencies.loadTrashUseCase,
+      restoreCitizenUseCase: this.dependencies.restoreCitizenUseCase,
+      purgeCitizenUseCase: this.dependencies.purgeCitizenUseCase,
+      toastManager: this.dependencies.toastManager,
+      onRestore: () => this.dependencies.adminViewModel.refresh()
+    });
+
+    // Spreadsheet import (dry run first, then commit)
+    this.dependencies.importPanel = new ImportPanel('importOverlay', {
+      importCitizensUseCase: this.dependencies.importCitizensUseCase,
+      toastManager: this.dependencies.toastManager,
+      onImport: () => this.dependencies.adminViewModel.refresh()
+    });
+
+    // Duplicate review (merges reload the contacts table)
+    this.dependencies.duplicatesPanel = new DuplicatesPanel('duplicatesOverlay', {
+      loadDuplicatesUseCase: this.dependencies.loadDuplicatesUseCase,
+      mergeCitizensUseCase: this.dependencies.mergeCitizensUseCase,
+      toastManager: this.dependencies.toastManager,
+      onMerge: () => this.dependencies.adminViewModel.refresh()
+    });
+
+    // Neighborhood list; the edit panel suggests its names, normalizing reloads the table
+    this.dependencies.neighborhoodsPanel = new NeighborhoodsPanel('neighborhoodsOverlay', {
+      loadNeighborhoodsUseCase: this.dependencies.loadNeighborhoodsUseCase,
+      saveNeighborhoodUseCase: this.dependencies.saveNeighborhoodUseCase,
+      deleteNeighborhoodUseCase: this.dependencies.deleteNeighborhoodUseCase,
+      normalizeNeighborhoodsUseCase: this.dependencies.normalizeNeighborhoodsUseCase,
+      toastManager: this.dependencies.toastManager,
+      onChange: (neighborhoods) => {
+        this.dependencies.detailsPanel.setNeighborhoods(neighborhoods);
+        this.dependencies.bulkActionBar.setNeighborhoods(neighborhoods);
+      },
+      onNormalize: () => this.dependencies.adminViewModel.refresh()
+    });
+
+    // Saved segments; the segment filter lists them and "Filtrar" shows one in the table
+    this.dependencies.segmentsPanel = new SegmentsPanel('segmentsOverlay', {
+      loadSegmentsUseCase: this.dependencies.loadSegmentsUseCase,
+      saveSegmentUseCase: this.dependencies.saveSegmentUseCase,
+      deleteSegmentUseCase: this.dependencies.deleteSegmentUseCase,
+      toastManager: this.dependencies.toastManager,
+      getCurrentFilter: () => this.dependencies.adminViewModel.currentFilterExpression(),
+      onApply: (id) => this.dependencies.adminViewModel.filterBySegment(id),
+      onChange: (segments) => this.dependencies.adminViewModel.setSegments(segments)
+    });
+
+    // Extra fields of the citizen records, shown and edited in the details panel
+    this.dependencies.customFieldsPanel = new CustomFieldsPanel('customFieldsOverlay', {
+      loadCustomFieldsUseCase: this.dependencies.loadCustomFieldsUseCase,
+      saveCustomFieldUseCase: this.dependencies.saveCustomFieldUseCase,
+      deleteCustomFieldUseCase: this.dependencies.deleteCustomFieldUseCase,
+      toastManager: this.dependencies.toastManager,
+      onChange: (fields) => this.dependencies.detailsPanel.setCustomFields(fields)
+    });
   }
 
   async loadConfiguration() {
@@ -188,6 +407,34 @@ class Application {
       console.warn('[Application] Failed to load configuration:', error);
     }
 
+    // Satisfaction ratings follow the scale of the survey residents answer
+    const survey = await this.dependencies.loadSurveyDefinitionUseCase.execute();
+    const satisfaction = survey.success
+      ? survey.definition.questions.find(question => question.id === 'satisfaction' && question.type === 'scale')
+      : null;
+    if (satisfaction) {
+      SurveyResponse.useSatisfactionScale(satisfaction.options);
+    }
+
+    // Neighborhood names suggested while editing a citizen
+    const neighborhoods = await this.dependencies.loadNeighborhoodsUseCase.execute();
+    if (neighborhoods.success) {
+      this.dependencies.detailsPanel.setNeighborhoods(neighborhoods.neighborhoods);
+      this.dependencies.bulkActionBar.setNeighborhoods(neighborhoods.neighborhoods);
+    }
+
+    // Saved segments offered in the segment filter
+    const segments = await this.dependencies.loadSegmentsUseCase.execute();
+    if (segments.success) {
+      this.dependencies.adminViewModel.setSegments(segments.segments);
+    }
+
+    // Extra fields shown in the citizen details
+    const customFields = await this.dependencies.loadCustomFieldsUseCase.execute();
+    if (customFields.success) {
+      this.dependencies.detailsPanel.setCustomFields(customFields.fields);
+    }
+
     // Load system health
     if (this.dependencies.chatWidget) {
       await this.dependencies.chatWidget.loadSystemHealth();
@@ -201,16 +448,15 @@ class Application {
     window.detailsPanel = this.dependencies.detailsPanel;
     window.chatWidget = this.dependencies.chatWidget;
     window.citizenTable = this.dependencies.citizenTable;
+    window.trashPanel = this.dependencies.trashPanel;
+    window.importPanel = this.dependencies.importPanel;
+    window.duplicatesPanel = this.dependencies.duplicatesPanel;
+    window.neighborhoodsPanel = this.dependencies.neighborhoodsPanel;
 
     // Global helper functions
     window.closeCitizenPanel = () => this.dependencies.detailsPanel.close();
     window.openCitizenPanel = (citizen) => this.dependencies.detailsPanel.open(citizen);
-    window.openCitizenPanelById = (id) => {
-      const citizen = this.dependencies.adminViewModel.getCitizen(id);
-      if (citizen) {
-        this.dependencies.detailsPanel.open(citizen);
-      }
-    };
+    window.openCitizenPanelById = (id) => this.dependencies.adminViewModel.openCitizenById(id);
     window.switchColumn = (direction) => this.dependencies.citizenTable.switchColumn(direction);
 
     // Global function for AI Chat quick suggestions (backwards compatibility)
@@ -0,0 +1,131 @@
+/**
+ * BulkActionBar - Presentation Component
+ * Toolbar shown while table rows are selected, applying one operation to all of them
+ * Single Responsibility: Collect the bulk operation and report its per-contact outcome
+ */
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
+
+const OPERATION_LABELS = {
+  'set-neighborhood': 'Bairro alterado',
+  'mark-sent': 'Marcado como enviado',
+  'add-tag': 'Etiqueta adicionada',
+  delete: 'Movido para a lixeira'
+};
+
+export class BulkActionBar {
+  /**
+   * @param {string} barId - Toolbar element id
+   * @param {Object} dependencies - { citizenTable, bulkUpdateCitizensUseCase, toastManager, onApplied }
+   */
+  constructor(barId, dependencies) {
+    this.bar = document.getElementById(barId);
+    this.citizenTable = dependencies.citizenTable;
+    this.bulkUpdateCitizensUseCase = dependencies.bulkUpdateCitizensUseCase;
+    this.toastManager = dependencies.toastManager;
+    this.onApplied = dependencies.onApplied;
+
+    this.selectedIds = [];
+    this.running = false;
+    // Deleting needs a second click on the same button
+    this.confirmingDelete = false;
+
+    if (this.bar) {
+      this.initializeElements();
+      this.attachEventListeners();
+      this.citizenTable.setSelectionHandler((ids) => this.update(ids));
+    }
+  }
+
+  initializeElements() {
+    this.countElement = this.bar.querySelector('[data-bulk-count]');
+    this.neighborhoodInput = this.bar.querySelector('#bulkNeighborhood');
+    this.neighborhoodOptions = this.bar.querySelector('#bulkNeighborhoodOptions');
+    this.tagInput = this.bar.querySelector('#bulkTag');
+    this.deleteButton = this.bar.querySelector('[data-bulk-operation="delete"]');
+  }
+
+  attachEventListeners() {
+    this.bar.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button || this.running) return;
+
+      if (button.dataset.bulkSelection === 'page') {
+        this.citizenTable.selectPage();
+      } else if (button.dataset.bulkSelection === 'clear') {
+        this.citizenTable.clearSelection();
+      } else if (button.dataset.bulkOperation) {
+        this.apply(button.dataset.bulkOperation);
+      }
+    });
+  }
+
+  setNeighborhoods(neighborhoods) {
+    if (!this.neighborhoodOptions) return;
+    this.neighborhoodOptions.innerHTML = (Array.isArray(neighborhoods) ? neighborhoods : [])
+      .map(neighborhood => `<option value="${HtmlFormatter.escape(neighborhood.name)}"></option>`)
+      .join('');
+  }
+
+  update(ids) {
+    this.selectedIds = ids;
+    this.setConfirmingDelete(false);
+    this.bar.hidden = ids.length === 0;
+    if (this.countElement) {
+      this.countElement.textContent = ids.length === 1 ? '1 selecionado' : `${ids.length} selecionados`;
+    }
+  }
+
+  setConfirmingDelete(confirming) {
+    this.confirmingDelete = confirming;
+    if (this.deleteButton) {
+      this.deleteButton.textContent = confirming ? `Confirmar exclusão de ${this.selectedIds.length}` : 'Excluir';
+    }
+  }
+
+  paramsFor(operation) {
+    if (operation === 'set-neighborhood') return { neighborhood: this.neighborhoodInput?.value || '' };
+    if (operation === 'add-tag') return { tag: this.tagInput?.value || '' };
+    return {};
+  }
+
+  async apply(operation) {
+    if (operation === 'delete' && !this.confirmingDelete) {
+      this.setConfirmingDelete(true);
+      return;
+    }
+    this.setConfirmingDelete(false);
+
+    this.running = true;
+    this.bar.classList.add('bulk-action-bar--busy');
+    try {
+      const result = await this.bulkUpdateCitizensUseCase.execute(this.selectedIds, operation, this.paramsFor(operation));
+      if (!result.success) {
+        this.toastManager?.error(result.error, { title: 'Operação em massa' });
+        return;
+      }
+
+      this.showReport(result.report);
+      if (this.neighborhoodInput) this.neighborhoodInput.value = '';
+      if (this.tagInput) this.tagInput.value = '';
+      this.citizenTable.clearSelection();
+      if (this.onApplied) await this.onApplied(result.report);
+    } finally {
+      this.running = false;
+      this.bar.classList.remove('bulk-action-bar--busy');
+    }
+  }
+
+  // One line per outcome; contacts that were not found are named so they can be checked
+  showReport(report) {
+    const { changed, unchanged, notFound } = report.summary;
+    const lines = [`${OPERATION_LABELS[report.operation] || 'Alterado'}: ${changed}`];
+    if (unchanged) lines.push(`Já estavam assim: ${unchanged}`);
+    if (notFound) {
+      const missing = report.results.filter(result => result.status === 'not_found').map(result => `#${result.id}`);
+      lines.push(`Não encontrados: ${notFound} (${missing.join(', ')})`);
+    }
+
+    const notify = notFound ? 'warning' : 'success';
+    this.toastManager?.[notify](lines.join(' • '), { title: 'Operação em massa concluída', duration: 8000 });
+  }
+}
@@ -4,6 +4,47 @@
  * Single Responsibility: Render citizen details panel
  */
 import { DateFormatter } from '../formatters/DateFormatter.js';
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
+
+const HISTORY_TYPE_LABELS = {
+  create: 'Cadastro',
+  update: 'Edição',
+  status: 'Status WhatsApp',
+  trash: 'Movido para a lixeira',
+  untrash: 'Restaurado da lixeira',
+  merge: 'Duplicado incorporado',
+  delete: 'Exclusão definitiva',
+  restore: 'Restauração de backup'
+};
+
+const HISTORY_FIELD_LABELS = {
+  name: 'Nome',
+  age: 'Idade',
+  neighborhood: 'Bairro',
+  whatsapp: 'WhatsApp',
+  tags: 'Etiquetas',
+  whatsappSentAt: 'Enviado em',
+  whatsappStatus: 'Status WhatsApp',
+  whatsappProvider: 'Provedor',
+  whatsappMessageId: 'ID da mensagem',
+  clickedAt: 'Link clicado em',
+  createdAt: 'Criado em',
+  mergedIds: 'Cadastros incorporados',
+  'survey.satisfaction': 'Satisfação',
+  'survey.issue': 'Problema principal',
+  'survey.otherIssueDetails': 'Detalhe do problema',
+  'survey.participate': 'Interessado em participar',
+  'survey.answeredAt': 'Respondido em'
+};
+
+// Bookkeeping fields that change on every write (or mirror another field) and add nothing to the history
+const HISTORY_HIDDEN_FIELDS = ['id', 'revision', 'updatedAt', 'whatsappStatusUpdatedAt', 'deletedAt', 'deletedBy', 'neighborhoodId'];
+
+// Fields of the edit form, compared one by one when someone else saved the citizen meanwhile
+const EDITABLE_FIELDS = ['name', 'age', 'neighborhood', 'whatsapp', 'tags'];
+
+// Values of the admin-defined fields are compared and labelled one field at a time, as customFields.<id>
+const CUSTOM_FIELD_PREFIX = 'customFields.';
 
 export class CitizenDetailsPanel {
   constructor(panelSelector, overlaySelector, toastManager) {
@@ -12,8 +53,18 @@ export class CitizenDetailsPanel {
     this.toastManager = toastManager;
     this.currentCitizen = null;
     this.isEditing = false;
+    // { kept: {field: value}, conflicts: [{ field, mine, theirs }] } while a conflicting edit awaits a decision
+    this.editConflict = null;
     this.updateCitizenUseCase = null;
     this.deleteCitizenUseCase = null;
+    this.restoreCitizenUseCase = null;
+    this.loadHistoryUseCase = null;
+    this.historyEntries = null;
+    this.historyError = null;
+    // Canonical neighborhoods offered as suggestions in edit mode
+    this.neighborhoods = [];
+    // Extra fields admins added to citizen records, shown and edited after the personal information
+    this.customFields = [];
     this.copyLinkMessage = '';
     this.copyLinkMessageType = null;
     this.pendingDeleteCitizenId = null;
@@ -34,6 +85,22 @@ export class CitizenDetailsPanel {
     this.deleteCitizenUseCase = deleteCitizenUseCase;
   }
 
+  setRestoreCitizenUseCase(restoreCitizenUseCase) {
+    this.restoreCitizenUseCase = restoreCitizenUseCase;
+  }
+
+  setNeighborhoods(neighborhoods) {
+    this.neighborhoods = Array.isArray(neighborhoods) ? neighborhoods : [];
+  }
+
+  setCustomFields(fields) {
+    this.customFields = Array.isArray(fields) ? fields : [];
+  }
+
+  setLoadHistoryUseCase(loadHistoryUseCase) {
+    this.loadHistoryUseCase = loadHistoryUseCase;
+  }
+
   initializeElements() {
     this.nameElement = document.getElementById('citizenName');
     this.detailsElement = document.getElementById('citizenDetails');
@@ -85,8 +152,11 @@ export class CitizenDetailsPanel {
 
   open(citizen) {
     this.currentCitizen = citizen;
+    this.editConflict = null;
     this.copyLinkMessage = '';
     this.copyLinkMessageType = null;
+    this.historyEntries = null;
+    this.historyError = null;
 
     if (this.nameElement) {
       this.nameElement.textContent = citizen.name || 'Cidadão';
@@ -105,6 +175,8 @@ export class CitizenDetailsPanel {
     }
 
     document.body.style.overflow = 'hidden';
+
+    this.loadHistory(citizen.id);
   }
 
   close() {
@@ -138,9 +210,9 @@ export class CitizenDetailsPanel {
     if (this.deleteConfirmMessageElement) {
       const citizenName = this.currentCitizen?.name;
       if (citizenName) {
-        this.deleteConfirmMessageElement.textContent = `Tem certeza que deseja excluir o contato "${citizenName}"? Esta ação não pode ser desfeita.`;
+        this.deleteConfirmMessageElement.textContent = `Tem certeza que deseja mover o contato "${citizenName}" para a lixeira? Ele poderá ser restaurado depois.`;
       } else {
-        this.deleteConfirmMessageElement.textContent = 'Tem certeza que deseja excluir este contato? Esta ação não pode ser desfeita.';
+        this.deleteConfirmMessageElement.textContent = 'Tem certeza que deseja mover este contato para a lixeira? Ele poderá ser restaurado depois.';
       }
     }
 
@@ -205,8 +277,11 @@ export class CitizenDetailsPanel {
 
   generateDetailsHTML(citizen) {
     return `
+      ${this.editConflict ? this.renderEditConflict(this.editConflict) : ''}
+
       <div class="citizen-detail-grid">
         ${this.renderPersonalInfo(citizen)}
+        ${this.renderCustomFields(citizen)}
         ${this.renderContactInfo(citizen)}
         ${this.renderEngagementHistory(citizen)}
         ${this.renderSystemData(citizen)}
@@ -214,6 +289,8 @@ export class CitizenDetailsPanel {
 
       ${citizen.survey ? this.renderSurveyResponse(citizen.survey) : this.renderNoSurvey()}
 
+      ${this.renderHistory()}
+
       ${this.renderActionButtons(citizen)}
     `;
   }
@@ -246,7 +323,19 @@ export class CitizenDetailsPanel {
                    id="edit-neighborhood" 
                    class="detail-input" 
                    value="${citizen.neighborhood || ''}" 
-                   placeholder="Bairro">
+                   placeholder="Bairro"
+                   list="edit-neighborhood-options">
+            <datalist id="edit-neighborhood-options">
+              ${this.neighborhoods.map(entry => `<option value="${HtmlFormatter.escape(entry.name)}"></option>`).join('')}
+            </datalist>
+          </div>
+          <div class="detail-field detail-field-editing">
+            <span class="detail-label">Etiquetas</span>
+            <input type="text" 
+                   id="edit-tags" 
+                   class="detail-input" 
+                   value="${HtmlFormatter.escape((citizen.tags || []).join(', '))}" 
+                   placeholder="Separadas por vírgula: voluntário, evento março">
           </div>
           <div class="detail-field">
             <span class="detail-label">Complemento</span>
@@ -271,6 +360,10 @@ export class CitizenDetailsPanel {
           <span class="detail-label">Bairro</span>
           <span class="detail-value">${citizen.neighborhood || '—'}</span>
         </div>
+        <div class="detail-field">
+          <span class="detail-label">Etiquetas</span>
+          <span class="detail-value">${citizen.tags?.length ? citizen.tags.map(tag => `<span class="citizen-tag">${HtmlFormatter.escape(tag)}</span>`).join(' ') : '—'}</span>
+        </div>
         <div class="detail-field">
           <span class="detail-label">Complemento</span>
           <span class="detail-value">${(citizen.survey && citizen.survey.complemento) || '—'}</span>
@@ -279,6 +372,89 @@ export class CitizenDetailsPanel {
     `;
   }
 
+  renderCustomFields(citizen) {
+    if (!this.customFields.length) {
+      return '';
+    }
+
+    const values = citizen.customFields || {};
+    const rows = this.customFields.map(field => (this.isEditing ? `
+          <div class="detail-field detail-field-editing">
+            <label class="detail-label" for="edit-custom-${HtmlFormatter.escape(field.id)}">${HtmlFormatter.escape(field.label)}${field.required ? ' *' : ''}</label>
+            ${this.renderCustomFieldInput(field, values[field.id])}
+          </div>
+        ` : `
+          <div class="detail-field">
+            <span class="detail-label">${HtmlFormatter.escape(field.label)}</span>
+            <span class="detail-value">${this.formatCustomValue(field, values[field.id])}</span>
+          </div>
+        `)).join('');
+
+    return `
+      <div class="detail-card">
+        <h3>Informações Adicionais</h3>
+        ${rows}
+      </div>
+    `;
+  }
+
+  renderCustomFieldInput(field, value) {
+    const id = HtmlFormatter.escape(field.id);
+    const attributes = `id="edit-custom-${id}" class="detail-input" data-custom-field="${id}" data-custom-type="${field.type}"${field.required ? ' required' : ''}`;
+    const current = value === null || value === undefined ? '' : String(value);
+    const option = (optionValue, text) =>
+      `<option value="${HtmlFormatter.escape(optionValue)}" ${optionValue === current ? 'selected' : ''}>${HtmlFormatter.escape(text)}</option>`;
+
+    switch (field.type) {
+      case 'select':
+        return `<select ${attributes}>${option('', '—')}${field.options.map(entry => option(entry, entry)).join('')}</select>`;
+      case 'boolean':
+        return `<select ${attributes}>${option('', '—')}${option('true', 'Sim')}${option('false', 'Não')}</select>`;
+      case 'number':
+        return `<input type="number" step="any" ${attributes} value="${HtmlFormatter.escape(current)}"${field.min !== null ? ` min="${field.min}"` : ''}${field.max !== null ? ` max="${field.max}"` : ''}>`;
+      case 'date':
+        return `<input type="date" ${attributes} value="${HtmlFormatter.escape(current)}">`;
+      default:
+        return `<input type="text" ${attributes} value="${HtmlFormatter.escape(current)}" maxlength="${field.maxLength || 200}">`;
+    }
+  }
+
+  formatCustomValue(field, value) {
+    if (value === null || value === undefined || value === '') {
+      return '—';
+    }
+    if (field?.type === 'boolean' || typeof value === 'boolean') {
+      return value ? 'Sim' : 'Não';
+    }
+    if (field?.type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return value.split('-').reverse().join('/');
+    }
+    return HtmlFormatter.escape(value);
+  }
+
+  // Values of the custom field inputs, converted back to their type (empty inputs clear the value)
+  readCustomFieldInputs() {
+    const inputs = this.panel ? [...this.panel.querySelectorAll('[data-custom-field]')] : [];
+    if (!inputs.length) return undefined;
+
+    return Object.fromEntries(inputs.map(input => {
+      const value = input.value.trim();
+      if (value === '') return [input.dataset.customField, null];
+      if (input.dataset.customType === 'boolean') return [input.dataset.customField, value === 'true'];
+      if (input.dataset.customType === 'number') return [input.dataset.customField, Number(value)];
+      return [input.dataset.customField, value];
+    }));
+  }
+
+  fieldLabel(path) {
+    if (HISTORY_FIELD_LABELS[path]) return HISTORY_FIELD_LABELS[path];
+    if (path.startsWith(CUSTOM_FIELD_PREFIX)) {
+      const field = this.customFields.find(entry => entry.id === path.slice(CUSTOM_FIELD_PREFIX.length));
+      if (field) return field.label;
+    }
+    return path;
+  }
+
   renderContactInfo(citizen) {
     if (this.isEditing) {
       return `
@@ -417,6 +593,8 @@ export class CitizenDetailsPanel {
           <span class="detail-value">${survey.participate || '—'}</span>
         </div>
 
+        ${survey.address ? this.renderSurveyAddress(survey) : ''}
+
         <div class="detail-field">
           <span class="detail-label">Respondido em</span>
           <span class="detail-value">${DateFormatter.formatDateTime(survey.answeredAt)}</span>
@@ -425,6 +603,147 @@ export class CitizenDetailsPanel {
     `;
   }
 
+  // Street and bairro of the CEP the citizen answered, flagged when the bairro differs from the registered one
+  renderSurveyAddress(survey) {
+    const { logradouro, bairro, cidade, uf } = survey.address;
+    const place = [logradouro, bairro].filter(Boolean).join(', ');
+    const city = cidade ? `${cidade}${uf ? `/${uf}` : ''}` : '';
+
+    return `
+      <div class="detail-field">
+        <span class="detail-label">Endereço do CEP</span>
+        <span class="detail-value">
+          ${HtmlFormatter.escape([place, city].filter(Boolean).join(' – ') || '—')}
+          ${survey.hasNeighborhoodMismatch() ? '<span class="status-badge status-pending" title="O bairro do CEP é diferente do bairro cadastrado">Bairro diferente do cadastro</span>' : ''}
+        </span>
+      </div>
+    `;
+  }
+
+  async loadHistory(citizenId) {
+    if (!this.loadHistoryUseCase) {
+      return;
+    }
+
+    const result = await this.loadHistoryUseCase.execute(citizenId);
+
+    // The panel may have been closed or switched to another citizen meanwhile
+    if (!this.currentCitizen || this.currentCitizen.id !== citizenId) {
+      return;
+    }
+
+    this.historyEntries = result.success ? result.entries : [];
+    this.historyError = result.success ? null : result.error;
+    this.updateHistory();
+  }
+
+  updateHistory() {
+    const container = this.panel?.querySelector('[data-history]');
+    if (container) {
+      container.outerHTML = this.renderHistory();
+    }
+  }
+
+  renderHistory() {
+    if (!this.loadHistoryUseCase) {
+      return '';
+    }
+
+    let content;
+    if (this.historyError) {
+      content = `<p class="history-empty">${HtmlFormatter.escape(this.historyError)}</p>`;
+    } else if (this.historyEntries === null) {
+      content = '<p class="history-empty">Carregando histórico...</p>';
+    } else if (this.historyEntries.length === 0) {
+      content = '<p class="history-empty">Nenhuma alteração registrada para este contato.</p>';
+    } else {
+      content = `<ol class="history-list">${this.historyEntries.map(entry => this.renderHistoryEntry(entry)).join('')}</ol>`;
+    }
+
+    return `
+      <div class="history-section" data-history>
+        <h4>Histórico de Alterações</h4>
+        ${content}
+      </div>
+    `;
+  }
+
+  renderHistoryEntry(entry) {
+    const rows = this.getHistoryRows(entry.changes || []);
+    const actor = entry.actor || (entry.source && entry.source.startsWith('webhook') ? 'Provedor WhatsApp' : 'Sistema');
+
+    return `
+      <li class="history-entry history-${HtmlFormatter.escape(entry.type)}">
+        <div class="history-entry-header">
+          <span class="history-type">${HISTORY_TYPE_LABELS[entry.type] || HtmlFormatter.escape(entry.type)}</span>
+          <span class="history-date">${DateFormatter.formatDateTime(entry.at)}</span>
+        </div>
+        <div class="history-meta">
+          por <strong>${HtmlFormatter.escape(actor)}</strong>${entry.ip ? ` · IP ${HtmlFormatter.escape(entry.ip)}` : ''}
+        </div>
+        ${rows.length ? `
+          <ul class="history-changes">
+            ${rows.map(row => `
+              <li>
+                <span class="detail-label">${HtmlFormatter.escape(row.label)}</span>
+                <span class="history-values">
+                  <span class="history-before">${this.formatHistoryValue(row.before)}</span>
+                  →
+                  <span class="history-after">${this.formatHistoryValue(row.after)}</span>
+                </span>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      </li>
+    `;
+  }
+
+  // One row per changed field; survey answers are expanded into their questions
+  getHistoryRows(changes) {
+    const rows = [];
+
+    changes
+      .filter(change => !HISTORY_HIDDEN_FIELDS.includes(change.field))
+      .forEach(change => {
+        const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+        if (isObject(change.before) || isObject(change.after)) {
+          const before = change.before || {};
+          const after = change.after || {};
+          [...new Set([...Object.keys(before), ...Object.keys(after)])].forEach(key => {
+            if (JSON.stringify(before[key] ?? null) === JSON.stringify(after[key] ?? null)) return;
+            const path = `${change.field}.${key}`;
+            rows.push({ label: this.fieldLabel(path), before: before[key], after: after[key] });
+          });
+          return;
+        }
+
+        rows.push({ label: this.fieldLabel(change.field), before: change.before, after: change.after });
+      });
+
+    return rows.filter(row => (row.before ?? '') !== '' || (row.after ?? '') !== '');
+  }
+
+  formatHistoryValue(value) {
+    if (value === null || value === undefined || value === '') {
+      return '—';
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+      return DateFormatter.formatDateTime(value);
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'Sim' : 'Não';
+    }
+    if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+      return value.length ? HtmlFormatter.escape(value.join(', ')) : '—';
+    }
+    if (typeof value === 'object') {
+      return HtmlFormatter.escape(JSON.stringify(value));
+    }
+    return HtmlFormatter.escape(value);
+  }
+
   renderNoSurvey() {
     return `
       <div class="empty-state">
@@ -435,7 +754,62 @@ export class CitizenDetailsPanel {
     `;
   }
 
+  renderEditConflict({ kept, conflicts }) {
+    const keptLabels = Object.keys(kept).map(field => this.fieldLabel(field));
+
+    return `
+      <div class="edit-conflict" role="alert">
+        <h4>Conflito de edição</h4>
+        <p>Outra pessoa salvou este cadastro enquanto você editava. Escolha o valor a manter em cada campo.</p>
+        ${keptLabels.length ? `
+          <p class="edit-conflict-note">Suas demais alterações (${HtmlFormatter.escape(keptLabels.join(', '))}) serão mantidas.</p>
+        ` : ''}
+        <table class="edit-conflict-table">
+          <thead>
+            <tr>
+              <th scope="col">Campo</th>
+              <th scope="col">Versão salva</th>
+              <th scope="col">Sua edição</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${conflicts.map(({ field, mine, theirs }) => `
+              <tr>
+                <th scope="row">${HtmlFormatter.escape(this.fieldLabel(field))}</th>
+                <td>
+                  <label>
+                    <input type="radio" name="conflict-${field}" value="theirs" checked>
+                    ${this.formatHistoryValue(theirs)}
+                  </label>
+                </td>
+                <td>
+                  <label>
+                    <input type="radio" name="conflict-${field}" value="mine">
+                    ${this.formatHistoryValue(mine)}
+                  </label>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
   renderActionButtons(citizen) {
+    if (this.editConflict) {
+      return `
+        <div class="action-buttons">
+          <button class="panel-action-button secondary" onclick="window.detailsPanel.discardConflict()">
+            Descartar Minhas Alterações
+          </button>
+          <button class="panel-action-button" onclick="window.detailsPanel.resolveConflict()">
+            Salvar Escolhas
+          </button>
+        </div>
+      `;
+    }
+
     if (this.isEditing) {
       return `
         <div class="action-buttons">
@@ -454,13 +828,13 @@ export class CitizenDetailsPanel {
         <button class="panel-action-button secondary" onclick="window.detailsPanel.startEdit()">
           Editar
         </button>
-        <button class="panel-action-button secondary" onclick="window.detailsPanel.openWhatsApp(${citizen.id})">
+        <button class="panel-action-button secondary" onclick="window.detailsPanel.openWhatsApp(${HtmlFormatter.jsValue(citizen.id)})">
           Abrir no WhatsApp
         </button>
-        <button class="panel-action-button" onclick="window.detailsPanel.copySurveyLink(${citizen.id})">
+        <button class="panel-action-button" onclick="window.detailsPanel.copySurveyLink(${HtmlFormatter.jsValue(citizen.id)})">
           Copiar Link
         </button>
-        <button class="panel-action-button danger" onclick="window.detailsPanel.deleteCitizen(${citizen.id})">
+        <button class="panel-action-button danger" onclick="window.detailsPanel.deleteCitizen(${HtmlFormatter.jsValue(citizen.id)})">
           Excluir
         </button>
       </div>
@@ -560,6 +934,7 @@ export class CitizenDetailsPanel {
     const ageInput = document.getElementById('edit-age');
     const neighborhoodInput = document.getElementById('edit-neighborhood');
     const whatsappInput = document.getElementById('edit-whatsapp');
+    const tagsInput = document.getElementById('edit-tags');
 
     if (!nameInput || !ageInput || !neighborhoodInput || !whatsappInput) {
       this.toastManager?.error('Erro ao ler os campos', { title: 'Erro' });
@@ -570,7 +945,10 @@ export class CitizenDetailsPanel {
       name: nameInput.value.trim(),
       age: ageInput.value ? Number(ageInput.value) : undefined,
       neighborhood: neighborhoodInput.value.trim(),
-      whatsapp: whatsappInput.value.trim()
+      whatsapp: whatsappInput.value.trim(),
+      // An empty list clears the tags, so it is kept below
+      tags: tagsInput ? tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+      customFields: this.readCustomFieldInputs()
     };
 
     // Remove undefined values
@@ -580,7 +958,11 @@ export class CitizenDetailsPanel {
       }
     });
 
-    // Show loading toast
+    await this.submitEdit(updateData);
+  }
+
+  // Saves against the revision the panel shows, so edits made by someone else meanwhile are not overwritten
+  async submitEdit(updateData) {
     const loadingToast = this.toastManager?.info('Salvando alterações...', {
       title: 'Processando',
       progress: true,
@@ -588,7 +970,9 @@ export class CitizenDetailsPanel {
     });
 
     try {
-      const result = await this.updateCitizenUseCase.execute(this.currentCitizen.id, updateData);
+      const result = await this.updateCitizenUseCase.execute(this.currentCitizen.id, updateData, {
+        revision: this.currentCitizen.revision
+      });
 
       if (loadingToast) this.toastManager.remove(loadingToast);
 
@@ -607,21 +991,17 @@ export class CitizenDetailsPanel {
         this.copyLinkMessage = '';
         this.copyLinkMessageType = null;
         
-        // Re-render panel
-        if (this.detailsElement) {
-          this.detailsElement.innerHTML = this.generateDetailsHTML(this.currentCitizen);
-          this.updateCopyFeedback();
-        }
-        
-        // Update name in header
-        if (this.nameElement) {
-          this.nameElement.textContent = this.currentCitizen.name || 'Cidadão';
-        }
+        this.rerender();
+
+        // The edit is now part of the audit trail
+        this.loadHistory(this.currentCitizen.id);
 
         // Refresh the table if available
         if (window.adminViewModel) {
           await window.adminViewModel.refresh();
         }
+      } else if (result.conflict) {
+        await this.handleEditConflict(updateData, result.current);
       } else {
         this.toastManager?.error(result.error || 'Erro ao salvar alterações', { title: 'Erro' });
       }
@@ -632,6 +1012,115 @@ export class CitizenDetailsPanel {
     }
   }
 
+  /**
+   * Three-way comparison of the edit with the version it started from and the one saved meanwhile:
+   * fields only this edit changed are kept, fields only the other person changed stay as saved,
+   * and fields both changed to different values are left for the user to pick.
+   */
+  async handleEditConflict(updateData, currentCitizen) {
+    const { CitizenDTO } = await import('../../application/dto/CitizenDTO.js');
+    const base = this.currentCitizen;
+    const current = new CitizenDTO(currentCitizen);
+    const text = (value) => (Array.isArray(value) ? value.join(', ') : String(value ?? '').trim());
+    const same = (a, b) => text(a) === text(b);
+    const valueAt = (source, field) => (field.startsWith(CUSTOM_FIELD_PREFIX)
+      ? source.customFields?.[field.slice(CUSTOM_FIELD_PREFIX.length)]
+      : source[field]);
+    const fields = [
+      ...EDITABLE_FIELDS,
+      ...Object.keys(updateData.customFields || {}).map(id => `${CUSTOM_FIELD_PREFIX}${id}`)
+    ];
+
+    const kept = {};
+    const conflicts = [];
+    fields.forEach(field => {
+      const mine = valueAt(updateData, field);
+      if (mine === undefined || same(mine, valueAt(base, field)) || same(mine, valueAt(current, field))) {
+        return;
+      }
+      if (same(valueAt(current, field), valueAt(base, field))) {
+        kept[field] = mine;
+      } else {
+        conflicts.push({ field, mine, theirs: valueAt(current, field) });
+      }
+    });
+
+    this.currentCitizen = current;
+    this.isEditing = false;
+    this.loadHistory(current.id);
+
+    if (conflicts.length) {
+      this.editConflict = { kept, conflicts };
+      this.rerender();
+      this.toastManager?.warning('Outra pessoa alterou este cadastro. Revise os campos em conflito.', { title: 'Conflito' });
+      return;
+    }
+
+    if (Object.keys(kept).length) {
+      this.toastManager?.info('O cadastro mudou enquanto você editava; suas alterações foram aplicadas sobre a versão mais recente.', {
+        title: 'Cadastro atualizado'
+      });
+      await this.submitEdit(this.toUpdateData(kept));
+      return;
+    }
+
+    this.rerender();
+    this.toastManager?.info('As mesmas alterações já haviam sido salvas por outra pessoa.', { title: 'Cadastro atualizado' });
+  }
+
+  async resolveConflict() {
+    if (!this.editConflict || !this.currentCitizen) {
+      return;
+    }
+
+    const updateData = { ...this.editConflict.kept };
+    this.editConflict.conflicts.forEach(({ field, mine }) => {
+      const choice = this.panel?.querySelector(`input[name="conflict-${field}"]:checked`);
+      if (choice?.value === 'mine') {
+        updateData[field] = mine;
+      }
+    });
+    this.editConflict = null;
+
+    if (!Object.keys(updateData).length) {
+      this.rerender();
+      this.toastManager?.info('Nenhuma alteração sua foi mantida; o cadastro segue como estava salvo.', { title: 'Conflito resolvido' });
+      return;
+    }
+
+    await this.submitEdit(this.toUpdateData(updateData));
+  }
+
+  // Conflict entries use customFields.<id> paths; the update takes them as one customFields object
+  toUpdateData(values) {
+    const updateData = {};
+    Object.entries(values).forEach(([field, value]) => {
+      if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+        updateData.customFields = { ...updateData.customFields, [field.slice(CUSTOM_FIELD_PREFIX.length)]: value };
+      } else {
+        updateData[field] = value;
+      }
+    });
+    return updateData;
+  }
+
+  discardConflict() {
+    this.editConflict = null;
+    this.rerender();
+    this.toastManager?.info('Suas alterações foram descartadas.', { title: 'Conflito resolvido' });
+  }
+
+  rerender() {
+    if (this.detailsElement && this.currentCitizen) {
+      this.detailsElement.innerHTML = this.generateDetailsHTML(this.currentCitizen);
+      this.updateCopyFeedback();
+    }
+
+    if (this.nameElement && this.currentCitizen) {
+      this.nameElement.textContent = this.currentCitizen.name || 'Cidadão';
+    }
+  }
+
   async deleteCitizen(citizenId) {
     if (!this.deleteCitizenUseCase) {
       this.toastManager?.error('Não foi possível excluir o contato', { title: 'Erro' });
@@ -654,7 +1143,15 @@ export class CitizenDetailsPanel {
       if (loadingToast) this.toastManager.remove(loadingToast);
 
       if (result.success) {
-        this.toastManager?.success('Contato excluído com sucesso!', { title: 'Sucesso' });
+        this.toastManager?.success('Contato movido para a lixeira.', {
+          title: 'Sucesso',
+          duration: 8000,
+          actions: this.restoreCitizenUseCase ? [{
+            label: 'Desfazer',
+            variant: 'primary',
+            onClick: () => this.undoCitizenDeletion(citizenId)
+          }] : []
+        });
 
         // Close panel
         this.close();
@@ -673,4 +1170,17 @@ export class CitizenDetailsPanel {
     }
     this.pendingDeleteCitizenId = null;
   }
+
+  async undoCitizenDeletion(citizenId) {
+    const result = await this.restoreCitizenUseCase.execute(citizenId);
+
+    if (result.success) {
+      this.toastManager?.success('Contato restaurado.', { title: 'Desfeito' });
+      if (window.adminViewModel) {
+        await window.adminViewModel.refresh();
+      }
+    } else {
+      this.toastManager?.error(result.error || 'Erro ao restaurar contato', { title: 'Erro' });
+    }
+  }
 }
@@ -0,0 +1,159 @@
+/**
+ * CitizenSearchBox - Presentation Component
+ * Type-ahead search box listing matching citizens as the user types
+ * Single Responsibility: Render search suggestions and report the picked citizen
+ */
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
+import { MIN_QUERY_LENGTH } from '../../application/usecases/SearchCitizensUseCase.js';
+import { toCitizenId } from '../../shared/utils/citizenIds.js';
+
+const DEBOUNCE_MS = 200;
+
+const MATCH_LABELS = {
+  name: 'nome',
+  whatsapp: 'telefone',
+  cep: 'CEP',
+  complemento: 'complemento'
+};
+
+export class CitizenSearchBox {
+  /**
+   * @param {string} inputId - Search input element id
+   * @param {string} listId - Element that receives the suggestions
+   * @param {Object} dependencies - { searchCitizensUseCase, onSelect(citizenId) }
+   */
+  constructor(inputId, listId, dependencies) {
+    this.input = document.getElementById(inputId);
+    this.list = document.getElementById(listId);
+    this.searchCitizensUseCase = dependencies.searchCitizensUseCase;
+    this.onSelect = dependencies.onSelect;
+
+    this.results = [];
+    this.activeIndex = -1;
+    this.timer = null;
+    // Answers to older keystrokes are dropped when they arrive late
+    this.requestSequence = 0;
+
+    if (this.input && this.list) {
+      this.attachEventListeners();
+    }
+  }
+
+  attachEventListeners() {
+    this.input.addEventListener('input', () => {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.search(), DEBOUNCE_MS);
+    });
+
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (!this.results.length) return;
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+      } else if (e.key === 'Enter') {
+        if (!this.results.length) return;
+        e.preventDefault();
+        this.select(this.results[Math.max(this.activeIndex, 0)].id);
+      } else if (e.key === 'Escape') {
+        this.close();
+      }
+    });
+
+    this.input.addEventListener('focus', () => {
+      if (this.results.length) this.open();
+    });
+
+    // mousedown fires before the input loses focus
+    this.list.addEventListener('mousedown', (e) => {
+      const option = e.target.closest('[data-citizen-id]');
+      if (!option) return;
+      e.preventDefault();
+      this.select(option.dataset.citizenId);
+    });
+
+    document.addEventListener('click', (e) => {
+      if (!this.input.contains(e.target) && !this.list.contains(e.target)) {
+        this.close();
+      }
+    });
+  }
+
+  async search() {
+    const sequence = ++this.requestSequence;
+    const result = await this.searchCitizensUseCase.execute(this.input.value);
+    if (sequence !== this.requestSequence) return;
+
+    if (!result.success) {
+      this.results = [];
+      this.renderMessage(result.error);
+      return;
+    }
+
+    this.results = result.results;
+    this.activeIndex = -1;
+    if (!result.query) {
+      this.close();
+      return;
+    }
+    this.render(result.query);
+  }
+
+  render(query) {
+    if (!this.results.length) {
+      this.renderMessage(query.length < MIN_QUERY_LENGTH ? `Digite ao menos ${MIN_QUERY_LENGTH} caracteres` : `Nenhum cidadão encontrado para "${query}"`);
+      return;
+    }
+
+    this.list.innerHTML = this.results.map((citizen, index) => {
+      const details = [citizen.neighborhood, citizen.whatsapp, citizen.cep ? `CEP ${citizen.cep}` : null, citizen.complemento]
+        .filter(Boolean)
+        .map(value => HtmlFormatter.escape(value))
+        .join(' • ');
+      const matches = (citizen.matches || []).map(field => MATCH_LABELS[field] || field).join(', ');
+
+      return `
+        <li id="citizen-search-option-${index}" class="citizen-search-option" role="option"
+            aria-selected="false" data-citizen-id="${HtmlFormatter.escape(citizen.id)}">
+          <strong>${HtmlFormatter.escape(citizen.name || 'Sem nome')}</strong>
+          <span class="citizen-search-meta">${details}</span>
+          ${matches ? `<span class="citizen-search-meta">Encontrado por ${HtmlFormatter.escape(matches)}</span>` : ''}
+        </li>
+      `;
+    }).join('');
+    this.open();
+  }
+
+  renderMessage(message) {
+    this.list.innerHTML = `<li class="citizen-search-empty">${HtmlFormatter.escape(message)}</li>`;
+    this.open();
+  }
+
+  setActive(index) {
+    this.activeIndex = index;
+    this.list.querySelectorAll('[data-citizen-id]').forEach((option, optionIndex) => {
+      option.setAttribute('aria-selected', String(optionIndex === index));
+      option.classList.toggle('citizen-search-option--active', optionIndex === index);
+    });
+    this.input.setAttribute('aria-activedescendant', `citizen-search-option-${index}`);
+  }
+
+  async select(citizenId) {
+    this.close();
+    this.input.blur();
+    if (this.onSelect) {
+      await this.onSelect(toCitizenId(citizenId));
+    }
+  }
+
+  open() {
+    this.list.removeAttribute('hidden');
+    this.input.setAttribute('aria-expanded', 'true');
+  }
+
+  close() {
+    this.list.setAttribute('hidden', '');
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  }
+}
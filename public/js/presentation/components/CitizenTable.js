@@ -1,11 +1,13 @@
 /**
  * CitizenTable - Presentation Component
- * Manages the citizen data table with column switching
+ * Manages the citizen data table with column switching, sortable headers, paging and row selection
  * Single Responsibility: Table rendering and column navigation
  */
 import { DateFormatter } from '../formatters/DateFormatter.js';
 import { StatusFormatter } from '../formatters/StatusFormatter.js';
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
 import { columnGroups } from '../../shared/utils/columnDefinitions.js';
+import { sameCitizenId } from '../../shared/utils/citizenIds.js';
 
 export class CitizenTable {
   constructor(tableSelector, columnDefinitions, onRowClick) {
@@ -15,6 +17,13 @@ export class CitizenTable {
     this.currentColumnIndex = 0;
     this.lastDirection = 0;
     this.citizens = [];
+    this.pagination = null;
+    // Set by the view model; sorting and paging are done by the server
+    this.onPageChange = null;
+    this.onSortChange = null;
+    // Selected ids survive page changes (keyed by String(id)); the bulk action bar listens to them
+    this.selectedIds = new Map();
+    this.onSelectionChange = null;
     this.mediaQuery = window.matchMedia('(min-width: 768px)');
 
     this.initializeElements();
@@ -29,6 +38,60 @@ export class CitizenTable {
     this.columnIndicator = document.getElementById('columnIndicator');
     this.prevButton = document.getElementById('prevColumn');
     this.nextButton = document.getElementById('nextColumn');
+    this.nameHeader = this.table?.querySelector('thead th.fixed-column');
+    this.prevPageButton = document.getElementById('prevPage');
+    this.nextPageButton = document.getElementById('nextPage');
+    this.pageInfo = document.getElementById('pageInfo');
+  }
+
+  setListHandlers({ onPageChange = null, onSortChange = null } = {}) {
+    this.onPageChange = onPageChange;
+    this.onSortChange = onSortChange;
+  }
+
+  setSelectionHandler(onSelectionChange) {
+    this.onSelectionChange = onSelectionChange;
+  }
+
+  isSelected(citizenId) {
+    return this.selectedIds.has(String(citizenId));
+  }
+
+  toggleSelection(citizenId, selected) {
+    if (selected) {
+      this.selectedIds.set(String(citizenId), citizenId);
+    } else {
+      this.selectedIds.delete(String(citizenId));
+    }
+    this.syncSelection();
+  }
+
+  selectPage() {
+    this.citizens.forEach(citizen => this.selectedIds.set(String(citizen.id), citizen.id));
+    this.syncSelection();
+  }
+
+  clearSelection() {
+    this.selectedIds.clear();
+    this.syncSelection();
+  }
+
+  getSelectedIds() {
+    return [...this.selectedIds.values()];
+  }
+
+  // Checkboxes and row highlight follow the selection, then listeners are told
+  syncSelection() {
+    this.tbody?.querySelectorAll('tr[data-citizen-id]').forEach(row => {
+      const selected = this.selectedIds.has(row.dataset.citizenId);
+      row.classList.toggle('is-selected', selected);
+      const checkbox = row.querySelector('.row-select');
+      if (checkbox) checkbox.checked = selected;
+    });
+
+    if (this.onSelectionChange) {
+      this.onSelectionChange(this.getSelectedIds());
+    }
   }
 
   isDesktop() {
@@ -53,11 +116,62 @@ export class CitizenTable {
     if (this.nextButton) {
       this.nextButton.addEventListener('click', () => this.switchColumn(1));
     }
+
+    this.prevPageButton?.addEventListener('click', () => this.changePage(-1));
+    this.nextPageButton?.addEventListener('click', () => this.changePage(1));
+
+    [this.nameHeader, this.dynamicHeader1, this.dynamicHeader2].forEach(header => {
+      header?.addEventListener('click', () => {
+        if (header.dataset.sortKey) this.toggleSort(header.dataset.sortKey);
+      });
+    });
   }
 
-  render(citizens) {
+  render(citizens, pagination = null) {
     this.citizens = citizens;
+    this.pagination = pagination;
     this.updateTableView();
+    this.updatePagination();
+  }
+
+  changePage(direction) {
+    if (!this.pagination || !this.onPageChange) return;
+    const page = this.pagination.page + direction;
+    if (page < 1 || page > this.pagination.pages) return;
+    this.onPageChange(page);
+  }
+
+  // First click sorts ascending, the next one descending
+  toggleSort(sortKey) {
+    if (!this.onSortChange) return;
+    const current = this.pagination?.sort || '';
+    this.onSortChange(current === sortKey ? `-${sortKey}` : sortKey);
+  }
+
+  updatePagination() {
+    const { page = 1, pages = 1, total = this.citizens.length } = this.pagination || {};
+
+    if (this.pageInfo) {
+      this.pageInfo.textContent = `Página ${pages ? page : 0} de ${pages} • ${total} contato${total === 1 ? '' : 's'}`;
+    }
+    if (this.prevPageButton) {
+      this.prevPageButton.disabled = page <= 1;
+    }
+    if (this.nextPageButton) {
+      this.nextPageButton.disabled = page >= pages;
+    }
+  }
+
+  // Header text plus an arrow when the listing is sorted by this column
+  setHeader(header, column) {
+    if (!header) return;
+    const sortKey = column ? column.sortKey || column.key : '';
+    const sort = this.pagination?.sort || '';
+    const arrow = sort === sortKey ? ' ▲' : sort === `-${sortKey}` ? ' ▼' : '';
+
+    header.dataset.sortKey = sortKey;
+    header.textContent = column ? `${column.label}${arrow}` : '';
+    header.classList.toggle('sortable-header', !!column);
   }
 
   switchColumn(direction) {
@@ -90,12 +204,12 @@ export class CitizenTable {
       currentColumns = currentGroup;
 
       // Update headers
-      if (this.dynamicHeader1 && currentColumns[0]) {
-        this.dynamicHeader1.textContent = currentColumns[0].label;
+      if (currentColumns[0]) {
+        this.setHeader(this.dynamicHeader1, currentColumns[0]);
       }
       if (this.dynamicHeader2) {
         // Handle single-column groups (like "respondeu")
-        this.dynamicHeader2.textContent = currentColumns[1] ? currentColumns[1].label : '';
+        this.setHeader(this.dynamicHeader2, currentColumns[1] || null);
         this.dynamicHeader2.style.display = currentColumns[1] ? '' : 'none';
       }
 
@@ -118,9 +232,7 @@ export class CitizenTable {
       currentColumns = [currentColumn];
 
       // Update header
-      if (this.dynamicHeader1) {
-        this.dynamicHeader1.textContent = currentColumn.label;
-      }
+      this.setHeader(this.dynamicHeader1, currentColumn);
       if (this.dynamicHeader2) {
         this.dynamicHeader2.style.display = 'none';
       }
@@ -139,6 +251,8 @@ export class CitizenTable {
       }
     }
 
+    this.setHeader(this.nameHeader, { key: 'name', label: 'Nome' });
+
     // Render table rows
     this.tbody.innerHTML = '';
     this.citizens.forEach(citizen => {
@@ -152,16 +266,27 @@ export class CitizenTable {
 
   createRow(citizen, currentColumns) {
     const tr = document.createElement('tr');
+    tr.dataset.citizenId = String(citizen.id);
+    tr.classList.toggle('is-selected', this.isSelected(citizen.id));
     tr.onclick = () => {
       if (this.onRowClick) {
         this.onRowClick(citizen);
       }
     };
 
+    // Selection checkbox; clicking it must not open the details panel
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'row-select';
+    checkbox.checked = this.isSelected(citizen.id);
+    checkbox.setAttribute('aria-label', `Selecionar ${citizen.name || 'contato'}`);
+    checkbox.addEventListener('click', (event) => event.stopPropagation());
+    checkbox.addEventListener('change', () => this.toggleSelection(citizen.id, checkbox.checked));
+
     // Name cell (fixed)
     const nameCell = document.createElement('td');
     nameCell.className = 'fixed-column';
-    nameCell.textContent = citizen.name;
+    nameCell.append(checkbox, document.createTextNode(citizen.name || ''));
     nameCell.title = citizen.name;
 
     // Create dynamic cells based on columns array
@@ -206,7 +331,7 @@ export class CitizenTable {
     // Action cell
     const actionCell = document.createElement('td');
     actionCell.className = 'action-cell';
-    actionCell.innerHTML = `<button class="action-button secondary" onclick="event.stopPropagation(); window.citizenTable.openDetails(${citizen.id})">Detalhes</button>`;
+    actionCell.innerHTML = `<button class="action-button secondary" onclick="event.stopPropagation(); window.citizenTable.openDetails(${HtmlFormatter.jsValue(citizen.id)})">Detalhes</button>`;
 
     // Append all cells
     tr.appendChild(nameCell);
@@ -248,7 +373,7 @@ export class CitizenTable {
   }
 
   openDetails(citizenId) {
-    const citizen = this.citizens.find(c => c.id === citizenId);
+    const citizen = this.citizens.find(c => sameCitizenId(c.id, citizenId));
     if (citizen && this.onRowClick) {
       this.onRowClick(citizen);
     }
@@ -0,0 +1,267 @@
+/**
+ * CustomFieldsPanel - Presentation Component
+ * Modal managing the extra fields of citizen records (registration form, details,
+ * export columns and analysis cross-tabs)
+ * Single Responsibility: Render and drive custom field administration
+ */
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
+
+export const CUSTOM_FIELD_TYPE_LABELS = Object.freeze({
+  text: 'Texto',
+  number: 'Número',
+  select: 'Lista de opções',
+  date: 'Data',
+  boolean: 'Sim/Não'
+});
+
+export class CustomFieldsPanel {
+  constructor(overlaySelector, dependencies) {
+    this.overlay = document.getElementById(overlaySelector);
+    this.loadCustomFieldsUseCase = dependencies.loadCustomFieldsUseCase;
+    this.saveCustomFieldUseCase = dependencies.saveCustomFieldUseCase;
+    this.deleteCustomFieldUseCase = dependencies.deleteCustomFieldUseCase;
+    this.toastManager = dependencies.toastManager;
+    // Called with the new list after any change
+    this.onChange = dependencies.onChange || null;
+
+    this.fields = [];
+    this.editingId = null;
+    this.pendingDeleteId = null;
+    this.isBusy = false;
+
+    this.initializeElements();
+    this.attachEventListeners();
+  }
+
+  initializeElements() {
+    this.listElement = document.getElementById('customFieldsList');
+    this.formElement = document.getElementById('customFieldForm');
+    this.labelInput = document.getElementById('customFieldLabel');
+    this.typeInput = document.getElementById('customFieldType');
+    this.requiredInput = document.getElementById('customFieldRequired');
+    this.optionsInput = document.getElementById('customFieldOptions');
+    this.minInput = document.getElementById('customFieldMin');
+    this.maxInput = document.getElementById('customFieldMax');
+    this.maxLengthInput = document.getElementById('customFieldMaxLength');
+    this.saveButton = document.getElementById('saveCustomFieldButton');
+    this.cancelEditButton = document.getElementById('cancelCustomFieldEditButton');
+    this.openButton = document.getElementById('btnCustomFields');
+    this.closeButton = document.getElementById('closeCustomFieldsButton');
+  }
+
+  attachEventListeners() {
+    this.openButton?.addEventListener('click', () => this.open());
+    this.closeButton?.addEventListener('click', () => this.close());
+
+    this.overlay?.addEventListener('click', (event) => {
+      if (event.target === this.overlay && !this.isBusy) {
+        this.close();
+      }
+    });
+
+    this.formElement?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+    this.cancelEditButton?.addEventListener('click', () => this.resetForm());
+    this.typeInput?.addEventListener('change', () => this.showRulesForType());
+
+    this.listElement?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-custom-fields-action]');
+      if (!button || this.isBusy) return;
+
+      const { id } = button.dataset;
+      const action = button.dataset.customFieldsAction;
+      if (action === 'edit') {
+        this.edit(id);
+      } else if (action === 'delete') {
+        this.remove(id);
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen() && !this.isBusy) {
+        this.close();
+      }
+    });
+  }
+
+  isOpen() {
+    return !!this.overlay && !this.overlay.hasAttribute('hidden');
+  }
+
+  async open() {
+    if (!this.overlay) return;
+    this.overlay.removeAttribute('hidden');
+    this.resetForm();
+    await this.load();
+  }
+
+  close() {
+    this.overlay?.setAttribute('hidden', '');
+    this.pendingDeleteId = null;
+  }
+
+  async load() {
+    if (this.listElement) {
+      this.listElement.innerHTML = '<li class="trash-empty">Carregando...</li>';
+    }
+
+    const result = await this.loadCustomFieldsUseCase.execute();
+
+    if (!result.success) {
+      this.fields = [];
+      this.render(result.error);
+      return;
+    }
+
+    this.fields = result.fields;
+    this.render();
+  }
+
+  // Only the inputs for the rules of the chosen type are shown
+  showRulesForType() {
+    const type = this.typeInput?.value;
+    this.formElement?.querySelectorAll('[data-custom-field-rule]').forEach(input => {
+      input.hidden = input.dataset.customFieldRule !== type;
+    });
+  }
+
+  render(error = null) {
+    if (!this.listElement) return;
+
+    if (error) {
+      this.listElement.innerHTML = `<li class="trash-empty">${HtmlFormatter.escape(error)}</li>`;
+      return;
+    }
+
+    if (!this.fields.length) {
+      this.listElement.innerHTML = '<li class="trash-empty">Nenhum campo extra. Os campos criados aqui aparecem no cadastro, nos detalhes e na exportação.</li>';
+      return;
+    }
+
+    this.listElement.innerHTML = this.fields.map(field => this.renderEntry(field)).join('');
+  }
+
+  describeRules(field) {
+    const rules = [CUSTOM_FIELD_TYPE_LABELS[field.type] || field.type];
+    if (field.required) rules.push('obrigatório');
+    if (field.type === 'select') rules.push(field.options.join(', '));
+    if (field.type === 'number' && field.min !== null) rules.push(`mínimo ${field.min}`);
+    if (field.type === 'number' && field.max !== null) rules.push(`máximo ${field.max}`);
+    if (field.type === 'text' && field.maxLength) rules.push(`até ${field.maxLength} caracteres`);
+    return rules.join(' · ');
+  }
+
+  renderEntry(field) {
+    const id = HtmlFormatter.escape(field.id);
+    const confirming = this.pendingDeleteId === field.id;
+
+    return `
+      <li class="trash-entry">
+        <div class="trash-entry-info">
+          <strong>${HtmlFormatter.escape(field.label)}</strong>
+          <span class="trash-entry-meta">${HtmlFormatter.escape(this.describeRules(field))}</span>
+          <code class="segment-filter">custom.${id}</code>
+        </div>
+        <div class="trash-entry-actions">
+          <button type="button" class="modal-button modal-button--secondary" data-custom-fields-action="edit" data-id="${id}">
+            Editar
+          </button>
+          <button type="button" class="modal-button modal-button--danger" data-custom-fields-action="delete" data-id="${id}">
+            ${confirming ? 'Confirmar remoção' : 'Remover'}
+          </button>
+        </div>
+      </li>
+    `;
+  }
+
+  edit(id) {
+    const field = this.fields.find(candidate => candidate.id === id);
+    if (!field) return;
+
+    this.editingId = id;
+    this.pendingDeleteId = null;
+    if (this.labelInput) this.labelInput.value = field.label;
+    if (this.typeInput) {
+      this.typeInput.value = field.type;
+      // Stored values keep their meaning only while the type stays the same
+      this.typeInput.disabled = true;
+    }
+    if (this.requiredInput) this.requiredInput.checked = !!field.required;
+    if (this.optionsInput) this.optionsInput.value = (field.options || []).join(', ');
+    if (this.minInput) this.minInput.value = field.min ?? '';
+    if (this.maxInput) this.maxInput.value = field.max ?? '';
+    if (this.maxLengthInput) this.maxLengthInput.value = field.maxLength ?? '';
+    this.showRulesForType();
+    if (this.saveButton) this.saveButton.textContent = 'Salvar alterações';
+    this.cancelEditButton?.removeAttribute('hidden');
+    this.labelInput?.focus();
+    this.render();
+  }
+
+  resetForm() {
+    this.editingId = null;
+    this.formElement?.reset();
+    if (this.typeInput) this.typeInput.disabled = false;
+    this.showRulesForType();
+    if (this.saveButton) this.saveButton.textContent = 'Adicionar campo';
+    this.cancelEditButton?.setAttribute('hidden', '');
+  }
+
+  async save() {
+    if (this.isBusy) return;
+
+    this.isBusy = true;
+    const result = await this.saveCustomFieldUseCase.execute({
+      id: this.editingId,
+      label: this.labelInput?.value,
+      type: this.typeInput?.value,
+      required: this.requiredInput?.checked,
+      options: this.optionsInput?.value,
+      min: this.minInput?.value,
+      max: this.maxInput?.value,
+      maxLength: this.maxLengthInput?.value
+    });
+    this.isBusy = false;
+
+    if (!result.success) {
+      this.toastManager?.error(result.error || 'Erro ao salvar campo', { title: 'Erro' });
+      return;
+    }
+
+    this.toastManager?.success(`${result.field.label} salvo.`, { title: 'Campos extras' });
+    this.resetForm();
+    await this.changed();
+  }
+
+  // Removing needs a second click on the same button
+  async remove(id) {
+    if (this.pendingDeleteId !== id) {
+      this.pendingDeleteId = id;
+      this.render();
+      return;
+    }
+
+    this.pendingDeleteId = null;
+    this.isBusy = true;
+    const result = await this.deleteCustomFieldUseCase.execute(id);
+    this.isBusy = false;
+
+    if (!result.success) {
+      this.toastManager?.error(result.error || 'Erro ao remover campo', { title: 'Erro' });
+      this.render();
+      return;
+    }
+
+    if (this.editingId === id) this.resetForm();
+    await this.changed();
+  }
+
+  async changed() {
+    await this.load();
+    if (this.onChange) {
+      await this.onChange(this.fields);
+    }
+  }
+}
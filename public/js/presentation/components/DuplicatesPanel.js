@@ -0,0 +1,220 @@
+/**
+ * DuplicatesPanel - Presentation Component
+ * Modal listing probable duplicate residents side by side, with a merge action per pair
+ * Single Responsibility: Render and drive duplicate review
+ */
+import { DateFormatter } from '../formatters/DateFormatter.js';
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
+import { StatusFormatter } from '../formatters/StatusFormatter.js';
+
+const SIGNAL_LABELS = {
+  phone: 'Telefone',
+  name: 'Nome',
+  age: 'Idade',
+  neighborhood: 'Bairro'
+};
+
+export class DuplicatesPanel {
+  constructor(overlaySelector, dependencies) {
+    this.overlay = document.getElementById(overlaySelector);
+    this.loadDuplicatesUseCase = dependencies.loadDuplicatesUseCase;
+    this.mergeCitizensUseCase = dependencies.mergeCitizensUseCase;
+    this.toastManager = dependencies.toastManager;
+    // Called after a merge so the contacts table can reload
+    this.onMerge = dependencies.onMerge || null;
+
+    this.pairs = [];
+    this.total = 0;
+    // Pairs marked as "not a duplicate" stay hidden until the page reloads
+    this.dismissed = new Set();
+    this.pendingMerge = null;
+    this.isBusy = false;
+
+    this.initializeElements();
+    this.attachEventListeners();
+  }
+
+  initializeElements() {
+    this.listElement = document.getElementById('duplicatesList');
+    this.summaryElement = document.getElementById('duplicatesSummary');
+    this.openButton = document.getElementById('btnDuplicates');
+    this.closeButton = document.getElementById('closeDuplicatesButton');
+  }
+
+  attachEventListeners() {
+    this.openButton?.addEventListener('click', () => this.open());
+    this.closeButton?.addEventListener('click', () => this.close());
+
+    this.overlay?.addEventListener('click', (event) => {
+      if (event.target === this.overlay && !this.isBusy) {
+        this.close();
+      }
+    });
+
+    this.listElement?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-duplicates-action]');
+      if (!button || this.isBusy) return;
+
+      const { pairId, survivorId } = button.dataset;
+      if (button.dataset.duplicatesAction === 'merge') {
+        this.merge(pairId, survivorId);
+      } else if (button.dataset.duplicatesAction === 'dismiss') {
+        this.dismissed.add(pairId);
+        this.render();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen() && !this.isBusy) {
+        this.close();
+      }
+    });
+  }
+
+  isOpen() {
+    return !!this.overlay && !this.overlay.hasAttribute('hidden');
+  }
+
+  async open() {
+    if (!this.overlay) return;
+    this.overlay.removeAttribute('hidden');
+    this.pendingMerge = null;
+    await this.load();
+  }
+
+  close() {
+    this.overlay?.setAttribute('hidden', '');
+    this.pendingMerge = null;
+  }
+
+  async load() {
+    if (this.listElement) {
+      this.listElement.innerHTML = '<li class="trash-empty">Procurando duplicados...</li>';
+    }
+
+    const result = await this.loadDuplicatesUseCase.execute();
+
+    if (!result.success) {
+      this.pairs = [];
+      this.render(result.error);
+      return;
+    }
+
+    this.pairs = result.pairs;
+    this.total = result.total;
+    this.render();
+  }
+
+  visiblePairs() {
+    return this.pairs.filter(pair => !this.dismissed.has(pair.id));
+  }
+
+  render(error = null) {
+    const pairs = this.visiblePairs();
+
+    if (this.summaryElement) {
+      this.summaryElement.textContent = pairs.length
+        ? `${pairs.length} par${pairs.length === 1 ? '' : 'es'} de cadastros parecidos. Escolha qual cadastro manter: o outro é incorporado a ele e seus links continuam funcionando.`
+        : 'Cadastros com nome, idade, bairro ou telefone parecidos aparecem aqui.';
+    }
+
+    if (!this.listElement) return;
+
+    if (error) {
+      this.listElement.innerHTML = `<li class="trash-empty">${HtmlFormatter.escape(error)}</li>`;
+      return;
+    }
+
+    if (!pairs.length) {
+      this.listElement.innerHTML = '<li class="trash-empty">Nenhum duplicado encontrado.</li>';
+      return;
+    }
+
+    this.listElement.innerHTML = pairs.map(pair => this.renderPair(pair)).join('');
+  }
+
+  renderPair(pair) {
+    const signals = Object.entries(SIGNAL_LABELS)
+      .filter(([signal]) => pair.signals[signal] !== null && pair.signals[signal] !== undefined)
+      .map(([signal, label]) => `
+        <span class="duplicates-signal">${label} ${Math.round(pair.signals[signal] * 100)}%</span>
+      `).join('');
+
+    return `
+      <li class="duplicates-pair">
+        <div class="duplicates-pair-header">
+          <span class="duplicates-score">${Math.round(pair.score * 100)}% parecidos</span>
+          ${signals}
+          <button type="button" class="modal-button modal-button--secondary duplicates-dismiss"
+                  data-duplicates-action="dismiss" data-pair-id="${HtmlFormatter.escape(pair.id)}">
+            Não é duplicado
+          </button>
+        </div>
+        <div class="duplicates-pair-contacts">
+          ${pair.citizens.map(citizen => this.renderCitizen(pair, citizen)).join('')}
+        </div>
+      </li>
+    `;
+  }
+
+  renderCitizen(pair, citizen) {
+    const id = HtmlFormatter.escape(citizen.id);
+    const pairId = HtmlFormatter.escape(pair.id);
+    const suggested = String(pair.survivorId) === String(citizen.id);
+    const confirming = this.pendingMerge === `${pair.id}|${citizen.id}`;
+    const { personalInfo, contactInfo, metadata } = citizen;
+
+    return `
+      <div class="duplicates-contact${suggested ? ' duplicates-contact--suggested' : ''}">
+        <strong>${HtmlFormatter.escape(personalInfo.name || 'Sem nome')}</strong>
+        ${suggested ? '<span class="duplicates-suggested">Sugerido</span>' : ''}
+        <span class="trash-entry-meta">
+          ${HtmlFormatter.escape(personalInfo.age ?? '—')} anos · ${HtmlFormatter.escape(personalInfo.neighborhood || '—')}
+        </span>
+        <span class="trash-entry-meta">${HtmlFormatter.escape(contactInfo.getFormattedPhone())}</span>
+        <span class="trash-entry-meta">
+          ${StatusFormatter.formatEngagementStatus(citizen.getEngagementStatus())}
+          Cadastro em ${DateFormatter.formatDate(metadata.createdAt)}
+        </span>
+        <button type="button" class="modal-button ${confirming ? 'modal-button--danger' : 'modal-button--primary'}"
+                data-duplicates-action="merge" data-pair-id="${pairId}" data-survivor-id="${id}">
+          ${confirming ? 'Confirmar mesclagem' : 'Manter este'}
+        </button>
+      </div>
+    `;
+  }
+
+  // Merging needs a second click on the same button
+  async merge(pairId, survivorId) {
+    const key = `${pairId}|${survivorId}`;
+    if (this.pendingMerge !== key) {
+      this.pendingMerge = key;
+      this.render();
+      return;
+    }
+
+    const pair = this.pairs.find(candidate => candidate.id === pairId);
+    const survivor = pair?.citizens.find(citizen => String(citizen.id) === String(survivorId));
+    const duplicate = pair?.citizens.find(citizen => citizen !== survivor);
+    if (!survivor || !duplicate) return;
+
+    this.pendingMerge = null;
+    this.isBusy = true;
+    const result = await this.mergeCitizensUseCase.execute(survivor.id, duplicate.id);
+    this.isBusy = false;
+
+    if (result.success) {
+      this.toastManager?.success(
+        `${duplicate.personalInfo.name || 'Contato'} foi incorporado a ${result.citizen.personalInfo.name || 'outro cadastro'}.`,
+        { title: 'Contatos mesclados' }
+      );
+      await this.load();
+      if (this.onMerge) {
+        await this.onMerge(result.citizen);
+      }
+    } else {
+      this.toastManager?.error(result.error || 'Erro ao mesclar contatos', { title: 'Erro' });
+      this.render();
+    }
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * ImportPanel - Presentation Component
+ * Modal to upload a CSV/XLSX spreadsheet, review the dry-run report and confirm the import
+ * Single Responsibility: Render and drive the citizen import flow
+ */
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
+
+const IMPORT_FIELD_LABELS = {
+  name: 'Nome',
+  age: 'Idade',
+  neighborhood: 'Bairro',
+  whatsapp: 'WhatsApp'
+};
+
+const IMPORT_REASON_LABELS = {
+  missing_name: 'Nome em branco',
+  missing_age: 'Idade em branco',
+  invalid_age: 'Idade inválida',
+  missing_neighborhood: 'Bairro em branco',
+  missing_whatsapp: 'WhatsApp em branco',
+  invalid_whatsapp: 'WhatsApp inválido'
+};
+
+// Longer lists are cut in the preview; the counters still show the totals
+const MAX_LISTED_ROWS = 50;
+
+export class ImportPanel {
+  constructor(overlaySelector, dependencies) {
+    this.overlay = document.getElementById(overlaySelector);
+    this.importCitizensUseCase = dependencies.importCitizensUseCase;
+    this.toastManager = dependencies.toastManager;
+    // Called after a committed import so the contacts table can reload
+    this.onImport = dependencies.onImport || null;
+
+    this.file = null;
+    this.report = null;
+    this.mapping = {};
+    this.isBusy = false;
+
+    this.initializeElements();
+    this.attachEventListeners();
+  }
+
+  initializeElements() {
+    this.openButton = document.getElementById('btnImport');
+    this.fileInput = document.getElementById('importFile');
+    this.reportElement = document.getElementById('importReport');
+    this.cancelButton = document.getElementById('cancelImportButton');
+    this.confirmButton = document.getElementById('confirmImportButton');
+  }
+
+  attachEventListeners() {
+    this.openButton?.addEventListener('click', () => this.open());
+    this.cancelButton?.addEventListener('click', () => this.close());
+    this.confirmButton?.addEventListener('click', () => this.commit());
+
+    this.fileInput?.addEventListener('change', () => {
+      this.file = this.fileInput.files?.[0] || null;
+      this.mapping = {};
+      this.preview();
+    });
+
+    this.reportElement?.addEventListener('change', (event) => {
+      const select = event.target.closest('[data-import-field]');
+      if (!select) return;
+      this.mapping[select.dataset.importField] = select.value;
+      this.preview();
+    });
+
+    this.overlay?.addEventListener('click', (event) => {
+      if (event.target === this.overlay && !this.isBusy) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen() && !this.isBusy) {
+        this.close();
+      }
+    });
+  }
+
+  isOpen() {
+    return !!this.overlay && !this.overlay.hasAttribute('hidden');
+  }
+
+  open() {
+    if (!this.overlay) return;
+    this.reset();
+    this.overlay.removeAttribute('hidden');
+  }
+
+  close() {
+    this.overlay?.setAttribute('hidden', '');
+    this.reset();
+  }
+
+  reset() {
+    this.file = null;
+    this.report = null;
+    this.mapping = {};
+    if (this.fileInput) this.fileInput.value = '';
+    if (this.reportElement) this.reportElement.innerHTML = '';
+    this.updateConfirmButton();
+  }
+
+  setBusy(isBusy, label = null) {
+    this.isBusy = isBusy;
+    if (this.fileInput) this.fileInput.disabled = isBusy;
+    if (this.cancelButton) this.cancelButton.disabled = isBusy;
+    this.updateConfirmButton(label);
+  }
+
+  updateConfirmButton(label = null) {
+    if (!this.confirmButton) return;
+    const accepted = this.report?.summary?.accepted || 0;
+
+    this.confirmButton.disabled = this.isBusy || !accepted;
+    this.confirmButton.classList.toggle('is-loading', this.isBusy && !!label);
+    this.confirmButton.textContent = label
+      || (accepted ? `Importar ${accepted} contato${accepted === 1 ? '' : 's'}` : 'Importar');
+  }
+
+  // Dry run: nothing is written until the user confirms
+  async preview() {
+    if (!this.file) {
+      this.report = null;
+      this.render();
+      return;
+    }
+
+    this.setBusy(true);
+    if (this.reportElement) {
+      this.reportElement.innerHTML = '<p class="import-status">Analisando planilha...</p>';
+    }
+
+    const result = await this.importCitizensUseCase.execute(this.file, { mapping: this.mapping, dryRun: true });
+    this.setBusy(false);
+
+    if (!result.success) {
+      this.report = null;
+      this.render(result.error);
+      return;
+    }
+
+    this.report = result.report;
+    this.render();
+  }
+
+  async commit() {
+    if (!this.file || !this.report?.summary?.accepted) return;
+
+    this.setBusy(true, 'Importando...');
+    const result = await this.importCitizensUseCase.execute(this.file, { mapping: this.mapping, dryRun: false });
+    this.setBusy(false);
+
+    if (!result.success) {
+      this.toastManager?.error(result.error || 'Erro ao importar contatos', { title: 'Erro' });
+      return;
+    }
+
+    const { imported, duplicates, rejected } = result.report.summary;
+    const skipped = duplicates + rejected;
+    this.toastManager?.success(
+      `${imported} contato${imported === 1 ? '' : 's'} importado${imported === 1 ? '' : 's'}` +
+        (skipped ? ` (${skipped} ignorado${skipped === 1 ? '' : 's'})` : ''),
+      { title: 'Importação concluída' }
+    );
+
+    this.close();
+    if (this.onImport) {
+      await this.onImport(result.report);
+    }
+  }
+
+  render(error = null) {
+    this.updateConfirmButton();
+    if (!this.reportElement) return;
+
+    if (error) {
+      this.reportElement.innerHTML = `<p class="import-status import-status--error">${HtmlFormatter.escape(error)}</p>`;
+      return;
+    }
+    if (!this.report) {
+      this.reportElement.innerHTML = '';
+      return;
+    }
+
+    const { summary, missingColumns } = this.report;
+    this.reportElement.innerHTML = `
+      ${this.renderMapping()}
+      ${missingColumns.length
+        ? `<p class="import-status import-status--error">Escolha a coluna de: ${missingColumns.map(field => IMPORT_FIELD_LABELS[field]).join(', ')}</p>`
+        : `
+          <div class="import-summary">
+            <span class="import-chip import-chip--accepted">${summary.accepted} prontos</span>
+            <span class="import-chip import-chip--duplicate">${summary.duplicates} duplicados</span>
+            <span class="import-chip import-chip--rejected">${summary.rejected} com erro</span>
+          </div>
+          ${this.renderRejected()}
+          ${this.renderDuplicates()}
+        `}
+    `;
+  }
+
+  renderMapping() {
+    const { columns, mapping } = this.report;
+    const options = (selected) => [
+      `<option value="">— não mapeada —</option>`,
+      ...columns.map((column, index) => `
+        <option value="${index}" ${selected === index ? 'selected' : ''}>
+          ${HtmlFormatter.escape(column || `Coluna ${index + 1}`)}
+        </option>
+      `)
+    ].join('');
+
+    return `
+      <div class="import-mapping">
+        ${Object.entries(IMPORT_FIELD_LABELS).map(([field, label]) => `
+          <label class="import-mapping-field">
+            <span>${label}</span>
+            <select class="ds-select" data-import-field="${field}">${options(mapping[field])}</select>
+          </label>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderRejected() {
+    const { rejected } = this.report;
+    if (!rejected.length) return '';
+
+    return this.renderList('Linhas com erro', rejected, (item) => `
+      <span class="import-row">Linha ${item.row}</span>
+      ${HtmlFormatter.escape(item.values.name || '(sem nome)')}:
+      ${item.reasons.map(reason => IMPORT_REASON_LABELS[reason.code] || HtmlFormatter.escape(reason.message)).join(', ')}
+    `);
+  }
+
+  renderDuplicates() {
+    const { duplicates } = this.report;
+    if (!duplicates.length) return '';
+
+    return this.renderList('Duplicados (não serão importados)', duplicates, (item) => `
+      <span class="import-row">Linha ${item.row}</span>
+      ${HtmlFormatter.escape(item.name)}:
+      ${item.source === 'existing'
+        ? `já cadastrado como ${HtmlFormatter.escape(item.existingName || item.existingId)}`
+        : `repete a linha ${item.firstRow}`}
+    `);
+  }
+
+  renderList(title, items, renderItem) {
+    const hidden = items.length - MAX_LISTED_ROWS;
+    return `
+      <details class="import-details">
+        <summary>${title} (${items.length})</summary>
+        <ul class="import-list">
+          ${items.slice(0, MAX_LISTED_ROWS).map(item => `<li>${renderItem(item)}</li>`).join('')}
+          ${hidden > 0 ? `<li class="import-more">... e mais ${hidden}</li>` : ''}
+        </ul>
+      </details>
+    `;
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * NeighborhoodsPanel - Presentation Component
+ * Modal managing the canonical neighborhood list (name, aliases, region)
+ * and remapping stored citizens onto it
+ * Single Responsibility: Render and drive neighborhood administration
+ */
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
+
+export class NeighborhoodsPanel {
+  constructor(overlaySelector, dependencies) {
+    this.overlay = document.getElementById(overlaySelector);
+    this.loadNeighborhoodsUseCase = dependencies.loadNeighborhoodsUseCase;
+    this.saveNeighborhoodUseCase = dependencies.saveNeighborhoodUseCase;
+    this.deleteNeighborhoodUseCase = dependencies.deleteNeighborhoodUseCase;
+    this.normalizeNeighborhoodsUseCase = dependencies.normalizeNeighborhoodsUseCase;
+    this.toastManager = dependencies.toastManager;
+    // Called with the new list after any change, and after normalizing so the table can reload
+    this.onChange = dependencies.onChange || null;
+    this.onNormalize = dependencies.onNormalize || null;
+
+    this.neighborhoods = [];
+    this.regions = [];
+    this.editingId = null;
+    this.pendingDeleteId = null;
+    this.preview = null;
+    this.isBusy = false;
+
+    this.initializeElements();
+    this.attachEventListeners();
+  }
+
+  initializeElements() {
+    this.listElement = document.getElementById('neighborhoodsList');
+    this.formElement = document.getElementById('neighborhoodForm');
+    this.nameInput = document.getElementById('neighborhoodName');
+    this.aliasesInput = document.getElementById('neighborhoodAliases');
+    this.regionInput = document.getElementById('neighborhoodRegion');
+    this.regionOptions = document.getElementById('neighborhoodRegionOptions');
+    this.saveButton = document.getElementById('saveNeighborhoodButton');
+    this.cancelEditButton = document.getElementById('cancelNeighborhoodEditButton');
+    this.seedCheckbox = document.getElementById('neighborhoodSeed');
+    this.previewButton = document.getElementById('previewNormalizeButton');
+    this.applyButton = document.getElementById('applyNormalizeButton');
+    this.reportElement = document.getElementById('normalizeReport');
+    this.openButton = document.getElementById('btnNeighborhoods');
+    this.closeButton = document.getElementById('closeNeighborhoodsButton');
+  }
+
+  attachEventListeners() {
+    this.openButton?.addEventListener('click', () => this.open());
+    this.closeButton?.addEventListener('click', () => this.close());
+
+    this.overlay?.addEventListener('click', (event) => {
+      if (event.target === this.overlay && !this.isBusy) {
+        this.close();
+      }
+    });
+
+    this.formElement?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+    this.cancelEditButton?.addEventListener('click', () => this.resetForm());
+
+    this.listElement?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-neighborhoods-action]');
+      if (!button || this.isBusy) return;
+
+      const { id } = button.dataset;
+      if (button.dataset.neighborhoodsAction === 'edit') {
+        this.edit(id);
+      } else if (button.dataset.neighborhoodsAction === 'delete') {
+        this.remove(id);
+      }
+    });
+
+    this.previewButton?.addEventListener('click', () => this.normalize(true));
+    this.applyButton?.addEventListener('click', () => this.normalize(false));
+    // A preview only describes the options it was made with
+    this.seedCheckbox?.addEventListener('change', () => {
+      this.preview = null;
+      this.renderReport();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen() && !this.isBusy) {
+        this.close();
+      }
+    });
+  }
+
+  isOpen() {
+    return !!this.overlay && !this.overlay.hasAttribute('hidden');
+  }
+
+  async open() {
+    if (!this.overlay) return;
+    this.overlay.removeAttribute('hidden');
+    this.preview = null;
+    this.resetForm();
+    this.renderReport();
+    await this.load();
+  }
+
+  close() {
+    this.overlay?.setAttribute('hidden', '');
+    this.pendingDeleteId = null;
+  }
+
+  async load() {
+    if (this.listElement) {
+      this.listElement.innerHTML = '<li class="trash-empty">Carregando...</li>';
+    }
+
+    const result = await this.loadNeighborhoodsUseCase.execute();
+
+    if (!result.success) {
+      this.neighborhoods = [];
+      this.render(result.error);
+      return;
+    }
+
+    this.neighborhoods = result.neighborhoods;
+    this.regions = result.regions;
+    this.render();
+  }
+
+  render(error = null) {
+    if (this.regionOptions) {
+      this.regionOptions.innerHTML = this.regions
+        .map(region => `<option value="${HtmlFormatter.escape(region)}"></option>`)
+        .join('');
+    }
+
+    if (!this.listElement) return;
+
+    if (error) {
+      this.listElement.innerHTML = `<li class="trash-empty">${HtmlFormatter.escape(error)}</li>`;
+      return;
+    }
+
+    if (!this.neighborhoods.length) {
+      this.listElement.innerHTML = '<li class="trash-empty">Nenhum bairro cadastrado. Use "Normalizar cadastros" para criar a lista a partir dos contatos.</li>';
+      return;
+    }
+
+    this.listElement.innerHTML = this.neighborhoods.map(entry => this.renderEntry(entry)).join('');
+  }
+
+  renderEntry(entry) {
+    const id = HtmlFormatter.escape(entry.id);
+    const confirming = this.pendingDeleteId === entry.id;
+    const aliases = (entry.aliases || []).map(alias => HtmlFormatter.escape(alias)).join(', ');
+
+    return `
+      <li class="trash-entry">
+        <div class="trash-entry-info">
+          <strong>${HtmlFormatter.escape(entry.name)}</strong>
+          ${entry.region ? `<span class="trash-entry-meta">Região: ${HtmlFormatter.escape(entry.region)}</span>` : ''}
+          ${aliases ? `<span class="trash-entry-meta">Também escrito como: ${aliases}</span>` : ''}
+        </div>
+        <div class="trash-entry-actions">
+          <button type="button" class="modal-button modal-button--secondary" data-neighborhoods-action="edit" data-id="${id}">
+            Editar
+          </button>
+          <button type="button" class="modal-button modal-button--danger" data-neighborhoods-action="delete" data-id="${id}">
+            ${confirming ? 'Confirmar remoção' : 'Remover'}
+          </button>
+        </div>
+      </li>
+    `;
+  }
+
+  edit(id) {
+    const entry = this.neighborhoods.find(candidate => candidate.id === id);
+    if (!entry) return;
+
+    this.editingId = id;
+    this.pendingDeleteId = null;
+    if (this.nameInput) this.nameInput.value = entry.name;
+    if (this.aliasesInput) this.aliasesInput.value = (entry.aliases || []).join(', ');
+    if (this.regionInput) this.regionInput.value = entry.region || '';
+    if (this.saveButton) this.saveButton.textContent = 'Salvar alterações';
+    this.cancelEditButton?.removeAttribute('hidden');
+    this.nameInput?.focus();
+    this.render();
+  }
+
+  resetForm() {
+    this.editingId = null;
+    this.formElement?.reset();
+    if (this.saveButton) this.saveButton.textContent = 'Adicionar bairro';
+    this.cancelEditButton?.setAttribute('hidden', '');
+  }
+
+  async save() {
+    if (this.isBusy) return;
+
+    this.isBusy = true;
+    const result = await this.saveNeighborhoodUseCase.execute({
+      id: this.editingId,
+      name: this.nameInput?.value,
+      aliases: this.aliasesInput?.value,
+      region: this.regionInput?.value
+    });
+    this.isBusy = false;
+
+    if (!result.success) {
+      this.toastManager?.error(result.error || 'Erro ao salvar bairro', { title: 'Erro' });
+      return;
+    }
+
+    this.toastManager?.success(`${result.neighborhood.name} salvo.`, { title: 'Bairros' });
+    this.resetForm();
+    await this.changed();
+  }
+
+  // Removing needs a second click on the same button
+  async remove(id) {
+    if (this.pendingDeleteId !== id) {
+      this.pendingDeleteId = id;
+      this.render();
+      return;
+    }
+
+    this.pendingDeleteId = null;
+    this.isBusy = true;
+    const result = await this.deleteNeighborhoodUseCase.execute(id);
+    this.isBusy = false;
+
+    if (!result.success) {
+      this.toastManager?.error(result.error || 'Erro ao remover bairro', { title: 'Erro' });
+      this.render();
+      return;
+    }
+
+    if (this.editingId === id) this.resetForm();
+    await this.changed();
+  }
+
+  async changed() {
+    this.preview = null;
+    this.renderReport();
+    await this.load();
+    if (this.onChange) {
+      await this.onChange(this.neighborhoods);
+    }
+  }
+
+  // Preview first; applying is only offered for the preview just shown
+  async normalize(dryRun) {
+    if (this.isBusy) return;
+    const seed = !!this.seedCheckbox?.checked;
+
+    this.isBusy = true;
+    this.renderReport('Analisando cadastros...');
+    const result = await this.normalizeNeighborhoodsUseCase.execute({ dryRun, seed });
+    this.isBusy = false;
+
+    if (!result.success) {
+      this.preview = null;
+      this.renderReport(result.error, true);
+      return;
+    }
+
+    if (dryRun) {
+      this.preview = result.report;
+      this.renderReport();
+      return;
+    }
+
+    const { report } = result;
+    this.preview = null;
+    this.renderReport(`${report.changed} contato${report.changed === 1 ? '' : 's'} atualizado${report.changed === 1 ? '' : 's'}${report.seeded.length ? `, ${report.seeded.length} bairro${report.seeded.length === 1 ? '' : 's'} cadastrado${report.seeded.length === 1 ? '' : 's'}` : ''}.`);
+    this.toastManager?.success('Bairros dos contatos normalizados.', { title: 'Bairros' });
+    await this.load();
+    if (this.onChange) {
+      await this.onChange(this.neighborhoods);
+    }
+    if (this.onNormalize) {
+      await this.onNormalize(report);
+    }
+  }
+
+  renderReport(message = null, isError = false) {
+    if (this.applyButton) {
+      this.applyButton.disabled = !this.preview || (!this.preview.changed && !this.seedCheckbox?.checked);
+    }
+    if (!this.reportElement) return;
+
+    if (message) {
+      this.reportElement.innerHTML = `<p class="import-status${isError ? ' import-status--error' : ''}">${HtmlFormatter.escape(message)}</p>`;
+      return;
+    }
+
+    if (!this.preview) {
+      this.reportElement.innerHTML = '';
+      return;
+    }
+
+    const { changed, total, unmatched } = this.preview;
+    const changes = this.preview.changes.slice(0, 20).map(change => `
+      <li>${HtmlFormatter.escape(change.from || '—')} → ${HtmlFormatter.escape(change.to || '—')}</li>
+    `).join('');
+    const unknown = unmatched.map(entry => {
+      const suggestions = entry.suggestions.map(suggestion => HtmlFormatter.escape(suggestion.name)).join(', ');
+      return `
+        <li>
+          ${HtmlFormatter.escape(entry.value)} (${entry.count})
+          ${suggestions ? `<span class="trash-entry-meta">— parecido com ${suggestions}</span>` : ''}
+        </li>
+      `;
+    }).join('');
+
+    this.reportElement.innerHTML = `
+      <div class="import-summary">
+        <span class="import-chip import-chip--accepted">${changed} de ${total} a atualizar</span>
+        <span class="import-chip import-chip--rejected">${unmatched.length} não reconhecido${unmatched.length === 1 ? '' : 's'}</span>
+      </div>
+      ${changes ? `
+        <details class="import-details">
+          <summary>Alterações${this.preview.changes.length > 20 ? ' (primeiras 20)' : ''}</summary>
+          <ul>${changes}</ul>
+        </details>
+      ` : ''}
+      ${unknown ? `
+        <details class="import-details" open>
+          <summary>Bairros fora da lista</summary>
+          <ul>${unknown}</ul>
+        </details>
+      ` : ''}
+    `;
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * SegmentsPanel - Presentation Component
+ * Modal managing saved segments: named filters reused in the table filters,
+ * exports, bulk sends and the notification agent
+ * Single Responsibility: Render and drive segment administration
+ */
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
+
+export class SegmentsPanel {
+  constructor(overlaySelector, dependencies) {
+    this.overlay = document.getElementById(overlaySelector);
+    this.loadSegmentsUseCase = dependencies.loadSegmentsUseCase;
+    this.saveSegmentUseCase = dependencies.saveSegmentUseCase;
+    this.deleteSegmentUseCase = dependencies.deleteSegmentUseCase;
+    this.toastManager = dependencies.toastManager;
+    // Filters of the table, in the advanced filter syntax, to start a segment from
+    this.getCurrentFilter = dependencies.getCurrentFilter || null;
+    // Called with a segment id to show its citizens in the table
+    this.onApply = dependencies.onApply || null;
+    // Called with the new list after any change
+    this.onChange = dependencies.onChange || null;
+
+    this.segments = [];
+    this.editingId = null;
+    this.pendingDeleteId = null;
+    this.isBusy = false;
+
+    this.initializeElements();
+    this.attachEventListeners();
+  }
+
+  initializeElements() {
+    this.listElement = document.getElementById('segmentsList');
+    this.formElement = document.getElementById('segmentForm');
+    this.nameInput = document.getElementById('segmentName');
+    this.descriptionInput = document.getElementById('segmentDescription');
+    this.filterInput = document.getElementById('segmentFilter');
+    this.useCurrentFilterButton = document.getElementById('useCurrentFilterButton');
+    this.saveButton = document.getElementById('saveSegmentButton');
+    this.cancelEditButton = document.getElementById('cancelSegmentEditButton');
+    this.openButton = document.getElementById('btnSegments');
+    this.closeButton = document.getElementById('closeSegmentsButton');
+  }
+
+  attachEventListeners() {
+    this.openButton?.addEventListener('click', () => this.open());
+    this.closeButton?.addEventListener('click', () => this.close());
+
+    this.overlay?.addEventListener('click', (event) => {
+      if (event.target === this.overlay && !this.isBusy) {
+        this.close();
+      }
+    });
+
+    this.formElement?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+    this.cancelEditButton?.addEventListener('click', () => this.resetForm());
+
+    this.useCurrentFilterButton?.addEventListener('click', () => {
+      const filter = this.getCurrentFilter ? this.getCurrentFilter() : '';
+      if (!filter) {
+        this.toastManager?.info('Nenhum filtro aplicado na tabela.', { title: 'Segmentos' });
+        return;
+      }
+      if (this.filterInput) this.filterInput.value = filter;
+    });
+
+    this.listElement?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-segments-action]');
+      if (!button || this.isBusy) return;
+
+      const { id } = button.dataset;
+      const action = button.dataset.segmentsAction;
+      if (action === 'apply') {
+        this.apply(id);
+      } else if (action === 'edit') {
+        this.edit(id);
+      } else if (action === 'delete') {
+        this.remove(id);
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen() && !this.isBusy) {
+        this.close();
+      }
+    });
+  }
+
+  isOpen() {
+    return !!this.overlay && !this.overlay.hasAttribute('hidden');
+  }
+
+  async open() {
+    if (!this.overlay) return;
+    this.overlay.removeAttribute('hidden');
+    this.resetForm();
+    await this.load();
+  }
+
+  close() {
+    this.overlay?.setAttribute('hidden', '');
+    this.pendingDeleteId = null;
+  }
+
+  async load() {
+    if (this.listElement) {
+      this.listElement.innerHTML = '<li class="trash-empty">Carregando...</li>';
+    }
+
+    const result = await this.loadSegmentsUseCase.execute();
+
+    if (!result.success) {
+      this.segments = [];
+      this.render(result.error);
+      return;
+    }
+
+    this.segments = result.segments;
+    this.render();
+  }
+
+  render(error = null) {
+    if (!this.listElement) return;
+
+    if (error) {
+      this.listElement.innerHTML = `<li class="trash-empty">${HtmlFormatter.escape(error)}</li>`;
+      return;
+    }
+
+    if (!this.segments.length) {
+      this.listElement.innerHTML = '<li class="trash-empty">Nenhum segmento salvo. Aplique filtros na tabela e use "Usar filtro atual" para começar.</li>';
+      return;
+    }
+
+    this.listElement.innerHTML = this.segments.map(entry => this.renderEntry(entry)).join('');
+  }
+
+  renderEntry(entry) {
+    const id = HtmlFormatter.escape(entry.id);
+    const confirming = this.pendingDeleteId === entry.id;
+    const filter = typeof entry.filter === 'string' ? entry.filter : JSON.stringify(entry.filter);
+    const count = entry.count === null || entry.count === undefined
+      ? ''
+      : `${entry.count} contato${entry.count === 1 ? '' : 's'}`;
+
+    return `
+      <li class="trash-entry">
+        <div class="trash-entry-info">
+          <strong>${HtmlFormatter.escape(entry.name)}</strong>
+          ${count ? `<span class="trash-entry-meta">${count}</span>` : ''}
+          ${entry.description ? `<span class="trash-entry-meta">${HtmlFormatter.escape(entry.description)}</span>` : ''}
+          <code class="segment-filter">${HtmlFormatter.escape(filter)}</code>
+          ${entry.error ? `<span class="trash-entry-meta segment-error">Filtro inválido: ${HtmlFormatter.escape(entry.error)}</span>` : ''}
+        </div>
+        <div class="trash-entry-actions">
+          <button type="button" class="modal-button modal-button--primary" data-segments-action="apply" data-id="${id}" ${entry.error ? 'disabled' : ''}>
+            Filtrar
+          </button>
+          <button type="button" class="modal-button modal-button--secondary" data-segments-action="edit" data-id="${id}">
+            Editar
+          </button>
+          <button type="button" class="modal-button modal-button--danger" data-segments-action="delete" data-id="${id}">
+            ${confirming ? 'Confirmar remoção' : 'Remover'}
+          </button>
+        </div>
+      </li>
+    `;
+  }
+
+  async apply(id) {
+    this.close();
+    if (this.onApply) {
+      await this.onApply(id);
+    }
+  }
+
+  edit(id) {
+    const entry = this.segments.find(candidate => candidate.id === id);
+    if (!entry) return;
+
+    this.editingId = id;
+    this.pendingDeleteId = null;
+    if (this.nameInput) this.nameInput.value = entry.name;
+    if (this.descriptionInput) this.descriptionInput.value = entry.description || '';
+    if (this.filterInput) {
+      this.filterInput.value = typeof entry.filter === 'string' ? entry.filter : JSON.stringify(entry.filter);
+    }
+    if (this.saveButton) this.saveButton.textContent = 'Salvar alterações';
+    this.cancelEditButton?.removeAttribute('hidden');
+    this.nameInput?.focus();
+    this.render();
+  }
+
+  resetForm() {
+    this.editingId = null;
+    this.formElement?.reset();
+    if (this.saveButton) this.saveButton.textContent = 'Salvar segmento';
+    this.cancelEditButton?.setAttribute('hidden', '');
+  }
+
+  async save() {
+    if (this.isBusy) return;
+
+    this.isBusy = true;
+    const result = await this.saveSegmentUseCase.execute({
+      id: this.editingId,
+      name: this.nameInput?.value,
+      description: this.descriptionInput?.value,
+      filter: this.filterInput?.value
+    });
+    this.isBusy = false;
+
+    if (!result.success) {
+      this.toastManager?.error(result.error || 'Erro ao salvar segmento', { title: 'Erro' });
+      return;
+    }
+
+    this.toastManager?.success(`${result.segment.name} salvo.`, { title: 'Segmentos' });
+    this.resetForm();
+    await this.changed();
+  }
+
+  // Removing needs a second click on the same button
+  async remove(id) {
+    if (this.pendingDeleteId !== id) {
+      this.pendingDeleteId = id;
+      this.render();
+      return;
+    }
+
+    this.pendingDeleteId = null;
+    this.isBusy = true;
+    const result = await this.deleteSegmentUseCase.execute(id);
+    this.isBusy = false;
+
+    if (!result.success) {
+      this.toastManager?.error(result.error || 'Erro ao remover segmento', { title: 'Erro' });
+      this.render();
+      return;
+    }
+
+    if (this.editingId === id) this.resetForm();
+    await this.changed();
+  }
+
+  async changed() {
+    await this.load();
+    if (this.onChange) {
+      await this.onChange(this.segments);
+    }
+  }
+}
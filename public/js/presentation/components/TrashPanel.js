@@ -0,0 +1,180 @@
+/**
+ * TrashPanel - Presentation Component
+ * Modal listing deleted citizens with restore and permanent-delete actions
+ * Single Responsibility: Render and drive the trash bin
+ */
+import { DateFormatter } from '../formatters/DateFormatter.js';
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
+
+export class TrashPanel {
+  constructor(overlaySelector, dependencies) {
+    this.overlay = document.getElementById(overlaySelector);
+    this.loadTrashUseCase = dependencies.loadTrashUseCase;
+    this.restoreCitizenUseCase = dependencies.restoreCitizenUseCase;
+    this.purgeCitizenUseCase = dependencies.purgeCitizenUseCase;
+    this.toastManager = dependencies.toastManager;
+    // Called after a restore so the contacts table can reload
+    this.onRestore = dependencies.onRestore || null;
+
+    this.entries = [];
+    this.retentionDays = null;
+    this.pendingPurgeId = null;
+
+    this.initializeElements();
+    this.attachEventListeners();
+  }
+
+  initializeElements() {
+    this.listElement = document.getElementById('trashList');
+    this.summaryElement = document.getElementById('trashSummary');
+    this.openButton = document.getElementById('btnTrash');
+    this.closeButton = document.getElementById('closeTrashButton');
+  }
+
+  attachEventListeners() {
+    this.openButton?.addEventListener('click', () => this.open());
+    this.closeButton?.addEventListener('click', () => this.close());
+
+    this.overlay?.addEventListener('click', (event) => {
+      if (event.target === this.overlay) {
+        this.close();
+      }
+    });
+
+    this.listElement?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-trash-action]');
+      if (!button) return;
+
+      const id = button.dataset.id;
+      if (button.dataset.trashAction === 'restore') {
+        this.restore(id);
+      } else if (button.dataset.trashAction === 'purge') {
+        this.purge(id);
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) {
+        this.close();
+      }
+    });
+  }
+
+  isOpen() {
+    return !!this.overlay && !this.overlay.hasAttribute('hidden');
+  }
+
+  async open() {
+    if (!this.overlay) return;
+    this.overlay.removeAttribute('hidden');
+    this.pendingPurgeId = null;
+    await this.load();
+  }
+
+  close() {
+    this.overlay?.setAttribute('hidden', '');
+    this.pendingPurgeId = null;
+  }
+
+  async load() {
+    if (this.listElement) {
+      this.listElement.innerHTML = '<li class="trash-empty">Carregando...</li>';
+    }
+
+    const result = await this.loadTrashUseCase.execute();
+
+    if (!result.success) {
+      this.entries = [];
+      this.render(result.error);
+      return;
+    }
+
+    this.entries = result.entries;
+    this.retentionDays = result.retentionDays;
+    this.render();
+  }
+
+  render(error = null) {
+    if (this.summaryElement) {
+      this.summaryElement.textContent = this.retentionDays
+        ? `Contatos excluídos ficam aqui por ${this.retentionDays} dias antes de serem removidos definitivamente.`
+        : 'Contatos excluídos ficam aqui até serem removidos definitivamente.';
+    }
+
+    if (!this.listElement) return;
+
+    if (error) {
+      this.listElement.innerHTML = `<li class="trash-empty">${HtmlFormatter.escape(error)}</li>`;
+      return;
+    }
+
+    if (!this.entries.length) {
+      this.listElement.innerHTML = '<li class="trash-empty">A lixeira está vazia.</li>';
+      return;
+    }
+
+    this.listElement.innerHTML = this.entries.map(entry => this.renderEntry(entry)).join('');
+  }
+
+  renderEntry({ citizen, deletedAt, deletedBy, purgeAt }) {
+    const id = HtmlFormatter.escape(citizen.id);
+    const confirmingPurge = String(this.pendingPurgeId) === String(citizen.id);
+
+    return `
+      <li class="trash-entry">
+        <div class="trash-entry-info">
+          <strong>${HtmlFormatter.escape(citizen.personalInfo.name || 'Sem nome')}</strong>
+          <span class="trash-entry-meta">
+            ${HtmlFormatter.escape(citizen.personalInfo.neighborhood || '—')} · ${HtmlFormatter.escape(citizen.contactInfo.getFormattedPhone())}
+          </span>
+          <span class="trash-entry-meta">
+            Excluído em ${DateFormatter.formatDateTime(deletedAt)}${deletedBy ? ` por ${HtmlFormatter.escape(deletedBy)}` : ''}
+            · remoção em ${DateFormatter.formatDate(purgeAt)}
+          </span>
+        </div>
+        <div class="trash-entry-actions">
+          <button type="button" class="modal-button modal-button--secondary" data-trash-action="restore" data-id="${id}">
+            Restaurar
+          </button>
+          <button type="button" class="modal-button modal-button--danger" data-trash-action="purge" data-id="${id}">
+            ${confirmingPurge ? 'Confirmar exclusão' : 'Excluir definitivamente'}
+          </button>
+        </div>
+      </li>
+    `;
+  }
+
+  async restore(citizenId) {
+    const result = await this.restoreCitizenUseCase.execute(citizenId);
+
+    if (result.success) {
+      this.toastManager?.success('Contato restaurado.', { title: 'Sucesso' });
+      await this.load();
+      if (this.onRestore) {
+        await this.onRestore(result.citizen);
+      }
+    } else {
+      this.toastManager?.error(result.error || 'Erro ao restaurar contato', { title: 'Erro' });
+    }
+  }
+
+  // Permanent deletion needs a second click on the same row
+  async purge(citizenId) {
+    if (String(this.pendingPurgeId) !== String(citizenId)) {
+      this.pendingPurgeId = citizenId;
+      this.render();
+      return;
+    }
+
+    this.pendingPurgeId = null;
+    const result = await this.purgeCitizenUseCase.execute(citizenId);
+
+    if (result.success) {
+      this.toastManager?.success('Contato excluído definitivamente.', { title: 'Sucesso' });
+      await this.load();
+    } else {
+      this.toastManager?.error(result.error || 'Erro ao excluir contato', { title: 'Erro' });
+      this.render();
+    }
+  }
+}
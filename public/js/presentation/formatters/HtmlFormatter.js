@@ -0,0 +1,20 @@
+/**
+ * HtmlFormatter - Presentation
+ * Escapes user-provided values interpolated into HTML templates
+ * Single Responsibility: HTML escaping only
+ */
+export class HtmlFormatter {
+  static escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // A value written as a JavaScript literal inside an inline handler (onclick="fn(...)"),
+  // so numeric and ULID citizen ids both reach the handler with their own type
+  static jsValue(value) {
+    return HtmlFormatter.escape(JSON.stringify(value));
+  }
+}
@@ -4,12 +4,21 @@
  * Single Responsibility: Manage admin page state and user interactions
  */
 import { FilterCriteriaDTO } from '../../application/dto/FilterCriteriaDTO.js';
+import { HtmlFormatter } from '../formatters/HtmlFormatter.js';
+import { sameCitizenId } from '../../shared/utils/citizenIds.js';
+
+const PAGE_SIZE = 50;
+// Newest registrations first until the user sorts by a column
+const DEFAULT_SORT = '-createdAt';
 
 export class AdminViewModel {
   constructor(dependencies) {
     this.loadCitizensUseCase = dependencies.loadCitizensUseCase;
+    this.loadCitizenUseCase = dependencies.loadCitizenUseCase;
     this.sendWhatsAppUseCase = dependencies.sendWhatsAppUseCase;
+    this.createSurveyLinkUseCase = dependencies.createSurveyLinkUseCase;
     this.exportCitizensUseCase = dependencies.exportCitizensUseCase;
+    this.loadTagsUseCase = dependencies.loadTagsUseCase || null;
 
     this.statisticsPanel = dependencies.statisticsPanel;
     this.citizenTable = dependencies.citizenTable;
@@ -18,11 +27,16 @@ export class AdminViewModel {
 
     this.currentCitizens = [];
     this.currentFilterCriteria = FilterCriteriaDTO.empty();
+    this.listOptions = { page: 1, limit: PAGE_SIZE, sort: DEFAULT_SORT };
 
     this.initializeUI();
   }
 
   initializeUI() {
+    this.citizenTable.setListHandlers({
+      onPageChange: (page) => this.goToPage(page),
+      onSortChange: (sort) => this.sortBy(sort)
+    });
     this.attachFilterListeners();
     this.attachActionListeners();
     this.loadInitialData();
@@ -31,6 +45,13 @@ export class AdminViewModel {
   attachFilterListeners() {
     const btnFilter = document.getElementById('btnFilter');
     btnFilter?.addEventListener('click', () => this.applyFilters());
+
+    document.getElementById('filterExpression')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.applyFilters();
+      }
+    });
   }
 
   attachActionListeners() {
@@ -51,29 +72,99 @@ export class AdminViewModel {
 
   async loadInitialData() {
     await this.loadCitizens(FilterCriteriaDTO.empty());
+    await this.loadTagOptions();
   }
 
   async applyFilters() {
+    // Bulk actions only ever target citizens the admin can see under the current filter
+    this.citizenTable.clearSelection();
+
     const neighborhood = document.getElementById('filterNeighborhood')?.value || '';
     const answered = document.getElementById('filterAnswered')?.value || '';
+    const satisfaction = document.getElementById('filterSatisfaction')?.value || '';
+    const engagement = document.getElementById('filterEngagement')?.value || '';
+    const tag = document.getElementById('filterTag')?.value || '';
+    const segment = document.getElementById('filterSegment')?.value || '';
+    const expression = document.getElementById('filterExpression')?.value || '';
 
     this.currentFilterCriteria = FilterCriteriaDTO.fromFormData({
       neighborhood,
-      answered
+      answered,
+      satisfaction,
+      engagement,
+      tag,
+      segment,
+      expression
     });
 
+    this.listOptions.page = 1;
+    await this.loadCitizens(this.currentFilterCriteria);
+  }
+
+  // Saved segments offered in the segment filter; a removed segment stops being selected
+  setSegments(segments) {
+    const select = document.getElementById('filterSegment');
+    if (!select) return;
+    const current = select.value;
+    const list = Array.isArray(segments) ? segments : [];
+    select.innerHTML = '<option value="">Qualquer segmento</option>' + list
+      .map(segment => `<option value="${HtmlFormatter.escape(segment.id)}">${HtmlFormatter.escape(segment.name)}</option>`)
+      .join('');
+    select.value = list.some(segment => segment.id === current) ? current : '';
+  }
+
+  // Tags in use, suggested in the tag filter
+  async loadTagOptions() {
+    const options = document.getElementById('filterTagOptions');
+    if (!options || !this.loadTagsUseCase) return;
+    const result = await this.loadTagsUseCase.execute();
+    options.innerHTML = result.tags
+      .map(({ tag, count }) => `<option value="${HtmlFormatter.escape(tag)}">${count}</option>`)
+      .join('');
+  }
+
+  // Show the citizens of one saved segment, replacing the other filters
+  async filterBySegment(segmentId) {
+    ['filterNeighborhood', 'filterAnswered', 'filterSatisfaction', 'filterEngagement', 'filterTag', 'filterExpression']
+      .forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.value = '';
+      });
+    const select = document.getElementById('filterSegment');
+    if (select) select.value = segmentId;
+    await this.applyFilters();
+  }
+
+  // Current filters in the advanced filter syntax
+  currentFilterExpression() {
+    return this.currentFilterCriteria.toExpression();
+  }
+
+  async goToPage(page) {
+    this.listOptions.page = page;
+    await this.loadCitizens(this.currentFilterCriteria);
+  }
+
+  async sortBy(sort) {
+    this.listOptions = { ...this.listOptions, sort: sort || DEFAULT_SORT, page: 1 };
     await this.loadCitizens(this.currentFilterCriteria);
   }
 
   async loadCitizens(filterCriteria) {
     try {
-      const result = await this.loadCitizensUseCase.execute(filterCriteria);
+      const result = await this.loadCitizensUseCase.execute(filterCriteria, this.listOptions);
+
+      // A delete or filter change can leave the current page past the end
+      if (result.success && !result.citizens.length && this.listOptions.page > 1 && result.pagination.pages > 0) {
+        this.listOptions.page = result.pagination.pages;
+        return this.loadCitizens(filterCriteria);
+      }
 
       if (result.success) {
         this.currentCitizens = result.citizens;
 
         // Update UI components
-        this.citizenTable.render(result.citizens);
+        this.citizenTable.render(result.citizens, { ...result.pagination, sort: this.listOptions.sort });
         this.statisticsPanel.render(result.statistics);
 
         return result;
@@ -90,14 +181,32 @@ export class AdminViewModel {
     }
   }
 
+  // Also after edits that may add or drop tags (bulk actions, imports, merges)
   async refresh() {
     await this.loadCitizens(this.currentFilterCriteria);
+    await this.loadTagOptions();
   }
 
   openCitizenDetails(citizen) {
     this.detailsPanel.open(citizen);
   }
 
+  // Citizens outside the current page are fetched by id
+  async openCitizenById(citizenId) {
+    const citizen = this.getCitizen(citizenId);
+    if (citizen) {
+      this.detailsPanel.open(citizen);
+      return;
+    }
+
+    const result = await this.loadCitizenUseCase.execute(citizenId);
+    if (result.success) {
+      this.detailsPanel.open(result.citizen);
+    } else {
+      this.toastManager?.error(result.error || 'Cidadão não encontrado', { title: 'Erro' });
+    }
+  }
+
   async openWhatsApp(citizenId) {
     const loadingToast = this.toastManager?.info('Abrindo WhatsApp...', {
       title: 'Processando',
@@ -130,17 +239,21 @@ export class AdminViewModel {
   }
 
   async copySurveyLink(citizenId) {
-    const citizen = this.currentCitizens.find(c => c.id === citizenId);
+    const citizen = this.getCitizen(citizenId) || this.detailsPanel.currentCitizen;
 
-    if (!citizen) {
+    if (!citizen || citizen.id !== citizenId) {
       return {
         success: false,
         errorMessage: 'Cidadão não encontrado.'
       };
     }
 
-    const base = window.APP_BASE_URL || window.location.origin;
-    const surveyLink = `${base}/survey.html?id=${citizen.id}`;
+    // Links carry a signed token issued by the server, so they cannot be guessed from the id
+    const link = await this.createSurveyLinkUseCase.execute(citizen.id);
+    if (!link.success) {
+      return { success: false, errorMessage: link.error };
+    }
+    const surveyLink = link.url;
 
     if (navigator.clipboard && navigator.clipboard.writeText) {
       try {
@@ -182,7 +295,8 @@ export class AdminViewModel {
 
   async exportData() {
     try {
-      const result = await this.exportCitizensUseCase.execute();
+      // Exports what the table is showing: every page of the current filter
+      const result = await this.exportCitizensUseCase.execute(this.currentFilterCriteria);
 
       if (result.success) {
         this.toastManager?.success('Exportação iniciada', { title: 'Sucesso' });
@@ -195,6 +309,6 @@ export class AdminViewModel {
   }
 
   getCitizen(citizenId) {
-    return this.currentCitizens.find(c => c.id === citizenId);
+    return this.currentCitizens.find(c => sameCitizenId(c.id, citizenId));
   }
 }
@@ -12,6 +12,8 @@ export const EngagementStatus = Object.freeze({
   RESPONDED: 'responded'
 });
 
+// Answers of the original survey. The questions residents answer now come from the survey
+// definition (GET /api/survey/definition); SurveyResponse takes its satisfaction scale from there.
 export const SatisfactionLevel = Object.freeze({
   VERY_SATISFIED: 'Muito satisfeito',
   SATISFIED: 'Satisfeito',
@@ -58,7 +60,26 @@ export const ApiEndpoints = Object.freeze({
   HEALTH: '/api/health',
   CONFIG: '/api/config',
   AGENT_UI: '/api/admin/agent-ui',
-  MARK_SENT: (id) => `/api/contacts/${id}/mark-sent`
+  MARK_SENT: (id) => `/api/contacts/${id}/mark-sent`,
+  SURVEY_LINK: (id) => `/api/contacts/${encodeURIComponent(id)}/survey-link`,
+  CONTACT_HISTORY: (id) => `/api/contacts/${id}/history`,
+  TRASH: '/api/trash',
+  TRASH_ITEM: (id) => `/api/trash/${id}`,
+  TRASH_RESTORE: (id) => `/api/trash/${id}/restore`,
+  CONTACTS_IMPORT: '/api/contacts/import',
+  CONTACTS_SEARCH: '/api/contacts/search',
+  CONTACTS_BULK: '/api/contacts/bulk',
+  DUPLICATES: '/api/duplicates',
+  CONTACT_MERGE: (id) => `/api/contacts/${id}/merge`,
+  NEIGHBORHOODS: '/api/neighborhoods',
+  NEIGHBORHOOD: (id) => `/api/neighborhoods/${encodeURIComponent(id)}`,
+  NEIGHBORHOODS_NORMALIZE: '/api/neighborhoods/normalize',
+  TAGS: '/api/tags',
+  SEGMENTS: '/api/segments',
+  SEGMENT: (id) => `/api/segments/${encodeURIComponent(id)}`,
+  CUSTOM_FIELDS: '/api/custom-fields',
+  CUSTOM_FIELD: (id) => `/api/custom-fields/${encodeURIComponent(id)}`,
+  SURVEY_DEFINITION: '/api/survey/definition'
 });
 
 export const DateFormat = Object.freeze({
@@ -0,0 +1,15 @@
+/**
+ * Citizen ids
+ * Contacts registered before ULIDs keep numeric ids; newer ones have 26-character ULID strings.
+ * Ids read back from the DOM, URLs or CSV files are strings, so numeric ones are turned back
+ * into numbers to compare equal to the ids the API returns.
+ */
+export function toCitizenId(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+export function sameCitizenId(a, b) {
+  return String(a) === String(b);
+}
@@ -42,6 +42,8 @@ export const columnDefinitions = [
   },
   {
     key: 'survey',
+    // Sorting by the answer date puts respondents together, oldest answer first
+    sortKey: 'survey.answeredAt',
     label: 'Respondeu',
     render: (value) => StatusFormatter.formatResponseStatus(!!value)
   },
@@ -2,7 +2,8 @@
 /**
  * scripts/analysis-snapshot.js
  * Produce real analysis output (no mock data) using MunicipalAnalysisEngine with current data.json.
- * Usage: node scripts/analysis-snapshot.js [--only satisfaction,neighborhoods]
+ * Usage: node scripts/analysis-snapshot.js [--only satisfaction,neighborhoods] [--as-of 2025-01-31T23:59:59Z]
+ * --as-of rebuilds the data from the change journal as it was at that time.
  */
 
 const path = require('path');
@@ -15,8 +16,10 @@ async function main() {
   if (onlyIdx !== -1 && args[onlyIdx + 1]) {
     only = args[onlyIdx + 1].split(',').map(s => s.trim());
   }
+  const asOfIdx = args.indexOf('--as-of');
+  const asOf = asOfIdx !== -1 ? args[asOfIdx + 1] : null;
 
-  const engine = new MunicipalAnalysisEngine();
+  const engine = new MunicipalAnalysisEngine({ asOf });
   const sections = {};
 
   try {
@@ -39,6 +42,7 @@ async function main() {
 
   const snapshot = {
     generatedAt: new Date().toISOString(),
+    asOf: engine.asOf ? engine.asOf.toISOString() : null,
     computationVersions: {
       satisfaction: sections.satisfaction?.meta?.computationVersion || 'unknown',
       neighborhoods: sections.neighborhoods?.meta?.computationVersion || 'unknown'
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * scripts/backup.js
+ * Manage data snapshots through the BackupManager (same settings as the server: BACKUP_* env vars).
+ * Usage: node scripts/backup.js [create|list|prune|import-legacy]
+ *   create         Snapshot the current contacts (default)
+ *   list           Show managed and legacy snapshots, newest first
+ *   prune          Apply the retention policy to the backups directory
+ *   import-legacy  Move data.backup.*.json files from the repo root into the backups directory
+ */
+
+require('dotenv').config();
+const { getStorage } = require('../services/storage');
+
+async function main() {
+  const command = process.argv[2] || 'create';
+  const storage = getStorage();
+  const backups = storage.backups;
+
+  try {
+    switch (command) {
+      case 'create': {
+        const backup = backups.createBackup(await storage.find());
+        console.log(`✅ Backup created: ${backup.id} (${backup.size} bytes)`);
+        break;
+      }
+      case 'list': {
+        const list = backups.listBackups();
+        list.forEach(backup => {
+          const origin = backup.legacy ? ' [legacy]' : '';
+          console.log(`${backup.id}  ${backup.createdAt}  ${backup.size} bytes${origin}`);
+        });
+        console.log(`${list.length} backup(s) in ${backups.dir}`);
+        break;
+      }
+      case 'prune': {
+        const { kept, removed } = backups.prune();
+        console.log(`🧹 Pruned ${removed.length} backup(s), kept ${kept}`);
+        break;
+      }
+      case 'import-legacy': {
+        const { imported, pruned } = backups.importLegacyBackups();
+        console.log(`📦 Imported ${imported} legacy backup(s) into ${backups.dir}, pruned ${pruned}`);
+        break;
+      }
+      default:
+        console.error(`Unknown command "${command}". Use create, list, prune or import-legacy.`);
+        process.exitCode = 1;
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error managing backups:', err);
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * scripts/migrate.js
+ * Upgrade stored contacts to the current schema version (same storage settings as the server).
+ * Stop the server first: it does not see writes made by another process. Nothing is written
+ * if a contact is edited while this runs.
+ * Usage: node scripts/migrate.js [up|status|validate|rekey-ids] [--dry-run]
+ *   up         Apply pending migrations after a safety backup (default)
+ *   status     Show how many records are at each schema version
+ *   validate   Check every record against the declared schema
+ *   rekey-ids  Give contacts with numeric (Date.now()) ids a ULID; the old id stays in legacyId
+ *              so links already sent keep working (see SURVEY_ID_LINKS_UNTIL in .env.example)
+ *   --dry-run  With "up" or "rekey-ids", report what would change without writing
+ */
+
+require('dotenv').config();
+const { getStorage } = require('../services/storage');
+const { MigrationRunner } = require('../services/schema');
+
+function printInvalid(invalid) {
+  invalid.slice(0, 20).forEach(({ id, errors }) => {
+    console.log(`  - ${id}: ${errors.join('; ')}`);
+  });
+  if (invalid.length > 20) {
+    console.log(`  ... and ${invalid.length - 20} more`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => !arg.startsWith('--')) || 'up';
+  const dryRun = args.includes('--dry-run');
+  const storage = getStorage();
+  const runner = new MigrationRunner({ storage });
+
+  try {
+    switch (command) {
+      case 'up': {
+        const report = await runner.migrate({ dryRun });
+        if (report.conflict) {
+          console.error(`⚠️ ${report.conflict.error}; run the command again`);
+          process.exitCode = 1;
+          break;
+        }
+        if (!report.migrated) {
+          console.log(`✅ All ${report.total} contact(s) are already at schema v${report.targetVersion}`);
+        } else if (report.dryRun) {
+          console.log(`🔎 Dry run: ${report.migrated} of ${report.total} contact(s) would be upgraded to schema v${report.targetVersion}`);
+        } else {
+          console.log(`✅ Upgraded ${report.migrated} of ${report.total} contact(s) to schema v${report.targetVersion}`);
+          if (report.backup) console.log(`📦 Previous data saved as ${report.backup.id}`);
+        }
+        if (report.invalid.length) {
+          console.log(`⚠️ ${report.invalid.length} contact(s) still fail validation after upgrading:`);
+          printInvalid(report.invalid);
+          process.exitCode = 1;
+        }
+        break;
+      }
+      case 'status': {
+        const status = await runner.status();
+        console.log(`Schema v${status.targetVersion}: ${status.total} contact(s), ${status.pending} pending upgrade`);
+        Object.entries(status.byVersion).forEach(([version, count]) => {
+          console.log(`  v${version}: ${count}`);
+        });
+        status.migrations.forEach(({ version, description }) => {
+          console.log(`  [v${version}] ${description}`);
+        });
+        break;
+      }
+      case 'validate': {
+        const { total, valid, invalid } = await runner.validate();
+        console.log(`${valid} of ${total} contact(s) match schema v${runner.targetVersion}`);
+        if (invalid.length) {
+          printInvalid(invalid);
+          process.exitCode = 1;
+        }
+        break;
+      }
+      case 'rekey-ids': {
+        const report = await runner.rekeyLegacyIds({ dryRun });
+        if (report.conflict) {
+          console.error(`⚠️ ${report.conflict.error}; run the command again`);
+          process.exitCode = 1;
+          break;
+        }
+        if (!report.rekeyed) {
+          console.log(`✅ All ${report.total} contact(s) already have ULID ids`);
+        } else if (report.dryRun) {
+          console.log(`🔎 Dry run: ${report.rekeyed} of ${report.total} contact(s) would get a ULID id`);
+        } else {
+          console.log(`✅ Gave ${report.rekeyed} of ${report.total} contact(s) a ULID id (old ids kept in legacyId)`);
+          if (report.backup) console.log(`📦 Previous data saved as ${report.backup.id}`);
+        }
+        report.ids.slice(0, 20).forEach(({ from, to }) => console.log(`  ${from} -> ${to}`));
+        if (report.ids.length > 20) console.log(`  ... and ${report.ids.length - 20} more`);
+        break;
+      }
+      default:
+        console.error(`Unknown command "${command}". Use up, status, validate or rekey-ids.`);
+        process.exitCode = 1;
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error running migrations:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * scripts/normalize-neighborhoods.js
+ * Remap stored contacts onto the neighborhood registry (same storage settings as the server).
+ * Only changed contacts are written, and nothing is written if one of them is edited while this runs.
+ * Usage: node scripts/normalize-neighborhoods.js [--dry-run] [--seed]
+ *   --dry-run  Report what would change without writing
+ *   --seed     Add registry entries for values that match nothing yet (spelling variants become aliases)
+ */
+
+require('dotenv').config();
+const { getStorage } = require('../services/storage');
+const { NeighborhoodNormalizer, getNeighborhoodRegistry } = require('../services/neighborhoods');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const seed = args.includes('--seed');
+  const storage = getStorage();
+  const registry = getNeighborhoodRegistry();
+  const normalizer = new NeighborhoodNormalizer({ storage, registry });
+
+  try {
+    const report = await normalizer.run({ dryRun, seed, context: { source: 'normalize' } });
+
+    if (report.seeded.length) {
+      console.log(`🏘️ Added ${report.seeded.length} neighborhood(s) to ${registry.filePath}:`);
+      report.seeded.forEach(entry => {
+        console.log(`  - ${entry.name}${entry.aliases.length ? ` (aliases: ${entry.aliases.join(', ')})` : ''}`);
+      });
+    }
+
+    if (report.conflict) {
+      console.error(`⚠️ ${report.conflict.error}; run the script again`);
+      process.exitCode = 1;
+    } else if (!report.changed) {
+      console.log(`✅ All ${report.total} contact(s) already match the registry`);
+    } else if (report.dryRun) {
+      console.log(`🔎 Dry run: ${report.changed} of ${report.total} contact(s) would be remapped`);
+      report.changes.slice(0, 20).forEach(({ id, from, to }) => console.log(`  - ${id}: "${from}" -> "${to}"`));
+      if (report.changes.length > 20) console.log(`  ... and ${report.changes.length - 20} more`);
+    } else {
+      console.log(`✅ Remapped ${report.changed} of ${report.total} contact(s)`);
+      if (report.backup) console.log(`📦 Previous data saved as ${report.backup}`);
+    }
+
+    if (report.unmatched.length) {
+      console.log(`⚠️ ${report.unmatched.length} neighborhood value(s) are not in the registry${seed ? '' : ' (use --seed to add them)'}:`);
+      report.unmatched.slice(0, 20).forEach(({ value, count, suggestions }) => {
+        const hint = suggestions.length ? ` — did you mean ${suggestions.map(s => s.name).join(', ')}?` : '';
+        console.log(`  - "${value}" (${count})${hint}`);
+      });
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error normalizing neighborhoods:', err.message);
+  process.exit(1);
+});
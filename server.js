@@ -2,7 +2,6 @@
 require('dotenv').config();
 
 const express = require("express");
-const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 const cors = require('cors');
@@ -12,12 +11,123 @@ const { createUIResponse } = orchestratorModule;
 
 // Import WhatsApp service
 const whatsappService = require("./services/whatsappService");
+const { getStorage, RevisionConflictError, revisionOf } = require("./services/storage");
+const ContactTrash = require("./services/ContactTrash");
+const { MigrationRunner, createContact, upgradeContact, newContactId, parseContactId } = require("./services/schema");
+const { ContactImporter } = require("./services/import");
+const { DuplicateFinder, ContactMerger } = require("./services/duplicates");
+const { getNeighborhoodRegistry, NeighborhoodNormalizer } = require("./services/neighborhoods");
+const { parseListQuery, runListQuery, project, parseFilter, filterFromQuery, compileFilter } = require("./services/query");
+const { ContactSearchIndex, MAX_LIMIT: MAX_SEARCH_LIMIT } = require("./services/search");
+const { ContactBulkOperations } = require("./services/bulk");
+const { getSegmentRegistry } = require("./services/segments");
+const { cleanTags, countTags } = require("./services/tags");
+const { getCustomFieldRegistry } = require("./services/customFields");
+const { getSurveyRegistry, validateAnswers, draftAnswers, channelOf, roundsOf, findRound, latestRound, withRound, surveyMirror } = require("./services/surveys");
+const { getOpenResponseStore, getSubmissionLimiter } = require("./services/openSurvey");
+const { getSurveyLinkTokens } = require("./services/surveyLinks");
+const { getCepService, getCepLookupLimiter, withSurveyAddress, SURVEY_ADDRESS_FIELDS } = require("./services/cep");
 
 const session = require('express-session');
 
 const PORT = process.env.PORT || 3001;
 const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
-const DB_FILE = path.join(__dirname, process.env.DB_FILE || "data.json");
+
+// Contact storage (JSON file or MongoDB, selected by STORAGE_DRIVER)
+const storage = getStorage();
+
+// Soft-deleted contacts stay in storage with deletedAt until the scheduled purge
+const trash = new ContactTrash({
+  storage,
+  retentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+  purgeIntervalMs: (Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000
+});
+
+// Canonical neighborhood list (NEIGHBORHOODS_FILE); contacts store its name and id
+const neighborhoods = getNeighborhoodRegistry();
+const neighborhoodNormalizer = new NeighborhoodNormalizer({ storage, registry: neighborhoods });
+
+// Saved segments (SEGMENTS_FILE): filters referenced by name as segment=<name>
+const segments = getSegmentRegistry();
+
+// Extra typed fields admins add to contacts (CUSTOM_FIELDS_FILE); values live in contact.customFields
+const customFields = getCustomFieldRegistry();
+
+// Survey questions as data (SURVEYS_FILE); the first survey is the one survey.html renders and /api/survey accepts
+const surveys = getSurveyRegistry();
+
+// CEP addresses (CEP_PROVIDERS: a local dataset and/or ViaCEP), cached in CEP_CACHE_FILE;
+// public lookups are limited per IP (CEP_LOOKUP_RATE_*)
+const cepService = getCepService();
+const cepLookupLimiter = getCepLookupLimiter();
+
+// Answers to open surveys sent through their public link (OPEN_RESPONSES_FILE), limited per IP (OPEN_SURVEY_RATE_*)
+const openResponses = getOpenResponseStore();
+const submissionLimiter = getSubmissionLimiter();
+
+// Spreadsheet imports (CSV/XLSX) share the trash's view of active contacts for dedupe
+const importer = new ContactImporter({ storage, trash, neighborhoods });
+
+// Fuzzy duplicate detection; merged ids keep resolving to the surviving contact
+const duplicateFinder = new DuplicateFinder();
+const merger = new ContactMerger({ storage, trash });
+
+// Contact behind a link with a raw contact id (merged and legacy ids included); whether such
+// links are still accepted at all is SURVEY_ID_LINKS_UNTIL (see resolveSurveyLink)
+async function resolveLinkedContact(rawId) {
+  const id = parseContactId(rawId);
+  if (id === null) return null;
+  return merger.resolve(id);
+}
+
+// Signed tokens put in survey links instead of contact ids (SURVEY_TOKEN_* settings)
+const surveyLinks = getSurveyLinkTokens();
+
+/**
+ * Contact, survey and round behind a survey link: a signed token names all three; links sent before
+ * tokens carry a raw contact id, accepted until SURVEY_ID_LINKS_UNTIL, and take survey and round from
+ * the request. reason tells survey.html what to show: invalid, expired, used or id_link.
+ * @returns {Promise<{ user, survey, round, link }|{ status: number, error: string, reason?: string }>}
+ */
+async function resolveSurveyLink(raw, surveyId = null, roundNumber = null) {
+  const text = String(raw ?? '').trim();
+
+  if (surveyLinks.isToken(text)) {
+    const verified = surveyLinks.verify(text);
+    if (verified.error) return { status: verified.reason === 'expired' ? 410 : 401, ...verified };
+    const { link } = verified;
+
+    const user = await merger.resolve(parseContactId(link.contactId));
+    if (!user) return { status: 404, error: "User not found" };
+    const target = surveys.resolveRound(link.surveyId, link.round);
+    if (target.error) return { status: 404, error: target.error };
+    if (link.singleUse && findRound(user, link.surveyId, link.round)?.answeredAt) {
+      return { status: 410, error: "Survey link already used", reason: "used" };
+    }
+    return { user, ...target, link };
+  }
+
+  if (!surveyLinks.acceptsIdLinks()) {
+    return { status: 410, error: "This survey link is no longer valid", reason: "id_link" };
+  }
+  const user = await resolveLinkedContact(text);
+  if (!user) return { status: 404, error: "User not found" };
+
+  const target = surveys.resolveRound(surveyId, roundNumber);
+  if (target.error) return { status: target.notFound ? 404 : 400, error: target.error };
+  const latest = roundNumber === null || roundNumber === undefined || roundNumber === '' ? latestRound(user, target.survey.id) : null;
+  if (latest) {
+    // The round the resident was last invited to
+    return { user, survey: target.survey, round: surveys.getRound(target.survey.id, latest.round) || { number: latest.round }, link: null };
+  }
+  return { user, ...target, link: null };
+}
+
+// Type-ahead search; built on first use and updated from storage change events
+const searchIndex = new ContactSearchIndex({ storage });
+
+// One operation over many contacts (selected ids or a filter), written all or nothing
+const bulkOperations = new ContactBulkOperations({ storage, trash, neighborhoods, segments, surveys });
 
 // Authentication credentials (override via env in production)
 // Accept legacy env var name ADMIN_PASSWORD as an alias for ADMIN_PASS
@@ -49,6 +159,8 @@ if (process.env.FRONTEND_ORIGIN) {
   app.use(cors({
     origin: process.env.FRONTEND_ORIGIN.split(',').map(s => s.trim()),
     credentials: true,
+    // Lets cross-origin admin pages read contact ETags for If-Match
+    exposedHeaders: ['ETag'],
   }));
 }
 
@@ -103,30 +215,139 @@ if ((process.env.WHATSAPP_MODE || '').toLowerCase() === 'real' && !String(BASE_U
 }
 
 // --- DB Helpers ---
-function readDB() {
-  try {
-    if (!fs.existsSync(DB_FILE)) return [];
-    const raw = fs.readFileSync(DB_FILE, "utf8");
-    return JSON.parse(raw || "[]");
-  } catch (err) {
-    console.error("Error reading DB:", err);
-    return [];
+// Wrap async route handlers so rejected promises reach the error middleware
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Who/where a write came from, recorded by the change journal
+function changeContext(req, source) {
+  return {
+    actor: (req.session && req.session.username) || null,
+    ip: req.ip || null,
+    source
+  };
+}
+
+// Canonical name and id for a typed neighborhood; unknown names are refused when NEIGHBORHOODS_STRICT=true
+function resolveNeighborhood(text) {
+  const place = neighborhoods.normalize(text);
+  if (neighborhoods.strict && place.neighborhood && !place.known) {
+    return {
+      error: "Unknown neighborhood",
+      neighborhood: place.neighborhood,
+      suggestions: neighborhoods.suggest(place.neighborhood)
+    };
   }
+  return place;
 }
 
-function writeDB(data) {
-  try {
-    // Backup before writing
-    if (fs.existsSync(DB_FILE)) {
-      const backupFile = DB_FILE.replace('.json', `.backup.${Date.now()}.json`);
-      fs.copyFileSync(DB_FILE, backupFile);
-    }
-    
-    fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
-  } catch (err) {
-    console.error("Error writing DB:", err);
-    throw err;
+// Export columns of a survey's answers: each question, then its "other" text or the CEP's complemento and address
+function surveyColumns(definition) {
+  return definition.questions.flatMap(question => [
+    `survey_${question.id}`,
+    ...(question.otherId ? [`survey_${question.otherId}`] : []),
+    ...(question.type === "cep" ? ["complemento", ...SURVEY_ADDRESS_FIELDS].map(field => `survey_${field}`) : [])
+  ]);
+}
+
+// Survey and round named in a request body or query, answered with 404/400 when unknown
+function resolveSurveyRoundOr4xx(res, surveyId, roundNumber) {
+  const target = surveys.resolveRound(surveyId, roundNumber);
+  if (target.error) {
+    res.status(target.notFound ? 404 : 400).json({ error: target.error });
+    return null;
   }
+  return target;
+}
+
+// 409 for a second answer to the same survey round
+function sendAlreadyAnswered(res, entry, definition, round) {
+  return res.status(409).json({
+    error: "Survey already answered",
+    answeredAt: entry.answeredAt,
+    survey: definition.id,
+    round: round.number
+  });
+}
+
+function sendLinkError(res, result) {
+  const { status, ...body } = result;
+  return res.status(status).json(body);
+}
+
+// Link sent to a resident for a survey round, with a new signed token
+function surveyLink(req, user, survey, round) {
+  const { token, expiresAt } = surveyLinks.issue({ contactId: user.id, surveyId: survey.id, round: round.number });
+  const base = getBaseUrl(req);
+  return { url: `${base}/survey.html?t=${token}`, shortUrl: `${base}/l/${token}`, expiresAt };
+}
+
+// First click on a survey link, recorded on the contact and on the round
+async function recordClick(req, { user, survey, round }, source) {
+  const clickedAt = new Date().toISOString();
+  let earlier = null;
+  await storage.updateWith(user.id, current => {
+    earlier = findRound(current, survey.id, round.number)?.clickedAt || null;
+    if (earlier) return null;
+    return {
+      clickedAt: current.clickedAt || clickedAt,
+      surveyRounds: withRound(current, survey.id, round.number, { clickedAt })
+    };
+  }, changeContext(req, source));
+  if (earlier) return { clickedAt: earlier, isFirstClick: false };
+
+  console.log(`[Click] ${user.name} opened the survey link (${survey.id}, round ${round.number})`);
+  return { clickedAt, isFirstClick: true };
+}
+
+// The CEP's street, bairro and city are stored with the answers; a CEP that does not exist is refused,
+// while one that cannot be looked up right now is saved without its address
+async function withCepAddress(definition, answers, contact) {
+  const cepQuestion = definition.questions.find(question => question.type === "cep");
+  if (!cepQuestion || !answers[cepQuestion.id]) return { answers };
+
+  const lookup = await cepService.lookup(answers[cepQuestion.id]);
+  if (!lookup.found && !lookup.unavailable) return { error: "CEP not found", field: cepQuestion.id };
+  return { answers: withSurveyAddress(answers, lookup.found ? lookup.address : null, contact, neighborhoods) };
+}
+
+// Fields written when a resident answers a survey round; channel is 'open' for answers sent through the public link.
+// Built from the contact as stored (storage.updateWith), since surveyRounds is rewritten as a whole
+function answerChanges(user, definition, round, answers, channel = null) {
+  const answeredAt = new Date().toISOString();
+  const surveyRounds = withRound(user, definition.id, round.number, { answeredAt, answers, channel, draft: null });
+  const changes = { surveyRounds };
+  // contact.survey keeps the latest round of the default survey, read by filters and the analyses
+  if (definition.id === surveys.getDefault().id) {
+    changes.survey = surveyMirror(surveyRounds, definition.id, user.survey ?? null);
+  }
+  return { answeredAt, changes };
+}
+
+// Link anyone can answer an open survey through, e.g. on social media or a poster
+function publicSurveyLink(req, survey) {
+  return survey.open ? `${getBaseUrl(req)}/survey.html?open=${encodeURIComponent(survey.id)}` : null;
+}
+
+// Fields written when a survey invitation goes out: the latest send on the contact, and the round's entry.
+// Built from the contact as stored (storage.updateWith), like answerChanges()
+function sendChanges(user, survey, round, result) {
+  const now = new Date().toISOString();
+  return {
+    whatsappSentAt: now,
+    whatsappMessageId: result.messageId,
+    whatsappProvider: result.provider,
+    whatsappStatus: result.status,
+    whatsappStatusUpdatedAt: now,
+    surveyRounds: withRound(user, survey.id, round.number, {
+      sentAt: now,
+      messageId: result.messageId ?? null,
+      provider: result.provider ?? null,
+      status: result.status ?? null,
+      statusUpdatedAt: now
+    })
+  };
 }
 
 function flattenRecord(record) {
@@ -199,10 +420,33 @@ function makeLinks(id) {
   return {
     self: { href: `/api/contacts/${id}` },
     "send-whatsapp": { href: `/api/contacts/${id}/whatsapp`, method: "POST" },
-  "complete-survey": { href: `/survey.html?id=${id}` }
+    history: { href: `/api/contacts/${id}/history` },
+    // Survey links carry a signed token, issued by this route
+    "survey-link": { href: `/api/contacts/${id}/survey-link`, method: "POST" }
   };
 }
 
+// Strong validator for a contact: the revision storage bumps on every write
+function contactEtag(record) {
+  return `"${revisionOf(record)}"`;
+}
+
+// If-Match holds "*" or a list of ETags; weak ones (W/"...") never match, as RFC 9110 requires
+function ifMatchSatisfied(header, record) {
+  if (header.trim() === '*') return true;
+  const current = contactEtag(record);
+  return header.split(',').some(tag => tag.trim() === current);
+}
+
+// 412 carrying the stored version, so the client can show what changed and retry with its ETag
+function sendEditConflict(res, current) {
+  res.set('ETag', contactEtag(current));
+  return res.status(412).json({
+    error: "Contact was changed by someone else",
+    current: { ...current, _links: makeLinks(current.id) }
+  });
+}
+
 // Enhanced agent query validation middleware
 function validateAgentQuery(req, res, next) {
   const { query } = req.body;
@@ -229,18 +473,27 @@ function validateAgentQuery(req, res, next) {
 }
 
 // Function to update message status
-function updateMessageStatus(messageId, status, provider = null) {
+async function updateMessageStatus(messageId, status, provider = null) {
   try {
-    const data = readDB();
-    const user = data.find(u => u.whatsappMessageId === messageId);
+    const user = await storage.findOne({ whatsappMessageId: messageId });
     
     if (user) {
-      user.whatsappStatus = status;
-      user.whatsappStatusUpdatedAt = new Date().toISOString();
-      if (provider) user.whatsappProvider = provider;
+      const now = new Date().toISOString();
+      await storage.updateWith(user.id, current => {
+        const changes = {
+          whatsappStatus: status,
+          whatsappStatusUpdatedAt: now,
+          whatsappProvider: provider || undefined
+        };
+        // The round the message invited the resident to follows its delivery too
+        const entry = roundsOf(current).find(candidate => candidate.messageId === messageId);
+        if (entry) {
+          changes.surveyRounds = withRound(current, entry.surveyId, entry.round, { status, statusUpdatedAt: now });
+        }
+        return changes;
+      }, { source: `webhook:${provider || 'unknown'}` });
       
       console.log(`[Status] Updated ${messageId}: ${status}`);
-      writeDB(data);
       return true;
     }
     return false;
@@ -456,8 +709,9 @@ app.get('/api/age-satisfaction', async (req, res) => {
 });
 
 // Enhanced health check with architecture diagnostics
-app.get("/api/health", (req, res) => {
-  const data = readDB();
+app.get("/api/health", asyncRoute(async (req, res) => {
+  const data = await trash.findActive();
+  const storageInfo = await storage.describe();
   const stats = whatsappService.getStats(data);
   
   // Test architecture components
@@ -471,7 +725,7 @@ app.get("/api/health", (req, res) => {
     // Test DataAccessLayer
     const DataAccessLayer = require('./services/DataAccessLayer');
     const dataAccess = new DataAccessLayer();
-    const testData = dataAccess.loadData();
+    const testData = await dataAccess.loadData();
     architectureHealth.dataLayer = testData.length > 0 ? 'healthy' : 'no_data';
   } catch (error) {
     architectureHealth.dataLayer = 'error';
@@ -505,8 +759,7 @@ app.get("/api/health", (req, res) => {
     },
     database: {
       contacts: data.length,
-      lastModified: fs.existsSync(DB_FILE) ? fs.statSync(DB_FILE).mtime : null,
-      filePath: DB_FILE
+      ...storageInfo
     },
     whatsapp: {
       provider: process.env.WHATSAPP_PROVIDER,
@@ -519,10 +772,10 @@ app.get("/api/health", (req, res) => {
       nodeVersion: process.version
     }
   });
-});
+}));
 
 // Create contact
-app.post("/api/contacts", (req, res) => {
+app.post("/api/contacts", asyncRoute(async (req, res) => {
   const { name, age, neighborhood, whatsapp } = req.body || {};
   
   if (!name || !age || !neighborhood || !whatsapp) {
@@ -531,6 +784,9 @@ app.post("/api/contacts", (req, res) => {
     });
   }
 
+  const extra = customFields.validateValues(req.body.customFields);
+  if (extra.error) return res.status(400).json(extra);
+
   // Validate and format phone
   const formattedPhone = whatsappService.formatPhoneNumber(whatsapp);
   
@@ -540,10 +796,11 @@ app.post("/api/contacts", (req, res) => {
     });
   }
 
-  const data = readDB();
-  
+  const place = resolveNeighborhood(neighborhood);
+  if (place.error) return res.status(400).json(place);
+
   // Check for duplicates by phone
-  const existing = data.find(d => d.whatsapp === formattedPhone);
+  const existing = await trash.findActiveOne({ whatsapp: formattedPhone });
   if (existing) {
     return res.status(409).json({ 
       error: "Number already registered", 
@@ -552,89 +809,139 @@ app.post("/api/contacts", (req, res) => {
     });
   }
 
-  const id = Date.now();
-  const entry = {
+  const id = newContactId();
+  const entry = createContact({
     id,
     name: String(name).trim(),
     age: Number(age),
-    neighborhood: String(neighborhood).trim(),
+    neighborhood: place.neighborhood,
+    neighborhoodId: place.neighborhoodId,
     whatsapp: formattedPhone,
-    createdAt: new Date().toISOString(),
-    whatsappSentAt: null,
-    whatsappMessageId: null,
-    whatsappProvider: null,
-    whatsappStatus: null,
-    whatsappStatusUpdatedAt: null,
-    clickedAt: null,
-    survey: null
-  };
+    customFields: Object.keys(extra.values).length ? extra.values : null,
+    createdAt: new Date().toISOString()
+  });
 
-  data.push(entry);
-  writeDB(data);
+  await storage.insert(entry, changeContext(req, 'api:create'));
 
-  const surveyLink = `${getBaseUrl(req)}/survey.html?id=${id}`;
+  // Signed link to the survey residents answer by default, at its current round
+  const { survey, round } = surveys.resolveRound();
+  const link = surveyLink(req, entry, survey, round);
 
   return res.json({
     ...entry,
-    surveyLink,
+    surveyLink: link.url,
+    surveyLinkExpiresAt: link.expiresAt,
     _links: makeLinks(id)
   });
-});
+}));
 
 // List contacts with advanced filters
-app.get("/api/contacts", (req, res) => {
-  const { neighborhood, answered, sent, status, provider } = req.query;
-  let data = readDB();
-
-  // Apply filters
-  if (neighborhood) {
-    const q = String(neighborhood).toLowerCase();
-    data = data.filter(d => (d.neighborhood || "").toLowerCase().includes(q));
+// Filters: neighborhood=Centro&age[gte]=18&answered=false or filter=age>=60 and (satisfaction<=2 or issue=Saúde)
+// (see services/query/ContactFilter.js)
+// Listing options: sort=-createdAt,survey.satisfaction, fields=name,age, page=2&limit=50 or cursor=<nextCursor>
+app.get("/api/contacts", asyncRoute(async (req, res) => {
+  const listing = parseListQuery(req.query);
+  if (listing.error) {
+    return res.status(400).json({ error: listing.error });
   }
-  
-  if (answered === "true") data = data.filter(d => d.survey);
-  if (answered === "false") data = data.filter(d => !d.survey);
-  if (sent === "true") data = data.filter(d => d.whatsappSentAt);
-  if (sent === "false") data = data.filter(d => !d.whatsappSentAt);
-  if (status) data = data.filter(d => d.whatsappStatus === status);
-  if (provider) data = data.filter(d => d.whatsappProvider === provider);
+  const { filter, error } = filterFromQuery(req.query, { segments });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const data = (await trash.findActive()).filter(compileFilter(filter, { neighborhoods }));
+  const result = runListQuery(data, listing);
 
   // For compatibility with existing admin.html, return only array
   if (req.query.legacy === "true") {
-    return res.json(data);
+    return res.json(result.data);
   }
 
-  // Include statistics in response
+  // Statistics cover every matching contact, not just the returned page
   const stats = whatsappService.getStats(data);
 
   res.json({
-    data,
+    ...result,
     stats,
-    filters: req.query,
-    total: data.length
+    filters: req.query
   });
-});
+}));
+
+// Type-ahead search by part of a name, phone fragment, CEP or complemento (accents and small typos ignored)
+app.get("/api/contacts/search", asyncRoute(async (req, res) => {
+  const q = String(req.query.q ?? '').trim();
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT)) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}` });
+  }
+
+  await searchIndex.ready();
+  const data = searchIndex.search(q, { limit }).map(({ contact, score, matches }) => ({
+    id: contact.id,
+    name: contact.name,
+    neighborhood: contact.neighborhood,
+    whatsapp: contact.whatsapp,
+    cep: contact.survey?.cep || null,
+    complemento: contact.survey?.complemento || null,
+    score,
+    matches
+  }));
+
+  res.json({ query: q, data, total: data.length });
+}));
 
 // Get contact details
-app.get("/api/contacts/:id", (req, res) => {
-  const id = Number(req.params.id);
-  const data = readDB();
-  const user = data.find(u => u.id === id);
+app.get("/api/contacts/:id", asyncRoute(async (req, res) => {
+  const id = parseContactId(req.params.id);
+  const listing = parseListQuery({ fields: req.query.fields });
+  if (listing.error) {
+    return res.status(400).json({ error: listing.error });
+  }
+
+  const user = await trash.findActiveById(id);
   if (!user) return res.status(404).json({ error: "User not found" });
-  res.json({ ...user, _links: makeLinks(id) });
-});
+  res.set('ETag', contactEtag(user));
+  res.json({ ...project(user, listing.fields), _links: makeLinks(id) });
+}));
+
+// Audit trail for one contact (also available after the contact was deleted)
+app.get("/api/contacts/:id/history", requireAuth, asyncRoute(async (req, res) => {
+  if (!storage.journal) {
+    return res.status(503).json({ error: "Change journal is disabled (JOURNAL_ENABLED=false)" });
+  }
 
-// Update contact
-app.put("/api/contacts/:id", (req, res) => {
-  const id = Number(req.params.id);
-  const data = readDB();
-  const user = data.find(u => u.id === id);
+  const id = parseContactId(req.params.id);
+  const record = await storage.findById(id);
+  let entries = await storage.journal.getHistory(id);
+  // Changes made before the contact was given a ULID are journaled under its numeric id
+  if (record && record.legacyId !== null && record.legacyId !== undefined) {
+    entries = [...entries, ...(await storage.journal.getHistory(record.legacyId))].sort((a, b) => b.seq - a.seq);
+  }
+  if (!entries.length && !record) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  res.json({ contactId: id, total: entries.length, entries });
+}));
+
+// Update contact; requires If-Match with the ETag from GET so concurrent edits are not overwritten
+app.put("/api/contacts/:id", asyncRoute(async (req, res) => {
+  const id = parseContactId(req.params.id);
+  const user = await trash.findActiveById(id);
   
   if (!user) {
     return res.status(404).json({ error: "User not found" });
   }
 
-  const { name, age, neighborhood, whatsapp } = req.body || {};
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    return res.status(428).json({ error: "If-Match header is required (use the ETag from GET /api/contacts/:id)" });
+  }
+  if (!ifMatchSatisfied(ifMatch, user)) {
+    return sendEditConflict(res, user);
+  }
+
+  const { name, age, neighborhood, whatsapp, tags, customFields: extraValues } = req.body || {};
 
   // Validate required fields
   if (name !== undefined && (!name || name.trim().length === 0)) {
@@ -646,16 +953,21 @@ app.put("/api/contacts/:id", (req, res) => {
   }
 
   // Update fields if provided
+  const changes = {};
+
   if (name !== undefined) {
-    user.name = String(name).trim();
+    changes.name = String(name).trim();
   }
 
   if (age !== undefined) {
-    user.age = Number(age);
+    changes.age = Number(age);
   }
 
   if (neighborhood !== undefined) {
-    user.neighborhood = String(neighborhood).trim();
+    const place = resolveNeighborhood(neighborhood);
+    if (place.error) return res.status(400).json(place);
+    changes.neighborhood = place.neighborhood;
+    changes.neighborhoodId = place.neighborhoodId;
   }
 
   if (whatsapp !== undefined) {
@@ -669,8 +981,8 @@ app.put("/api/contacts/:id", (req, res) => {
     }
 
     // Check for duplicates by phone (excluding current user)
-    const existing = data.find(d => d.whatsapp === formattedPhone && d.id !== id);
-    if (existing) {
+    const existing = await trash.findActiveOne({ whatsapp: formattedPhone });
+    if (existing && existing.id !== id) {
       return res.status(409).json({ 
         error: "Number already registered", 
         existingContact: existing.name,
@@ -678,44 +990,436 @@ app.put("/api/contacts/:id", (req, res) => {
       });
     }
 
-    user.whatsapp = formattedPhone;
+    changes.whatsapp = formattedPhone;
+  }
+
+  if (tags !== undefined) {
+    const cleaned = cleanTags(tags);
+    if (cleaned.error) return res.status(400).json({ error: cleaned.error });
+    changes.tags = cleaned.tags;
+  }
+
+  // Only the custom fields sent change; the others keep their stored values. Values sent back
+  // unchanged are skipped, so a field removed or made required later never blocks an edit
+  if (extraValues !== undefined) {
+    const asStored = (value) => JSON.stringify(value === '' || value === undefined ? null : value);
+    const sent = extraValues && typeof extraValues === 'object' && !Array.isArray(extraValues)
+      ? Object.fromEntries(Object.entries(extraValues)
+        .filter(([fieldId, value]) => asStored(value) !== asStored(user.customFields?.[fieldId])))
+      : extraValues;
+    const extra = customFields.validateValues(sent, { partial: true });
+    if (extra.error) return res.status(400).json(extra);
+    changes.customFields = { ...(user.customFields || {}), ...extra.values };
   }
 
   // Update timestamp
-  user.updatedAt = new Date().toISOString();
+  changes.updatedAt = new Date().toISOString();
 
-  writeDB(data);
+  // The revision may still move while the checks above run; "*" accepts whatever is stored
+  const options = ifMatch.trim() === '*' ? {} : { expectedRevision: revisionOf(user) };
+  let updated;
+  try {
+    updated = await storage.update(id, changes, changeContext(req, 'api:update'), options);
+  } catch (error) {
+    if (error instanceof RevisionConflictError) return sendEditConflict(res, error.current);
+    throw error;
+  }
 
-  return res.json({ ...user, _links: makeLinks(id) });
-});
+  res.set('ETag', contactEtag(updated));
+  return res.json({ ...updated, _links: makeLinks(id) });
+}));
 
-// Delete contact
-app.delete("/api/contacts/:id", (req, res) => {
-  const id = Number(req.params.id);
-  const data = readDB();
-  const userIndex = data.findIndex(u => u.id === id);
+// Delete contact (soft: moves it to the trash, see /api/trash)
+app.delete("/api/contacts/:id", asyncRoute(async (req, res) => {
+  const id = parseContactId(req.params.id);
+  const deleted = await trash.softDelete(id, changeContext(req, 'api:delete'));
   
-  if (userIndex === -1) {
+  if (!deleted) {
     return res.status(404).json({ error: "User not found" });
   }
 
-  // Remove user from array
-  data.splice(userIndex, 1);
-  writeDB(data);
+  return res.status(200).json({
+    success: true,
+    message: "Contact moved to trash",
+    deletedAt: deleted.deletedAt,
+    purgeAt: deleted.purgeAt,
+    _links: {
+      restore: { href: `/api/trash/${id}/restore`, method: "POST" }
+    }
+  });
+}));
+
+// ==========================================
+// TRASH (soft-deleted contacts)
+// ==========================================
 
-  return res.status(200).json({ success: true, message: "Contact deleted successfully" });
-});
+app.get("/api/trash", requireAuth, asyncRoute(async (req, res) => {
+  const data = await trash.listDeleted();
+  res.json({ data, total: data.length, retentionDays: trash.retentionDays });
+}));
+
+app.post("/api/trash/:id/restore", requireAuth, asyncRoute(async (req, res) => {
+  const id = parseContactId(req.params.id);
+  const result = await trash.restore(id, changeContext(req, 'api:restore'));
+
+  if (!result) {
+    return res.status(404).json({ error: "Contact not found in trash" });
+  }
+  if (result.error) {
+    return res.status(409).json({
+      error: result.error,
+      existingContact: result.conflict.name,
+      existingId: result.conflict.id
+    });
+  }
+
+  res.json({ success: true, message: "Contact restored", contact: { ...result.record, _links: makeLinks(id) } });
+}));
+
+// Permanent deletion of a contact that is already in the trash
+app.delete("/api/trash/:id", requireAuth, asyncRoute(async (req, res) => {
+  const id = parseContactId(req.params.id);
+  const purged = await trash.purge(id, changeContext(req, 'api:purge'));
+
+  if (!purged) {
+    return res.status(404).json({ error: "Contact not found in trash" });
+  }
+  res.json({ success: true, message: "Contact permanently deleted" });
+}));
+
+// ==========================================
+// DUPLICATES (fuzzy detection and merge)
+// ==========================================
+
+// Candidate pairs, best matches first: ?minScore=0.6&limit=100
+app.get("/api/duplicates", requireAuth, asyncRoute(async (req, res) => {
+  const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) : duplicateFinder.minScore;
+  if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+    return res.status(400).json({ error: "minScore must be a number between 0 and 1" });
+  }
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || 100, 1000));
+
+  const pairs = duplicateFinder.findPairs(await trash.findActive(), { minScore });
+  res.json({ data: pairs.slice(0, limit), total: pairs.length, minScore });
+}));
+
+// Bulk operation: { ids | filter, operation, params, dryRun } -> per-contact report.
+// 409 when a selected contact changed meanwhile (nothing is applied then).
+app.post("/api/contacts/bulk", requireAuth, asyncRoute(async (req, res) => {
+  const { ids, filter, operation, params, dryRun = false } = req.body || {};
+  const report = await bulkOperations.run({
+    ids,
+    filter,
+    operation,
+    params,
+    dryRun: dryRun === true,
+    context: changeContext(req, 'api:bulk')
+  });
+
+  if (report.error) return res.status(400).json(report);
+  return res.status(report.conflict ? 409 : 200).json(report);
+}));
+
+// Merge a duplicate into :id (the survivor). Body: { duplicateId, fields: { name: 'duplicate', ... } }
+app.post("/api/contacts/:id/merge", requireAuth, asyncRoute(async (req, res) => {
+  const id = parseContactId(req.params.id);
+  const { duplicateId, fields } = req.body || {};
+  if (duplicateId === undefined || duplicateId === null || duplicateId === '') {
+    return res.status(400).json({ error: "duplicateId required" });
+  }
+
+  const result = await merger.merge(id, parseContactId(duplicateId), {
+    fields: fields && typeof fields === 'object' ? fields : {},
+    context: changeContext(req, 'api:merge')
+  });
+
+  if (!result) {
+    return res.status(404).json({ error: "User not found" });
+  }
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  if (result.conflict) {
+    return res.status(409).json(result.conflict);
+  }
+
+  console.log(`[Merge] Contact ${result.mergedId} merged into ${id}`);
+  res.json({
+    success: true,
+    message: "Contacts merged",
+    mergedId: result.mergedId,
+    discarded: result.discarded,
+    contact: { ...result.record, _links: makeLinks(id) }
+  });
+}));
+
+// ==========================================
+// NEIGHBORHOODS (canonical list with aliases and regions)
+// ==========================================
+
+// Public: the registration form suggests these names
+app.get("/api/neighborhoods", asyncRoute(async (req, res) => {
+  res.json({ data: neighborhoods.list(), regions: neighborhoods.regions(), strict: neighborhoods.strict });
+}));
+
+// Body: { name, aliases: [...] | "a, b", region }
+app.post("/api/neighborhoods", requireAuth, asyncRoute(async (req, res) => {
+  const result = neighborhoods.create(req.body || {});
+  if (result.error) {
+    return res.status(result.conflict ? 409 : 400).json(result);
+  }
+  res.status(201).json(result.entry);
+}));
+
+app.put("/api/neighborhoods/:id", requireAuth, asyncRoute(async (req, res) => {
+  const result = neighborhoods.update(req.params.id, req.body || {});
+  if (!result) {
+    return res.status(404).json({ error: "Neighborhood not found" });
+  }
+  if (result.error) {
+    return res.status(result.conflict ? 409 : 400).json(result);
+  }
+  res.json(result.entry);
+}));
+
+// Refused while contacts (trashed ones included) still point at the entry
+app.delete("/api/neighborhoods/:id", requireAuth, asyncRoute(async (req, res) => {
+  if (!neighborhoods.get(req.params.id)) {
+    return res.status(404).json({ error: "Neighborhood not found" });
+  }
+  const inUse = await storage.find({ neighborhoodId: req.params.id });
+  if (inUse.length) {
+    return res.status(409).json({ error: "Neighborhood is used by contacts", contacts: inUse.length });
+  }
+  neighborhoods.remove(req.params.id);
+  res.json({ success: true, message: "Neighborhood removed" });
+}));
+
+// Remap stored contacts onto the list: ?dryRun=false to write, &seed=true to register unmatched values first.
+// 409 when a contact to remap changed meanwhile (nothing is applied then).
+app.post("/api/neighborhoods/normalize", requireAuth, asyncRoute(async (req, res) => {
+  const dryRun = String(req.query.dryRun ?? 'true').toLowerCase() !== 'false';
+  const seed = String(req.query.seed ?? 'false').toLowerCase() === 'true';
+
+  const report = await neighborhoodNormalizer.run({ dryRun, seed, context: changeContext(req, 'normalize') });
+  if (report.conflict) return res.status(409).json(report);
+  if (!dryRun) {
+    console.log(`[Neighborhoods] ${report.changed} contact(s) normalized, ${report.seeded.length} entr${report.seeded.length === 1 ? 'y' : 'ies'} added`);
+  }
+  res.json(report);
+}));
+
+// ==========================================
+// TAGS AND SAVED SEGMENTS
+// ==========================================
+
+// Tags in use on active contacts, most used first (suggestions for the admin filters)
+app.get("/api/tags", requireAuth, asyncRoute(async (req, res) => {
+  res.json({ data: countTags(await trash.findActive()) });
+}));
+
+// Each segment with how many active contacts it matches right now
+app.get("/api/segments", requireAuth, asyncRoute(async (req, res) => {
+  const active = await trash.findActive();
+  const data = segments.list().map(entry => {
+    const parsed = segments.filterOf(entry.id);
+    if (parsed.error) return { ...entry, count: null, error: parsed.error };
+    return { ...entry, count: active.filter(compileFilter(parsed.filter, { neighborhoods })).length };
+  });
+  res.json({ data });
+}));
+
+// Body: { name, description, filter } with filter in the language of GET /api/contacts
+app.post("/api/segments", requireAuth, asyncRoute(async (req, res) => {
+  const result = segments.create(req.body || {});
+  if (result.error) {
+    return res.status(result.conflict ? 409 : 400).json(result);
+  }
+  res.status(201).json(result.entry);
+}));
+
+app.put("/api/segments/:id", requireAuth, asyncRoute(async (req, res) => {
+  const result = segments.update(req.params.id, req.body || {});
+  if (!result) {
+    return res.status(404).json({ error: "Segment not found" });
+  }
+  if (result.error) {
+    return res.status(result.conflict ? 409 : 400).json(result);
+  }
+  res.json(result.entry);
+}));
+
+// Refused while another segment's filter refers to it
+app.delete("/api/segments/:id", requireAuth, asyncRoute(async (req, res) => {
+  const result = segments.remove(req.params.id);
+  if (!result) {
+    return res.status(404).json({ error: "Segment not found" });
+  }
+  if (result.error) {
+    return res.status(409).json(result);
+  }
+  res.json({ success: true, message: "Segment removed" });
+}));
+
+// ==========================================
+// CUSTOM FIELDS (extra typed contact fields defined by admins)
+// ==========================================
+
+// Public: the registration form renders these fields
+app.get("/api/custom-fields", asyncRoute(async (req, res) => {
+  res.json({ data: customFields.list() });
+}));
+
+// Body: { label, type: text|number|select|date|boolean, required, options, min, max, maxLength }
+app.post("/api/custom-fields", requireAuth, asyncRoute(async (req, res) => {
+  const result = customFields.create(req.body || {});
+  if (result.error) {
+    return res.status(result.conflict ? 409 : 400).json(result);
+  }
+  res.status(201).json(result.entry);
+}));
+
+app.put("/api/custom-fields/:id", requireAuth, asyncRoute(async (req, res) => {
+  const result = customFields.update(req.params.id, req.body || {});
+  if (!result) {
+    return res.status(404).json({ error: "Custom field not found" });
+  }
+  if (result.error) {
+    return res.status(result.conflict ? 409 : 400).json(result);
+  }
+  res.json(result.entry);
+}));
+
+// Values already stored on contacts are kept (the export still lists them), just no longer asked for or shown
+app.delete("/api/custom-fields/:id", requireAuth, asyncRoute(async (req, res) => {
+  if (!customFields.remove(req.params.id)) {
+    return res.status(404).json({ error: "Custom field not found" });
+  }
+  res.json({ success: true, message: "Custom field removed" });
+}));
+
+// ==========================================
+// SURVEYS (question definitions; the first one is what residents answer)
+// ==========================================
+
+app.get("/api/surveys", requireAuth, asyncRoute(async (req, res) => {
+  res.json({ data: surveys.list(), defaultId: surveys.getDefault().id });
+}));
+
+// publicUrl: the link anyone can answer an open survey through (null while it is not open)
+app.get("/api/surveys/:id", requireAuth, asyncRoute(async (req, res) => {
+  const survey = surveys.get(req.params.id);
+  if (!survey) {
+    return res.status(404).json({ error: "Survey not found" });
+  }
+  res.json({ ...survey, publicUrl: publicSurveyLink(req, survey) });
+}));
+
+// Body: { title, description, open, questions: [{ id, type: single|multi|scale|text|cep, label, required, options, showIf, ... }] }
+// showIf: [{ question: <earlier choice question id>, in | notIn: [options] }] asks the question only when they all hold
+// open: true lets anyone answer through the public link (publicUrl), without an invitation
+app.post("/api/surveys", requireAuth, asyncRoute(async (req, res) => {
+  const result = surveys.create(req.body || {});
+  if (result.error) {
+    return res.status(result.conflict ? 409 : 400).json(result);
+  }
+  res.status(201).json({ ...result.entry, publicUrl: publicSurveyLink(req, result.entry) });
+}));
+
+// Questions keep their type once created, so answers already stored keep their meaning
+app.put("/api/surveys/:id", requireAuth, asyncRoute(async (req, res) => {
+  const result = surveys.update(req.params.id, req.body || {});
+  if (!result) {
+    return res.status(404).json({ error: "Survey not found" });
+  }
+  if (result.error) {
+    return res.status(result.conflict ? 409 : 400).json(result);
+  }
+  res.json({ ...result.entry, publicUrl: publicSurveyLink(req, result.entry) });
+}));
+
+// Start a new wave of the survey (e.g. the same questions six months later); body: { label }
+// Sends and answers go to it from now on; answers of earlier rounds stay for comparison
+app.post("/api/surveys/:id/rounds", requireAuth, asyncRoute(async (req, res) => {
+  const result = surveys.openRound(req.params.id, req.body || {});
+  if (!result) {
+    return res.status(404).json({ error: "Survey not found" });
+  }
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  res.status(201).json(result.round);
+}));
+
+app.delete("/api/surveys/:id", requireAuth, asyncRoute(async (req, res) => {
+  const result = surveys.remove(req.params.id);
+  if (!result) {
+    return res.status(404).json({ error: "Survey not found" });
+  }
+  if (result.error) {
+    return res.status(409).json(result);
+  }
+  res.json({ success: true, message: "Survey removed" });
+}));
+
+// ==========================================
+// IMPORT (CSV/XLSX spreadsheets)
+// ==========================================
+
+// The file is the raw request body; options go in the query string:
+// ?format=csv|xlsx&filename=...&dryRun=false&mapping[whatsapp]=Telefone
+// Without dryRun=false nothing is written and only the report is returned.
+app.post("/api/contacts/import", requireAuth, express.raw({ type: () => true, limit: '5mb' }), asyncRoute(async (req, res) => {
+  const buffer = Buffer.isBuffer(req.body) ? req.body : null;
+  if (!buffer || buffer.length === 0) {
+    return res.status(400).json({ error: "Empty file. Send the CSV or XLSX file as the request body" });
+  }
+
+  const dryRun = String(req.query.dryRun ?? 'true').toLowerCase() !== 'false';
+  const mapping = req.query.mapping && typeof req.query.mapping === 'object' ? req.query.mapping : {};
+
+  const report = await importer.import(buffer, {
+    format: req.query.format || null,
+    filename: req.query.filename || '',
+    mapping,
+    dryRun,
+    context: changeContext(req, 'import')
+  });
+
+  if (report.error) {
+    return res.status(400).json({ error: report.error });
+  }
+
+  if (!dryRun) {
+    console.log(`[Import] ${report.imported} contact(s) imported from ${req.query.filename || report.format}`);
+  }
+  res.json(report);
+}));
 
 // Send WhatsApp - Enhanced with better error handling
-app.post("/api/contacts/:id/whatsapp", async (req, res) => {
-  const id = Number(req.params.id);
-  const data = readDB();
-  const user = data.find(u => u.id === id);
+// Body (optional): { survey, round } - defaults to the survey residents answer and its current round
+app.post("/api/contacts/:id/whatsapp", asyncRoute(async (req, res) => {
+  const id = parseContactId(req.params.id);
+  const user = await trash.findActiveById(id);
   
   if (!user) {
     return res.status(404).json({ error: "User not found" });
   }
 
+  const target = resolveSurveyRoundOr4xx(res, req.body?.survey, req.body?.round);
+  if (!target) return;
+  const { survey, round } = target;
+
+  const answered = findRound(user, survey.id, round.number);
+  if (answered?.answeredAt) {
+    return res.status(409).json({
+      error: "Survey round already answered",
+      survey: survey.id,
+      round: round.number,
+      answeredAt: answered.answeredAt
+    });
+  }
+
   // Check if already sent recently (basic rate limiting)
   if (user.whatsappSentAt) {
     const lastSent = new Date(user.whatsappSentAt);
@@ -731,32 +1435,26 @@ app.post("/api/contacts/:id/whatsapp", async (req, res) => {
     }
   }
 
-  const surveyLink = `${getBaseUrl(req)}/survey.html?id=${user.id}`;
+  const { url: link } = surveyLink(req, user, survey, round);
   const message = `Olá ${user.name}! 🎉
 
 Obrigado por participar do Bingo do Bem!
 
 Sua opinião é muito importante para nós. Por favor, responda nossa pesquisa rápida:
 
-${surveyLink}
+${link}
 
 Leva menos de 1 minuto! ⏱️`;
 
   try {
     // Send via WhatsApp Service
     const templateData = (process.env.WHATSAPP_MODE || '').toLowerCase() === 'real'
-      ? whatsappService.createSurveyTemplate(user.name, surveyLink)
+      ? whatsappService.createSurveyTemplate(user.name, link)
       : null;
     const result = await whatsappService.sendMessage(user.whatsapp, message, templateData);
     
     // Save send information
-    user.whatsappSentAt = new Date().toISOString();
-    user.whatsappMessageId = result.messageId;
-    user.whatsappProvider = result.provider;
-    user.whatsappStatus = result.status;
-    user.whatsappStatusUpdatedAt = new Date().toISOString();
-    
-    writeDB(data);
+    await storage.updateWith(user.id, current => sendChanges(current, survey, round, result), changeContext(req, 'api:whatsapp'));
 
     console.log(`[WhatsApp] Sent to ${user.name} (${user.whatsapp}) - ID: ${result.messageId}`);
 
@@ -767,6 +1465,8 @@ Leva menos de 1 minuto! ⏱️`;
       messageId: result.messageId,
       status: result.status,
       provider: result.provider,
+      survey: survey.id,
+      round: round.number,
       _links: makeLinks(user.id)
     });
 
@@ -774,9 +1474,10 @@ Leva menos de 1 minuto! ⏱️`;
     console.error(`[WhatsApp] Error sending to ${user.name}:`, error.message);
     
     // Save failed attempt
-    user.whatsappLastError = error.message;
-    user.whatsappLastErrorAt = new Date().toISOString();
-    writeDB(data);
+    await storage.update(user.id, {
+      whatsappLastError: error.message,
+      whatsappLastErrorAt: new Date().toISOString()
+    }, changeContext(req, 'api:whatsapp'));
 
     return res.status(500).json({ 
       success: false,
@@ -785,113 +1486,366 @@ Leva menos de 1 minuto! ⏱️`;
       provider: process.env.WHATSAPP_PROVIDER
     });
   }
-});
+}));
 
 // Mark as sent manually (used when opening WhatsApp in browser)
-app.post("/api/contacts/:id/mark-sent", (req, res) => {
-  const id = Number(req.params.id);
-  const data = readDB();
-  const user = data.find(u => u.id === id);
+// Body (optional): { survey, round }, as in POST /api/contacts/:id/whatsapp
+app.post("/api/contacts/:id/mark-sent", asyncRoute(async (req, res) => {
+  const id = parseContactId(req.params.id);
+  const user = await trash.findActiveById(id);
   if (!user) return res.status(404).json({ error: "User not found" });
 
-  user.whatsappSentAt = new Date().toISOString();
-  user.whatsappProvider = 'manual';
-  user.whatsappStatus = 'sent';
-  user.whatsappStatusUpdatedAt = new Date().toISOString();
-  writeDB(data);
+  const target = resolveSurveyRoundOr4xx(res, req.body?.survey, req.body?.round);
+  if (!target) return;
+  const { survey, round } = target;
 
-  return res.json({ success: true, id: user.id, provider: 'manual', status: 'sent' });
-});
+  const now = new Date().toISOString();
+  await storage.updateWith(user.id, current => ({
+    whatsappSentAt: now,
+    whatsappProvider: 'manual',
+    whatsappStatus: 'sent',
+    whatsappStatusUpdatedAt: now,
+    surveyRounds: withRound(current, survey.id, round.number, { sentAt: now, provider: 'manual', status: 'sent', statusUpdatedAt: now })
+  }), changeContext(req, 'api:mark-sent'));
+
+  return res.json({ success: true, id: user.id, provider: 'manual', status: 'sent', survey: survey.id, round: round.number });
+}));
 
 // Track click
-app.post("/api/contacts/:id/click", (req, res) => {
-  const id = Number(req.params.id);
-  const data = readDB();
-  const user = data.find(u => u.id === id);
-  if (!user) return res.status(404).json({ error: "User not found" });
+// :id is the link's token (or, in older links, the contact id with an optional body { survey, round })
+app.post("/api/contacts/:id/click", asyncRoute(async (req, res) => {
+  const target = await resolveSurveyLink(req.params.id, req.body?.survey, req.body?.round);
+  if (target.error) return sendLinkError(res, target);
 
-  // Only register the first click
-  if (!user.clickedAt) {
-    user.clickedAt = new Date().toISOString();
-    writeDB(data);
-    console.log(`[Click] ${user.name} opened the survey link`);
-  }
+  // Only register the first click, on the contact and on the round
+  const { clickedAt, isFirstClick } = await recordClick(req, target, 'api:click');
 
   res.json({ 
     message: "Click recorded", 
-    clickedAt: user.clickedAt,
-    isFirstClick: user.clickedAt === new Date().toISOString()
+    clickedAt,
+    isFirstClick,
+    survey: target.survey.id,
+    round: target.round.number
   });
-});
-
-// Receive survey
-app.post("/api/survey", (req, res) => {
-  const { id, issue, satisfaction, participate, otherIssue, cep, complemento } = req.body || {};
-  if (!id) return res.status(400).json({ error: "id required" });
+}));
 
-  const data = readDB();
-  const user = data.find(u => u.id === Number(id));
+// Signed link to a contact's survey, e.g. to copy from the admin page; body (optional): { survey, round }
+app.post("/api/contacts/:id/survey-link", requireAuth, asyncRoute(async (req, res) => {
+  const user = await trash.findActiveById(parseContactId(req.params.id));
   if (!user) return res.status(404).json({ error: "User not found" });
 
-  if (!cep) {
-    return res.status(400).json({ error: "cep required" });
-  }
+  const target = resolveSurveyRoundOr4xx(res, req.body?.survey, req.body?.round);
+  if (!target) return;
 
-  const sanitizedCep = String(cep).replace(/\D/g, "");
-  if (sanitizedCep.length !== 8) {
-    return res.status(400).json({ error: "Invalid CEP format" });
+  res.status(201).json({ ...surveyLink(req, user, target.survey, target.round), survey: target.survey.id, round: target.round.number });
+}));
+
+// Public: address of a CEP for survey.html (local dataset, then ViaCEP, through the cache)
+// 404 when the CEP does not exist, 503 when no provider could be reached, 429 past the per-IP limit
+app.get("/api/cep/:cep", asyncRoute(async (req, res) => {
+  const limit = cepLookupLimiter.hit(req.ip);
+  if (!limit.allowed) {
+    res.set("Retry-After", String(limit.retryAfter));
+    return res.status(429).json({ error: "Too many CEP lookups from this connection; try again later", retryAfter: limit.retryAfter });
   }
 
-  const formattedCep = `${sanitizedCep.slice(0, 5)}-${sanitizedCep.slice(5)}`;
-  const complementoValue = typeof complemento === "string" ? complemento.trim() : "";
+  const result = await cepService.lookup(req.params.cep);
+  if (result.error) return res.status(400).json({ error: result.error });
+  if (!result.found) {
+    return result.unavailable
+      ? res.status(503).json({ error: "CEP lookup unavailable", cep: result.cep })
+      : res.status(404).json({ error: "CEP not found", cep: result.cep });
+  }
+  res.json({ ...result.address, source: result.source });
+}));
 
-  // Avoid duplicate responses
-  if (user.survey) {
-    return res.status(409).json({ 
-      error: "Survey already answered", 
-      answeredAt: user.survey.answeredAt 
-    });
+// Public: survey.html renders its questions from this definition
+// ?token=<link token> gives the survey and round of the link (and fails when the link does not work);
+// otherwise ?survey=<id> picks another survey than the one residents get by default, at its current round
+app.get("/api/survey/definition", asyncRoute(async (req, res) => {
+  let target;
+  if (req.query.token) {
+    target = await resolveSurveyLink(String(req.query.token));
+    if (target.error) return sendLinkError(res, target);
+  } else {
+    target = resolveSurveyRoundOr4xx(res, req.query.survey, req.query.round);
+    if (!target) return;
   }
+  const { id, title, description, questions } = target.survey;
+  res.json({ id, title, description, questions, round: { number: target.round.number, label: target.round.label } });
+}));
 
-  const trimmedOtherIssue = typeof otherIssue === "string" ? otherIssue.trim() : "";
-  const resolvedIssue = issue === "Outros" ? (trimmedOtherIssue || "Outros") : issue;
-  const resolvedOtherIssue = issue === "Outros" ? (trimmedOtherIssue || null) : null;
+// Receive survey
+// Body: { token, <question id>: answer, ... } as in GET /api/survey/definition (multi answers as arrays,
+// "other" texts under the question's otherId, complemento next to the CEP); the token names the contact,
+// survey and round. Links sent before tokens post { id, survey, round } instead: without survey the
+// default one is answered; without round, the round the resident was last invited to (else the current one)
+app.post("/api/survey", asyncRoute(async (req, res) => {
+  const { token, id } = req.body || {};
+  if (!token && !id) return res.status(400).json({ error: "token required" });
+
+  const target = await resolveSurveyLink(token || id, token ? null : req.body.survey, token ? null : req.body.round);
+  if (target.error) return sendLinkError(res, target);
+  const { user, survey: definition, round } = target;
+
+  const result = validateAnswers(definition, req.body);
+  if (result.error) {
+    return res.status(400).json({ error: result.error, field: result.field });
+  }
 
-  user.survey = {
-    cep: formattedCep,
-    complemento: complementoValue ? complementoValue : null,
-    issue: resolvedIssue,
-    otherIssue: resolvedOtherIssue,
-    satisfaction,
-    participate,
-    answeredAt: new Date().toISOString()
-  };
+  // Avoid duplicate responses (one per survey round)
+  const existing = findRound(user, definition.id, round.number);
+  if (existing?.answeredAt) {
+    return sendAlreadyAnswered(res, existing, definition, round);
+  }
 
-  writeDB(data);
-  console.log(`[Survey] ${user.name} answered the survey`);
+  const address = await withCepAddress(definition, result.answers, user);
+  if (address.error) {
+    return res.status(400).json(address);
+  }
+  const { answers } = address;
+
+  // Checked again on the stored contact, in the same conditional write, so two posts racing for
+  // the same round cannot both be saved
+  let answeredAt = null;
+  let answered = null;
+  const saved = await storage.updateWith(user.id, current => {
+    answered = findRound(current, definition.id, round.number);
+    if (answered?.answeredAt) return null;
+    const written = answerChanges(current, definition, round, answers);
+    answeredAt = written.answeredAt;
+    return written.changes;
+  }, changeContext(req, 'survey'));
+  if (!saved) return res.status(404).json({ error: "User not found" });
+  if (!saved.changes) {
+    return sendAlreadyAnswered(res, answered, definition, round);
+  }
+  console.log(`[Survey] ${user.name} answered ${definition.id} (round ${round.number})`);
 
   res.json({ 
     message: "Survey saved", 
-    survey: user.survey 
+    survey: { ...answers, answeredAt },
+    surveyId: definition.id,
+    round: round.number
   });
-});
+}));
+
+// Answers in progress, saved by survey.html while the resident types so the survey can be resumed
+// Body: as POST /api/survey with whatever is answered so far; answers that do not check out are left out.
+// The question the resident stopped at is kept with them for the drop-off analysis
+app.put("/api/survey/draft", asyncRoute(async (req, res) => {
+  const { token, id } = req.body || {};
+  if (!token && !id) return res.status(400).json({ error: "token required" });
+
+  const target = await resolveSurveyLink(token || id, token ? null : req.body.survey, token ? null : req.body.round);
+  if (target.error) return sendLinkError(res, target);
+  const { user, survey: definition, round } = target;
+
+  const { answers, answered, stoppedAt } = draftAnswers(definition, req.body);
+  const saved = { answered: answered.length, stoppedAt, survey: definition.id, round: round.number };
+
+  // Read and written as one conditional update: an autosave arriving after the answers were
+  // posted must not put the round back to partial
+  let entry = null;
+  let savedAt = null;
+  const written = await storage.updateWith(user.id, current => {
+    entry = findRound(current, definition.id, round.number);
+    if (entry?.answeredAt) return null;
+
+    const previous = entry?.draft || null;
+    savedAt = previous?.savedAt ?? null;
+    // Nothing answered yet, or the same answers again: nothing to write
+    if (previous ? JSON.stringify(previous.answers) === JSON.stringify(answers) : !answered.length) return null;
+
+    savedAt = new Date().toISOString();
+    const draft = { answers, answered, stoppedAt, startedAt: previous?.startedAt || savedAt, savedAt };
+    return { surveyRounds: withRound(current, definition.id, round.number, { draft }) };
+  }, changeContext(req, 'survey-draft'));
+
+  if (!written) return res.status(404).json({ error: "User not found" });
+  if (entry?.answeredAt) {
+    return sendAlreadyAnswered(res, entry, definition, round);
+  }
+  res.json({ savedAt, ...saved });
+}));
+
+// Answers saved for a survey link, for survey.html to fill the form again. Only signed links read them
+// back: links with a raw contact id can still save, but anyone could type another resident's id
+app.get("/api/survey/draft", asyncRoute(async (req, res) => {
+  if (!req.query.token) return res.status(400).json({ error: "token required" });
+
+  const target = await resolveSurveyLink(String(req.query.token));
+  if (target.error) return sendLinkError(res, target);
+
+  const draft = findRound(target.user, target.survey.id, target.round.number)?.draft || null;
+  res.json({
+    draft: draft && { answers: draft.answers, stoppedAt: draft.stoppedAt, savedAt: draft.savedAt },
+    survey: target.survey.id,
+    round: target.round.number
+  });
+}));
+
+// ==========================================
+// OPEN SURVEYS (answered through a public link, without an invitation)
+// ==========================================
+
+// Contacts created from public answers carry this tag, and a placeholder name when none was given
+const OPEN_SURVEY_TAG = "pesquisa aberta";
+const OPEN_SURVEY_NAME = "Participante da pesquisa aberta";
+const MAX_OPEN_NAME_LENGTH = 120;
+
+// Survey named in a public link, or null unless admins opened it to the public (PUT /api/surveys/:id { open: true })
+function openSurveyOf(id) {
+  const survey = surveys.get(String(id));
+  return survey && survey.open ? survey : null;
+}
+
+// Public: what survey.html renders for /survey.html?open=<survey id>; answers go to the current round
+app.get("/api/survey/open/:surveyId", asyncRoute(async (req, res) => {
+  const survey = openSurveyOf(req.params.surveyId);
+  if (!survey) return res.status(404).json({ error: "Survey not found" });
+
+  const round = surveys.currentRound(survey.id);
+  const { id, title, description, questions } = survey;
+  res.json({ id, title, description, questions, round: { number: round.number, label: round.label } });
+}));
+
+// Public: answer an open survey without an invitation
+// Body: the answers as in POST /api/survey, plus optional whatsapp and name, and device (an id survey.html keeps
+// on the device). Each IP may send OPEN_SURVEY_RATE_LIMIT answers per window (429 after that). Answers already
+// given to the round from the same device, or the same answers again from the same IP within
+// OPEN_SURVEY_DUPLICATE_WINDOW_MINUTES, are refused (409, reason device|ip). A WhatsApp number that already
+// answered the round (here or through its invitation) gets the usual reply, but the repeat is not stored.
+// With a new WhatsApp number the answers go to a contact created for it, with channel 'open'; without one, or
+// with the number of a registered resident (unverified), they are kept in OPEN_RESPONSES_FILE and only count
+// in the round analyses as anonymous answers
+app.post("/api/survey/open/:surveyId", asyncRoute(async (req, res) => {
+  const definition = openSurveyOf(req.params.surveyId);
+  if (!definition) return res.status(404).json({ error: "Survey not found" });
+
+  const limit = submissionLimiter.hit(req.ip);
+  if (!limit.allowed) {
+    res.set("Retry-After", String(limit.retryAfter));
+    return res.status(429).json({ error: "Too many answers from this connection; try again later", retryAfter: limit.retryAfter });
+  }
 
-// Short link redirect: /l/:id -> /survey.html?id=:id (records click)
-app.get('/l/:id', (req, res) => {
-  const id = Number(req.params.id);
-  const data = readDB();
-  const user = data.find(u => u.id === id);
-  if (!user) return res.status(404).send('Link inválido');
+  const body = req.body || {};
+  const result = validateAnswers(definition, body);
+  if (result.error) {
+    return res.status(400).json({ error: result.error, field: result.field });
+  }
+
+  const rawPhone = String(body.whatsapp ?? "").trim();
+  const phone = rawPhone ? whatsappService.formatPhoneNumber(rawPhone) : null;
+  if (phone && !whatsappService.validateBrazilianPhone(phone)) {
+    return res.status(400).json({ error: "Invalid WhatsApp number. Use Brazilian format (11999999999)", field: "whatsapp" });
+  }
+  const name = String(body.name ?? "").replace(/\s+/g, " ").trim();
+  if (name.length > MAX_OPEN_NAME_LENGTH) {
+    return res.status(400).json({ error: `Names are at most ${MAX_OPEN_NAME_LENGTH} characters`, field: "name" });
+  }
+  const device = typeof body.device === "string" ? body.device.slice(0, 200) : null;
 
-  if (!user.clickedAt) {
-    user.clickedAt = new Date().toISOString();
-    writeDB(data);
-    console.log(`[Click] ${user.name} opened the short link`);
+  const round = surveys.currentRound(definition.id);
+
+  // Typing a number proves nothing about owning it: answers given with the number of a registered
+  // resident are kept as unverified open answers, never written into that resident's record
+  const existing = phone ? await trash.findActiveOne({ whatsapp: phone }) : null;
+  const address = await withCepAddress(definition, result.answers, {});
+  if (address.error) {
+    return res.status(400).json(address);
+  }
+  const { answers } = address;
+
+  // Nothing is awaited between the duplicate checks and openResponses.record() below, so two answers sent
+  // at once with the same number cannot both get through
+  const duplicate = openResponses.findDuplicate({ surveyId: definition.id, round: round.number, phone, device, ip: req.ip, answers });
+  if (duplicate && duplicate.reason !== "phone") {
+    return res.status(409).json({
+      error: "Survey already answered",
+      reason: duplicate.reason,
+      answeredAt: duplicate.answeredAt,
+      survey: definition.id,
+      round: round.number
+    });
+  }
+
+  // Whether the number was already registered (or had answered) is not told, so the form cannot be used to look numbers up
+  const saved = answeredAt => res.json({
+    message: "Survey saved",
+    survey: { ...answers, answeredAt },
+    surveyId: definition.id,
+    round: round.number
+  });
+  if (duplicate || (existing && findRound(existing, definition.id, round.number)?.answeredAt)) {
+    console.log(`[Survey] Repeated public answer to ${definition.id} (round ${round.number}) from a number that already answered, not stored`);
+    return saved(new Date().toISOString());
+  }
+
+  let contact = null;
+  let answeredAt = new Date().toISOString();
+  if (phone && !existing) {
+    // The neighborhood comes from the CEP, when there is one
+    const place = answers.bairro ? resolveNeighborhood(answers.bairro) : null;
+    contact = createContact({
+      id: newContactId(),
+      name: name || OPEN_SURVEY_NAME,
+      neighborhood: place && !place.error ? place.neighborhood : null,
+      neighborhoodId: place && !place.error ? place.neighborhoodId : null,
+      whatsapp: phone,
+      tags: [OPEN_SURVEY_TAG],
+      createdAt: new Date().toISOString()
+    });
+    const written = answerChanges(contact, definition, round, answers, "open");
+    contact = { ...contact, ...written.changes };
+    ({ answeredAt } = written);
+  }
+
+  const response = openResponses.record({
+    surveyId: definition.id,
+    round: round.number,
+    answers,
+    answeredAt,
+    contactId: contact ? contact.id : null,
+    createdContact: Boolean(contact),
+    claimedContactId: existing ? existing.id : null,
+    phone,
+    device,
+    ip: req.ip
+  });
+  if (contact) {
+    try {
+      await storage.insert(contact, changeContext(req, "survey-open"));
+    } catch (error) {
+      openResponses.remove(response.id);
+      throw error;
+    }
   }
+  console.log(`[Survey] Public answer to ${definition.id} (round ${round.number})${contact ? "" : existing ? ", unverified number" : ", anonymous"}`);
+
+  saved(answeredAt);
+}));
+
+// Short link redirect: /l/:token -> /survey.html?t=:token (records click)
+// Older links carry a contact id: during the grace period they redirect to the contact's current id
+// (merged contacts and ULIDs included) with the survey and round of its latest invitation
+const LINK_ERROR_PAGES = {
+  expired: 'Este link de pesquisa expirou.',
+  used: 'Esta pesquisa já foi respondida.',
+  id_link: 'Este link de pesquisa não é mais válido.'
+};
+
+app.get('/l/:token', asyncRoute(async (req, res) => {
+  const raw = req.params.token;
+  const target = await resolveSurveyLink(raw);
+  if (target.error) return res.status(target.status).send(LINK_ERROR_PAGES[target.reason] || 'Link inválido');
+
+  await recordClick(req, target, 'short-link');
 
   // Redirect to the full survey URL (keeps compatibility)
-  res.redirect(302, `/survey.html?id=${id}`);
-});
+  if (target.link) return res.redirect(302, `/survey.html?t=${raw}`);
+  res.redirect(302, `/survey.html?id=${target.user.id}&survey=${encodeURIComponent(target.survey.id)}&round=${target.round.number}`);
+}));
 
 // --- WEBHOOKS ---
 
@@ -937,15 +1891,15 @@ app.post('/webhooks/meta', (req, res) => {
           const statuses = change.value.statuses || [];
           statuses.forEach(status => {
             const processedStatus = whatsappService.processMetaStatus(status);
-            const updated = updateMessageStatus(
+            updateMessageStatus(
               processedStatus.messageId, 
               processedStatus.status, 
               'meta'
-            );
-            
-            if (updated) {
-              console.log(`[Meta Status] ${processedStatus.messageId}: ${processedStatus.status}`);
-            }
+            ).then(updated => {
+              if (updated) {
+                console.log(`[Meta Status] ${processedStatus.messageId}: ${processedStatus.status}`);
+              }
+            });
           });
 
           // Process received messages (optional)
@@ -965,11 +1919,11 @@ app.post('/webhooks/meta', (req, res) => {
 });
 
 // Twilio Webhook
-app.post('/webhooks/twilio', express.urlencoded({ extended: true }), (req, res) => {
+app.post('/webhooks/twilio', express.urlencoded({ extended: true }), asyncRoute(async (req, res) => {
   console.log('[Twilio Webhook] Received:', req.body);
   
   const processedStatus = whatsappService.processTwilioStatus(req.body);
-  const updated = updateMessageStatus(
+  const updated = await updateMessageStatus(
     processedStatus.messageId, 
     processedStatus.status, 
     'twilio'
@@ -980,12 +1934,35 @@ app.post('/webhooks/twilio', express.urlencoded({ extended: true }), (req, res)
   }
 
   res.status(200).send('OK');
-});
+}));
 
-// Enhanced CSV export with architecture metadata
-app.get("/api/export", (req, res) => {
-  const data = readDB();
-  const flattenedRows = data.map(flattenRecord);
+// Enhanced CSV export with architecture metadata; takes the same filters as GET /api/contacts
+app.get("/api/export", asyncRoute(async (req, res) => {
+  const { filter, error } = filterFromQuery(req.query, { segments });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // ?survey=<id>&round=<n>: the survey_* columns hold that round's answers instead of the latest ones
+  // of the default survey (rounds are exported one at a time rather than as surveyRounds_<n>_* columns)
+  let exported = null;
+  if (req.query.survey || req.query.round) {
+    exported = resolveSurveyRoundOr4xx(res, req.query.survey, req.query.round);
+    if (!exported) return;
+  }
+
+  const data = (await trash.findActive()).filter(compileFilter(filter, { neighborhoods }));
+  const flattenedRows = data.map(record => {
+    // Old records get the current shape so every row has the same columns
+    const { schemaVersion, surveyRounds, ...fields } = upgradeContact(record);
+    if (exported) {
+      const entry = findRound(record, exported.survey.id, exported.round.number);
+      fields.survey = entry?.answeredAt ? { ...entry.answers, answeredAt: entry.answeredAt, channel: entry.channel } : null;
+    }
+    // survey_channel tells invited answers from those sent through the public link
+    if (fields.survey) fields.survey = { ...fields.survey, channel: channelOf(fields.survey) };
+    return flattenRecord(fields);
+  });
 
   const defaultColumns = [
     "id",
@@ -993,6 +1970,7 @@ app.get("/api/export", (req, res) => {
     "age",
     "neighborhood",
     "whatsapp",
+    "tags",
     "createdAt",
     "updatedAt",
     "whatsappSentAt",
@@ -1001,11 +1979,12 @@ app.get("/api/export", (req, res) => {
     "whatsappMessageId",
     "whatsappStatusUpdatedAt",
     "clickedAt",
-    "survey_issue",
-    "survey_otherIssue",
-    "survey_satisfaction",
-    "survey_participate",
-    "survey_answeredAt"
+    // Answers in the order of the survey questions (older answers to removed questions are still discovered below)
+    ...surveyColumns(exported ? exported.survey : surveys.getDefault()),
+    "survey_answeredAt",
+    "survey_channel",
+    // Admin-defined fields, in the order of the registration form
+    ...customFields.list().map(field => `customFields_${field.id}`)
   ];
 
   const discoveredColumns = new Map();
@@ -1048,19 +2027,20 @@ app.get("/api/export", (req, res) => {
   res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
   res.setHeader("X-Architecture-Version", "refactored_v2");
   return res.send(`\ufeff${csvContent}`);
-});
+}));
 
 // Enhanced statistics endpoint with architecture insights
-app.get("/api/stats", (req, res) => {
-  const data = readDB();
+app.get("/api/stats", asyncRoute(async (req, res) => {
+  const data = await trash.findActive();
   const stats = whatsappService.getStats(data);
   
-  // Statistics by neighborhood
+  // Statistics by canonical neighborhood, labelled with its name
   const byNeighborhood = {};
   data.forEach(user => {
-    const neighborhood = user.neighborhood || 'Not informed';
+    const group = neighborhoods.groupOf(user);
+    const neighborhood = group ? group.name : 'Not informed';
     if (!byNeighborhood[neighborhood]) {
-      byNeighborhood[neighborhood] = { total: 0, sent: 0, clicked: 0, answered: 0 };
+      byNeighborhood[neighborhood] = { id: group ? group.id : null, region: group ? group.region : null, total: 0, sent: 0, clicked: 0, answered: 0 };
     }
     byNeighborhood[neighborhood].total++;
     if (user.whatsappSentAt) byNeighborhood[neighborhood].sent++;
@@ -1104,13 +2084,269 @@ app.get("/api/stats", (req, res) => {
         answered: !!u.survey
       }))
   });
+}));
+
+// ==========================================
+// BACKUP ADMINISTRATION
+// ==========================================
+
+function toBackupSummary({ filePath, ...backup }) {
+  return backup;
+}
+
+// Resolve :id to a known backup or answer 400/404
+function findBackupOr404(req, res) {
+  const backups = storage.backups;
+  if (!backups) {
+    res.status(503).json({ error: "Backups are not configured for this storage" });
+    return null;
+  }
+  if (!backups.constructor.isValidId(req.params.id)) {
+    res.status(400).json({ error: "Invalid backup id" });
+    return null;
+  }
+  const backup = backups.getBackup(req.params.id);
+  if (!backup) {
+    res.status(404).json({ error: "Backup not found" });
+    return null;
+  }
+  return backup;
+}
+
+app.get("/api/admin/backups", requireAuth, (req, res) => {
+  if (!storage.backups) {
+    return res.status(503).json({ error: "Backups are not configured for this storage" });
+  }
+  res.json({
+    dir: storage.backups.dir,
+    policy: storage.backups.policy,
+    backups: storage.backups.listBackups().map(toBackupSummary)
+  });
 });
 
+// Manual snapshot of the current data (works on every storage driver)
+app.post("/api/admin/backups", requireAuth, asyncRoute(async (req, res) => {
+  if (!storage.backups) {
+    return res.status(503).json({ error: "Backups are not configured for this storage" });
+  }
+  const backup = storage.backups.createBackup(await storage.find());
+  res.status(201).json(toBackupSummary(backup));
+}));
+
+// What changed since the backup: "added" exists only now, "removed" exists only in the backup
+app.get("/api/admin/backups/:id/diff", requireAuth, asyncRoute(async (req, res) => {
+  const backup = findBackupOr404(req, res);
+  if (!backup) return;
+
+  const backupRecords = storage.backups.readBackup(backup.id);
+  const currentRecords = await storage.find();
+  res.json({
+    backup: toBackupSummary(backup),
+    ...storage.backups.diff(backupRecords, currentRecords)
+  });
+}));
+
+app.post("/api/admin/backups/:id/restore", requireAuth, asyncRoute(async (req, res) => {
+  const backup = findBackupOr404(req, res);
+  if (!backup) return;
+
+  const records = storage.backups.readBackup(backup.id);
+
+  // Safety copy first so a wrong restore can itself be undone
+  const safetyBackup = storage.backups.createBackup(await storage.find());
+  const restored = await storage.replaceAll(records, changeContext(req, `backup:${backup.id}`));
+
+  console.log(`♻️ Restored ${restored} contacts from ${backup.id} (previous data saved as ${safetyBackup.id})`);
+  res.json({
+    message: "Backup restored",
+    restored,
+    backup: toBackupSummary(backup),
+    safetyBackup: toBackupSummary(safetyBackup)
+  });
+}));
+
+// ==========================================
+// CHANGE JOURNAL / POINT-IN-TIME
+// ==========================================
+
+const HISTORICAL_ANALYSES = {
+  satisfaction: engine => engine.analyzeSatisfaction(),
+  age: engine => engine.analyzeSatisfactionByAge(),
+  neighborhoods: engine => engine.analyzeNeighborhoods(),
+  issues: engine => engine.analyzeIssues(),
+  engagement: engine => engine.analyzeEngagement(),
+  participation: engine => engine.analyzeParticipation(),
+  health: engine => engine.analyzeSystemHealth(),
+  rounds: engine => engine.analyzeRoundFunnel(),
+  dropoff: engine => engine.analyzeDropOff()
+};
+
+// Validate ?at= and answer 400/503 when the request can't be served
+function parseAsOfOr400(req, res) {
+  if (!storage.journal) {
+    res.status(503).json({ error: "Change journal is disabled (JOURNAL_ENABLED=false)" });
+    return null;
+  }
+  const asOf = new Date(req.query.at || '');
+  if (isNaN(asOf.getTime())) {
+    res.status(400).json({ error: "Query parameter 'at' must be an ISO timestamp" });
+    return null;
+  }
+  return asOf;
+}
+
+// Baseline/restore entries carry the whole dataset; only their size is listed here
+function toJournalSummary({ records, ...entry }) {
+  return records ? { ...entry, recordCount: records.length } : entry;
+}
+
+app.get("/api/admin/journal", requireAuth, asyncRoute(async (req, res) => {
+  if (!storage.journal) {
+    return res.status(503).json({ error: "Change journal is disabled (JOURNAL_ENABLED=false)" });
+  }
+  const { contactId, since, until, type } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  const entries = await storage.journal.getEntries({
+    contactId: contactId || null,
+    since: since || null,
+    until: until || null,
+    types: type ? String(type).split(',') : null
+  });
+
+  res.json({
+    total: entries.length,
+    startedAt: await storage.journal.getStartedAt(),
+    entries: entries.slice(-limit).reverse().map(toJournalSummary)
+  });
+}));
+
+app.get("/api/admin/contacts/as-of", requireAuth, asyncRoute(async (req, res) => {
+  const asOf = parseAsOfOr400(req, res);
+  if (!asOf) return;
+
+  const startedAt = await storage.journal.getStartedAt();
+  const data = await storage.journal.reconstruct(asOf);
+  res.json({
+    asOf: asOf.toISOString(),
+    journalStartedAt: startedAt,
+    complete: !!startedAt && asOf >= new Date(startedAt),
+    total: data.length,
+    data
+  });
+}));
+
+app.get("/api/admin/analysis/as-of", requireAuth, asyncRoute(async (req, res) => {
+  const asOf = parseAsOfOr400(req, res);
+  if (!asOf) return;
+
+  const type = req.query.type || 'satisfaction';
+  const runAnalysis = HISTORICAL_ANALYSES[type];
+  if (!runAnalysis) {
+    return res.status(400).json({ error: `Unknown analysis type. Use one of: ${Object.keys(HISTORICAL_ANALYSES).join(', ')}` });
+  }
+
+  const MunicipalAnalysisEngine = require('./services/MunicipalAnalysisEngine');
+  const engine = MunicipalAnalysisEngine.asOf(asOf);
+  res.json({
+    asOf: asOf.toISOString(),
+    type,
+    analysis: await runAnalysis(engine)
+  });
+}));
+
+// Contacts counted along two dimensions: ?rows=neighborhood&columns=custom.<field id>&filter=answered
+// Without rows/columns, lists the dimensions available (built-in and admin-defined fields)
+// One engine serves every request; its DataAccessLayer cache is cleared by storage change events
+let crossTabEngine = null;
+app.get("/api/admin/analysis/cross-tab", requireAuth, asyncRoute(async (req, res) => {
+  if (!crossTabEngine) {
+    const MunicipalAnalysisEngine = require('./services/MunicipalAnalysisEngine');
+    crossTabEngine = new MunicipalAnalysisEngine({ customFields });
+  }
+  const engine = crossTabEngine;
+  if (!req.query.rows || !req.query.columns) {
+    return res.json({ dimensions: engine.listDimensions() });
+  }
+
+  const result = await engine.crossTab(String(req.query.rows), String(req.query.columns), { filter: req.query.filter || null });
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  res.json(result);
+}));
+
+// Survey rounds: ?survey=<id> gives the send/click/answer funnel of each round (public link answers apart);
+// /compare?survey=<id>&from=1&to=2 compares two rounds (the last two by default), &channel=invited|open
+// only the answers that came one way
+let roundsEngine = null;
+function getRoundsEngine() {
+  if (!roundsEngine) {
+    const MunicipalAnalysisEngine = require('./services/MunicipalAnalysisEngine');
+    roundsEngine = new MunicipalAnalysisEngine({ customFields, surveys });
+  }
+  return roundsEngine;
+}
+
+app.get("/api/admin/analysis/rounds", requireAuth, asyncRoute(async (req, res) => {
+  if (req.query.survey && !surveys.get(String(req.query.survey))) {
+    return res.status(404).json({ error: "Survey not found" });
+  }
+  res.json(await getRoundsEngine().analyzeRoundFunnel(req.query.survey || null));
+}));
+
+app.get("/api/admin/analysis/rounds/compare", requireAuth, asyncRoute(async (req, res) => {
+  const { survey = null, from = null, to = null, channel = null } = req.query;
+  if (survey && !surveys.get(String(survey))) {
+    return res.status(404).json({ error: "Survey not found" });
+  }
+  const result = await getRoundsEngine().compareRounds({ survey, from, to, channel });
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  res.json(result);
+}));
+
+// Where residents stop answering: ?survey=<id>&round=<n> (every round by default)
+app.get("/api/admin/analysis/dropoff", requireAuth, asyncRoute(async (req, res) => {
+  const { survey = null, round = null } = req.query;
+  if (survey && !surveys.get(String(survey))) {
+    return res.status(404).json({ error: "Survey not found" });
+  }
+  const result = await getRoundsEngine().analyzeDropOff({ survey, round });
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  res.json(result);
+}));
+
 // Enhanced bulk send endpoint
-app.post("/api/bulk-send", async (req, res) => {
-  const { filter = {}, dryRun = false } = req.body;
-  const data = readDB();
-  
+// filter: same language as GET /api/contacts, as an object or a string; onlyNotSent/onlyNotAnswered still work
+// and refer to the round being sent
+// segment: a saved segment id or name, combined with the filter
+// survey, round: what is sent (the survey residents answer and its current round by default); residents
+// who already answered that round are skipped
+app.post("/api/bulk-send", asyncRoute(async (req, res) => {
+  const { filter = {}, segment = null, dryRun = false } = req.body;
+  const isObject = filter !== null && typeof filter === 'object' && !Array.isArray(filter);
+  const { onlyNotSent, ...spec } = isObject ? filter : {};
+  // Residents who answered the round are always skipped, so onlyNotAnswered asks for nothing more
+  delete spec.onlyNotAnswered;
+  const parsed = parseFilter([
+    isObject ? spec : filter,
+    segment ? { segment } : null
+  ], { segments });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const target = resolveSurveyRoundOr4xx(res, req.body.survey, req.body.round);
+  if (!target) return;
+  const { survey, round } = target;
+
+  const data = await trash.findActive();
+  const matches = compileFilter(parsed.filter, { neighborhoods });
+
   // Apply filters to select users
   let usersToSend = data.filter(user => {
     // Don't send if already sent recently (last hour)
@@ -1120,19 +2356,18 @@ app.post("/api/bulk-send", async (req, res) => {
       if (lastSent > hourAgo) return false;
     }
 
-    // Apply custom filters
-    if (filter.neighborhood && !user.neighborhood.toLowerCase().includes(filter.neighborhood.toLowerCase())) {
-      return false;
-    }
-    if (filter.onlyNotSent && user.whatsappSentAt) return false;
-    if (filter.onlyNotAnswered && user.survey) return false;
-    
-    return true;
+    const entry = findRound(user, survey.id, round.number);
+    if (entry?.answeredAt) return false;
+    if (onlyNotSent && entry?.sentAt) return false;
+
+    return matches(user);
   });
 
   if (dryRun) {
     return res.json({
       dryRun: true,
+      survey: survey.id,
+      round: round.number,
       usersToSend: usersToSend.length,
       users: usersToSend.map(u => ({ id: u.id, name: u.name, whatsapp: u.whatsapp })),
       architecture: "refactored_v2"
@@ -1147,20 +2382,23 @@ app.post("/api/bulk-send", async (req, res) => {
   for (let i = 0; i < usersToSend.length; i += batchSize) {
     const batch = usersToSend.slice(i, i + batchSize);
     
-    const batchPromises = batch.map(async (user) => {
+    const batchPromises = batch.map(async (selected) => {
+      // The selection above may be minutes old by the time this batch goes out
+      const user = await trash.findActiveById(selected.id);
+      if (!user || findRound(user, survey.id, round.number)?.answeredAt) {
+        return { success: false, skipped: true, user: selected.name, error: user ? "Answered while the send ran" : "Removed while the send ran" };
+      }
+
       try {
-        const surveyLink = `${getBaseUrl(req)}/survey.html?id=${user.id}`;
-        const message = `Olá ${user.name}! 🎉\nSua opinião é muito importante. Por favor, responda nossa pesquisa rápida:\n\n${surveyLink}\n\nLeva menos de 1 minuto! ⏱️`;
+        const { url: link } = surveyLink(req, user, survey, round);
+        const message = `Olá ${user.name}! 🎉\nSua opinião é muito importante. Por favor, responda nossa pesquisa rápida:\n\n${link}\n\nLeva menos de 1 minuto! ⏱️`;
         const templateData = (process.env.WHATSAPP_MODE || '').toLowerCase() === 'real'
-          ? whatsappService.createSurveyTemplate(user.name, surveyLink)
+          ? whatsappService.createSurveyTemplate(user.name, link)
           : null;
         const result = await whatsappService.sendMessage(user.whatsapp, message, templateData);
         
-        // Update user
-        user.whatsappSentAt = new Date().toISOString();
-        user.whatsappMessageId = result.messageId;
-        user.whatsappProvider = result.provider;
-        user.whatsappStatus = result.status;
+        // Update user, on the contact as stored when the message went out
+        await storage.updateWith(user.id, current => sendChanges(current, survey, round, result), changeContext(req, 'api:bulk-send'));
 
         return { success: true, user: user.name, messageId: result.messageId };
       } catch (error) {
@@ -1172,9 +2410,6 @@ app.post("/api/bulk-send", async (req, res) => {
     const batchResults = await Promise.allSettled(batchPromises);
     results.push(...batchResults.map(r => r.value));
 
-    // Save progress after each batch
-    writeDB(data);
-
     // Wait before next batch (except for the last one)
     if (i + batchSize < usersToSend.length) {
       await new Promise(resolve => setTimeout(resolve, delayBetweenBatches));
@@ -1182,12 +2417,16 @@ app.post("/api/bulk-send", async (req, res) => {
   }
 
   const successful = results.filter(r => r.success).length;
-  const failed = results.filter(r => !r.success).length;
+  const skipped = results.filter(r => r.skipped).length;
+  const failed = results.length - successful - skipped;
 
   res.json({
     message: `Bulk send completed using refactored architecture`,
+    survey: survey.id,
+    round: round.number,
     total: results.length,
     successful,
+    skipped,
     failed,
     results,
     architecture: {
@@ -1195,10 +2434,15 @@ app.post("/api/bulk-send", async (req, res) => {
       performance: "Enhanced batch processing with improved error handling"
     }
   });
-});
+}));
 
 // Global error handling middleware with architecture awareness
 app.use((error, req, res, next) => {
+  // Body parser rejections (e.g. an import file over the size limit) keep their status
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large', limit: error.limit });
+  }
+
   console.error('Unhandled server error:', error);
   
   // Enhanced error categorization
@@ -1218,40 +2462,87 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Upgrade (MIGRATE_ON_STARTUP=true) or just report outdated records, then validate the dataset
+async function checkContactSchema() {
+  const runner = new MigrationRunner({ storage });
+
+  if (String(process.env.MIGRATE_ON_STARTUP || 'false').toLowerCase() === 'true') {
+    const report = await runner.migrate({ context: { source: 'migration' } });
+    if (report.conflict) {
+      console.warn(`⚠️ Schema: ${report.conflict.error}`);
+    } else if (report.migrated) {
+      console.log(`🧬 Schema: upgraded ${report.migrated} contact(s) to v${report.targetVersion}`);
+    }
+  }
+
+  const status = await runner.status();
+  if (status.newer) {
+    console.warn(`⚠️ Schema: ${status.newer} contact(s) were written by a newer version than v${status.targetVersion}`);
+  }
+  if (status.pending) {
+    console.warn(`⚠️ Schema: ${status.pending} contact(s) below v${status.targetVersion}; run "npm run migrate"`);
+    return;
+  }
+
+  const { total, invalid } = await runner.validate();
+  if (invalid.length) {
+    console.warn(`⚠️ Schema: ${invalid.length} of ${total} contact(s) fail validation (see "npm run migrate validate")`);
+    invalid.slice(0, 5).forEach(({ id, errors }) => console.warn(`   ${id}: ${errors.join('; ')}`));
+  } else {
+    console.log(`🧬 Schema: ${total} contact(s) valid at v${status.targetVersion}`);
+  }
+}
+
 // Start server with enhanced logging
-app.listen(PORT, () => {
-  console.log(`🚀 Municipal System Server (Refactored v2) running at ${BASE_URL}`);
-  console.log(`🏛️ Architecture: DataAccessLayer → MunicipalAnalysisEngine → Agents`);
-  console.log(`📱 WhatsApp Provider: ${process.env.WHATSAPP_PROVIDER} (${process.env.WHATSAPP_MODE})`);
-  console.log(`🤖 AI Agents: Knowledge, Notification, Ticket`);
+function startServer() {
+  app.listen(PORT, () => {
+    console.log(`🚀 Municipal System Server (Refactored v2) running at ${BASE_URL}`);
+    console.log(`🏛️ Architecture: DataAccessLayer → MunicipalAnalysisEngine → Agents`);
+    console.log(`📱 WhatsApp Provider: ${process.env.WHATSAPP_PROVIDER} (${process.env.WHATSAPP_MODE})`);
+    console.log(`🤖 AI Agents: Knowledge, Notification, Ticket`);
+    console.log(`🗑️ Trash: contacts are purged ${trash.retentionDays} days after deletion`);
+    trash.start();
+    searchIndex.ready()
+      .then(() => console.log(`🔎 Search: ${searchIndex.size} contact(s) indexed`))
+      .catch(error => console.error('❌ Search index failed to build:', error.message));
   
-  if (process.env.WHATSAPP_MODE === 'real') {
-    console.log(`🔗 Webhooks available:`);
-    console.log(`   Meta: ${BASE_URL}/webhooks/meta`);
-    console.log(`   Twilio: ${BASE_URL}/webhooks/twilio`);
-  }
+    if (process.env.WHATSAPP_MODE === 'real') {
+      console.log(`🔗 Webhooks available:`);
+      console.log(`   Meta: ${BASE_URL}/webhooks/meta`);
+      console.log(`   Twilio: ${BASE_URL}/webhooks/twilio`);
+    }
   
-  // Architecture health check on startup
-  try {
-    const DataAccessLayer = require('./services/DataAccessLayer');
-    const MunicipalAnalysisEngine = require('./services/MunicipalAnalysisEngine');
-    console.log(`✅ DataAccessLayer: Loaded successfully`);
-    console.log(`✅ MunicipalAnalysisEngine: Loaded successfully`);
-    console.log(`✅ Orchestrator: Loaded successfully`);
-  } catch (error) {
-    console.error(`❌ Architecture component failed to load:`, error.message);
-  }
-});
+    // Architecture health check on startup
+    try {
+      const DataAccessLayer = require('./services/DataAccessLayer');
+      const MunicipalAnalysisEngine = require('./services/MunicipalAnalysisEngine');
+      console.log(`✅ DataAccessLayer: Loaded successfully`);
+      console.log(`✅ MunicipalAnalysisEngine: Loaded successfully`);
+      console.log(`✅ Orchestrator: Loaded successfully`);
+    } catch (error) {
+      console.error(`❌ Architecture component failed to load:`, error.message);
+    }
+  });
+}
+
+// MIGRATE_ON_STARTUP upgrades run before requests can write contacts
+checkContactSchema()
+  .catch(error => console.error('❌ Schema check failed:', error.message))
+  .then(startServer);
 
 // Graceful shutdown with cleanup
 process.on('SIGTERM', () => {
   console.log('🔄 Server received SIGTERM, shutting down gracefully...');
-  // Clean up any ongoing operations
-  process.exit(0);
+  trash.stop();
+  cepService.cache?.flush();
+  // Let queued storage writes finish before exiting
+  storage.close().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   console.log('🔄 Server received SIGINT, shutting down gracefully...');
-  // Clean up any ongoing operations  
-  process.exit(0);
+  trash.stop();
+  cepService.cache?.flush();
+  // Let queued storage writes finish before exiting
+  storage.close().finally(() => process.exit(0));
 });
\ No newline at end of file
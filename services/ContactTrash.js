@@ -0,0 +1,133 @@
+// services/ContactTrash.js - Soft deletion, restore and scheduled purge of contacts
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Storage filter for records that are not in the trash (null also matches a missing field)
+const ACTIVE_FILTER = Object.freeze({ deletedAt: null });
+
+function isDeleted(record) {
+  return !!(record && record.deletedAt);
+}
+
+class ContactTrash {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage adapter (see services/storage)
+   * @param {number} [options.retentionDays=30] - Days a contact stays in the trash before it is purged
+   * @param {number} [options.purgeIntervalMs=3600000] - How often start() checks for expired contacts
+   */
+  constructor({ storage, retentionDays = 30, purgeIntervalMs = 60 * 60 * 1000 }) {
+    if (!storage) throw new Error('ContactTrash: storage is required');
+    this.storage = storage;
+    this.retentionDays = retentionDays;
+    this.purgeIntervalMs = purgeIntervalMs;
+    this.timer = null;
+  }
+
+  async findActive(filter = {}) {
+    return this.storage.find({ ...filter, ...ACTIVE_FILTER });
+  }
+
+  async findActiveOne(filter = {}) {
+    return this.storage.findOne({ ...filter, ...ACTIVE_FILTER });
+  }
+
+  async findActiveById(id) {
+    const record = await this.storage.findById(id);
+    return isDeleted(record) ? null : record;
+  }
+
+  purgeDateFor(record) {
+    if (!isDeleted(record)) return null;
+    return new Date(new Date(record.deletedAt).getTime() + this.retentionDays * DAY_MS).toISOString();
+  }
+
+  // Deleted contacts, most recently deleted first
+  async listDeleted() {
+    const records = await this.storage.find();
+    return records
+      .filter(isDeleted)
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+      .map(record => ({ ...record, purgeAt: this.purgeDateFor(record) }));
+  }
+
+  // Fields written when a contact goes to the trash
+  deletionChanges(context = {}) {
+    return {
+      deletedAt: new Date().toISOString(),
+      deletedBy: context.actor || null
+    };
+  }
+
+  /**
+   * Move a contact to the trash.
+   * @returns {Promise<Object|null>} the updated record, or null when missing or already deleted
+   */
+  async softDelete(id, context = {}) {
+    const record = await this.findActiveById(id);
+    if (!record) return null;
+
+    const updated = await this.storage.update(record.id, this.deletionChanges(context), context);
+    return { ...updated, purgeAt: this.purgeDateFor(updated) };
+  }
+
+  /**
+   * Bring a contact back from the trash.
+   * @returns {Promise<{record: Object}|{error: string, conflict?: Object}|null>} null when not in the trash
+   */
+  async restore(id, context = {}) {
+    const record = await this.storage.findById(id);
+    if (!isDeleted(record)) return null;
+
+    // Another active contact may have taken the number while this one was in the trash
+    const conflict = record.whatsapp ? await this.findActiveOne({ whatsapp: record.whatsapp }) : null;
+    if (conflict) {
+      return { error: 'Number already registered', conflict };
+    }
+
+    const restored = await this.storage.update(record.id, { deletedAt: null, deletedBy: null }, context);
+    return { record: restored };
+  }
+
+  // Permanent removal; only contacts already in the trash can be purged
+  async purge(id, context = {}) {
+    const record = await this.storage.findById(id);
+    if (!isDeleted(record)) return false;
+    return this.storage.delete(record.id, context);
+  }
+
+  async purgeExpired(now = Date.now()) {
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const expired = (await this.storage.find())
+      .filter(record => isDeleted(record) && new Date(record.deletedAt).getTime() <= cutoff);
+
+    for (const record of expired) {
+      await this.storage.delete(record.id, { source: 'trash:purge' });
+    }
+    if (expired.length) {
+      console.log(`[ContactTrash] Purged ${expired.length} contact(s) deleted more than ${this.retentionDays} days ago`);
+    }
+    return expired.map(record => record.id);
+  }
+
+  // Periodic purge; the timer does not keep the process alive
+  start() {
+    if (this.timer) return;
+    const run = () => this.purgeExpired().catch(err => {
+      console.error('[ContactTrash] Scheduled purge failed:', err.message);
+    });
+    run();
+    this.timer = setInterval(run, this.purgeIntervalMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = ContactTrash;
+module.exports.ACTIVE_FILTER = ACTIVE_FILTER;
+module.exports.isDeleted = isDeleted;
@@ -1,54 +1,87 @@
 // services/DataAccessLayer.js - Pure data access without analysis logic
 const fs = require('fs');
 const path = require('path');
+const { getStorage } = require('./storage');
+const { upgradeContact } = require('./schema');
+const { DuplicateFinder } = require('./duplicates');
+const { getNeighborhoodRegistry } = require('./neighborhoods');
+const { getSegmentRegistry } = require('./segments');
+const { getSurveyRegistry, getSatisfactionScale } = require('./surveys');
+const { getOpenResponseStore } = require('./openSurvey');
+const { parseFilter, compileFilter } = require('./query');
 
 class DataAccessLayer {
-  constructor() {
-  // Align with server.js: support DB_FILE env (absolute or relative)
-  const dbFile = process.env.DB_FILE || '../data.json';
-  this.dataPath = path.isAbsolute(dbFile) ? dbFile : path.join(__dirname, dbFile);
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Storage adapter (defaults to the shared one)
+   * @param {string|Date} [options.asOf] - Read the dataset as it was at this time, rebuilt from the change journal
+   * @param {Object} [options.neighborhoods] - NeighborhoodRegistry used to group by canonical neighborhood
+   * @param {Object} [options.segments] - SegmentRegistry resolving segment=<name> in filters
+   * @param {Object} [options.surveys] - SurveyRegistry whose satisfaction scale tells who is dissatisfied
+   * @param {Object} [options.openResponses] - OpenResponseStore holding anonymous answers to open surveys
+   */
+  constructor(options = {}) {
+    // Shared storage backend (JSON file or MongoDB, see services/storage)
+    this.storage = options.storage || getStorage();
+    this.neighborhoods = options.neighborhoods || getNeighborhoodRegistry();
+    this.segments = options.segments || getSegmentRegistry();
+    this.surveys = options.surveys || getSurveyRegistry();
+    this.openResponses = options.openResponses || getOpenResponseStore();
+    this.asOf = options.asOf ? new Date(options.asOf) : null;
+    if (this.asOf && isNaN(this.asOf.getTime())) {
+      throw new Error(`DataAccessLayer: invalid asOf timestamp "${options.asOf}"`);
+    }
+    if (this.asOf && !this.storage.journal) {
+      throw new Error('DataAccessLayer: asOf requires the change journal (JOURNAL_ENABLED)');
+    }
     this.cache = null;
     this.cacheTime = null;
+    this.cacheChangeCount = null;
     this.cacheTTL = 30000; // 30 seconds cache
   }
 
+  // Writes made through the storage since the snapshot was taken invalidate it. The storage's
+  // change counter is compared rather than subscribed to, so short-lived instances (one per
+  // request in some routes) leave no listener behind on the shared storage
+  isCacheFresh() {
+    if (!this.cache || !this.cacheTime || (Date.now() - this.cacheTime) >= this.cacheTTL) return false;
+    return this.asOf !== null || this.cacheChangeCount === (this.storage.changeCount ?? null);
+  }
+
   // Core data loading
-  loadData() {
+  async loadData() {
     // Check cache first
-    if (this.cache && this.cacheTime && (Date.now() - this.cacheTime) < this.cacheTTL) {
+    if (this.isCacheFresh()) {
       return this.cache;
     }
 
     try {
-      let resolvedPath = this.dataPath;
-      if (!fs.existsSync(resolvedPath)) {
-        // Fallback 1: try CWD/data.json
-        const cwdPath = path.resolve(process.cwd(), 'data.json');
-        if (fs.existsSync(cwdPath)) {
-          resolvedPath = cwdPath;
-        } else {
-          // Fallback 2: try latest backup file in server root
-          const serverRoot = path.resolve(__dirname, '..');
-          const files = fs.readdirSync(serverRoot).filter(f => f.startsWith('data.backup.') && f.endsWith('.json'));
-          if (files.length) {
-            files.sort();
-            resolvedPath = path.join(serverRoot, files[files.length - 1]);
-            console.warn(`[DataAccessLayer] data.json missing, using backup: ${path.basename(resolvedPath)}`);
-          } else {
-            console.warn(`[DataAccessLayer] No data file found at ${this.dataPath} or ${cwdPath}`);
-            return [];
-          }
-        }
+      // Taken before reading, so a write landing during the read invalidates this snapshot
+      const changeCount = this.storage.changeCount ?? null;
+      let data;
+      let source = this.storage.driver;
+
+      if (this.asOf) {
+        data = await this.storage.journal.reconstruct(this.asOf);
+        source = `journal as of ${this.asOf.toISOString()}`;
+      } else if (this.storage.driver === 'json' && !this.storage.exists()) {
+        const fallback = this.loadFallbackFile();
+        if (!fallback) return [];
+        data = fallback.data;
+        source = fallback.source;
+      } else {
+        data = await this.storage.find();
       }
 
-      const rawData = fs.readFileSync(resolvedPath, 'utf8');
-      const data = JSON.parse(rawData);
-      
-      // Update cache
-      this.cache = Array.isArray(data) ? data : [];
+      // Update cache; records are read at the current schema version (older files and
+      // journal snapshots are upgraded in memory), and contacts in the trash are invisible
+      this.cache = (Array.isArray(data) ? data : [])
+        .map(record => upgradeContact(record))
+        .filter(record => !record.deletedAt);
       this.cacheTime = Date.now();
-      
-      console.log(`[DataAccessLayer] Loaded ${this.cache.length} contacts from ${path.basename(resolvedPath)}`);
+      this.cacheChangeCount = changeCount;
+
+      console.log(`[DataAccessLayer] Loaded ${this.cache.length} contacts from ${source}`);
       return this.cache;
     } catch (error) {
       console.error('[DataAccessLayer] Error loading data:', error.message);
@@ -56,44 +89,76 @@ class DataAccessLayer {
     }
   }
 
-  // Raw data retrieval methods
-  getAllContacts(filters = {}) {
-    let data = this.loadData();
-
-    if (filters.answered === true) {
-      data = data.filter(d => d.survey);
-    } else if (filters.answered === false) {
-      data = data.filter(d => !d.survey);
+  // Read-only fallbacks when the configured JSON file is missing
+  loadFallbackFile() {
+    // Fallback 1: try CWD/data.json
+    const cwdPath = path.resolve(process.cwd(), 'data.json');
+    if (cwdPath !== this.storage.filePath && fs.existsSync(cwdPath)) {
+      const data = JSON.parse(fs.readFileSync(cwdPath, 'utf8'));
+      return { data, source: path.basename(cwdPath) };
     }
 
-    if (filters.sent === true) {
-      data = data.filter(d => d.whatsappSentAt);
-    } else if (filters.sent === false) {
-      data = data.filter(d => !d.whatsappSentAt);
+    // Fallback 2: newest snapshot known to the BackupManager (backups/ and legacy root files)
+    const latest = this.storage.backups ? this.storage.backups.getLatestBackup() : null;
+    if (!latest) {
+      console.warn(`[DataAccessLayer] No data file found at ${this.storage.filePath} or ${cwdPath}`);
+      return null;
     }
 
-    if (filters.neighborhood) {
-      data = data.filter(d => 
-        d.neighborhood && 
-        d.neighborhood.toLowerCase().includes(filters.neighborhood.toLowerCase())
-      );
-    }
+    console.warn(`[DataAccessLayer] data.json missing, using backup: ${latest.id}`);
+    return { data: this.storage.backups.readBackup(latest.id), source: latest.id };
+  }
+
+  // Raw data retrieval methods
 
-    if (filters.satisfaction) {
-      data = data.filter(d => 
-        d.survey && d.survey.satisfaction === filters.satisfaction
-      );
+  /**
+   * @param {Object|string} [filters] - Filter language of GET /api/contacts, e.g.
+   *   { answered: true, neighborhood: 'Centro' } or 'age>=60 and satisfaction<=Insatisfeito'
+   */
+  async getAllContacts(filters = {}) {
+    const { filter, error } = parseFilter(filters, { segments: this.segments });
+    if (error) {
+      throw new Error(`DataAccessLayer: invalid filter (${error})`);
     }
 
-    return data;
+    const data = await this.loadData();
+    return filter ? data.filter(compileFilter(filter, { neighborhoods: this.neighborhoods })) : data;
+  }
+
+  async getSurveyResponses(filters = {}) {
+    return (await this.getAllContacts(filters)).filter(contact => contact.survey);
   }
 
-  getSurveyResponses(filters = {}) {
-    return this.getAllContacts(filters).filter(contact => contact.survey);
+  /**
+   * Every round entry of one survey with the contact it belongs to (see services/surveys/surveyRounds).
+   * Without filters, answers sent anonymously through the survey's public link come too, with a null
+   * contact and channel 'open' (filters describe contacts, which those answers do not have). An
+   * unverified answer given with a resident's number is left out once that resident answered the
+   * round themselves, so the number is counted once.
+   * @returns {Promise<Array<{ contact: Object|null, entry: Object }>>}
+   */
+  async getSurveyRoundEntries(surveyId, filters = {}) {
+    const contacts = await this.getAllContacts(filters);
+    const entries = contacts.flatMap(contact => (contact.surveyRounds || [])
+      .filter(entry => entry.surveyId === surveyId)
+      .map(entry => ({ contact, entry })));
+
+    if (parseFilter(filters, { segments: this.segments }).filter) return entries;
+    const answeredByContact = new Set(entries
+      .filter(({ entry }) => entry.answeredAt)
+      .map(({ contact, entry }) => `${contact.id}:${entry.round}`));
+    const anonymous = this.openResponses.list(surveyId)
+      .filter(response => !response.contactId && (!this.asOf || new Date(response.answeredAt) <= this.asOf))
+      .filter(response => !response.claimedContactId || !answeredByContact.has(`${response.claimedContactId}:${response.round}`))
+      .map(({ surveyId: id, round, answeredAt, answers }) => ({
+        contact: null,
+        entry: { surveyId: id, round, answeredAt, answers, channel: 'open', clickedAt: null, sentAt: null, status: null, draft: null }
+      }));
+    return [...entries, ...anonymous];
   }
 
-  getEngagementRawData() {
-    const data = this.loadData();
+  async getEngagementRawData() {
+    const data = await this.loadData();
     return {
       total: data.length,
       sent: data.filter(d => d.whatsappSentAt).length,
@@ -103,14 +168,19 @@ class DataAccessLayer {
     };
   }
 
-  getNeighborhoodRawData() {
-    const data = this.loadData();
+  // Keyed by canonical neighborhood id (or folded text for unregistered values)
+  async getNeighborhoodRawData() {
+    const data = await this.loadData();
     const neighborhoods = {};
     
     data.forEach(contact => {
-      const neighborhood = contact.neighborhood || 'Unknown';
+      const group = this.neighborhoods.groupOf(contact) || { key: 'unknown', id: null, name: 'Unknown', region: null };
+      const neighborhood = group.key;
       if (!neighborhoods[neighborhood]) {
         neighborhoods[neighborhood] = {
+          id: group.id,
+          name: group.name,
+          region: group.region,
           total: 0,
           sent: 0,
           clicked: 0,
@@ -129,8 +199,8 @@ class DataAccessLayer {
     return neighborhoods;
   }
 
-  getSatisfactionRawData() {
-    const responses = this.getSurveyResponses();
+  async getSatisfactionRawData() {
+    const responses = await this.getSurveyResponses();
     const satisfaction = {};
     
     responses.forEach(response => {
@@ -145,8 +215,8 @@ class DataAccessLayer {
     };
   }
 
-  getIssuesRawData() {
-    const responses = this.getSurveyResponses();
+  async getIssuesRawData() {
+    const responses = await this.getSurveyResponses();
     const issues = {};
     
     responses.forEach(response => {
@@ -161,8 +231,8 @@ class DataAccessLayer {
     };
   }
 
-  getParticipationRawData() {
-    const responses = this.getSurveyResponses();
+  async getParticipationRawData() {
+    const responses = await this.getSurveyResponses();
     const participation = {};
     
     responses.forEach(response => {
@@ -177,8 +247,8 @@ class DataAccessLayer {
     };
   }
 
-  getSystemHealthRawData() {
-    const data = this.loadData();
+  async getSystemHealthRawData() {
+    const data = await this.loadData();
     const issues = [];
     
     // Check for duplicates
@@ -197,13 +267,27 @@ class DataAccessLayer {
       }
     });
 
+    // Same resident registered twice with small differences (typos, phone written another way);
+    // identical numbers are already reported above
+    new DuplicateFinder().findPairs(data)
+      .filter(pair => pair.contacts[0].whatsapp !== pair.contacts[1].whatsapp)
+      .forEach(pair => {
+        issues.push({
+          type: 'possible_duplicate',
+          contact: pair.contacts[1].name,
+          matches: pair.contacts[0].name,
+          ids: pair.contacts.map(contact => contact.id),
+          score: pair.score
+        });
+      });
+
     // Check for incomplete profiles
     const incomplete = data.filter(contact => 
       !contact.name || !contact.age || !contact.neighborhood || !contact.whatsapp
     );
 
     // Check for old pending responses
-    const now = new Date();
+    const now = this.referenceTime();
     const oldPending = data.filter(contact => {
       if (!contact.whatsappSentAt || contact.survey) return false;
       const sentDate = new Date(contact.whatsappSentAt);
@@ -214,6 +298,7 @@ class DataAccessLayer {
     return {
       totalContacts: data.length,
       duplicateIssues: issues.filter(i => i.type === 'duplicate_phone'),
+      possibleDuplicates: issues.filter(i => i.type === 'possible_duplicate'),
       incompleteProfiles: incomplete,
       oldPendingContacts: oldPending,
       allIssues: issues
@@ -221,23 +306,25 @@ class DataAccessLayer {
   }
 
   // Targeting data for notification agent
-  getDissatisfiedContactsRaw() {
-    const data = this.getSurveyResponses();
+  // Answers below the middle of the satisfaction scale
+  async getDissatisfiedContactsRaw() {
+    const data = await this.getSurveyResponses();
+    const dissatisfied = getSatisfactionScale(this.surveys).low;
     return data.filter(contact => 
       contact.survey && 
-      ['Muito insatisfeito', 'Insatisfeito'].includes(contact.survey.satisfaction)
+      dissatisfied.includes(contact.survey.satisfaction)
     );
   }
 
-  getParticipationInterestedRaw() {
-    const data = this.getSurveyResponses();
+  async getParticipationInterestedRaw() {
+    const data = await this.getSurveyResponses();
     return data.filter(contact => 
       contact.survey && contact.survey.participate === 'Sim'
     );
   }
 
-  getParticipationNotInterestedRaw() {
-    const data = this.getSurveyResponses();
+  async getParticipationNotInterestedRaw() {
+    const data = await this.getSurveyResponses();
     return data.filter(contact => {
       const p = contact?.survey?.participate;
       if (!p) return false;
@@ -250,18 +337,21 @@ class DataAccessLayer {
     });
   }
 
-  getNonRespondentsRaw() {
-    const data = this.getAllContacts();
+  async getNonRespondentsRaw() {
+    const data = await this.getAllContacts();
+    const clickedButNotResponded = data.filter(d => d.clickedAt && !d.survey);
     return {
-      clickedButNotResponded: data.filter(d => d.clickedAt && !d.survey),
+      clickedButNotResponded,
+      // Saved some answers in survey.html and left before sending
+      startedNotSent: clickedButNotResponded.filter(d => (d.surveyRounds || []).some(entry => entry.draft && !entry.answeredAt)),
       contacted: data.filter(d => d.whatsappSentAt && !d.clickedAt),
       notContacted: data.filter(d => !d.whatsappSentAt)
     };
   }
 
   // Administrative data access
-  getContactsByStatus(status) {
-    const data = this.getAllContacts();
+  async getContactsByStatus(status) {
+    const data = await this.getAllContacts();
     
     switch (status) {
       case 'answered':
@@ -269,7 +359,7 @@ class DataAccessLayer {
       case 'unanswered':
         return data.filter(d => d.whatsappSentAt && !d.survey);
       case 'old':
-        const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        const weekAgo = new Date(this.referenceTime().getTime() - 7 * 24 * 60 * 60 * 1000);
         return data.filter(d => 
           d.whatsappSentAt && 
           new Date(d.whatsappSentAt) < weekAgo && 
@@ -282,8 +372,8 @@ class DataAccessLayer {
     }
   }
 
-  getRecentActivityRaw() {
-    const data = this.getAllContacts();
+  async getRecentActivityRaw() {
+    const data = await this.getAllContacts();
     const activities = [];
 
     data.forEach(contact => {
@@ -319,19 +409,28 @@ class DataAccessLayer {
   }
 
   // Utility methods
+  // "Now" for age-based checks; historical reads measure against their asOf time
+  referenceTime() {
+    return this.asOf ? new Date(this.asOf) : new Date();
+  }
+
   clearCache() {
     this.cache = null;
     this.cacheTime = null;
+    this.cacheChangeCount = null;
   }
 
-  getDataStats() {
-    const data = this.loadData();
+  async getDataStats() {
+    const data = await this.loadData();
     const neighborhoods = new Set(data.map(d => d.neighborhood).filter(Boolean));
     
+    const storageInfo = await this.storage.describe();
+
     return {
       contacts: data.length,
       neighborhoods: neighborhoods.size,
-      lastModified: fs.existsSync(this.dataPath) ? fs.statSync(this.dataPath).mtime : null
+      storage: storageInfo.driver,
+      lastModified: storageInfo.lastModified || null
     };
   }
 }
@@ -16,7 +16,7 @@ class IntelligentDataProcessor {
    * Generate intelligent context for LLM processing
    */
   async generateIntelligentContext(queryAnalysis) {
-    const rawData = this.dataAccess.loadData();
+    const rawData = await this.dataAccess.loadData();
     const statistics = this.calculateAdvancedStatistics(rawData);
     const trends = this.analyzeTrends(rawData);
     const insights = this.generateKeyInsights(statistics, trends);
@@ -120,7 +120,7 @@ class IntelligentDataProcessor {
     const geoMetrics = {};
 
     rawData.forEach(contact => {
-      const neighborhood = contact.neighborhood || 'Unknown';
+      const neighborhood = this.dataAccess.neighborhoods.groupOf(contact)?.name || 'Unknown';
       if (!neighborhoods[neighborhood]) {
         neighborhoods[neighborhood] = {
           total: 0,
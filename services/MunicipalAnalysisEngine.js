@@ -1,16 +1,90 @@
 // services/MunicipalAnalysisEngine.js - Domain-specific municipal analysis without data access
 const DataAccessLayer = require('./DataAccessLayer');
+const { getCustomFieldRegistry } = require('./customFields');
+const { getSurveyRegistry, getSatisfactionScale, scaleOf, CHANNELS, channelOf } = require('./surveys');
+const { engagementOf, parseFilter } = require('./query');
+const { normalizeText } = require('./textMatching');
+
+const AGE_BRACKETS = [
+  { key: '15-24', min: 15, max: 24 },
+  { key: '25-34', min: 25, max: 34 },
+  { key: '35-44', min: 35, max: 44 },
+  { key: '45-54', min: 45, max: 54 },
+  { key: '55-64', min: 55, max: 64 },
+  { key: '65+',  min: 65, max: 150 }
+];
+
+// Bucket for contacts without a value in a cross-tab dimension
+const NOT_INFORMED = 'Não informado';
+
+// WhatsApp statuses that mean a survey invitation reached the resident
+const DELIVERED_STATUSES = ['delivered', 'read'];
+
+/**
+ * Built-in cross-tab dimensions. `read` gives the bucket of a contact (null when unknown);
+ * `order` (a list, or a function of the engine) fixes the order of the buckets, otherwise the biggest come first.
+ */
+const DIMENSIONS = {
+  neighborhood: { label: 'Bairro', read: (contact, engine) => engine.neighborhoodGroupOf(contact)?.name || contact.neighborhood },
+  region: { label: 'Região', read: (contact, engine) => engine.neighborhoodGroupOf(contact)?.region },
+  ageBracket: {
+    label: 'Faixa etária',
+    read: contact => AGE_BRACKETS.find(bracket => Number(contact.age) >= bracket.min && Number(contact.age) <= bracket.max)?.key,
+    order: AGE_BRACKETS.map(bracket => bracket.key)
+  },
+  satisfaction: {
+    label: 'Satisfação',
+    read: contact => contact.survey?.satisfaction,
+    order: engine => [...engine.satisfactionScale().values].reverse()
+  },
+  issue: { label: 'Problema principal', read: contact => contact.survey?.issue },
+  participate: { label: 'Interesse em participar', read: contact => contact.survey?.participate, order: ['Sim', 'Talvez', 'Não'] },
+  answered: { label: 'Respondeu a pesquisa', read: contact => (contact.survey ? 'Sim' : 'Não'), order: ['Sim', 'Não'] },
+  engagement: {
+    label: 'Etapa de engajamento',
+    read: engagementOf,
+    order: ['not_sent', 'sent', 'delivered', 'clicked', 'responded']
+  }
+};
 
 class MunicipalAnalysisEngine {
-  constructor() {
-    this.dataAccess = new DataAccessLayer();
+  /**
+   * @param {Object} [options]
+   * @param {DataAccessLayer} [options.dataAccess] - Injected data access (tests, custom storage)
+   * @param {string|Date} [options.asOf] - Run every analysis against the dataset as it was at this time
+   */
+  constructor(options = {}) {
+    this.dataAccess = options.dataAccess || new DataAccessLayer({ asOf: options.asOf });
+    this.asOf = this.dataAccess.asOf || null;
+    this.customFields = options.customFields || getCustomFieldRegistry();
+    this.surveys = options.surveys || getSurveyRegistry();
     this.name = 'Municipal Analysis Engine';
   }
 
+  // Same analyses against the historical state rebuilt from the change journal
+  static asOf(timestamp, options = {}) {
+    return new MunicipalAnalysisEngine({ ...options, asOf: timestamp });
+  }
+
+  // Satisfaction scale of the survey residents answer (see services/surveys)
+  satisfactionScale() {
+    return getSatisfactionScale(this.surveys);
+  }
+
+  /**
+   * Score of a satisfaction answer on the 1-5 range the reports and their thresholds use, whatever
+   * scores the survey scale gives; answers that are not on the scale count as neutral (3).
+   */
+  satisfactionScoreOf(level, scale = this.satisfactionScale()) {
+    const score = scale.scoreOf(level);
+    if (score === null) return 3;
+    return 1 + (4 * (score - scale.minScore)) / (scale.maxScore - scale.minScore);
+  }
+
   // ==================== SATISFACTION ANALYSIS ====================
   
   async analyzeSatisfaction(filters = {}) {
-    const rawData = this.dataAccess.getSatisfactionRawData();
+    const rawData = await this.dataAccess.getSatisfactionRawData();
     
     if (rawData.total === 0) {
       return {
@@ -25,19 +99,13 @@ class MunicipalAnalysisEngine {
     }
 
     // Calculate weighted score
-    const weights = {
-      'Muito satisfeito': 5,
-      'Satisfeito': 4,
-      'Neutro': 3,
-      'Insatisfeito': 2,
-      'Muito insatisfeito': 1
-    };
+    const scale = this.satisfactionScale();
 
     let totalScore = 0;
     let totalResponses = 0;
 
     Object.entries(rawData.breakdown).forEach(([level, count]) => {
-      const weight = weights[level] || 3;
+      const weight = this.satisfactionScoreOf(level, scale);
       totalScore += weight * count;
       totalResponses += count;
     });
@@ -77,7 +145,7 @@ class MunicipalAnalysisEngine {
 
   // ==================== AGE SATISFACTION ANALYSIS (NEW) ====================
   async analyzeSatisfactionByAge() {
-    const responses = this.dataAccess.getSurveyResponses();
+    const responses = await this.dataAccess.getSurveyResponses();
     const withAge = responses.filter(r => r.age && r.survey && r.survey.satisfaction);
     if (withAge.length === 0) {
       return {
@@ -90,31 +158,15 @@ class MunicipalAnalysisEngine {
       };
     }
 
-    const weights = {
-      'Muito satisfeito': 5,
-      'Satisfeito': 4,
-      'Neutro': 3,
-      'Insatisfeito': 2,
-      'Muito insatisfeito': 1
-    };
-
-    const bracketsDef = [
-      { key: '15-24', min: 15, max: 24 },
-      { key: '25-34', min: 25, max: 34 },
-      { key: '35-44', min: 35, max: 44 },
-      { key: '45-54', min: 45, max: 54 },
-      { key: '55-64', min: 55, max: 64 },
-      { key: '65+',  min: 65, max: 150 }
-    ];
-
-    const buckets = bracketsDef.map(b => ({ ...b, count: 0, totalScore: 0 }));
+    const scale = this.satisfactionScale();
+    const buckets = AGE_BRACKETS.map(b => ({ ...b, count: 0, totalScore: 0 }));
 
     withAge.forEach(r => {
       const ageNum = parseInt(r.age, 10);
       if (isNaN(ageNum)) return;
       const bracket = buckets.find(b => ageNum >= b.min && ageNum <= b.max);
       if (!bracket) return;
-      const score = weights[r.survey.satisfaction] ?? 3;
+      const score = this.satisfactionScoreOf(r.survey.satisfaction, scale);
       bracket.count++;
       bracket.totalScore += score;
     });
@@ -219,7 +271,10 @@ class MunicipalAnalysisEngine {
     }
 
     // Distribution analysis
-    const neutralCount = breakdown.find(b => b.level === 'Neutro')?.count || 0;
+    const neutralLevels = this.satisfactionScale().neutral;
+    const neutralCount = breakdown
+      .filter(b => neutralLevels.includes(b.level))
+      .reduce((sum, b) => sum + parseInt(b.count), 0);
     if (neutralCount > rawData.total * 0.3) {
       insights.push(`Muitos cidadãos neutros (${neutralCount} pessoas, ${((neutralCount / rawData.total) * 100).toFixed(1)}%) - isso pode indicar que eles não estão nem satisfeitos nem insatisfeitos, ou que não têm opinião formada.`);
       recommendations.push('Entrar em contato com os cidadãos neutros para entender suas necessidades específicas e identificar oportunidades de melhoria.');
@@ -231,13 +286,16 @@ class MunicipalAnalysisEngine {
   // ==================== NEIGHBORHOOD ANALYSIS ====================
   
   async analyzeNeighborhoods() {
-    const rawData = this.dataAccess.getNeighborhoodRawData();
+    const rawData = await this.dataAccess.getNeighborhoodRawData();
 
-    const neighborhoodsRaw = Object.entries(rawData).map(([name, stats]) => {
+    // Buckets are canonical neighborhoods, so aliases and spelling variants are counted together
+    const neighborhoodsRaw = Object.values(rawData).map(stats => {
       const responseRate = stats.total > 0 ? (stats.answered / stats.total) * 100 : 0;
       const engagementRate = stats.sent > 0 ? (stats.clicked / stats.sent) * 100 : 0;
       return {
-        neighborhood: name,
+        neighborhood: stats.name,
+        neighborhoodId: stats.id,
+        region: stats.region,
         total: stats.total,
         sent: stats.sent,
         clicked: stats.clicked,
@@ -277,14 +335,39 @@ class MunicipalAnalysisEngine {
       needsAttention: neighborhoodsRaw
         .filter(n => n.responseRate < attentionCutoff)
         .map(n => ({ neighborhood: n.neighborhood, responseRate: n.responseRate.toFixed(1) })),
+      regions: this.summarizeRegions(neighborhoodsRaw),
       meta: {
         avgResponseRate: avgResponse.toFixed(1),
         attentionCutoff: attentionCutoff.toFixed(1),
-        computationVersion: 'neigh_v0.2'
+        computationVersion: 'neigh_v0.3'
       }
     };
   }
 
+  // Totals per region of the neighborhood registry (empty when no region is configured)
+  summarizeRegions(neighborhoods) {
+    const regions = {};
+    neighborhoods.forEach(n => {
+      if (!n.region) return;
+      if (!regions[n.region]) {
+        regions[n.region] = { region: n.region, neighborhoods: 0, total: 0, sent: 0, clicked: 0, answered: 0 };
+      }
+      const region = regions[n.region];
+      region.neighborhoods++;
+      region.total += n.total;
+      region.sent += n.sent;
+      region.clicked += n.clicked;
+      region.answered += n.answered;
+    });
+
+    return Object.values(regions)
+      .map(region => ({
+        ...region,
+        responseRate: (region.total > 0 ? (region.answered / region.total) * 100 : 0).toFixed(1)
+      }))
+      .sort((a, b) => b.total - a.total);
+  }
+
   generateNeighborhoodInsights(neighborhoodsSortedByResponse) {
     const insights = [];
     const recommendations = [];
@@ -339,7 +422,7 @@ class MunicipalAnalysisEngine {
   // ==================== ISSUES ANALYSIS ====================
   
   async analyzeIssues() {
-    const rawData = this.dataAccess.getIssuesRawData();
+    const rawData = await this.dataAccess.getIssuesRawData();
     
     if (rawData.total === 0) {
       return {
@@ -409,7 +492,7 @@ class MunicipalAnalysisEngine {
   // ==================== ENGAGEMENT ANALYSIS ====================
   
   async analyzeEngagement() {
-    const rawData = this.dataAccess.getEngagementRawData();
+    const rawData = await this.dataAccess.getEngagementRawData();
     
     const rates = {
       response: rawData.total > 0 ? ((rawData.answered / rawData.total) * 100).toFixed(1) : '0',
@@ -479,7 +562,7 @@ class MunicipalAnalysisEngine {
   // ==================== PARTICIPATION ANALYSIS ====================
   
   async analyzeParticipation() {
-    const rawData = this.dataAccess.getParticipationRawData();
+    const rawData = await this.dataAccess.getParticipationRawData();
     
     if (rawData.total === 0) {
       return {
@@ -548,7 +631,7 @@ class MunicipalAnalysisEngine {
   // ==================== NOTIFICATION TARGETING ====================
   
   async getDissatisfiedResidents() {
-    const dissatisfiedContacts = this.dataAccess.getDissatisfiedContactsRaw();
+    const dissatisfiedContacts = await this.dataAccess.getDissatisfiedContactsRaw();
     
     if (dissatisfiedContacts.length === 0) {
       return {
@@ -560,14 +643,16 @@ class MunicipalAnalysisEngine {
       };
     }
 
-    // Analyze dissatisfaction levels and create priority scoring
+    // Analyze dissatisfaction levels and create priority scoring (the bottom of the scale comes first)
+    const lowestLevel = this.satisfactionScale().values[0];
     const residents = dissatisfiedContacts.map(contact => ({
       name: contact.name,
       whatsapp: contact.whatsapp,
       neighborhood: contact.neighborhood,
+      neighborhoodId: contact.neighborhoodId || null,
       satisfaction: contact.survey.satisfaction,
       mainIssue: contact.survey.issue,
-      priority: contact.survey.satisfaction === 'Muito insatisfeito' ? 'HIGH' : 'MEDIUM',
+      priority: contact.survey.satisfaction === lowestLevel ? 'HIGH' : 'MEDIUM',
       participationInterest: contact.survey.participate === 'Sim'
     }));
 
@@ -584,7 +669,7 @@ class MunicipalAnalysisEngine {
   }
 
   async getParticipationWilling() {
-    const interestedContacts = this.dataAccess.getParticipationInterestedRaw();
+    const interestedContacts = await this.dataAccess.getParticipationInterestedRaw();
     
     if (interestedContacts.length === 0) {
       return {
@@ -599,11 +684,12 @@ class MunicipalAnalysisEngine {
       name: contact.name,
       whatsapp: contact.whatsapp,
       neighborhood: contact.neighborhood,
+      neighborhoodId: contact.neighborhoodId || null,
       satisfaction: contact.survey.satisfaction,
       mainIssue: contact.survey.issue
     }));
 
-    const totalSurveyResponses = this.dataAccess.getSurveyResponses().length;
+    const totalSurveyResponses = (await this.dataAccess.getSurveyResponses()).length;
     const percentage = ((interestedContacts.length / totalSurveyResponses) * 100).toFixed(1);
 
     return {
@@ -616,7 +702,7 @@ class MunicipalAnalysisEngine {
   }
 
   async getParticipationNotWilling() {
-    const notInterestedContacts = this.dataAccess.getParticipationNotInterestedRaw();
+    const notInterestedContacts = await this.dataAccess.getParticipationNotInterestedRaw();
     
     if (notInterestedContacts.length === 0) {
       return {
@@ -631,11 +717,12 @@ class MunicipalAnalysisEngine {
       name: contact.name,
       whatsapp: contact.whatsapp,
       neighborhood: contact.neighborhood,
+      neighborhoodId: contact.neighborhoodId || null,
       satisfaction: contact.survey.satisfaction,
       mainIssue: contact.survey.issue
     }));
 
-    const totalSurveyResponses = this.dataAccess.getSurveyResponses().length;
+    const totalSurveyResponses = (await this.dataAccess.getSurveyResponses()).length;
     const percentage = ((notInterestedContacts.length / totalSurveyResponses) * 100).toFixed(1);
 
     // Reuse insights generation with cautionary framing
@@ -661,7 +748,7 @@ class MunicipalAnalysisEngine {
   }
 
       async getNonRespondents() {
-    const rawData = this.dataAccess.getNonRespondentsRaw();
+    const rawData = await this.dataAccess.getNonRespondentsRaw();
     
     const clickedButNotResponded = rawData.clickedButNotResponded;
     const contacted = rawData.contacted;
@@ -678,8 +765,9 @@ class MunicipalAnalysisEngine {
       };
     }
 
+    const started = new Set(rawData.startedNotSent);
     const residents = [
-      ...clickedButNotResponded.map(c => ({ ...c, status: 'Clicked but not responded' })),
+      ...clickedButNotResponded.map(c => ({ ...c, status: started.has(c) ? 'Started but not sent' : 'Clicked but not responded' })),
       ...contacted.map(c => ({ ...c, status: 'Contacted but no click' })),
       ...notContacted.map(c => ({ ...c, status: 'Not contacted' }))
     ];
@@ -688,6 +776,7 @@ class MunicipalAnalysisEngine {
       total,
       residents,
       clickedButNotResponded: clickedButNotResponded.length,
+      startedNotSent: started.size,
       contacted: contacted.length,
       notContacted: notContacted.length,
       insights: this.generateNonRespondentInsights(rawData),
@@ -698,7 +787,7 @@ class MunicipalAnalysisEngine {
   // ==================== SYSTEM HEALTH ANALYSIS ====================
   
   async analyzeSystemHealth() {
-    const rawData = this.dataAccess.getSystemHealthRawData();
+    const rawData = await this.dataAccess.getSystemHealthRawData();
     
     const health = this.assessOverallHealth(rawData);
     const analysis = this.generateSystemHealthInsights(rawData, health);
@@ -706,6 +795,7 @@ class MunicipalAnalysisEngine {
     return {
       totalContacts: rawData.totalContacts,
       duplicates: rawData.duplicateIssues.length,
+      possibleDuplicates: rawData.possibleDuplicates.length,
       incompleteProfiles: rawData.incompleteProfiles.length,
       oldPending: rawData.oldPendingContacts.length,
       health: health.level,
@@ -716,10 +806,375 @@ class MunicipalAnalysisEngine {
     };
   }
 
+  // ==================== SURVEY ROUNDS ====================
+
+  // The survey asked for, or the one residents answer by default
+  resolveSurvey(surveyId = null) {
+    return surveyId ? this.surveys.get(String(surveyId)) : this.surveys.getDefault();
+  }
+
+  /**
+   * Send -> delivery -> click -> answer funnel of every round of a survey. The clicks, answers and
+   * rates follow the invitations (entries with a sentAt), so they never pass 100%; answers sent
+   * through the public link of an open survey (answeredBy.open) or through a link handed out without
+   * a send, such as the one given at registration (answeredBy.direct), are counted apart.
+   * @param {string} [surveyId] - Defaults to the survey residents answer
+   * @returns {Promise<Object>} or { error } for unknown surveys
+   */
+  async analyzeRoundFunnel(surveyId = null) {
+    const survey = this.resolveSurvey(surveyId);
+    if (!survey) return { error: `Unknown survey "${surveyId}"` };
+
+    const entries = await this.dataAccess.getSurveyRoundEntries(survey.id);
+    const rate = (part, whole) => (whole > 0 ? ((part / whole) * 100).toFixed(1) : '0');
+
+    const rounds = survey.rounds.map(round => {
+      const inRound = entries.filter(({ entry }) => entry.round === round.number).map(({ entry }) => entry);
+      const sent = inRound.filter(entry => entry.sentAt);
+      const delivered = sent.filter(entry => DELIVERED_STATUSES.includes(entry.status)).length;
+      const clicked = sent.filter(entry => entry.clickedAt);
+      const answeredSent = sent.filter(entry => entry.answeredAt && channelOf(entry) === 'invited');
+      const answeredInvited = answeredSent.length;
+      const answers = inRound.filter(entry => entry.answeredAt);
+      const answeredOpen = answers.filter(entry => channelOf(entry) === 'open').length;
+      return {
+        round: round.number,
+        label: round.label,
+        openedAt: round.openedAt,
+        invited: sent.length,
+        delivered,
+        clicked: clicked.length,
+        answered: answers.length,
+        answeredBy: { invited: answeredInvited, open: answeredOpen, direct: answers.length - answeredInvited - answeredOpen },
+        rates: {
+          click: rate(clicked.length, sent.length),
+          response: rate(answeredInvited, sent.length),
+          completion: rate(answeredSent.filter(entry => entry.clickedAt).length, clicked.length)
+        }
+      };
+    });
+
+    return {
+      survey: { id: survey.id, title: survey.title, open: survey.open === true },
+      rounds,
+      meta: { computationVersion: 'rounds_v0.1' }
+    };
+  }
+
+  /**
+   * Where residents stop answering a survey: for each question, how many answered it and how many left
+   * it as the next one to answer, read from the answers survey.html saves while they type. Only
+   * invitation links save answers in progress, so answers sent through a public link are left out.
+   * @param {Object} [options]
+   * @param {string} [options.survey] - Defaults to the survey residents answer
+   * @param {number} [options.round] - Defaults to every round
+   * @returns {Promise<Object>} or { error } for unknown surveys and rounds
+   */
+  async analyzeDropOff({ survey: surveyId = null, round = null } = {}) {
+    const survey = this.resolveSurvey(surveyId);
+    if (!survey) return { error: `Unknown survey "${surveyId}"` };
+
+    const number = round === null || round === undefined || round === '' ? null : Number(round);
+    if (number !== null && !survey.rounds.some(candidate => candidate.number === number)) {
+      return { error: `Unknown round ${round}. Survey "${survey.id}" has rounds ${survey.rounds.map(candidate => candidate.number).join(', ')}` };
+    }
+
+    const entries = (await this.dataAccess.getSurveyRoundEntries(survey.id))
+      .map(({ entry }) => entry)
+      .filter(entry => (number === null || entry.round === number) && channelOf(entry) === 'invited');
+    const completed = entries.filter(entry => entry.answeredAt);
+    const abandoned = entries.filter(entry => !entry.answeredAt && entry.draft);
+    const started = completed.length + abandoned.length;
+    const clicked = entries.filter(entry => entry.clickedAt).length;
+    const percent = (part, whole) => (whole > 0 ? Number(((part / whole) * 100).toFixed(1)) : 0);
+    // Sent answers store skipped and unanswered questions as null
+    const hasAnswer = value => value !== null && value !== undefined && !(Array.isArray(value) && !value.length);
+
+    const questions = survey.questions.map(question => {
+      const answered = completed.filter(entry => hasAnswer(entry.answers?.[question.id])).length +
+        abandoned.filter(entry => (entry.draft.answered || []).includes(question.id)).length;
+      const stoppedHere = abandoned.filter(entry => entry.draft.stoppedAt === question.id).length;
+      return { id: question.id, label: question.label, answered, stoppedHere, stoppedPercent: percent(stoppedHere, abandoned.length) };
+    });
+    const stoppedBeforeSending = abandoned.filter(entry => !entry.draft.stoppedAt).length;
+
+    const result = {
+      survey: { id: survey.id, title: survey.title },
+      round: number,
+      clicked,
+      started,
+      completed: completed.length,
+      abandoned: abandoned.length,
+      abandonRate: percent(abandoned.length, started),
+      stoppedBeforeSending,
+      questions
+    };
+    return { ...result, insights: this.generateDropOffInsights(result), meta: { computationVersion: 'dropoff_v0.1' } };
+  }
+
+  generateDropOffInsights({ started, completed, abandoned, abandonRate, stoppedBeforeSending, questions }) {
+    if (!started) return ['Nenhum morador começou a responder esta pesquisa ainda.'];
+
+    const insights = [`${started} moradores começaram a responder: ${completed} enviaram e ${abandoned} pararam no meio (${abandonRate}%).`];
+    const worst = [...questions].sort((a, b) => b.stoppedHere - a.stoppedHere)[0];
+    if (worst && worst.stoppedHere > 0) {
+      insights.push(`A pergunta em que mais moradores param é "${worst.label}" (${worst.stoppedHere} de ${abandoned}). Vale simplificá-la ou torná-la opcional.`);
+    }
+    if (stoppedBeforeSending > 0) {
+      insights.push(`${stoppedBeforeSending} responderam todas as perguntas mas não enviaram; um lembrete pode recuperar essas respostas.`);
+    }
+    return insights;
+  }
+
+  /**
+   * Two rounds of a survey side by side: satisfaction of each round, how it changed for the residents
+   * who answered both, and the answers to every choice question.
+   * @param {Object} [options]
+   * @param {string} [options.survey] - Defaults to the survey residents answer
+   * @param {number} [options.from] - Defaults to the round before the last one
+   * @param {number} [options.to] - Defaults to the last round
+   * @param {string} [options.channel] - 'invited' or 'open' to compare only answers that came that way; defaults to both
+   * @returns {Promise<Object>} or { error } for unknown surveys and rounds
+   */
+  async compareRounds({ survey: surveyId = null, from = null, to = null, channel = null } = {}) {
+    const survey = this.resolveSurvey(surveyId);
+    if (!survey) return { error: `Unknown survey "${surveyId}"` };
+    if (channel && !CHANNELS.includes(channel)) return { error: `Unknown channel "${channel}". Use one of: ${CHANNELS.join(', ')}` };
+
+    const numbers = survey.rounds.map(round => round.number);
+    const fromNumber = from === null || from === undefined || from === '' ? numbers[numbers.length - 2] : Number(from);
+    const toNumber = to === null || to === undefined || to === '' ? numbers[numbers.length - 1] : Number(to);
+    if (fromNumber === undefined) return { error: `Survey "${survey.id}" has a single round; open another one to compare` };
+    const [fromRound, toRound] = [fromNumber, toNumber].map(number => survey.rounds.find(round => round.number === number));
+    if (!fromRound || !toRound) {
+      return { error: `Unknown round ${!fromRound ? from : to}. Survey "${survey.id}" has rounds ${numbers.join(', ')}` };
+    }
+    if (fromRound === toRound) return { error: 'Pick two different rounds' };
+
+    const entries = (await this.dataAccess.getSurveyRoundEntries(survey.id))
+      .filter(({ entry }) => entry.answeredAt && (!channel || channelOf(entry) === channel));
+    // Keyed by contact so the same residents can be paired across rounds; anonymous answers pair with nobody
+    const answersOf = number => new Map(entries.filter(({ entry }) => entry.round === number).map(({ contact, entry }) => [contact || entry, entry.answers || {}]));
+    const before = answersOf(fromRound.number);
+    const after = answersOf(toRound.number);
+
+    const scale = scaleOf(survey, 'satisfaction');
+    const summarize = (round, answers) => ({ round: round.number, label: round.label, respondents: answers.size, ...this.roundSatisfaction([...answers.values()], scale) });
+    const sameResidents = this.compareSameResidents(before, after, scale);
+
+    return {
+      survey: { id: survey.id, title: survey.title },
+      channel,
+      from: summarize(fromRound, before),
+      to: summarize(toRound, after),
+      sameResidents,
+      questions: survey.questions
+        .filter(question => question.options)
+        .map(question => ({
+          id: question.id,
+          label: question.label,
+          type: question.type,
+          options: question.options.map(option => {
+            const share = answers => this.optionShare(question, option.value, [...answers.values()]);
+            const [a, b] = [share(before), share(after)];
+            return { value: option.value, from: a, to: b, change: Number((b.percentage - a.percentage).toFixed(1)) };
+          })
+        })),
+      insights: this.generateRoundInsights(fromRound, toRound, before, after, scale ? sameResidents : null),
+      meta: { computationVersion: 'rounds_v0.1' }
+    };
+  }
+
+  // Average (on the 1-5 range of the reports) and share of dissatisfied answers, or nulls without a scale
+  roundSatisfaction(answersList, scale) {
+    const levels = scale ? answersList.map(answers => answers[scale.questionId]).filter(level => scale.scoreOf(level) !== null) : [];
+    if (!levels.length) return { averageScore: null, dissatisfiedPercent: null };
+    const total = levels.reduce((sum, level) => sum + this.satisfactionScoreOf(level, scale), 0);
+    const dissatisfied = levels.filter(level => scale.scoreOf(level) < scale.middle).length;
+    return {
+      averageScore: Number((total / levels.length).toFixed(2)),
+      dissatisfiedPercent: Number(((dissatisfied / levels.length) * 100).toFixed(1))
+    };
+  }
+
+  // Residents who answered the satisfaction question in both rounds, overall and by neighborhood
+  compareSameResidents(before, after, scale) {
+    const scoreOf = answers => {
+      const level = answers[scale.questionId];
+      return scale.scoreOf(level) === null ? null : this.satisfactionScoreOf(level, scale);
+    };
+    const pairs = scale
+      ? [...before.keys()]
+          .filter(contact => after.has(contact))
+          .map(contact => ({ contact, from: scoreOf(before.get(contact)), to: scoreOf(after.get(contact)) }))
+          .filter(pair => pair.from !== null && pair.to !== null)
+      : [];
+
+    const summarize = list => {
+      const average = key => (list.length ? Number((list.reduce((sum, pair) => sum + pair[key], 0) / list.length).toFixed(2)) : null);
+      const [averageFrom, averageTo] = [average('from'), average('to')];
+      return {
+        count: list.length,
+        averageFrom,
+        averageTo,
+        change: list.length ? Number((averageTo - averageFrom).toFixed(2)) : null,
+        improved: list.filter(pair => pair.to > pair.from).length,
+        worsened: list.filter(pair => pair.to < pair.from).length,
+        unchanged: list.filter(pair => pair.to === pair.from).length
+      };
+    };
+
+    const byNeighborhood = new Map();
+    pairs.forEach(pair => {
+      const name = this.neighborhoodGroupOf(pair.contact)?.name || pair.contact.neighborhood || NOT_INFORMED;
+      if (!byNeighborhood.has(name)) byNeighborhood.set(name, []);
+      byNeighborhood.get(name).push(pair);
+    });
+
+    return {
+      ...summarize(pairs),
+      byNeighborhood: [...byNeighborhood.entries()]
+        .map(([neighborhood, list]) => ({ neighborhood, ...summarize(list) }))
+        .sort((a, b) => a.change - b.change || b.count - a.count)
+    };
+  }
+
+  // How many respondents picked the option (multi answers count once per option chosen)
+  optionShare(question, value, answersList) {
+    const key = normalizeText(value);
+    const count = answersList.filter(answers => {
+      const answer = answers[question.id];
+      return Array.isArray(answer) ? answer.some(item => normalizeText(item) === key) : normalizeText(answer ?? '') === key;
+    }).length;
+    return { count, percentage: answersList.length ? Number(((count / answersList.length) * 100).toFixed(1)) : 0 };
+  }
+
+  generateRoundInsights(fromRound, toRound, before, after, same) {
+    const insights = [`${fromRound.label}: ${before.size} respostas. ${toRound.label}: ${after.size} respostas.`];
+    if (!same) return insights;
+
+    if (!same.count) {
+      insights.push('Nenhum morador respondeu às duas rodadas; a comparação de satisfação considera apenas os totais de cada rodada.');
+      return insights;
+    }
+
+    const direction = same.change > 0 ? 'subiu' : same.change < 0 ? 'caiu' : 'ficou estável';
+    insights.push(`Entre os ${same.count} moradores que responderam às duas rodadas, a satisfação média ${direction} (${same.averageFrom} → ${same.averageTo}).`);
+    insights.push(`${same.improved} melhoraram a avaliação, ${same.worsened} pioraram e ${same.unchanged} mantiveram.`);
+
+    const worst = same.byNeighborhood.find(group => group.change < 0 && group.neighborhood !== NOT_INFORMED);
+    if (worst) {
+      insights.push(`Maior queda em ${worst.neighborhood} (${worst.averageFrom} → ${worst.averageTo}, ${worst.count} moradores).`);
+    }
+    return insights;
+  }
+
+  // ==================== CROSS-TABULATION ====================
+
+  // Built-in dimensions plus one per admin-defined field (custom.<id>)
+  listDimensions() {
+    return [
+      ...Object.entries(DIMENSIONS).map(([key, dimension]) => ({ key, label: dimension.label, type: 'builtin' })),
+      ...this.customFields.list().map(field => ({ key: `custom.${field.id}`, label: field.label, type: field.type }))
+    ];
+  }
+
+  // Custom values become buckets: yes/no as Sim/Não, dates by month, the rest as written
+  resolveDimension(key) {
+    if (DIMENSIONS[key]) return DIMENSIONS[key];
+    const field = key.startsWith('custom.') ? this.customFields.get(key.slice('custom.'.length)) : null;
+    if (!field) return null;
+
+    const valueOf = contact => contact.customFields?.[field.id];
+    switch (field.type) {
+      case 'boolean':
+        return { label: field.label, read: contact => (typeof valueOf(contact) === 'boolean' ? (valueOf(contact) ? 'Sim' : 'Não') : null), order: ['Sim', 'Não'] };
+      case 'date':
+        return { label: field.label, read: contact => (typeof valueOf(contact) === 'string' ? valueOf(contact).slice(0, 7) : null), sortByValue: true };
+      case 'number':
+        return { label: field.label, read: contact => (typeof valueOf(contact) === 'number' ? String(valueOf(contact)) : null), sortByValue: true, numeric: true };
+      case 'select':
+        return { label: field.label, read: valueOf, order: field.options };
+      default:
+        return { label: field.label, read: valueOf };
+    }
+  }
+
+  neighborhoodGroupOf(contact) {
+    return this.dataAccess.neighborhoods ? this.dataAccess.neighborhoods.groupOf(contact) : null;
+  }
+
+  /**
+   * Contacts counted along two dimensions at once, e.g. neighborhood × custom.linha-de-onibus.
+   * Dimensions come from listDimensions(); contacts without a value land in "Não informado".
+   * @param {string} rowKey
+   * @param {string} columnKey
+   * @param {Object} [options]
+   * @param {Object|string} [options.filter] - Only contacts matching it (filter language of GET /api/contacts)
+   * @returns {Promise<Object>} or { error } for unknown dimensions and invalid filters
+   */
+  async crossTab(rowKey, columnKey, { filter = null } = {}) {
+    const rowDimension = this.resolveDimension(rowKey);
+    const columnDimension = this.resolveDimension(columnKey);
+    const unknown = !rowDimension ? rowKey : !columnDimension ? columnKey : null;
+    if (unknown !== null) {
+      return { error: `Unknown dimension "${unknown}". Use one of: ${this.listDimensions().map(d => d.key).join(', ')}` };
+    }
+
+    const parsed = parseFilter(filter, { segments: this.dataAccess.segments });
+    if (parsed.error) return { error: parsed.error };
+    const contacts = await this.dataAccess.getAllContacts(filter || {});
+
+    const rows = this.bucketize(contacts, rowDimension);
+    const columns = this.bucketize(contacts, columnDimension);
+    const columnOf = new Map(columns.flatMap(column => column.contacts.map(contact => [contact, column.value])));
+
+    const table = rows.map(row => {
+      const counts = Object.fromEntries(columns.map(column => [column.value, 0]));
+      row.contacts.forEach(contact => counts[columnOf.get(contact)]++);
+      return { value: row.value, total: row.contacts.length, counts };
+    });
+
+    return {
+      rows: { key: rowKey, label: rowDimension.label },
+      columns: { key: columnKey, label: columnDimension.label },
+      columnValues: columns.map(column => column.value),
+      table,
+      columnTotals: Object.fromEntries(columns.map(column => [column.value, column.contacts.length])),
+      total: contacts.length,
+      meta: { computationVersion: 'crosstab_v0.1' }
+    };
+  }
+
+  // Groups contacts by the dimension; spellings differing only in case or accents share a bucket
+  bucketize(contacts, dimension) {
+    const buckets = new Map();
+    contacts.forEach(contact => {
+      const raw = dimension.read(contact, this);
+      const present = raw !== null && raw !== undefined && String(raw).trim() !== '';
+      const key = present ? normalizeText(raw) : null;
+      if (!buckets.has(key)) buckets.set(key, { value: present ? String(raw).trim() : NOT_INFORMED, contacts: [] });
+      buckets.get(key).contacts.push(contact);
+    });
+
+    const declared = typeof dimension.order === 'function' ? dimension.order(this) : dimension.order;
+    const order = (declared || []).map(value => normalizeText(value));
+    const rank = key => (key === null ? Infinity : order.includes(key) ? order.indexOf(key) : order.length);
+    return [...buckets.entries()]
+      .sort(([keyA, a], [keyB, b]) => {
+        if (rank(keyA) !== rank(keyB)) return rank(keyA) - rank(keyB);
+        if (dimension.sortByValue) {
+          return dimension.numeric ? Number(a.value) - Number(b.value) : a.value.localeCompare(b.value);
+        }
+        return b.contacts.length - a.contacts.length || a.value.localeCompare(b.value, 'pt-BR');
+      })
+      .map(([, bucket]) => bucket);
+  }
+
   // ==================== HELPER METHODS ====================
   
   calculateDissatisfiedPercent(breakdown) {
-    const dissatisfiedLevels = ['Muito insatisfeito', 'Insatisfeito'];
+    const dissatisfiedLevels = this.satisfactionScale().low;
     const dissatisfiedCount = breakdown
       .filter(b => dissatisfiedLevels.includes(b.level))
       .reduce((sum, b) => sum + parseInt(b.count), 0);
@@ -730,13 +1185,13 @@ class MunicipalAnalysisEngine {
 
   calculateDissatisfiedCount(breakdown) {
     return breakdown
-      .filter(b => ['Muito insatisfeito', 'Insatisfeito'].includes(b.level))
+      .filter(b => this.satisfactionScale().low.includes(b.level))
       .reduce((sum, b) => sum + parseInt(b.count), 0);
   }
 
   // Unified dissatisfaction stats (superset; keeps existing helpers for backward compatibility)
   calculateDissatisfactionStats(breakdown) {
-    const dissLevels = new Set(['Muito insatisfeito', 'Insatisfeito']);
+    const dissLevels = new Set(this.satisfactionScale().low);
     let dissCount = 0;
     let total = 0;
     breakdown.forEach(b => {
@@ -845,17 +1300,18 @@ class MunicipalAnalysisEngine {
       insights.push('O baixo interesse pode indicar necessidade de diferentes abordagens de engajamento.');
     }
 
-    // Neighborhood distribution
+    // Neighborhood distribution (by canonical neighborhood)
     const neighborhoods = {};
     residents.forEach(r => {
-      neighborhoods[r.neighborhood] = (neighborhoods[r.neighborhood] || 0) + 1;
+      const group = this.dataAccess.neighborhoods.groupOf(r) || { key: 'unknown', name: 'Não informado' };
+      if (!neighborhoods[group.key]) neighborhoods[group.key] = { name: group.name, count: 0 };
+      neighborhoods[group.key].count++;
     });
 
-    if (Object.keys(neighborhoods).length > 1) {
-      const topNeighborhood = Object.keys(neighborhoods).reduce((a, b) => 
-        neighborhoods[a] > neighborhoods[b] ? a : b
-      );
-      insights.push(`Concentração geográfica: ${topNeighborhood} lidera com ${neighborhoods[topNeighborhood]} cidadãos interessados.`);
+    const groups = Object.values(neighborhoods);
+    if (groups.length > 1) {
+      const top = groups.reduce((a, b) => (a.count >= b.count ? a : b));
+      insights.push(`Concentração geográfica: ${top.name} lidera com ${top.count} cidadãos interessados.`);
     }
 
     return insights;
@@ -890,6 +1346,9 @@ class MunicipalAnalysisEngine {
       if (rawData.clickedButNotResponded.length > total * 0.3) {
         insights.push('Taxa alta de abandono sugere problemas de usabilidade ou pesquisa muito longa.');
       }
+      if (rawData.startedNotSent?.length) {
+        insights.push(`${rawData.startedNotSent.length} deles começaram a responder e pararam no meio; a análise de abandono mostra em qual pergunta.`);
+      }
     }
 
     if (rawData.contacted.length > 0) {
@@ -957,6 +1416,11 @@ class MunicipalAnalysisEngine {
       recommendations.push('Implementar procedimentos de detecção e limpeza de duplicatas para melhorar a qualidade dos dados.');
     }
 
+    if (rawData.possibleDuplicates.length > 0) {
+      insights.push(`Possíveis duplicados: ${rawData.possibleDuplicates.length} pares de cadastros parecidos (nome, idade, bairro ou telefone com pequenas diferenças).`);
+      recommendations.push('Revisar os pares na tela "Duplicados" do painel administrativo e mesclar os cadastros do mesmo morador.');
+    }
+
     if (rawData.incompleteProfiles.length > 0) {
       const incompleteRate = (rawData.incompleteProfiles.length / rawData.totalContacts * 100).toFixed(1);
       insights.push(`Perfis incompletos: ${rawData.incompleteProfiles.length} perfis com informações faltando (${incompleteRate}%).`);
@@ -17,7 +17,7 @@ class ResidentFilterService {
       return [];
     }
 
-    const { type, queryNormalized, query } = criteria;
+    const { type, queryNormalized, query, matches } = criteria;
 
     switch (type) {
       case 'name_search':
@@ -37,6 +37,9 @@ class ResidentFilterService {
       
       case 'all_with_survey':
         return this.filterAllWithSurvey(contacts);
+
+      case 'segment':
+        return this.filterBySegment(contacts, matches);
       
       default:
         return [];
@@ -370,6 +373,26 @@ class ResidentFilterService {
       }));
   }
 
+  /**
+   * Filter residents of a saved segment
+   * @param {Function} matches - Predicate compiled from the segment's filter
+   */
+  filterBySegment(contacts, matches) {
+    if (typeof matches !== 'function') return [];
+    return contacts
+      .filter(matches)
+      .map(contact => ({
+        id: contact.id,
+        name: contact.name,
+        neighborhood: contact.neighborhood,
+        whatsapp: contact.whatsapp,
+        satisfaction: contact.survey?.satisfaction || null,
+        issue: contact.survey?.issue || null,
+        participateInterest: contact.survey?.participate || null,
+        tags: contact.tags || []
+      }));
+  }
+
   /**
    * Filter all residents with survey responses
    */
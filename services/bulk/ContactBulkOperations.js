@@ -0,0 +1,209 @@
+// services/bulk/ContactBulkOperations.js - One admin operation applied to many contacts at once, all or nothing
+const { parseFilter, compileFilter } = require('../query');
+const { RevisionConflictError, revisionOf } = require('../storage/StorageAdapter');
+const { MAX_TAG_LENGTH, normalizeTag, hasTag } = require('../tags');
+const { SurveyRegistry, findRound, withRound } = require('../surveys');
+
+// Largest selection one request may touch (ids or filter matches)
+const MAX_TARGETS = 1000;
+
+/**
+ * Each operation validates its params once and then says, per contact, which fields to write
+ * (null when the contact is already in the requested state).
+ */
+const OPERATIONS = {
+  'set-neighborhood': {
+    prepare(params, { neighborhoods }) {
+      const text = String(params.neighborhood ?? '').trim();
+      if (!text) return { error: 'params.neighborhood is required' };
+
+      const place = neighborhoods ? neighborhoods.normalize(text) : { neighborhood: text, neighborhoodId: null, known: false };
+      if (neighborhoods && neighborhoods.strict && !place.known) {
+        return { error: `Unknown neighborhood "${place.neighborhood}"`, suggestions: neighborhoods.suggest(place.neighborhood) };
+      }
+
+      return {
+        changesFor(contact, now) {
+          const neighborhoodId = place.neighborhoodId ?? null;
+          if (contact.neighborhood === place.neighborhood && (contact.neighborhoodId ?? null) === neighborhoodId) return null;
+          return { neighborhood: place.neighborhood, neighborhoodId, updatedAt: now };
+        }
+      };
+    }
+  },
+
+  // Same fields as POST /api/contacts/:id/mark-sent; contacts already sent in the round keep their send
+  'mark-sent': {
+    prepare(params, { surveys }) {
+      const target = (surveys || new SurveyRegistry()).resolveRound(params.survey, params.round);
+      if (target.error) return { error: target.error };
+      const { survey, round } = target;
+
+      return {
+        changesFor(contact, now) {
+          if (findRound(contact, survey.id, round.number)?.sentAt) return null;
+          const send = { sentAt: now, provider: 'manual', status: 'sent', statusUpdatedAt: now };
+          return {
+            whatsappSentAt: now,
+            whatsappProvider: 'manual',
+            whatsappStatus: 'sent',
+            whatsappStatusUpdatedAt: now,
+            surveyRounds: withRound(contact, survey.id, round.number, send)
+          };
+        }
+      };
+    }
+  },
+
+  'add-tag': {
+    prepare(params) {
+      const tag = normalizeTag(params.tag);
+      if (!tag) return { error: 'params.tag is required' };
+      if (tag.length > MAX_TAG_LENGTH) return { error: `Tags are at most ${MAX_TAG_LENGTH} characters` };
+
+      return {
+        changesFor(contact, now) {
+          if (hasTag(contact, tag)) return null;
+          return { tags: [...(contact.tags || []), tag], updatedAt: now };
+        }
+      };
+    }
+  },
+
+  // Soft delete: contacts go to the trash, as DELETE /api/contacts/:id does
+  delete: {
+    prepare(params, { trash }) {
+      return {
+        changesFor(contact, now, context) {
+          return trash.deletionChanges(context);
+        }
+      };
+    }
+  }
+};
+
+class ContactBulkOperations {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage adapter; the batch is written with updateMany()
+   * @param {Object} options.trash - ContactTrash, so only active contacts are targeted
+   * @param {Object} [options.neighborhoods] - NeighborhoodRegistry, for filters and set-neighborhood
+   * @param {Object} [options.segments] - SegmentRegistry, so filters can name saved segments
+   * @param {Object} [options.surveys] - SurveyRegistry, for the round mark-sent records (the original survey when omitted)
+   */
+  constructor({ storage, trash, neighborhoods = null, segments = null, surveys = null }) {
+    if (!storage) throw new Error('ContactBulkOperations: storage is required');
+    if (!trash) throw new Error('ContactBulkOperations: trash is required');
+    this.storage = storage;
+    this.trash = trash;
+    this.neighborhoods = neighborhoods;
+    this.segments = segments;
+    this.surveys = surveys;
+  }
+
+  /**
+   * Active contacts selected by a list of ids or by a filter (see services/query/ContactFilter).
+   * @returns {Promise<{ entries: Array<{ id, contact: Object|null }> }|{ error: string }>}
+   */
+  async selectTargets({ ids, filter }) {
+    const hasIds = ids !== undefined && ids !== null;
+    const hasFilter = filter !== undefined && filter !== null && filter !== '';
+    if (hasIds === hasFilter) return { error: 'Send either ids or filter' };
+
+    const active = await this.trash.findActive();
+
+    if (hasFilter) {
+      const parsed = parseFilter(filter, { segments: this.segments });
+      if (parsed.error) return { error: parsed.error };
+      // An empty filter would select everyone, which is never what a bulk action means
+      if (!parsed.filter) return { error: 'filter must narrow the selection; an empty filter would target every contact' };
+
+      const matches = active.filter(compileFilter(parsed.filter, { neighborhoods: this.neighborhoods }));
+      if (matches.length > MAX_TARGETS) {
+        return { error: `Filter matches ${matches.length} contacts; at most ${MAX_TARGETS} per request` };
+      }
+      return { entries: matches.map(contact => ({ id: contact.id, contact })) };
+    }
+
+    if (!Array.isArray(ids) || !ids.length) return { error: 'ids must be a non-empty array' };
+    const invalid = ids.find(id => !(typeof id === 'number' && Number.isFinite(id)) && !(typeof id === 'string' && id.trim()));
+    if (invalid !== undefined) return { error: `Invalid id ${JSON.stringify(invalid)}` };
+
+    const unique = ids.filter((id, index) => ids.findIndex(other => String(other) === String(id)) === index);
+    if (unique.length > MAX_TARGETS) return { error: `At most ${MAX_TARGETS} ids per request` };
+
+    const byId = new Map(active.map(contact => [String(contact.id), contact]));
+    return { entries: unique.map(id => ({ id, contact: byId.get(String(id)) || null })) };
+  }
+
+  /**
+   * Apply one operation to every selected contact, or to none of them.
+   * Ids that are missing or in the trash are reported as not_found and skipped; if any write
+   * fails (including someone editing a selected contact meanwhile) nothing is applied.
+   * @param {Object} options
+   * @param {Array} [options.ids] - Contact ids (either ids or filter)
+   * @param {Object|string} [options.filter] - Filter in the object or text form
+   * @param {string} options.operation - set-neighborhood | mark-sent | add-tag | delete
+   * @param {Object} [options.params] - { neighborhood }, { tag } or, for mark-sent, { survey, round }
+   * @param {boolean} [options.dryRun=false] - Report what would change without writing
+   * @param {Object} [options.context] - Change context recorded by the journal
+   * @returns {Promise<Object>} the report ({ conflict } when nothing could be applied), or { error } for bad input
+   */
+  async run({ ids, filter, operation, params = {}, dryRun = false, context = {} } = {}) {
+    const definition = Object.prototype.hasOwnProperty.call(OPERATIONS, operation) ? OPERATIONS[operation] : null;
+    if (!definition) {
+      return { error: `Unknown operation "${operation}": use ${Object.keys(OPERATIONS).join(', ')}` };
+    }
+
+    const prepared = definition.prepare(params || {}, this);
+    if (prepared.error) return prepared;
+
+    const selection = await this.selectTargets({ ids, filter });
+    if (selection.error) return selection;
+
+    const now = new Date().toISOString();
+    const results = [];
+    const updates = [];
+    selection.entries.forEach(({ id, contact }) => {
+      if (!contact) {
+        results.push({ id, status: 'not_found' });
+        return;
+      }
+      const changes = prepared.changesFor(contact, now, context);
+      results.push({ id: contact.id, name: contact.name, status: changes ? 'changed' : 'unchanged' });
+      if (changes) updates.push({ id: contact.id, changes, expectedRevision: revisionOf(contact) });
+    });
+
+    const report = {
+      operation,
+      dryRun,
+      applied: false,
+      summary: {
+        targeted: results.length,
+        changed: updates.length,
+        unchanged: results.filter(result => result.status === 'unchanged').length,
+        notFound: results.filter(result => result.status === 'not_found').length
+      },
+      results
+    };
+    if (dryRun || !updates.length) return report;
+
+    try {
+      await this.storage.updateMany(updates, context);
+    } catch (error) {
+      if (!(error instanceof RevisionConflictError)) throw error;
+      const id = error.current && error.current.id;
+      return {
+        ...report,
+        conflict: { id, error: `Contact ${id} was changed while the operation ran; nothing was applied` }
+      };
+    }
+
+    report.applied = true;
+    return report;
+  }
+}
+
+module.exports = ContactBulkOperations;
+module.exports.OPERATIONS = Object.keys(OPERATIONS);
+module.exports.MAX_TARGETS = MAX_TARGETS;
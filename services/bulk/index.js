@@ -0,0 +1,8 @@
+// services/bulk/index.js - Bulk contact operations behind POST /api/contacts/bulk
+const ContactBulkOperations = require('./ContactBulkOperations');
+
+module.exports = {
+  ContactBulkOperations,
+  BULK_OPERATIONS: ContactBulkOperations.OPERATIONS,
+  MAX_BULK_TARGETS: ContactBulkOperations.MAX_TARGETS
+};
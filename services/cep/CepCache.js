@@ -0,0 +1,95 @@
+// services/cep/CepCache.js - Addresses already looked up, kept in a JSON file across restarts
+const fs = require('fs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Entries look like { address: Object|null, source, fetchedAt } keyed by the 8 CEP digits; a null
+ * address records that the CEP does not exist. Found addresses are kept for ttlDays, misses for a day
+ * (a new CEP may be published meanwhile). The oldest entries go when the cache is full.
+ * The file holds up to maxEntries lookups, so it is rewritten at most once per saveDelayMs rather
+ * than on every lookup; flush() writes what is pending (the server calls it on shutdown).
+ */
+class CepCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file holding the cache (in memory only when omitted)
+   * @param {number} [options.ttlDays=90]
+   * @param {number} [options.maxEntries=50000]
+   * @param {number} [options.saveDelayMs=5000] - Lookups made within this time are written together (0 = at once)
+   */
+  constructor({ filePath = null, ttlDays = 90, maxEntries = 50000, saveDelayMs = 5000 } = {}) {
+    this.filePath = filePath;
+    this.ttlDays = ttlDays;
+    this.maxEntries = maxEntries;
+    this.saveDelayMs = saveDelayMs;
+    this.entries = null;
+    this.saveTimer = null;
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+    this.entries = new Map();
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}');
+      if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('CepCache: file does not contain an object');
+      Object.entries(data).forEach(([digits, entry]) => this.entries.set(digits, entry));
+    }
+    return this.entries;
+  }
+
+  // Atomic replace, same approach as JsonFileStorage; compact JSON, as nobody edits this file by hand
+  save() {
+    if (!this.filePath) return;
+    const tmpFile = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(this.entries)));
+    fs.renameSync(tmpFile, this.filePath);
+  }
+
+  scheduleSave() {
+    if (!this.filePath) return;
+    if (!this.saveDelayMs) {
+      this.save();
+      return;
+    }
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelayMs);
+    // A pending write never keeps the process alive by itself
+    this.saveTimer.unref();
+  }
+
+  // Write the pending lookups now
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      this.save();
+    } catch (error) {
+      console.error('[CepCache] Could not save the cache:', error.message);
+    }
+  }
+
+  // @returns {Object|null} the entry while it is fresh
+  get(digits, now = new Date()) {
+    const entry = this.load().get(digits);
+    if (!entry) return null;
+    const ttl = entry.address ? this.ttlDays * DAY_MS : DAY_MS;
+    return now.getTime() - new Date(entry.fetchedAt).getTime() < ttl ? entry : null;
+  }
+
+  set(digits, address, source, now = new Date()) {
+    const entries = this.load();
+    entries.delete(digits);
+    entries.set(digits, { address, source, fetchedAt: now.toISOString() });
+    // Map order is insertion order, so the first keys are the oldest lookups
+    while (entries.size > this.maxEntries) entries.delete(entries.keys().next().value);
+    this.scheduleSave();
+  }
+
+  get size() {
+    return this.load().size;
+  }
+}
+
+module.exports = CepCache;
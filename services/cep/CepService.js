@@ -0,0 +1,55 @@
+// services/cep/CepService.js - CEP lookups through the cache and a chain of providers
+const { cepDigits, formatCep } = require('./cepFormat');
+
+/**
+ * Providers are tried in order ({ name, authoritative, lookup(digits) }): the first one that knows
+ * the CEP answers. A miss from an authoritative provider (ViaCEP, or a dataset marked complete) means
+ * the CEP does not exist; misses from others move on to the next provider, and so do errors.
+ */
+class CepService {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.providers]
+   * @param {import('./CepCache')} [options.cache]
+   */
+  constructor({ providers = [], cache = null } = {}) {
+    this.providers = providers;
+    this.cache = cache;
+  }
+
+  /**
+   * @returns {Promise<{ found: true, address: Object, source: string }
+   *   | { found: false, cep: string, source?: string, unavailable?: boolean }
+   *   | { error: string }>}
+   *   found false without unavailable: the CEP does not exist; unavailable: no provider could tell
+   */
+  async lookup(value) {
+    const digits = cepDigits(value);
+    if (!digits) return { error: 'Invalid CEP format' };
+
+    const cached = this.cache?.get(digits);
+    if (cached) return this.result(digits, cached.address, 'cache');
+
+    for (const provider of this.providers) {
+      let address;
+      try {
+        address = await provider.lookup(digits);
+      } catch (error) {
+        console.warn(`[CepService] ${provider.name} lookup failed for ${digits}: ${error.message}`);
+        continue;
+      }
+      if (address || provider.authoritative) {
+        this.cache?.set(digits, address, provider.name);
+        return this.result(digits, address, provider.name);
+      }
+    }
+    // Nobody could confirm the CEP; a miss is not cached so it is asked again next time
+    return { found: false, cep: formatCep(digits), unavailable: true };
+  }
+
+  result(digits, address, source) {
+    return address ? { found: true, address, source } : { found: false, cep: formatCep(digits), source };
+  }
+}
+
+module.exports = CepService;
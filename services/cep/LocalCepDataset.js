@@ -0,0 +1,77 @@
+// services/cep/LocalCepDataset.js - CEP lookups in a CSV or JSON file, for offline use
+const fs = require('fs');
+const { parseCsv } = require('../import/spreadsheet');
+const { normalizeText } = require('../textMatching');
+const { cepDigits, toAddress } = require('./cepFormat');
+
+// Header names accepted for each field (compared without case or accents)
+const COLUMN_ALIASES = {
+  cep: ['cep'],
+  logradouro: ['logradouro', 'rua', 'endereco'],
+  complemento: ['complemento'],
+  bairro: ['bairro'],
+  cidade: ['cidade', 'localidade', 'municipio'],
+  uf: ['uf', 'estado']
+};
+
+/**
+ * The file is either JSON (an array of { cep, logradouro, bairro, cidade, uf, ... } or an object keyed
+ * by CEP) or CSV with a header row using those names (localidade and municipio also work for cidade).
+ * It is read once. A dataset usually covers the city only, so a CEP missing from it is not taken
+ * as nonexistent unless the file is marked complete.
+ */
+class LocalCepDataset {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath
+   * @param {boolean} [options.complete=false] - The file has every CEP of interest, so misses are final
+   */
+  constructor({ filePath, complete = false } = {}) {
+    if (!filePath) throw new Error('LocalCepDataset: filePath is required');
+    this.name = 'local';
+    this.authoritative = complete;
+    this.filePath = filePath;
+    this.addresses = null;
+  }
+
+  load() {
+    if (this.addresses) return this.addresses;
+    const text = fs.readFileSync(this.filePath, 'utf8').replace(/^\uFEFF/, '');
+    const rows = this.filePath.toLowerCase().endsWith('.json') ? this.readJson(text) : this.readCsv(text);
+
+    this.addresses = new Map();
+    rows.forEach(row => {
+      const digits = cepDigits(row.cep);
+      if (digits) this.addresses.set(digits, toAddress(digits, row));
+    });
+    return this.addresses;
+  }
+
+  readJson(text) {
+    const data = JSON.parse(text || '[]');
+    if (Array.isArray(data)) return data;
+    if (data && typeof data === 'object') return Object.entries(data).map(([cep, row]) => ({ ...row, cep }));
+    throw new Error('LocalCepDataset: JSON file must hold an array or an object keyed by CEP');
+  }
+
+  readCsv(text) {
+    const [header = [], ...rows] = parseCsv(text).filter(row => row.some(cell => cell.trim()));
+    const columns = header.map(name => {
+      const key = normalizeText(name).replace(/ /g, '');
+      return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key)) || null;
+    });
+    if (!columns.includes('cep')) throw new Error('LocalCepDataset: CSV file needs a "cep" column');
+    return rows.map(row => Object.fromEntries(columns.map((field, index) => [field, row[index]]).filter(([field]) => field)));
+  }
+
+  // @returns {Promise<Object|null>} the address, or null when the file does not have the CEP
+  async lookup(digits) {
+    return this.load().get(digits) || null;
+  }
+
+  get size() {
+    return this.load().size;
+  }
+}
+
+module.exports = LocalCepDataset;
@@ -0,0 +1,33 @@
+// services/cep/ViaCepProvider.js - CEP lookups on viacep.com.br
+const axios = require('axios');
+const { toAddress } = require('./cepFormat');
+
+/**
+ * ViaCEP knows every CEP, so a miss there means the CEP does not exist (authoritative).
+ * Network errors and timeouts are thrown for CepService to try the next provider.
+ */
+class ViaCepProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl='https://viacep.com.br/ws']
+   * @param {number} [options.timeoutMs=3000]
+   * @param {Object} [options.http] - axios or anything with the same get()
+   */
+  constructor({ baseUrl = 'https://viacep.com.br/ws', timeoutMs = 3000, http = axios } = {}) {
+    this.name = 'viacep';
+    this.authoritative = true;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+    this.http = http;
+  }
+
+  // @returns {Promise<Object|null>} the address, or null when ViaCEP has no such CEP
+  async lookup(digits) {
+    const response = await this.http.get(`${this.baseUrl}/${digits}/json/`, { timeout: this.timeoutMs });
+    const data = response.data;
+    if (!data || data.erro) return null;
+    return toAddress(digits, data);
+  }
+}
+
+module.exports = ViaCepProvider;
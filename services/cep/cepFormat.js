@@ -0,0 +1,34 @@
+// services/cep/cepFormat.js - CEP digits and the address fields every provider returns
+const ADDRESS_FIELDS = ['logradouro', 'complemento', 'bairro', 'cidade', 'uf'];
+
+// "01310-100", "01310100" or 1310100 -> "01310100"; null unless there are 8 digits
+function cepDigits(value) {
+  if (value === null || value === undefined || typeof value === 'object') return null;
+  const digits = String(value).replace(/\D/g, '');
+  if (typeof value === 'number' && digits.length === 7) return `0${digits}`;
+  return digits.length === 8 ? digits : null;
+}
+
+function formatCep(digits) {
+  return `${digits.slice(0, 5)}-${digits.slice(5)}`;
+}
+
+// Provider data -> { cep, logradouro, complemento, bairro, cidade, uf }, blanks as null
+function toAddress(digits, source = {}) {
+  const text = value => String(value ?? '').replace(/\s+/g, ' ').trim() || null;
+  return {
+    cep: formatCep(digits),
+    logradouro: text(source.logradouro),
+    complemento: text(source.complemento),
+    bairro: text(source.bairro),
+    cidade: text(source.cidade ?? source.localidade),
+    uf: text(source.uf)?.toUpperCase() || null
+  };
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  cepDigits,
+  formatCep,
+  toAddress
+};
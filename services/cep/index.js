@@ -0,0 +1,91 @@
+// services/cep/index.js - CEP lookups (ViaCEP, a local dataset, the cache) and the shared instance
+const { resolveDataFile } = require('../storage');
+const CepService = require('./CepService');
+const CepCache = require('./CepCache');
+const ViaCepProvider = require('./ViaCepProvider');
+const LocalCepDataset = require('./LocalCepDataset');
+const { cepDigits, formatCep } = require('./cepFormat');
+const { SURVEY_ADDRESS_FIELDS, withSurveyAddress } = require('./surveyAddress');
+const SubmissionLimiter = require('../openSurvey/SubmissionLimiter');
+
+const PROVIDERS = ['local', 'viacep'];
+
+function intFromEnv(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function resolveCepConfig(env = process.env) {
+  return {
+    // Tried in this order; "local" is skipped while CEP_DATASET_FILE is not set
+    providers: String(env.CEP_PROVIDERS || 'local,viacep').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+    datasetFile: env.CEP_DATASET_FILE ? resolveDataFile(env.CEP_DATASET_FILE) : null,
+    datasetComplete: String(env.CEP_DATASET_COMPLETE || 'false').toLowerCase() === 'true',
+    viaCepUrl: env.VIACEP_URL || 'https://viacep.com.br/ws',
+    timeoutMs: intFromEnv(env.CEP_LOOKUP_TIMEOUT_MS, 3000),
+    cacheFile: resolveDataFile(env.CEP_CACHE_FILE || 'cep-cache.json'),
+    cacheTtlDays: intFromEnv(env.CEP_CACHE_TTL_DAYS, 90),
+    // GET /api/cep/:cep is public; lookups one IP may make per window (0 = no limit)
+    rateLimit: intFromEnv(env.CEP_LOOKUP_RATE_LIMIT, 30),
+    rateWindowMinutes: intFromEnv(env.CEP_LOOKUP_RATE_WINDOW_MINUTES, 10) || 10
+  };
+}
+
+function createCepService(config = resolveCepConfig()) {
+  const providers = config.providers.map(name => {
+    switch (name) {
+      case 'local':
+        return config.datasetFile ? new LocalCepDataset({ filePath: config.datasetFile, complete: config.datasetComplete }) : null;
+      case 'viacep':
+        return new ViaCepProvider({ baseUrl: config.viaCepUrl, timeoutMs: config.timeoutMs });
+      default:
+        throw new Error(`Unknown CEP provider "${name}" in CEP_PROVIDERS (expected ${PROVIDERS.join(' or ')})`);
+    }
+  }).filter(Boolean);
+
+  return new CepService({ providers, cache: new CepCache({ filePath: config.cacheFile, ttlDays: config.cacheTtlDays }) });
+}
+
+// Process-wide instances shared by the server routes
+let defaultService = null;
+let defaultLimiter = null;
+
+function getCepService() {
+  if (!defaultService) {
+    defaultService = createCepService();
+  }
+  return defaultService;
+}
+
+function setCepService(service) {
+  defaultService = service;
+}
+
+function getCepLookupLimiter() {
+  if (!defaultLimiter) {
+    const config = resolveCepConfig();
+    defaultLimiter = new SubmissionLimiter({ limit: config.rateLimit, windowMs: config.rateWindowMinutes * 60 * 1000 });
+  }
+  return defaultLimiter;
+}
+
+function setCepLookupLimiter(limiter) {
+  defaultLimiter = limiter;
+}
+
+module.exports = {
+  CepService,
+  CepCache,
+  ViaCepProvider,
+  LocalCepDataset,
+  cepDigits,
+  formatCep,
+  SURVEY_ADDRESS_FIELDS,
+  withSurveyAddress,
+  resolveCepConfig,
+  createCepService,
+  getCepService,
+  setCepService,
+  getCepLookupLimiter,
+  setCepLookupLimiter
+};
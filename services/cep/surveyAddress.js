@@ -0,0 +1,37 @@
+// services/cep/surveyAddress.js - Address of a survey's CEP answer, stored next to the answers
+const { ADDRESS_FIELDS } = require('./cepFormat');
+
+// Stored in contact.survey beside the question answers (complemento is already there)
+const SURVEY_ADDRESS_FIELDS = ['logradouro', 'bairro', 'cidade', 'uf', 'neighborhoodMismatch'];
+
+/**
+ * Answers with the street, bairro, city and state of the CEP and neighborhoodMismatch: true when the
+ * CEP's bairro is another neighborhood than the one registered for the resident (aliases of a
+ * registered neighborhood count as the same), null when either is unknown. complemento is filled from
+ * the CEP when the resident's browser did not send one. Keys taken by a question are left alone.
+ * @param {Object} answers - As validateAnswers returns them
+ * @param {Object|null} address - The CEP's address, or null when it could not be looked up
+ * @param {Object} contact - The resident, for the registered neighborhood
+ * @param {import('../neighborhoods/NeighborhoodRegistry')} neighborhoods
+ * @returns {Object} new answers
+ */
+function withSurveyAddress(answers, address, contact, neighborhoods) {
+  const registered = neighborhoods.groupOf(contact);
+  const fromCep = address?.bairro ? neighborhoods.groupOf({ neighborhood: address.bairro }) : null;
+  const fields = {
+    ...Object.fromEntries(ADDRESS_FIELDS.filter(field => field !== 'complemento').map(field => [field, address?.[field] ?? null])),
+    neighborhoodMismatch: registered && fromCep ? registered.key !== fromCep.key : null
+  };
+
+  const result = { ...answers };
+  Object.entries(fields).forEach(([field, value]) => {
+    if (!(field in answers)) result[field] = value;
+  });
+  if ('complemento' in answers && !answers.complemento && address?.complemento) result.complemento = address.complemento;
+  return result;
+}
+
+module.exports = {
+  SURVEY_ADDRESS_FIELDS,
+  withSurveyAddress
+};
@@ -0,0 +1,254 @@
+// services/customFields/CustomFieldRegistry.js - Extra typed fields admins add to contact records
+const fs = require('fs');
+const { normalizeText } = require('../textMatching');
+const { slugify } = require('../neighborhoods/NeighborhoodRegistry');
+
+const TYPES = ['text', 'number', 'select', 'date', 'boolean'];
+const MAX_LABEL_LENGTH = 60;
+const MAX_OPTIONS = 50;
+const DEFAULT_MAX_LENGTH = 200;
+const MAX_TEXT_LENGTH = 1000;
+
+const BOOLEAN_TEXT = { true: true, sim: true, s: true, yes: true, 1: true, false: false, nao: false, n: false, no: false, 0: false };
+
+function cleanText(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && !value.trim());
+}
+
+function cleanOptions(values) {
+  const list = Array.isArray(values) ? values : String(values ?? '').split(',');
+  const seen = new Set();
+  return list.map(cleanText).filter(option => {
+    const key = normalizeText(option);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function optionalNumber(value) {
+  if (isEmpty(value)) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+// YYYY-MM-DD (date inputs, JSON) or DD/MM/YYYY (spreadsheets), stored as YYYY-MM-DD
+function parseDay(text) {
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  const br = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(text);
+  const [year, month, day] = iso ? iso.slice(1).map(Number) : br ? [br[3], br[2], br[1]].map(Number) : [];
+  if (!year) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Entries look like { id, label, type, required, options, min, max, maxLength, createdAt, updatedAt }:
+ *   text: maxLength (defaults to 200);  number: min and max (both optional);
+ *   select: options, the only accepted values;  date: YYYY-MM-DD;  boolean: true/false.
+ * Contacts keep the values in `customFields`, keyed by field id, and filters reach them as custom.<id>.
+ * The id never changes and the type cannot be changed, so stored values keep their meaning;
+ * removing a field hides its values without deleting them from the contacts.
+ * The list keeps the order fields were added in (the order of the forms) and lives in a
+ * small JSON file, read once and rewritten on every change.
+ */
+class CustomFieldRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file holding the list (in memory only when omitted)
+   */
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.entries = null;
+    this.byId = new Map();
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+    let entries = [];
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '[]');
+      if (!Array.isArray(data)) throw new Error('CustomFieldRegistry: file does not contain an array');
+      entries = data;
+    }
+    this.setEntries(entries);
+    return this.entries;
+  }
+
+  setEntries(entries) {
+    this.entries = entries;
+    this.byId = new Map(entries.map(entry => [entry.id, entry]));
+  }
+
+  // Atomic replace, same approach as JsonFileStorage
+  save(entries) {
+    if (this.filePath) {
+      const tmpFile = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(entries, null, 2));
+      fs.renameSync(tmpFile, this.filePath);
+    }
+    this.setEntries(entries);
+  }
+
+  list() {
+    return [...this.load()];
+  }
+
+  get(id) {
+    this.load();
+    return this.byId.get(id) || null;
+  }
+
+  validate(fields, current = null) {
+    const label = cleanText(fields.label);
+    if (!label) return { error: 'Label is required' };
+    if (label.length > MAX_LABEL_LENGTH) return { error: `Labels are at most ${MAX_LABEL_LENGTH} characters` };
+
+    const owner = this.load().find(entry => normalizeText(entry.label) === normalizeText(label));
+    if (owner && owner.id !== current?.id) return { error: `"${label}" is already a field`, conflict: owner };
+
+    const type = current ? current.type : fields.type;
+    if (current && fields.type !== undefined && fields.type !== current.type) {
+      return { error: 'The type of a field cannot be changed; add a new field instead' };
+    }
+    if (!TYPES.includes(type)) return { error: `type must be one of: ${TYPES.join(', ')}` };
+
+    const entry = { label, type, required: fields.required === true || fields.required === 'true', options: null, min: null, max: null, maxLength: null };
+
+    if (type === 'select') {
+      entry.options = cleanOptions(fields.options);
+      if (!entry.options.length) return { error: 'Select fields need at least one option' };
+      if (entry.options.length > MAX_OPTIONS) return { error: `Select fields take at most ${MAX_OPTIONS} options` };
+      if (entry.options.some(option => option.length > MAX_LABEL_LENGTH)) {
+        return { error: `Options are at most ${MAX_LABEL_LENGTH} characters` };
+      }
+    }
+
+    if (type === 'number') {
+      entry.min = optionalNumber(fields.min);
+      entry.max = optionalNumber(fields.max);
+      if (Number.isNaN(entry.min) || Number.isNaN(entry.max)) return { error: 'min and max must be numbers' };
+      if (entry.min !== null && entry.max !== null && entry.min > entry.max) return { error: 'min cannot be greater than max' };
+    }
+
+    if (type === 'text') {
+      entry.maxLength = optionalNumber(fields.maxLength);
+      if (entry.maxLength !== null && (!Number.isInteger(entry.maxLength) || entry.maxLength < 1 || entry.maxLength > MAX_TEXT_LENGTH)) {
+        return { error: `maxLength must be an integer between 1 and ${MAX_TEXT_LENGTH}` };
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * @returns {{ entry: Object }|{ error: string, conflict?: Object }}
+   */
+  create(fields = {}) {
+    this.load();
+    const valid = this.validate(fields);
+    if (valid.error) return valid;
+
+    const base = slugify(valid.label) || 'campo';
+    let id = base;
+    for (let n = 2; this.get(id); n++) id = `${base}-${n}`;
+
+    const now = new Date().toISOString();
+    const entry = { id, ...valid, createdAt: now, updatedAt: now };
+    this.save([...this.load(), entry]);
+    return { entry };
+  }
+
+  /**
+   * Change label, required flag or the rules of the field type (never the type itself).
+   * @returns {{ entry: Object }|{ error: string, conflict?: Object }|null} null when the id is unknown
+   */
+  update(id, fields = {}) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const valid = this.validate({ ...current, ...fields }, current);
+    if (valid.error) return valid;
+
+    const entry = { ...current, ...valid, updatedAt: new Date().toISOString() };
+    this.save(this.load().map(item => (item.id === id ? entry : item)));
+    return { entry };
+  }
+
+  remove(id) {
+    if (!this.get(id)) return null;
+    this.save(this.load().filter(entry => entry.id !== id));
+    return { removed: true };
+  }
+
+  /**
+   * One value checked against its field and converted to what is stored (empty values become null).
+   * @returns {{ value: * }|{ error: string }}
+   */
+  coerce(field, raw) {
+    if (isEmpty(raw)) return { value: null };
+    const invalid = (expected) => ({ error: `${field.label}: ${expected}` });
+
+    switch (field.type) {
+      case 'number': {
+        const number = typeof raw === 'number' ? raw : Number(String(raw).trim().replace(',', '.'));
+        if (typeof raw === 'boolean' || !Number.isFinite(number)) return invalid('expected a number');
+        if (field.min !== null && number < field.min) return invalid(`must be at least ${field.min}`);
+        if (field.max !== null && number > field.max) return invalid(`must be at most ${field.max}`);
+        return { value: number };
+      }
+      case 'select': {
+        const option = field.options.find(candidate => normalizeText(candidate) === normalizeText(raw));
+        return option ? { value: option } : invalid(`expected one of ${field.options.join(', ')}`);
+      }
+      case 'date': {
+        const day = typeof raw === 'string' ? parseDay(raw.trim()) : null;
+        return day ? { value: day } : invalid('expected a date as YYYY-MM-DD');
+      }
+      case 'boolean': {
+        const value = typeof raw === 'boolean' ? raw : BOOLEAN_TEXT[normalizeText(raw)];
+        return value === undefined ? invalid('expected yes or no') : { value };
+      }
+      default: {
+        if (typeof raw === 'object') return invalid('expected text');
+        const text = cleanText(raw);
+        const maxLength = field.maxLength || DEFAULT_MAX_LENGTH;
+        if (text.length > maxLength) return invalid(`at most ${maxLength} characters`);
+        return { value: text };
+      }
+    }
+  }
+
+  /**
+   * Values sent for a contact, checked and converted field by field.
+   * New contacts (partial=false) get every field, null when not given, and must fill the required ones.
+   * Edits (partial=true) only carry the fields given; a required field cannot be cleared, but contacts
+   * registered before it became required are not forced to fill it in.
+   * @returns {{ values: Object }|{ error: string, field?: string }}
+   */
+  validateValues(input, { partial = false } = {}) {
+    if (input === null || input === undefined) input = {};
+    if (typeof input !== 'object' || Array.isArray(input)) return { error: 'customFields must be an object' };
+
+    const unknown = Object.keys(input).find(id => !this.get(id));
+    if (unknown) return { error: `Unknown custom field "${unknown}"`, field: unknown };
+
+    const values = {};
+    for (const field of this.load()) {
+      if (partial && !(field.id in input)) continue;
+      const result = this.coerce(field, input[field.id]);
+      if (result.error) return { error: result.error, field: field.id };
+      if (result.value === null && field.required) return { error: `${field.label} is required`, field: field.id };
+      values[field.id] = result.value;
+    }
+    return { values };
+  }
+}
+
+module.exports = CustomFieldRegistry;
+module.exports.FIELD_TYPES = TYPES;
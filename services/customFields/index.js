@@ -0,0 +1,33 @@
+// services/customFields/index.js - Admin-defined contact fields and the shared instance
+const { resolveDataFile } = require('../storage');
+const CustomFieldRegistry = require('./CustomFieldRegistry');
+
+const { FIELD_TYPES } = CustomFieldRegistry;
+
+function resolveCustomFieldsConfig(env = process.env) {
+  return {
+    filePath: resolveDataFile(env.CUSTOM_FIELDS_FILE || 'custom-fields.json')
+  };
+}
+
+// Process-wide instance shared by server routes and MunicipalAnalysisEngine
+let defaultRegistry = null;
+
+function getCustomFieldRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new CustomFieldRegistry(resolveCustomFieldsConfig());
+  }
+  return defaultRegistry;
+}
+
+function setCustomFieldRegistry(registry) {
+  defaultRegistry = registry;
+}
+
+module.exports = {
+  CustomFieldRegistry,
+  FIELD_TYPES,
+  resolveCustomFieldsConfig,
+  getCustomFieldRegistry,
+  setCustomFieldRegistry
+};
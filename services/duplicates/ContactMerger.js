@@ -0,0 +1,218 @@
+// services/duplicates/ContactMerger.js - Merges a duplicate contact into the one that survives
+const { sameId, revisionOf, RevisionConflictError } = require('../storage/StorageAdapter');
+const { normalizeText } = require('../textMatching');
+const { isLegacyId } = require('../schema/contactIds');
+const { roundsOf } = require('../surveys/surveyRounds');
+
+// Fields the admin may take from either record; the survivor's value wins by default
+const IDENTITY_FIELDS = ['name', 'age', 'neighborhood', 'whatsapp'];
+
+// The WhatsApp send is kept as a whole so status webhooks keep matching its message id
+const WHATSAPP_FIELDS = [
+  'whatsappSentAt',
+  'whatsappMessageId',
+  'whatsappProvider',
+  'whatsappStatus',
+  'whatsappStatusUpdatedAt',
+  'whatsappLastError',
+  'whatsappLastErrorAt'
+];
+
+const STATUS_RANK = { read: 4, delivered: 3, sent: 2, queued: 2, failed: 1, undelivered: 1 };
+
+function sendRank(contact) {
+  if (!contact.whatsappSentAt && !contact.whatsappStatus) return 0;
+  return STATUS_RANK[contact.whatsappStatus] || 2;
+}
+
+function earliest(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return new Date(b) < new Date(a) ? b : a;
+}
+
+// The send that got further (read > delivered > sent > failed), the most recent one on a tie
+function pickSend(survivor, duplicate) {
+  const rank = sendRank(duplicate) - sendRank(survivor);
+  if (rank !== 0) return rank > 0 ? duplicate : survivor;
+  return new Date(duplicate.whatsappSentAt || 0) > new Date(survivor.whatsappSentAt || 0) ? duplicate : survivor;
+}
+
+/**
+ * The first answer is kept; blanks in it are filled from the other one.
+ * @returns {{ survey: Object|null, discarded: Object|null }}
+ */
+function mergeSurveys(a, b) {
+  if (!a || !b) return { survey: a || b || null, discarded: null };
+
+  const [kept, other] = new Date(b.answeredAt) < new Date(a.answeredAt) ? [b, a] : [a, b];
+  const survey = { ...kept };
+  Object.entries(other).forEach(([field, value]) => {
+    if (survey[field] === null || survey[field] === undefined) survey[field] = value;
+  });
+  return { survey, discarded: other };
+}
+
+// Rounds of both records; a round both were sent keeps the first answer, blanks filled from the other entry
+function mergeRounds(survivor, duplicate) {
+  const rounds = roundsOf(survivor).map(entry => ({ ...entry }));
+  roundsOf(duplicate).forEach(entry => {
+    const index = rounds.findIndex(other => other.surveyId === entry.surveyId && other.round === entry.round);
+    if (index === -1) {
+      rounds.push({ ...entry });
+      return;
+    }
+    const current = rounds[index];
+    const firstAnswer = entry.answeredAt && (!current.answeredAt || new Date(entry.answeredAt) < new Date(current.answeredAt));
+    const [kept, other] = firstAnswer ? [entry, current] : [current, entry];
+    const merged = { ...kept };
+    Object.entries(other).forEach(([field, value]) => {
+      if (merged[field] === null || merged[field] === undefined) merged[field] = value;
+    });
+    // The channel goes with the answers that were kept; a round answered on either record no longer has answers in progress
+    if (kept.answeredAt) merged.channel = kept.channel ?? null;
+    if (merged.answeredAt) merged.draft = null;
+    rounds[index] = merged;
+  });
+  return rounds.length ? rounds : null;
+}
+
+/**
+ * Combine two records of the same resident (pure; nothing is written).
+ * @param {Object} survivor - Record that keeps its id
+ * @param {Object} duplicate - Record that is absorbed
+ * @param {Object} [fields] - { name|age|neighborhood|whatsapp: 'survivor'|'duplicate' }
+ * @returns {{ record: Object, discarded: { survey: Object|null } }}
+ */
+function mergeRecords(survivor, duplicate, fields = {}) {
+  const record = { ...survivor };
+
+  IDENTITY_FIELDS.forEach(field => {
+    const fromDuplicate = fields[field] === 'duplicate';
+    record[field] = fromDuplicate
+      ? duplicate[field] ?? survivor[field] ?? null
+      : survivor[field] ?? duplicate[field] ?? null;
+  });
+  // The registry id travels with the neighborhood text it was resolved from
+  const place = record.neighborhood === survivor.neighborhood ? survivor : duplicate;
+  record.neighborhoodId = place.neighborhoodId ?? null;
+
+  const send = pickSend(survivor, duplicate);
+  WHATSAPP_FIELDS.forEach(field => {
+    record[field] = send[field] ?? null;
+  });
+
+  record.createdAt = earliest(survivor.createdAt, duplicate.createdAt);
+  record.clickedAt = earliest(survivor.clickedAt, duplicate.clickedAt);
+
+  const { survey, discarded } = mergeSurveys(survivor.survey, duplicate.survey);
+  record.survey = survey;
+  record.surveyRounds = mergeRounds(survivor, duplicate);
+
+  // Old ids keep resolving to the survivor (short links, survey links); chains are flattened
+  // (the duplicate's legacyId too, so links sent before it was given a ULID keep working)
+  const mergedIds = [...(survivor.mergedIds || []), duplicate.id, duplicate.legacyId, ...(duplicate.mergedIds || [])]
+    .filter(id => id !== null && id !== undefined);
+  record.mergedIds = mergedIds.filter((id, index) => mergedIds.findIndex(other => sameId(other, id)) === index);
+
+  const tags = [...(survivor.tags || []), ...(duplicate.tags || [])];
+  const tagKeys = tags.map(tag => normalizeText(tag));
+  record.tags = tags.length ? tags.filter((tag, index) => tagKeys.indexOf(tagKeys[index]) === index) : survivor.tags ?? null;
+  record.updatedAt = new Date().toISOString();
+
+  return { record, discarded: { survey: discarded } };
+}
+
+function mergeConflict(id) {
+  return { conflict: { id, error: `Contact ${id} was changed while merging; nothing was applied` } };
+}
+
+class ContactMerger {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage adapter (see services/storage)
+   * @param {Object} options.trash - ContactTrash, so only active contacts are merged and resolved
+   */
+  constructor({ storage, trash }) {
+    if (!storage) throw new Error('ContactMerger: storage is required');
+    if (!trash) throw new Error('ContactMerger: trash is required');
+    this.storage = storage;
+    this.trash = trash;
+  }
+
+  /**
+   * Active contact for an id, following merges: an id that was merged away
+   * resolves to the contact that absorbed it, and the numeric id of a contact
+   * later given a ULID (legacyId) resolves to that contact.
+   * @returns {Promise<Object|null>}
+   */
+  async resolve(id) {
+    if (id === null || id === undefined) return null;
+    const record = await this.trash.findActiveById(id);
+    if (record) return record;
+    const survivor = await this.trash.findActiveOne({ mergedIds: id });
+    if (survivor || !isLegacyId(id)) return survivor;
+    return this.trash.findActiveOne({ legacyId: id });
+  }
+
+  /**
+   * Merge `duplicateId` into `survivorId`: the survivor is updated, the duplicate removed.
+   * The journal keeps the removed record (source "merge") for auditing.
+   * @param {Object} [options]
+   * @param {Object} [options.fields] - Per-field choice, see mergeRecords()
+   * @param {Object} [options.context] - Change context recorded by the journal
+   * @returns {Promise<{record: Object, mergedId, discarded: Object}|{error: string}|{conflict: Object}|null>}
+   *   null when a contact is missing; conflict when either contact changed while merging (nothing is applied then)
+   */
+  async merge(survivorId, duplicateId, { fields = {}, context = {} } = {}) {
+    if (sameId(survivorId, duplicateId)) {
+      return { error: 'A contact cannot be merged into itself' };
+    }
+
+    const invalid = Object.entries(fields)
+      .find(([field, source]) => !IDENTITY_FIELDS.includes(field) || !['survivor', 'duplicate'].includes(source));
+    if (invalid) {
+      return { error: `Invalid field choice "${invalid[0]}": use ${IDENTITY_FIELDS.join(', ')} with "survivor" or "duplicate"` };
+    }
+
+    const survivor = await this.trash.findActiveById(survivorId);
+    const duplicate = await this.trash.findActiveById(duplicateId);
+    if (!survivor || !duplicate) return null;
+
+    const { record, discarded } = mergeRecords(survivor, duplicate, fields);
+    const mergeContext = { ...context, source: 'merge' };
+    const { id, ...changes } = record;
+
+    // Both writes are conditional on the revisions read above, so an edit made to either contact
+    // meanwhile is never overwritten or removed. Survivor first: if the removal fails, both ids still resolve
+    let updated;
+    try {
+      updated = await this.storage.update(survivor.id, changes, mergeContext, { expectedRevision: revisionOf(survivor) });
+    } catch (error) {
+      if (!(error instanceof RevisionConflictError)) throw error;
+      return mergeConflict(survivor.id);
+    }
+    if (!updated) return null;
+
+    try {
+      await this.storage.delete(duplicate.id, mergeContext, { expectedRevision: revisionOf(duplicate) });
+    } catch (error) {
+      if (!(error instanceof RevisionConflictError)) throw error;
+      await this.undoSurvivor(survivor, updated, changes, context);
+      return mergeConflict(duplicate.id);
+    }
+
+    return { record: updated, mergedId: duplicate.id, discarded };
+  }
+
+  // Put back the survivor's fields when the duplicate could not be removed
+  async undoSurvivor(survivor, updated, changes, context) {
+    const undo = Object.fromEntries(Object.keys(changes).map(field => [field, survivor[field] ?? null]));
+    await this.storage.update(survivor.id, undo, { ...context, source: 'rollback' }, { expectedRevision: revisionOf(updated) })
+      .catch(error => console.error(`[ContactMerger] Could not roll back contact ${survivor.id}:`, error.message));
+  }
+}
+
+module.exports = ContactMerger;
+module.exports.IDENTITY_FIELDS = IDENTITY_FIELDS;
+module.exports.mergeRecords = mergeRecords;
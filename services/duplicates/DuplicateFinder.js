@@ -0,0 +1,194 @@
+// services/duplicates/DuplicateFinder.js - Scores pairs of contacts that are probably the same resident
+const { normalizeText, similarity } = require('../textMatching');
+
+// Relative weight of each signal; signals missing on either side are left out and the rest renormalized
+const WEIGHTS = {
+  phone: 0.3,
+  name: 0.4,
+  age: 0.15,
+  neighborhood: 0.15
+};
+
+const DEFAULT_MIN_SCORE = 0.6;
+
+// Words that say little about who someone is ("Maria da Silva" vs "Maria Silva")
+const NAME_PARTICLES = ['da', 'de', 'do', 'das', 'dos', 'e'];
+
+function phoneDigits(value) {
+  return String(value ?? '').replace(/\D/g, '');
+}
+
+/**
+ * DDD + 8-digit subscriber number, without the country code and the mobile ninth digit,
+ * so 5511987654321, 11987654321 and 551187654321 share the same key.
+ */
+function phoneKey(value) {
+  let digits = phoneDigits(value);
+  if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) digits = digits.slice(2);
+  if (digits.length === 11 && digits[2] === '9') digits = digits.slice(0, 2) + digits.slice(3);
+  return digits;
+}
+
+// 1 same number, 0.9 same number written another way, 0.5 same subscriber in another area code
+function phoneScore(a, b) {
+  const left = phoneDigits(a);
+  const right = phoneDigits(b);
+  if (!left || !right) return null;
+  if (left === right) return 1;
+  if (phoneKey(left) === phoneKey(right)) return 0.9;
+  if (left.length >= 8 && right.length >= 8 && left.slice(-8) === right.slice(-8)) return 0.5;
+  return 0;
+}
+
+function nameTokens(value) {
+  return normalizeText(value).split(' ').filter(token => token && !NAME_PARTICLES.includes(token));
+}
+
+// Best of whole-name edit distance, same words in another order and one name contained in the other,
+// averaged with the first names' similarity so relatives sharing a surname score low
+function nameScore(a, b) {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  if (!left.length || !right.length) return null;
+
+  const scores = [
+    similarity(left.join(' '), right.join(' ')),
+    similarity([...left].sort().join(' '), [...right].sort().join(' '))
+  ];
+  const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+  if (shorter.length >= 2 && shorter.every(token => longer.includes(token))) scores.push(0.85);
+  return (Math.max(...scores) + similarity(left[0], right[0])) / 2;
+}
+
+// Ages typed a year apart are common (birthday between registrations)
+function ageScore(a, b) {
+  if (typeof a !== 'number' || typeof b !== 'number') return null;
+  const difference = Math.abs(a - b);
+  if (difference === 0) return 1;
+  if (difference === 1) return 0.8;
+  if (difference === 2) return 0.5;
+  return 0;
+}
+
+// Contacts resolved to the registry compare by id, so aliases ("Jd. América", "Jardim América") match
+function neighborhoodScore(a, b) {
+  if (a.neighborhoodId && b.neighborhoodId) return a.neighborhoodId === b.neighborhoodId ? 1 : 0;
+  if (!normalizeText(a.neighborhood) || !normalizeText(b.neighborhood)) return null;
+  return similarity(a.neighborhood, b.neighborhood);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Similarity of two contacts between 0 and 1, with the score of each signal.
+ * @returns {{ score: number, signals: { phone, name, age, neighborhood } }}
+ */
+function scorePair(a, b) {
+  const signals = {
+    phone: phoneScore(a.whatsapp, b.whatsapp),
+    name: nameScore(a.name, b.name),
+    age: ageScore(a.age, b.age),
+    neighborhood: neighborhoodScore(a, b)
+  };
+
+  let total = 0;
+  let weight = 0;
+  Object.entries(signals).forEach(([signal, value]) => {
+    if (value === null) return;
+    total += value * WEIGHTS[signal];
+    weight += WEIGHTS[signal];
+  });
+
+  return {
+    score: weight ? round(total / weight) : 0,
+    signals: Object.fromEntries(Object.entries(signals).map(([signal, value]) => [signal, value === null ? null : round(value)]))
+  };
+}
+
+// Records only get compared when they share a key: a phone variant or a first/last name pair
+function blockingKeys(contact) {
+  const keys = [];
+  const phone = phoneKey(contact.whatsapp);
+  if (phone) keys.push(`phone:${phone}`);
+  if (phone.length >= 8) keys.push(`subscriber:${phone.slice(-8)}`);
+
+  const tokens = nameTokens(contact.name);
+  if (tokens.length) {
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+    // Each key tolerates a typo in the other name part
+    keys.push(`first:${first}:${last[0]}`, `last:${last}:${first[0]}`);
+  }
+  return keys;
+}
+
+// Most engaged record first (survey, click, send), then the oldest one
+function engagementRank(contact) {
+  if (contact.survey) return 3;
+  if (contact.clickedAt) return 2;
+  if (contact.whatsappSentAt) return 1;
+  return 0;
+}
+
+function suggestSurvivor(a, b) {
+  const rank = engagementRank(b) - engagementRank(a);
+  if (rank !== 0) return rank > 0 ? b : a;
+  return new Date(b.createdAt) < new Date(a.createdAt) ? b : a;
+}
+
+class DuplicateFinder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minScore=0.6] - Pairs scoring below this are not reported
+   */
+  constructor({ minScore = DEFAULT_MIN_SCORE } = {}) {
+    this.minScore = minScore;
+  }
+
+  /**
+   * Candidate duplicate pairs among the given contacts, best matches first.
+   * @param {Object[]} contacts - Active contacts (trashed ones should be left out by the caller)
+   * @param {Object} [options]
+   * @param {number} [options.minScore]
+   * @returns {Array<{ id, score, signals, survivorId, contacts: [Object, Object] }>}
+   */
+  findPairs(contacts, { minScore = this.minScore } = {}) {
+    const blocks = new Map();
+    contacts.forEach(contact => {
+      blockingKeys(contact).forEach(key => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(contact);
+      });
+    });
+
+    const pairs = new Map();
+    blocks.forEach(members => {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const [a, b] = [members[i], members[j]].sort((x, y) => String(x.id).localeCompare(String(y.id)));
+          const id = `${a.id}:${b.id}`;
+          if (a.id === b.id || pairs.has(id)) continue;
+
+          const { score, signals } = scorePair(a, b);
+          if (score < minScore) {
+            pairs.set(id, null);
+            continue;
+          }
+          pairs.set(id, { id, score, signals, survivorId: suggestSurvivor(a, b).id, contacts: [a, b] });
+        }
+      }
+    });
+
+    return [...pairs.values()]
+      .filter(Boolean)
+      .sort((x, y) => y.score - x.score || x.id.localeCompare(y.id));
+  }
+}
+
+module.exports = DuplicateFinder;
+module.exports.DEFAULT_MIN_SCORE = DEFAULT_MIN_SCORE;
+module.exports.WEIGHTS = WEIGHTS;
+module.exports.phoneKey = phoneKey;
+module.exports.scorePair = scorePair;
@@ -0,0 +1,13 @@
+// services/duplicates/index.js - Fuzzy duplicate detection and merging behind /api/duplicates
+const DuplicateFinder = require('./DuplicateFinder');
+const ContactMerger = require('./ContactMerger');
+
+module.exports = {
+  DuplicateFinder,
+  ContactMerger,
+  DEFAULT_MIN_SCORE: DuplicateFinder.DEFAULT_MIN_SCORE,
+  IDENTITY_FIELDS: ContactMerger.IDENTITY_FIELDS,
+  phoneKey: DuplicateFinder.phoneKey,
+  scorePair: DuplicateFinder.scorePair,
+  mergeRecords: ContactMerger.mergeRecords
+};
@@ -0,0 +1,238 @@
+// services/import/ContactImporter.js - Bulk contact import from spreadsheets with a dry-run report
+const whatsappService = require('../whatsappService');
+const { createContact, newContactId } = require('../schema');
+const { normalizeText } = require('../textMatching');
+const { parseSpreadsheet } = require('./spreadsheet');
+const { isDeleted } = require('../ContactTrash');
+
+const IMPORT_FIELDS = ['name', 'age', 'neighborhood', 'whatsapp'];
+
+// Header spellings recognized without an explicit mapping (compared without accents/case)
+const HEADER_ALIASES = {
+  name: ['nome', 'nome completo', 'name', 'morador', 'participante'],
+  age: ['idade', 'age', 'anos'],
+  neighborhood: ['bairro', 'neighborhood', 'comunidade', 'localidade'],
+  whatsapp: ['whatsapp', 'whats', 'zap', 'telefone', 'celular', 'fone', 'phone', 'contato']
+};
+
+const REASON_MESSAGES = {
+  missing_name: 'Name is required',
+  missing_age: 'Age is required',
+  invalid_age: 'Age must be a number between 0 and 130',
+  missing_neighborhood: 'Neighborhood is required',
+  unknown_neighborhood: 'Unknown neighborhood',
+  missing_whatsapp: 'WhatsApp is required',
+  invalid_whatsapp: 'Invalid WhatsApp number. Use Brazilian format (11999999999)'
+};
+
+function isBlankRow(row) {
+  return !row || row.every(cell => String(cell ?? '').trim() === '');
+}
+
+class ContactImporter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage adapter (see services/storage)
+   * @param {Object} options.trash - ContactTrash, so duplicates are checked against active contacts only
+   * @param {Object} [options.neighborhoods] - NeighborhoodRegistry; rows get the canonical name and id
+   */
+  constructor({ storage, trash, neighborhoods = null }) {
+    if (!storage) throw new Error('ContactImporter: storage is required');
+    this.storage = storage;
+    this.trash = trash;
+    this.neighborhoods = neighborhoods;
+  }
+
+  /**
+   * Column index for each field: explicit mapping (header text or 0-based index) first,
+   * then the known header aliases.
+   * @returns {Object<string, number|null>}
+   */
+  resolveMapping(headers, mapping = {}) {
+    const normalized = headers.map(normalizeText);
+    const resolved = {};
+
+    IMPORT_FIELDS.forEach(field => {
+      const requested = mapping[field];
+      let index = -1;
+
+      if (requested !== undefined && requested !== null && requested !== '') {
+        const asIndex = Number(requested);
+        index = Number.isInteger(asIndex) && String(requested).trim() !== ''
+          ? (asIndex >= 0 && asIndex < headers.length ? asIndex : -1)
+          : normalized.indexOf(normalizeText(requested));
+      } else {
+        index = normalized.findIndex(header => HEADER_ALIASES[field].includes(header));
+      }
+
+      resolved[field] = index >= 0 ? index : null;
+    });
+
+    return resolved;
+  }
+
+  // Validate and normalize one data row; same rules as POST /api/contacts
+  parseRow(row, mapping) {
+    const cell = field => (mapping[field] === null ? '' : String(row[mapping[field]] ?? '').trim());
+    const values = Object.fromEntries(IMPORT_FIELDS.map(field => [field, cell(field)]));
+    const reasons = [];
+    const reject = (field, code) => reasons.push({ field, code, message: REASON_MESSAGES[code] });
+
+    if (!values.name) reject('name', 'missing_name');
+
+    let age = null;
+    if (!values.age) {
+      reject('age', 'missing_age');
+    } else {
+      age = Number(values.age.replace(',', '.'));
+      if (!Number.isFinite(age) || age < 0 || age > 130) reject('age', 'invalid_age');
+      else age = Math.floor(age);
+    }
+
+    let place = { neighborhood: values.neighborhood, neighborhoodId: null };
+    if (!values.neighborhood) {
+      reject('neighborhood', 'missing_neighborhood');
+    } else if (this.neighborhoods) {
+      place = this.neighborhoods.normalize(values.neighborhood);
+      if (this.neighborhoods.strict && !place.known) reject('neighborhood', 'unknown_neighborhood');
+    }
+
+    let whatsapp = null;
+    if (!values.whatsapp) {
+      reject('whatsapp', 'missing_whatsapp');
+    } else {
+      whatsapp = whatsappService.formatPhoneNumber(values.whatsapp);
+      if (!whatsappService.validateBrazilianPhone(whatsapp)) reject('whatsapp', 'invalid_whatsapp');
+    }
+
+    return {
+      values,
+      reasons,
+      contact: reasons.length ? null : { name: values.name, age, neighborhood: place.neighborhood, neighborhoodId: place.neighborhoodId, whatsapp }
+    };
+  }
+
+  /**
+   * Parse, validate and dedupe a spreadsheet; writes only when dryRun is false.
+   * The accepted rows are inserted in one batch that checks the numbers again against the data as
+   * it is written, so a contact added meanwhile (another import, a registration) is reported as a
+   * duplicate instead of being stored twice.
+   * Row numbers in the report match the spreadsheet (the header is row 1).
+   * @param {Buffer} buffer
+   * @param {Object} [options]
+   * @param {string} [options.format] - csv | xlsx (detected when omitted)
+   * @param {string} [options.filename]
+   * @param {Object} [options.mapping] - { name, age, neighborhood, whatsapp } -> header text or column index
+   * @param {boolean} [options.dryRun=true]
+   * @param {Object} [options.context] - Change context recorded by the journal
+   * @returns {Promise<Object>} the report, or { error } when the file cannot be read
+   */
+  async import(buffer, { format = null, filename = '', mapping = {}, dryRun = true, context = {} } = {}) {
+    let parsed;
+    try {
+      parsed = parseSpreadsheet(buffer, { format, filename });
+    } catch (error) {
+      return { error: `Could not read the spreadsheet: ${error.message}` };
+    }
+
+    const headerIndex = parsed.rows.findIndex(row => !isBlankRow(row));
+    const headers = headerIndex >= 0 ? parsed.rows[headerIndex].map(cell => String(cell ?? '').trim()) : [];
+    const resolved = this.resolveMapping(headers, mapping);
+    const missingColumns = IMPORT_FIELDS.filter(field => resolved[field] === null);
+
+    const report = {
+      dryRun,
+      format: parsed.format,
+      columns: headers,
+      mapping: resolved,
+      missingColumns,
+      totalRows: 0,
+      accepted: [],
+      rejected: [],
+      duplicates: [],
+      imported: 0,
+      backup: null
+    };
+
+    if (headerIndex === -1 || missingColumns.length) {
+      return this.summarize(report);
+    }
+
+    const existing = await (this.trash ? this.trash.findActive() : this.storage.find());
+    const byPhone = new Map(existing.map(contact => [contact.whatsapp, contact]));
+    const seenInFile = new Map();
+
+    parsed.rows.forEach((row, index) => {
+      if (index <= headerIndex || isBlankRow(row)) return;
+      const rowNumber = index + 1;
+      report.totalRows++;
+
+      const { values, reasons, contact } = this.parseRow(row, resolved);
+      if (!contact) {
+        report.rejected.push({ row: rowNumber, values, reasons });
+        return;
+      }
+
+      const current = byPhone.get(contact.whatsapp);
+      if (current) {
+        report.duplicates.push({
+          row: rowNumber,
+          ...contact,
+          source: 'existing',
+          existingId: current.id,
+          existingName: current.name
+        });
+        return;
+      }
+      if (seenInFile.has(contact.whatsapp)) {
+        report.duplicates.push({ row: rowNumber, ...contact, source: 'file', firstRow: seenInFile.get(contact.whatsapp) });
+        return;
+      }
+
+      seenInFile.set(contact.whatsapp, rowNumber);
+      report.accepted.push({ row: rowNumber, ...contact });
+    });
+
+    if (!dryRun && report.accepted.length) {
+      const backup = this.storage.backups ? this.storage.backups.createBackup(await this.storage.find()) : null;
+      report.backup = backup ? backup.id : null;
+      const createdAt = new Date().toISOString();
+      const records = report.accepted.map(({ row, ...fields }) => createContact({ id: newContactId(), ...fields, createdAt }));
+      const { skipped } = await this.storage.insertMany(records, { ...context, source: 'import' }, {
+        uniqueBy: record => (this.trash && isDeleted(record) ? null : record.whatsapp)
+      });
+
+      const taken = new Map(skipped.map(({ record, existing }) => [record.id, existing]));
+      const accepted = [];
+      report.accepted.forEach((entry, index) => {
+        const existing = taken.get(records[index].id);
+        if (existing) {
+          const { row, ...contact } = entry;
+          report.duplicates.push({ row, ...contact, source: 'existing', existingId: existing.id, existingName: existing.name });
+        } else {
+          accepted.push({ ...entry, id: records[index].id });
+        }
+      });
+      report.accepted = accepted;
+      report.duplicates.sort((a, b) => a.row - b.row);
+      report.imported = accepted.length;
+    }
+
+    return this.summarize(report);
+  }
+
+  summarize(report) {
+    report.summary = {
+      totalRows: report.totalRows,
+      accepted: report.accepted.length,
+      rejected: report.rejected.length,
+      duplicates: report.duplicates.length,
+      imported: report.imported
+    };
+    return report;
+  }
+}
+
+module.exports = ContactImporter;
+module.exports.IMPORT_FIELDS = IMPORT_FIELDS;
+module.exports.HEADER_ALIASES = HEADER_ALIASES;
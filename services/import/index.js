@@ -0,0 +1,13 @@
+// services/import/index.js - Spreadsheet parsing and the contact importer behind /api/contacts/import
+const ContactImporter = require('./ContactImporter');
+const { FORMATS, detectFormat, parseCsv, readXlsx, parseSpreadsheet } = require('./spreadsheet');
+
+module.exports = {
+  ContactImporter,
+  IMPORT_FIELDS: ContactImporter.IMPORT_FIELDS,
+  FORMATS,
+  detectFormat,
+  parseCsv,
+  readXlsx,
+  parseSpreadsheet
+};
@@ -0,0 +1,240 @@
+// services/import/spreadsheet.js - Read CSV and XLSX uploads into rows of cell strings
+const zlib = require('zlib');
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Largest part of an XLSX read once unzipped. Uploads are capped compressed, and deflate can grow
+// a few MB into GBs, so both the size the zip declares and the actual output are checked
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+// XLSX files are zip archives ("PK\x03\x04"); anything else is treated as text
+function detectFormat(buffer, filename = '') {
+  const extension = String(filename).toLowerCase().split('.').pop();
+  if (FORMATS.includes(extension)) return extension;
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'xlsx';
+  return 'csv';
+}
+
+// --- CSV ---
+
+// Excel in pt-BR exports ";" separated files; pick whichever separator the header uses most
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(delimiter => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+/**
+ * RFC 4180 parser: quoted fields may contain separators, line breaks and "" escapes.
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// --- XLSX (zip container + SpreadsheetML) ---
+
+function tooLarge(name, maxEntryBytes) {
+  return new Error(`"${name}" is larger than ${Math.round(maxEntryBytes / (1024 * 1024))} MB once unzipped`);
+}
+
+function readZipEntries(buffer, { maxEntryBytes = MAX_ENTRY_BYTES } = {}) {
+  // End of central directory record: last 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('not a valid XLSX (zip) file');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('corrupted zip directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, { method, compressedSize, size, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    read(name) {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      if (entry.size > maxEntryBytes) throw tooLarge(name, maxEntryBytes);
+      const local = entry.localOffset;
+      const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+      const data = buffer.subarray(start, start + entry.compressedSize);
+      if (entry.method === 0) return data.toString('utf8');
+      if (entry.method === 8) {
+        // The declared size may lie; the inflater stops at the limit either way
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: maxEntryBytes }).toString('utf8');
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(name, maxEntryBytes);
+          throw error;
+        }
+      }
+      throw new Error(`unsupported zip compression method ${entry.method}`);
+    }
+  };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Text of every <t> run inside a fragment (rich text splits a cell into several runs)
+function textRuns(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+}
+
+function columnIndex(reference) {
+  const letters = /^[A-Z]+/.exec(reference)[0];
+  return [...letters].reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+}
+
+// Path of the first worksheet, following the workbook relationships
+function firstSheetPath(zip) {
+  const workbook = zip.read('xl/workbook.xml') || '';
+  const rels = zip.read('xl/_rels/workbook.xml.rels') || '';
+  const sheet = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook);
+  if (sheet) {
+    const rel = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+      .map(match => match[0])
+      .find(tag => tag.includes(`Id="${sheet[1]}"`));
+    const target = rel && /Target="([^"]+)"/.exec(rel);
+    if (target) {
+      const file = target[1].replace(/^\//, '');
+      return file.startsWith('xl/') ? file : `xl/${file}`;
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Cells of the first worksheet as strings (formulas give their cached value).
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {number} [options.maxEntryBytes] - Largest unzipped part accepted (MAX_ENTRY_BYTES)
+ * @returns {string[][]}
+ */
+function readXlsx(buffer, options = {}) {
+  const zip = readZipEntries(buffer, options);
+  const sheetXml = zip.read(firstSheetPath(zip));
+  if (!sheetXml) throw new Error('workbook has no worksheet');
+
+  const sharedXml = zip.read('xl/sharedStrings.xml') || '';
+  const sharedStrings = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textRuns(match[1]));
+
+  const rows = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = /\br="(\d+)"/.exec(rowMatch[1]);
+    const cells = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const reference = /\br="([A-Z]+\d+)"/.exec(attributes);
+      const type = (/\bt="(\w+)"/.exec(attributes) || [])[1];
+      const raw = /<v>([\s\S]*?)<\/v>/.exec(body);
+
+      let value = '';
+      if (type === 's') value = raw ? sharedStrings[Number(raw[1])] || '' : '';
+      else if (type === 'inlineStr') value = textRuns(body);
+      else if (raw) value = decodeXml(raw[1]);
+
+      cells[reference ? columnIndex(reference[1]) : cells.length] = value;
+    }
+
+    const index = rowNumber ? Number(rowNumber[1]) - 1 : rows.length;
+    rows[index] = Array.from(cells, cell => cell ?? '');
+  }
+
+  return Array.from(rows, row => row || []);
+}
+
+/**
+ * @param {Buffer} buffer - uploaded file
+ * @param {string} [format] - csv | xlsx (detected from the filename or content when omitted)
+ * @returns {{ format: string, rows: string[][] }}
+ */
+function parseSpreadsheet(buffer, { format = null, filename = '' } = {}) {
+  const resolved = format ? String(format).toLowerCase() : detectFormat(buffer, filename);
+  if (!FORMATS.includes(resolved)) {
+    throw new Error(`unsupported format "${format}" (expected csv or xlsx)`);
+  }
+
+  if (resolved === 'xlsx') {
+    return { format: resolved, rows: readXlsx(buffer) };
+  }
+  const text = buffer.toString('utf8').replace(/^\ufeff/, '');
+  return { format: resolved, rows: parseCsv(text) };
+}
+
+module.exports = {
+  FORMATS,
+  MAX_ENTRY_BYTES,
+  detectFormat,
+  parseCsv,
+  readXlsx,
+  parseSpreadsheet
+};
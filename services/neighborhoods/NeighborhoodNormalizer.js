@@ -0,0 +1,118 @@
+// services/neighborhoods/NeighborhoodNormalizer.js - Remaps stored contacts onto the neighborhood registry
+const { normalizeText } = require('../textMatching');
+const { RevisionConflictError, revisionOf } = require('../storage/StorageAdapter');
+
+class NeighborhoodNormalizer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage adapter (see services/storage)
+   * @param {Object} options.registry - NeighborhoodRegistry
+   */
+  constructor({ storage, registry }) {
+    if (!storage) throw new Error('NeighborhoodNormalizer: storage is required');
+    if (!registry) throw new Error('NeighborhoodNormalizer: registry is required');
+    this.storage = storage;
+    this.registry = registry;
+  }
+
+  /**
+   * Registry entries for values that match nothing yet: spellings that only differ in case,
+   * accents or spacing become one entry, named after the most frequent spelling.
+   * @returns {Object[]} the created entries
+   */
+  seed(records) {
+    const groups = new Map();
+    records.forEach(record => {
+      if (this.registry.resolve(record.neighborhood)) return;
+      const key = normalizeText(record.neighborhood);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, new Map());
+      const spellings = groups.get(key);
+      const spelling = String(record.neighborhood).replace(/\s+/g, ' ').trim();
+      spellings.set(spelling, (spellings.get(spelling) || 0) + 1);
+    });
+
+    const created = [];
+    groups.forEach(spellings => {
+      const [name, ...aliases] = [...spellings.entries()].sort((a, b) => b[1] - a[1]).map(([spelling]) => spelling);
+      const result = this.registry.create({ name, aliases });
+      if (result.entry) created.push(result.entry);
+    });
+    return created;
+  }
+
+  /**
+   * Point every contact (trashed ones included) at its registry entry and rewrite the
+   * neighborhood text to the canonical name; unmatched text is only trimmed. Only the contacts
+   * that change are written, in one batch checked against the revisions read here: when one of
+   * them was edited meanwhile nothing is applied and the report carries the conflict.
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=true] - Report without writing
+   * @param {boolean} [options.seed=false] - First add registry entries for unmatched values
+   * @param {Object} [options.context] - Change context recorded by the journal (source is always "normalize")
+   * @returns {Promise<{dryRun, total, changed, changes, unmatched, seeded, backup, conflict?}>}
+   */
+  async run({ dryRun = true, seed = false, context = {} } = {}) {
+    const records = await this.storage.find();
+    const seeded = seed && !dryRun ? this.seed(records) : [];
+
+    const changes = [];
+    const updates = [];
+    const unmatched = new Map();
+    records.forEach(record => {
+      const target = this.registry.normalize(record.neighborhood);
+      if (!target.known && target.neighborhood) {
+        const key = normalizeText(target.neighborhood);
+        const entry = unmatched.get(key) || { value: target.neighborhood, count: 0 };
+        entry.count++;
+        unmatched.set(key, entry);
+      }
+
+      const same = target.neighborhood === (record.neighborhood ?? null)
+        && target.neighborhoodId === (record.neighborhoodId ?? null);
+      if (same) return;
+
+      changes.push({
+        id: record.id,
+        from: record.neighborhood ?? null,
+        to: target.neighborhood,
+        neighborhoodId: target.neighborhoodId
+      });
+      updates.push({
+        id: record.id,
+        changes: { neighborhood: target.neighborhood, neighborhoodId: target.neighborhoodId },
+        expectedRevision: revisionOf(record)
+      });
+    });
+
+    const report = {
+      dryRun,
+      total: records.length,
+      changed: changes.length,
+      changes,
+      unmatched: [...unmatched.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(entry => ({ ...entry, suggestions: this.registry.suggest(entry.value) })),
+      seeded,
+      backup: null
+    };
+
+    if (dryRun || !changes.length) return report;
+
+    const backup = this.storage.backups ? this.storage.backups.createBackup(records) : null;
+    report.backup = backup ? backup.id : null;
+    try {
+      await this.storage.updateMany(updates, { ...context, source: 'normalize' });
+    } catch (error) {
+      if (!(error instanceof RevisionConflictError)) throw error;
+      const id = error.current && error.current.id;
+      return {
+        ...report,
+        conflict: { id, error: `Contact ${id} was changed while the contacts were normalized; nothing was applied` }
+      };
+    }
+    return report;
+  }
+}
+
+module.exports = NeighborhoodNormalizer;
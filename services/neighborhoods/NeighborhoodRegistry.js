@@ -0,0 +1,218 @@
+// services/neighborhoods/NeighborhoodRegistry.js - Managed list of neighborhoods with aliases and regions
+const fs = require('fs');
+const { normalizeText, similarity } = require('../textMatching');
+
+// Free text typed by residents: trimmed, inner whitespace collapsed
+function cleanNeighborhood(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// Stable id derived from the name when the entry is created ("Jardim São José" -> "jardim-sao-jose")
+function slugify(value) {
+  return normalizeText(value).replace(/ /g, '-');
+}
+
+function cleanList(values) {
+  const list = Array.isArray(values) ? values : String(values ?? '').split(',');
+  const seen = new Set();
+  return list.map(cleanNeighborhood).filter(value => {
+    const key = normalizeText(value);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Entries look like { id, name, aliases: string[], region: string|null }.
+ * Matching ignores case, accents and punctuation: "centro ", "Centro" and "CENTRO."
+ * all resolve to the same entry, and so does any of its aliases.
+ * The list lives in a small JSON file, read once and rewritten on every change.
+ */
+class NeighborhoodRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file holding the list (in memory only when omitted)
+   * @param {boolean} [options.strict=false] - Reject neighborhoods that are not in the list
+   */
+  constructor({ filePath = null, strict = false } = {}) {
+    this.filePath = filePath;
+    this.strict = strict;
+    this.entries = null;
+    this.index = new Map();
+    this.byId = new Map();
+    // First spelling seen for each unregistered value, so reports keyed by name do not split it
+    this.textLabels = new Map();
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+    let entries = [];
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '[]');
+      if (!Array.isArray(data)) throw new Error('NeighborhoodRegistry: file does not contain an array');
+      entries = data;
+    }
+    this.setEntries(entries);
+    return this.entries;
+  }
+
+  setEntries(entries) {
+    this.entries = entries;
+    this.index = new Map();
+    this.byId = new Map(entries.map(entry => [entry.id, entry]));
+    entries.forEach(entry => {
+      [entry.name, ...(entry.aliases || [])].forEach(value => this.index.set(normalizeText(value), entry));
+    });
+  }
+
+  // Atomic replace, same approach as JsonFileStorage
+  save(entries) {
+    if (this.filePath) {
+      const tmpFile = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(entries, null, 2));
+      fs.renameSync(tmpFile, this.filePath);
+    }
+    this.setEntries(entries);
+  }
+
+  list() {
+    return [...this.load()].sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+  }
+
+  get(id) {
+    this.load();
+    return this.byId.get(id) || null;
+  }
+
+  regions() {
+    return [...new Set(this.load().map(entry => entry.region).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+  }
+
+  // Entry whose name or alias matches the text, or null
+  resolve(text) {
+    this.load();
+    const key = normalizeText(text);
+    return key ? this.index.get(key) || null : null;
+  }
+
+  /**
+   * Closest entries for text that did not resolve (typos), best first.
+   * @returns {Array<{ id, name, score }>}
+   */
+  suggest(text, { limit = 3, minScore = 0.7 } = {}) {
+    if (!normalizeText(text)) return [];
+    return this.load()
+      .map(entry => ({
+        id: entry.id,
+        name: entry.name,
+        score: Math.max(...[entry.name, ...(entry.aliases || [])].map(value => similarity(text, value)))
+      }))
+      .filter(candidate => candidate.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(candidate => ({ ...candidate, score: Math.round(candidate.score * 100) / 100 }));
+  }
+
+  /**
+   * What to store on a contact for the typed text: the canonical name and id when it resolves,
+   * the cleaned text and a null id otherwise.
+   * @returns {{ neighborhood: string|null, neighborhoodId: string|null, known: boolean }}
+   */
+  normalize(text) {
+    const entry = this.resolve(text);
+    if (entry) return { neighborhood: entry.name, neighborhoodId: entry.id, known: true };
+    const cleaned = cleanNeighborhood(text);
+    return { neighborhood: cleaned || null, neighborhoodId: null, known: false };
+  }
+
+  /**
+   * Grouping key for analyses: the canonical id (also for contacts stored before normalization
+   * whose text matches an entry), else the accent/case-insensitive text. Null when blank.
+   * @returns {{ key: string, id: string|null, name: string, region: string|null }|null}
+   */
+  groupOf(contact) {
+    const entry = (contact.neighborhoodId && this.get(contact.neighborhoodId)) || this.resolve(contact.neighborhood);
+    if (entry) return { key: entry.id, id: entry.id, name: entry.name, region: entry.region || null };
+
+    const key = normalizeText(contact.neighborhood);
+    if (!key) return null;
+    if (!this.textLabels.has(key)) this.textLabels.set(key, cleanNeighborhood(contact.neighborhood));
+    return { key: `text:${key}`, id: null, name: this.textLabels.get(key), region: null };
+  }
+
+  /**
+   * Filter predicate: a registered name or alias selects the whole canonical neighborhood,
+   * any other text is an accent-insensitive partial match.
+   * @returns {(contact: Object) => boolean}
+   */
+  matcher(text) {
+    const entry = this.resolve(text);
+    if (entry) return contact => this.groupOf(contact)?.id === entry.id;
+    const folded = normalizeText(text);
+    return contact => normalizeText(contact.neighborhood).includes(folded);
+  }
+
+  // Name and aliases must not collide with another entry
+  validate(fields, currentId = null) {
+    const name = cleanNeighborhood(fields.name);
+    if (!name) return { error: 'Name is required' };
+
+    const aliases = cleanList(fields.aliases).filter(alias => normalizeText(alias) !== normalizeText(name));
+    for (const value of [name, ...aliases]) {
+      const owner = this.resolve(value);
+      if (owner && owner.id !== currentId) {
+        return { error: `"${value}" is already used by ${owner.name}`, conflict: owner };
+      }
+    }
+
+    const region = cleanNeighborhood(fields.region) || null;
+    return { name, aliases, region };
+  }
+
+  /**
+   * @returns {{ entry: Object }|{ error: string, conflict?: Object }}
+   */
+  create(fields = {}) {
+    const valid = this.validate(fields);
+    if (valid.error) return valid;
+
+    const base = slugify(valid.name);
+    let id = base;
+    for (let n = 2; this.get(id); n++) id = `${base}-${n}`;
+
+    const entry = { id, name: valid.name, aliases: valid.aliases, region: valid.region };
+    this.save([...this.load(), entry]);
+    return { entry };
+  }
+
+  /**
+   * Change name, aliases or region; the id never changes so stored contacts keep pointing at it.
+   * @returns {{ entry: Object }|{ error: string, conflict?: Object }|null} null when the id is unknown
+   */
+  update(id, fields = {}) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const valid = this.validate({
+      name: fields.name ?? current.name,
+      aliases: fields.aliases ?? current.aliases,
+      region: fields.region !== undefined ? fields.region : current.region
+    }, id);
+    if (valid.error) return valid;
+
+    const entry = { ...current, name: valid.name, aliases: valid.aliases, region: valid.region };
+    this.save(this.load().map(item => (item.id === id ? entry : item)));
+    return { entry };
+  }
+
+  remove(id) {
+    if (!this.get(id)) return false;
+    this.save(this.load().filter(entry => entry.id !== id));
+    return true;
+  }
+}
+
+module.exports = NeighborhoodRegistry;
+module.exports.cleanNeighborhood = cleanNeighborhood;
+module.exports.slugify = slugify;
@@ -0,0 +1,34 @@
+// services/neighborhoods/index.js - Neighborhood registry, the contact normalizer and the shared instance
+const { resolveDataFile } = require('../storage');
+const NeighborhoodRegistry = require('./NeighborhoodRegistry');
+const NeighborhoodNormalizer = require('./NeighborhoodNormalizer');
+
+function resolveRegistryConfig(env = process.env) {
+  return {
+    filePath: resolveDataFile(env.NEIGHBORHOODS_FILE || 'neighborhoods.json'),
+    strict: String(env.NEIGHBORHOODS_STRICT || 'false').toLowerCase() === 'true'
+  };
+}
+
+// Process-wide instance shared by server routes, the importer and DataAccessLayer
+let defaultRegistry = null;
+
+function getNeighborhoodRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new NeighborhoodRegistry(resolveRegistryConfig());
+  }
+  return defaultRegistry;
+}
+
+function setNeighborhoodRegistry(registry) {
+  defaultRegistry = registry;
+}
+
+module.exports = {
+  NeighborhoodRegistry,
+  NeighborhoodNormalizer,
+  cleanNeighborhood: NeighborhoodRegistry.cleanNeighborhood,
+  resolveRegistryConfig,
+  getNeighborhoodRegistry,
+  setNeighborhoodRegistry
+};
@@ -0,0 +1,135 @@
+// services/openSurvey/OpenResponseStore.js - Answers sent through the public survey link, and duplicate checks over them
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MINUTE_MS = 60 * 1000;
+
+// Same answers in any key order hash the same
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Entries look like
+ *   { id, surveyId, round, answeredAt, contactId, createdContact, claimedContactId, phone, device, ip, answersHash, answers }
+ * one per answer sent through a survey's public link (see SurveyDefinition's `open`). Answers given
+ * with a new WhatsApp number are stored on the contact created for it, so the entry only points to it
+ * (contactId, answers null); anonymous answers live here. So do answers given with the number of a
+ * registered resident: whoever typed it may not own it, so they stay unverified (claimedContactId)
+ * and count as anonymous rather than as that resident's. WhatsApp numbers, device ids and IPs are
+ * kept as keyed hashes: enough to spot a second answer from the same number or place, without
+ * storing any of them.
+ */
+class OpenResponseStore {
+  /**
+   * @param {Object} options
+   * @param {string} [options.secret] - Key of the device and IP hashes; without one a random key is used
+   *   for this process, so answers sent before a restart are no longer matched by device or IP
+   * @param {string} [options.filePath] - JSON file holding the list (in memory only when omitted)
+   * @param {number} [options.ipWindowMinutes=30] - The same answers from one IP within this time are a resubmission
+   */
+  constructor({ secret = null, filePath = null, ipWindowMinutes = 30 } = {}) {
+    this.secret = secret;
+    this.filePath = filePath;
+    this.ipWindowMinutes = ipWindowMinutes;
+    this.entries = null;
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '[]');
+      if (!Array.isArray(data)) throw new Error('OpenResponseStore: file does not contain an array');
+      this.entries = data;
+    } else {
+      this.entries = [];
+    }
+    return this.entries;
+  }
+
+  // Atomic replace, same approach as JsonFileStorage
+  save(entries) {
+    if (this.filePath) {
+      const tmpFile = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(entries, null, 2));
+      fs.renameSync(tmpFile, this.filePath);
+    }
+    this.entries = entries;
+  }
+
+  hash(kind, value) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    if (!this.secret) {
+      console.warn('[OpenSurvey] OPEN_SURVEY_SECRET is not set; using a random key for this process');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+    return crypto.createHmac('sha256', this.secret).update(`${kind}:${text}`).digest('hex').slice(0, 32);
+  }
+
+  answersHash(answers) {
+    return crypto.createHash('sha256').update(stableJson(answers)).digest('hex').slice(0, 32);
+  }
+
+  // Entries of one survey, optionally of one round
+  list(surveyId, round = null) {
+    return this.load().filter(entry => entry.surveyId === surveyId && (round === null || entry.round === round));
+  }
+
+  /**
+   * Whether an answer looks like one already sent to the same round: with the same WhatsApp number,
+   * from the same device, or the same answers from the same IP within the window (a resubmission
+   * rather than a neighbour on the same connection).
+   * @returns {{ reason: 'phone'|'device'|'ip', answeredAt: string }|null}
+   */
+  findDuplicate({ surveyId, round, phone = null, device = null, ip = null, answers = {}, now = new Date() }) {
+    const phoneHash = this.hash('phone', phone);
+    const deviceHash = this.hash('device', device);
+    const ipHash = this.hash('ip', ip);
+    const answersHash = this.answersHash(answers);
+    const since = now.getTime() - this.ipWindowMinutes * MINUTE_MS;
+
+    for (const entry of this.list(surveyId, round)) {
+      if (phoneHash && entry.phone === phoneHash) return { reason: 'phone', answeredAt: entry.answeredAt };
+      if (deviceHash && entry.device === deviceHash) return { reason: 'device', answeredAt: entry.answeredAt };
+      if (ipHash && entry.ip === ipHash && entry.answersHash === answersHash && new Date(entry.answeredAt).getTime() >= since) {
+        return { reason: 'ip', answeredAt: entry.answeredAt };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {Object} fields - { surveyId, round, answers, answeredAt, contactId, createdContact, claimedContactId, phone, device, ip }
+   * @returns {Object} the stored entry
+   */
+  record({ surveyId, round, answers, answeredAt, contactId = null, createdContact = false, claimedContactId = null, phone = null, device = null, ip = null }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      surveyId,
+      round,
+      answeredAt,
+      contactId,
+      createdContact: Boolean(contactId) && createdContact,
+      claimedContactId: contactId ? null : claimedContactId,
+      phone: this.hash('phone', phone),
+      device: this.hash('device', device),
+      ip: this.hash('ip', ip),
+      answersHash: this.answersHash(answers),
+      answers: contactId ? null : answers
+    };
+    this.save([...this.load(), entry]);
+    return entry;
+  }
+
+  // Take an entry back (its answers could not be stored after all)
+  remove(id) {
+    this.save(this.load().filter(entry => entry.id !== id));
+  }
+}
+
+module.exports = OpenResponseStore;
@@ -0,0 +1,45 @@
+// services/openSurvey/SubmissionLimiter.js - How many public survey answers one connection may send per window
+/**
+ * Fixed-window counter per key (the client IP), kept in memory: a restart starts every window
+ * again, which is fine for stopping a script from flooding the public link. The public CEP
+ * lookup uses one too (see services/cep).
+ */
+class SubmissionLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - Answers accepted per key and window (0 = no limit)
+   * @param {number} [options.windowMs=3600000] - Window length
+   */
+  constructor({ limit = 10, windowMs = 60 * 60 * 1000 } = {}) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  /**
+   * Count one attempt for the key.
+   * @returns {{ allowed: true, remaining: number }|{ allowed: false, retryAfter: number }} retryAfter in seconds
+   */
+  hit(key, now = Date.now()) {
+    if (!this.limit) return { allowed: true, remaining: Infinity };
+    this.prune(now);
+
+    const id = String(key ?? 'unknown');
+    const window = this.windows.get(id) || { startedAt: now, count: 0 };
+    if (window.count >= this.limit) {
+      return { allowed: false, retryAfter: Math.ceil((window.startedAt + this.windowMs - now) / 1000) };
+    }
+    window.count++;
+    this.windows.set(id, window);
+    return { allowed: true, remaining: this.limit - window.count };
+  }
+
+  // Forget windows that are over, so the map does not grow with every visitor
+  prune(now = Date.now()) {
+    for (const [id, window] of this.windows) {
+      if (window.startedAt + this.windowMs <= now) this.windows.delete(id);
+    }
+  }
+}
+
+module.exports = SubmissionLimiter;
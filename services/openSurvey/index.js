@@ -0,0 +1,56 @@
+// services/openSurvey/index.js - Public survey answers (no invitation), their rate limit and the shared instances
+const { resolveDataFile } = require('../storage');
+const OpenResponseStore = require('./OpenResponseStore');
+const SubmissionLimiter = require('./SubmissionLimiter');
+
+function intFromEnv(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function resolveOpenSurveyConfig(env = process.env) {
+  return {
+    filePath: resolveDataFile(env.OPEN_RESPONSES_FILE || 'open-responses.json'),
+    secret: env.OPEN_SURVEY_SECRET || env.SURVEY_TOKEN_SECRET || env.SESSION_SECRET || null,
+    ipWindowMinutes: intFromEnv(env.OPEN_SURVEY_DUPLICATE_WINDOW_MINUTES, 30),
+    rateLimit: intFromEnv(env.OPEN_SURVEY_RATE_LIMIT, 10),
+    rateWindowMinutes: intFromEnv(env.OPEN_SURVEY_RATE_WINDOW_MINUTES, 60) || 60
+  };
+}
+
+// Process-wide instances shared by the server routes and DataAccessLayer
+let defaultStore = null;
+let defaultLimiter = null;
+
+function getOpenResponseStore() {
+  if (!defaultStore) {
+    defaultStore = new OpenResponseStore(resolveOpenSurveyConfig());
+  }
+  return defaultStore;
+}
+
+function setOpenResponseStore(store) {
+  defaultStore = store;
+}
+
+function getSubmissionLimiter() {
+  if (!defaultLimiter) {
+    const config = resolveOpenSurveyConfig();
+    defaultLimiter = new SubmissionLimiter({ limit: config.rateLimit, windowMs: config.rateWindowMinutes * 60 * 1000 });
+  }
+  return defaultLimiter;
+}
+
+function setSubmissionLimiter(limiter) {
+  defaultLimiter = limiter;
+}
+
+module.exports = {
+  OpenResponseStore,
+  SubmissionLimiter,
+  resolveOpenSurveyConfig,
+  getOpenResponseStore,
+  setOpenResponseStore,
+  getSubmissionLimiter,
+  setSubmissionLimiter
+};
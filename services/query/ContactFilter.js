@@ -0,0 +1,615 @@
+// services/query/ContactFilter.js - Contact filter language shared by listing, export, bulk send and analyses
+
+const { normalizeText } = require('../textMatching');
+const { getPath, sameId } = require('../storage/StorageAdapter');
+const { DEFAULT_SURVEY, CHANNELS, scaleOf, channelOf, getSatisfactionScale } = require('../surveys');
+
+// Satisfaction levels of the original survey, lowest to highest (ranks 1-5)
+const SATISFACTION_LEVELS = scaleOf(DEFAULT_SURVEY, 'satisfaction').values;
+const PARTICIPATION = ['Sim', 'Não', 'Talvez'];
+const ENGAGEMENT = ['responded', 'clicked', 'delivered', 'sent', 'not_sent'];
+
+const MAX_DEPTH = 20;
+
+// Most advanced step a contact reached (same rules as Citizen.getEngagementStatus in the admin)
+function engagementOf(contact) {
+  if (contact.survey) return 'responded';
+  if (contact.clickedAt) return 'clicked';
+  if (contact.whatsappStatus === 'delivered' || contact.whatsappStatus === 'read') return 'delivered';
+  if (contact.whatsappSentAt) return 'sent';
+  return 'not_sent';
+}
+
+/**
+ * Filterable fields. `path` defaults to the field name; `read` derives the value instead.
+ *   id, text, neighborhood: eq, ne, in, nin (text also contains, prefix)
+ *   number, scale: eq, ne, in, nin, gt, gte, lt, lte
+ *   date: eq (same day for YYYY-MM-DD), gt, gte, lt, lte
+ *   choice: eq, ne, in, nin;  cep: always a prefix match (eq, prefix, ne, in, nin);  presence: true/false
+ *   tags: eq (has the tag), ne (lacks it), in (has any), nin (has none), ignoring case and accents
+ *   segment: a saved segment by id or name (eq, ne, in, nin), replaced by its filter when parsed
+ * Admin-defined fields are reached as custom.<id> (see services/customFields): numbers compare as
+ * numbers, yes/no fields take true/false, text, options and dates compare as text.
+ * Every field also takes exists: true/false.
+ */
+const FIELDS = {
+  id: { type: 'id' },
+  name: { type: 'text' },
+  age: { type: 'number' },
+  neighborhood: { type: 'neighborhood' },
+  issue: { type: 'text', path: 'survey.issue' },
+  satisfaction: {
+    type: 'scale',
+    path: 'survey.satisfaction',
+    // Ranks follow the satisfaction scale of the survey residents currently answer
+    get values() { return getSatisfactionScale().values; }
+  },
+  participate: {
+    type: 'choice',
+    path: 'survey.participate',
+    values: PARTICIPATION,
+    aliases: { true: 'Sim', yes: 'Sim', false: 'Não', no: 'Não', maybe: 'Talvez' }
+  },
+  cep: { type: 'cep', path: 'survey.cep' },
+  status: { type: 'text', path: 'whatsappStatus' },
+  provider: { type: 'text', path: 'whatsappProvider' },
+  engagement: { type: 'choice', values: ENGAGEMENT, read: engagementOf },
+  answered: { type: 'presence', path: 'survey' },
+  // Whether the latest answer came from an invitation or the survey's public link
+  channel: { type: 'choice', values: CHANNELS, read: contact => (contact.survey ? channelOf(contact.survey) : null) },
+  sent: { type: 'presence', path: 'whatsappSentAt' },
+  clicked: { type: 'presence', path: 'clickedAt' },
+  createdAt: { type: 'date' },
+  whatsappSentAt: { type: 'date' },
+  clickedAt: { type: 'date' },
+  answeredAt: { type: 'date', path: 'survey.answeredAt' },
+  tags: { type: 'tags' },
+  segment: { type: 'segment' }
+};
+
+const OPERATORS = {
+  id: ['eq', 'ne', 'in', 'nin'],
+  text: ['eq', 'ne', 'in', 'nin', 'contains', 'prefix'],
+  neighborhood: ['eq', 'ne', 'in', 'nin'],
+  number: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte'],
+  scale: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte'],
+  choice: ['eq', 'ne', 'in', 'nin'],
+  cep: ['eq', 'prefix', 'ne', 'in', 'nin'],
+  presence: ['eq'],
+  tags: ['eq', 'ne', 'in', 'nin'],
+  segment: ['eq', 'ne', 'in', 'nin'],
+  custom: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'contains', 'prefix']
+};
+
+const CUSTOM_FIELD = /^custom\.([a-z0-9][a-z0-9-]*)$/;
+
+// Declared field, or an admin-defined one named custom.<id>; null when unknown
+function definitionOf(field) {
+  if (Object.prototype.hasOwnProperty.call(FIELDS, field)) return FIELDS[field];
+  const custom = CUSTOM_FIELD.exec(field);
+  return custom ? { type: 'custom', path: `customFields.${custom[1]}` } : null;
+}
+
+// Types where "a..b" in an equality means an inclusive range
+const ORDERED_TYPES = new Set(['number', 'scale', 'date', 'custom']);
+
+// Operators of the text syntax
+const SYMBOLS = { '=': 'eq', '!=': 'ne', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte', '~': 'contains', '^=': 'prefix' };
+
+class FilterError extends Error {}
+
+function isPresent(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== '';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const BOOLEAN_TEXT = { true: true, 1: true, yes: true, sim: true, false: false, 0: false, no: false, nao: false };
+
+function toBoolean(raw, field) {
+  if (typeof raw === 'boolean') return raw;
+  const value = BOOLEAN_TEXT[normalizeText(raw)];
+  if (value !== undefined) return value;
+  throw new FilterError(`Invalid value "${raw}" for ${field} (expected true or false)`);
+}
+
+// YYYY-MM-DD covers that whole day in server time; full timestamps are exact
+function parseDate(text) {
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (day) {
+    const [year, month, date] = day.slice(1).map(Number);
+    const start = new Date(year, month - 1, date);
+    if (start.getMonth() !== month - 1 || start.getDate() !== date) return null;
+    return { from: start.getTime(), to: new Date(year, month - 1, date + 1).getTime() };
+  }
+  const time = Date.parse(text);
+  return isNaN(time) ? null : { from: time, to: time + 1 };
+}
+
+function rankOf(definition, value) {
+  const index = definition.values.findIndex(level => normalizeText(level) === normalizeText(value));
+  return index === -1 ? null : index + 1;
+}
+
+function digitsOf(value) {
+  return String(value ?? '').replace(/\D/g, '');
+}
+
+// Checks a single value and converts it to what the predicate compares against
+function coerce(field, raw) {
+  const definition = definitionOf(field);
+  if (raw === null || raw === undefined || typeof raw === 'object') {
+    throw new FilterError(`Missing value for ${field}`);
+  }
+  const text = String(raw).trim();
+  const invalid = (expected = '') => new FilterError(`Invalid value "${raw}" for ${field}${expected}`);
+
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(text);
+      if (!text || !Number.isFinite(number)) throw invalid(' (expected a number)');
+      return number;
+    }
+    case 'date': {
+      const range = parseDate(text);
+      if (!range) throw invalid(' (expected YYYY-MM-DD or an ISO timestamp)');
+      return range;
+    }
+    case 'scale': {
+      // A level (scales may have numbers as levels, e.g. 0-10), otherwise its rank
+      const rank = rankOf(definition, text) ?? (/^\d+$/.test(text) ? Number(text) : null);
+      if (!rank || rank > definition.values.length) {
+        throw invalid(` (expected 1-${definition.values.length} or ${definition.values.join(', ')})`);
+      }
+      return rank;
+    }
+    case 'choice': {
+      const alias = definition.aliases && definition.aliases[normalizeText(text)];
+      const value = alias || definition.values.find(option => normalizeText(option) === normalizeText(text));
+      if (!value) throw invalid(` (expected ${definition.values.join(', ')})`);
+      return value;
+    }
+    case 'cep': {
+      const digits = digitsOf(text);
+      if (!digits || digits.length > 8) throw invalid(' (expected up to 8 digits)');
+      return digits;
+    }
+    default:
+      if (!text) throw invalid();
+      return text;
+  }
+}
+
+function combine(kind, nodes) {
+  // An empty branch matches everything, which makes a whole "or" match everything
+  if (kind === 'or' && nodes.some(node => node === null)) return null;
+  const present = nodes.filter(Boolean);
+  if (!present.length) return null;
+  if (present.length === 1) return present[0];
+  return { [kind]: present };
+}
+
+// One field condition as a tree node: { field, op, value }
+function condition(field, operator, raw) {
+  const definition = definitionOf(field);
+  if (!definition) throw new FilterError(`Unknown filter field "${field}"`);
+  const op = definition.type === 'cep' && operator === 'prefix' ? 'eq' : operator;
+
+  if (op === 'exists') {
+    if (definition.type === 'segment') throw new FilterError('Operator "exists" is not supported for segment');
+    return { field, op, value: toBoolean(raw, field) };
+  }
+  if (!OPERATORS[definition.type].includes(op)) {
+    throw new FilterError(`Operator "${op}" is not supported for ${field}`);
+  }
+  if (definition.type === 'presence') return { field, op: 'exists', value: toBoolean(raw, field) };
+
+  if (op === 'in' || op === 'nin') {
+    const list = Array.isArray(raw) ? raw : isPlainObject(raw) ? Object.values(raw) : String(raw ?? '').split(',');
+    if (!list.length) throw new FilterError(`Empty list for ${field}`);
+    return { field, op, value: list.map(item => coerce(field, item)) };
+  }
+
+  if (op === 'eq' && ORDERED_TYPES.has(definition.type) && typeof raw === 'string' && raw.includes('..')) {
+    const [low, high] = raw.split('..').map(part => part.trim());
+    if (!low && !high) throw new FilterError(`Invalid range "${raw}" for ${field}`);
+    return combine('and', [low ? condition(field, 'gte', low) : null, high ? condition(field, 'lte', high) : null]);
+  }
+
+  return { field, op, value: coerce(field, raw) };
+}
+
+function listOf(value, key) {
+  if (Array.isArray(value)) return value;
+  // The query string parser turns long lists (or[0]=...&or[25]=...) into objects
+  if (isPlainObject(value) && Object.keys(value).every(index => /^\d+$/.test(index))) return Object.values(value);
+  throw new FilterError(`"${key}" takes a list of filters`);
+}
+
+function fieldNode(field, value) {
+  if (!definitionOf(field)) throw new FilterError(`Unknown filter field "${field}"`);
+  if (isPlainObject(value)) {
+    return combine('and', Object.entries(value).map(([op, raw]) => condition(field, op, raw)));
+  }
+  if (Array.isArray(value)) return condition(field, 'in', value);
+  return condition(field, 'eq', value);
+}
+
+function toNode(input, depth = 0) {
+  if (depth > MAX_DEPTH) throw new FilterError('Filter is nested too deeply');
+  if (input === null || input === undefined) return null;
+  if (typeof input === 'string') return parseText(input, depth);
+  if (Array.isArray(input)) return combine('and', input.map(item => toNode(item, depth + 1)));
+  if (!isPlainObject(input)) throw new FilterError('A filter must be an object, a list or an expression');
+
+  return combine('and', Object.entries(input).map(([key, value]) => {
+    if (key === 'and' || key === 'or') return combine(key, listOf(value, key).map(item => toNode(item, depth + 1)));
+    if (key === 'not') {
+      const inner = toNode(value, depth + 1);
+      if (!inner) throw new FilterError('"not" needs a filter');
+      return { not: inner };
+    }
+    return fieldNode(key, value);
+  }));
+}
+
+const TOKEN_PATTERN = /\s*(?:([(),])|(>=|<=|!=|\^=|=|>|<|~)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s()"',=<>!~^]+))/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      if (!text.slice(start).trim()) break;
+      throw new FilterError(`Unexpected character "${text.slice(start).trim()[0]}" in filter`);
+    }
+    const [, punctuation, symbol, doubleQuoted, singleQuoted, word] = match;
+    if (punctuation) tokens.push({ type: punctuation });
+    else if (symbol) tokens.push({ type: 'op', text: symbol });
+    else if (word !== undefined) tokens.push({ type: 'word', text: word });
+    else tokens.push({ type: 'value', text: (doubleQuoted ?? singleQuoted).replace(/\\(.)/g, '$1') });
+  }
+  return tokens;
+}
+
+/**
+ * Text syntax, compiled to the same tree as the object form:
+ *   age>=60 and (satisfaction<=Insatisfeito or issue=Saúde)
+ *   neighborhood="Jardim São José" not answered createdAt=2025-01-01..2025-01-31
+ *   engagement in (sent, delivered) cep^=01310
+ * Conditions side by side are combined with "and"; a bare field means "has a value".
+ */
+class ExpressionParser {
+  constructor(text, depth) {
+    this.tokens = tokenize(text);
+    this.position = 0;
+    this.depth = depth;
+  }
+
+  parse() {
+    if (!this.tokens.length) return null;
+    const node = this.parseOr();
+    if (this.peek()) throw new FilterError(`Unexpected "${this.describe(this.peek())}" in filter`);
+    return node;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  isKeyword(token, keyword) {
+    return !!token && token.type === 'word' && token.text.toLowerCase() === keyword;
+  }
+
+  acceptKeyword(keyword) {
+    if (!this.isKeyword(this.peek(), keyword)) return false;
+    this.position++;
+    return true;
+  }
+
+  expect(type) {
+    const token = this.tokens[this.position++];
+    if (!token || token.type !== type) {
+      throw new FilterError(token ? `Expected "${type}" before "${this.describe(token)}"` : `Expected "${type}" at the end of the filter`);
+    }
+  }
+
+  describe(token) {
+    return token.text ?? token.type;
+  }
+
+  parseOr() {
+    const parts = [this.parseAnd()];
+    while (this.acceptKeyword('or')) parts.push(this.parseAnd());
+    return combine('or', parts);
+  }
+
+  parseAnd() {
+    const parts = [this.parseUnary()];
+    while (this.peek() && this.peek().type !== ')' && !this.isKeyword(this.peek(), 'or')) {
+      this.acceptKeyword('and');
+      parts.push(this.parseUnary());
+    }
+    return combine('and', parts);
+  }
+
+  parseUnary() {
+    if (++this.depth > MAX_DEPTH) throw new FilterError('Filter is nested too deeply');
+    const node = this.acceptKeyword('not') ? { not: this.parseUnary() } : this.parsePrimary();
+    this.depth--;
+    return node;
+  }
+
+  parsePrimary() {
+    const token = this.tokens[this.position++];
+    if (!token) throw new FilterError('Filter ends unexpectedly');
+    if (token.type === '(') {
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+    if (token.type !== 'word' || ['and', 'or', 'not', 'in'].includes(token.text.toLowerCase())) {
+      throw new FilterError(`Unexpected "${this.describe(token)}" in filter`);
+    }
+
+    const field = token.text;
+    if (!definitionOf(field)) throw new FilterError(`Unknown filter field "${field}" (quote values that contain spaces)`);
+
+    if (this.isKeyword(this.peek(), 'in') || (this.isKeyword(this.peek(), 'not') && this.isKeyword(this.peek(1), 'in'))) {
+      const op = this.acceptKeyword('not') ? 'nin' : 'in';
+      this.acceptKeyword('in');
+      return condition(field, op, this.parseList());
+    }
+
+    const symbol = this.peek();
+    if (symbol && symbol.type === 'op') {
+      this.position++;
+      return condition(field, SYMBOLS[symbol.text], this.parseValue());
+    }
+    return condition(field, 'exists', true);
+  }
+
+  parseList() {
+    this.expect('(');
+    const values = [this.parseValue()];
+    while (this.peek() && this.peek().type === ',') {
+      this.position++;
+      values.push(this.parseValue());
+    }
+    this.expect(')');
+    return values;
+  }
+
+  parseValue() {
+    const token = this.tokens[this.position++];
+    if (!token || (token.type !== 'word' && token.type !== 'value')) {
+      throw new FilterError(token ? `Expected a value before "${this.describe(token)}"` : 'Missing value at the end of the filter');
+    }
+    return token.text;
+  }
+}
+
+// A string is either JSON (object or list) or the text syntax
+function parseText(text, depth) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      throw new FilterError('Invalid filter JSON');
+    }
+    return toNode(parsed, depth + 1);
+  }
+  return new ExpressionParser(trimmed, depth).parse();
+}
+
+/**
+ * Replace segment conditions with the saved filters they name. Segments may refer to other
+ * segments; a chain that leads back to a segment already being expanded is refused.
+ * @param {string[]} trail - Ids of the segments being expanded, outermost first
+ */
+function expandSegments(node, segments, trail) {
+  if (!node) return node;
+  if (node.and || node.or) {
+    const kind = node.and ? 'and' : 'or';
+    return combine(kind, node[kind].map(part => expandSegments(part, segments, trail)));
+  }
+  if (node.not) return { not: expandSegments(node.not, segments, trail) };
+  if (node.field !== 'segment') return node;
+
+  if (!segments) throw new FilterError('Saved segments are not available here');
+  const names = Array.isArray(node.value) ? node.value : [node.value];
+  const filters = names.map(name => {
+    const entry = segments.resolve(name);
+    if (!entry) throw new FilterError(`Unknown segment "${name}"`);
+    if (trail.includes(entry.id)) throw new FilterError(`Segment "${entry.name}" refers back to itself`);
+    return expandSegments(toNode(entry.filter), segments, [...trail, entry.id]);
+  });
+
+  const matched = combine('or', filters);
+  if (node.op === 'ne' || node.op === 'nin') return matched ? { not: matched } : { or: [] };
+  return matched;
+}
+
+/**
+ * Read a filter written as an object, a JSON string or the text syntax.
+ *   { age: { gte: 18, lte: 30 }, satisfaction: ['Insatisfeito', 'Muito insatisfeito'] }
+ *   { or: [{ neighborhood: 'Centro' }, { cep: '0131' }], not: { answered: true } }
+ *   { segment: 'Voluntários', tags: { ne: 'evento março' } }
+ * Keys of one object must all hold; a list means "in"; a scalar means "eq".
+ * @param {Object|string|Array|null} input
+ * @param {Object} [options]
+ * @param {Object} [options.segments] - SegmentRegistry resolving segment=<id or name>
+ * @param {string[]} [options.expanding] - Segment ids whose filter is being checked (cycle detection on save)
+ * @returns {{ filter: Object|null }|{ error: string }} filter is null when nothing is filtered
+ */
+function parseFilter(input, { segments = null, expanding = [] } = {}) {
+  try {
+    return { filter: expandSegments(toNode(input), segments, expanding) };
+  } catch (error) {
+    if (error instanceof FilterError) return { error: error.message };
+    throw error;
+  }
+}
+
+/**
+ * Filter from a GET query string: field names as plain parameters (neighborhood=Centro,
+ * age[gte]=18, answered=false) combined with filter=<text syntax or JSON>.
+ * Other parameters (sort, page, ...) are left to their own parsers.
+ * @param {Object} [options] - Same as parseFilter (segments)
+ */
+function filterFromQuery(query = {}, options = {}) {
+  const fields = {};
+  Object.keys(query).forEach(field => {
+    if ((Object.prototype.hasOwnProperty.call(FIELDS, field) || CUSTOM_FIELD.test(field)) &&
+        query[field] !== undefined && query[field] !== '') {
+      fields[field] = query[field];
+    }
+  });
+  return parseFilter([fields, query.filter ?? null], options);
+}
+
+function matchesValue(definition, value, neighborhoods) {
+  switch (definition.type) {
+    case 'id':
+      return actual => sameId(actual, value);
+    case 'number':
+      return actual => Number(actual) === value;
+    case 'scale':
+      return actual => rankOf(definition, actual) === value;
+    case 'date':
+      return actual => {
+        const time = new Date(actual).getTime();
+        return time >= value.from && time < value.to;
+      };
+    case 'cep':
+      return actual => digitsOf(actual).startsWith(value);
+    case 'tags': {
+      const expected = normalizeText(value);
+      return actual => Array.isArray(actual) && actual.some(tag => normalizeText(tag) === expected);
+    }
+    case 'custom': {
+      const expected = normalizeText(value);
+      return actual => {
+        if (typeof actual === 'number') return actual === Number(value);
+        if (typeof actual === 'boolean') return actual === BOOLEAN_TEXT[expected];
+        return normalizeText(actual) === expected;
+      };
+    }
+    case 'neighborhood': {
+      const matcher = neighborhoods
+        ? neighborhoods.matcher(value)
+        : contact => normalizeText(contact.neighborhood).includes(normalizeText(value));
+      return (actual, contact) => matcher(contact);
+    }
+    default: {
+      const expected = normalizeText(value);
+      return actual => normalizeText(actual) === expected;
+    }
+  }
+}
+
+function compareWith(definition, op, value) {
+  if (definition.type === 'date') {
+    // Dates compare against the whole interval, so lte 2025-01-31 includes that day
+    const bound = { gt: value.to, gte: value.from, lt: value.from, lte: value.to }[op];
+    return actual => {
+      const time = new Date(actual).getTime();
+      if (isNaN(time)) return false;
+      return op === 'gt' || op === 'gte' ? time >= bound : time < bound;
+    };
+  }
+
+  if (definition.type === 'custom') {
+    // Numbers by value; dates (YYYY-MM-DD) and text in alphabetical order
+    return actual => {
+      const numeric = typeof actual === 'number';
+      const bound = numeric ? Number(value) : normalizeText(value);
+      const key = numeric ? actual : normalizeText(actual);
+      if (numeric && !Number.isFinite(bound)) return false;
+      if (op === 'gt') return key > bound;
+      if (op === 'gte') return key >= bound;
+      if (op === 'lt') return key < bound;
+      return key <= bound;
+    };
+  }
+
+  const keyOf = definition.type === 'scale' ? actual => rankOf(definition, actual) : actual => Number(actual);
+  return actual => {
+    const key = keyOf(actual);
+    if (key === null || !Number.isFinite(key)) return false;
+    if (op === 'gt') return key > value;
+    if (op === 'gte') return key >= value;
+    if (op === 'lt') return key < value;
+    return key <= value;
+  };
+}
+
+function compileCondition({ field, op, value }, neighborhoods) {
+  const definition = definitionOf(field);
+  const path = definition.path || field;
+  const read = definition.read || (contact => getPath(contact, path));
+
+  if (op === 'exists') return contact => isPresent(read(contact)) === value;
+
+  let test;
+  if (op === 'eq' || op === 'ne') {
+    test = matchesValue(definition, value, neighborhoods);
+  } else if (op === 'in' || op === 'nin') {
+    const tests = value.map(item => matchesValue(definition, item, neighborhoods));
+    test = (actual, contact) => tests.some(match => match(actual, contact));
+  } else if (op === 'contains' || op === 'prefix') {
+    const expected = normalizeText(value);
+    test = op === 'contains'
+      ? actual => normalizeText(actual).includes(expected)
+      : actual => normalizeText(actual).startsWith(expected);
+  } else {
+    test = compareWith(definition, op, value);
+  }
+
+  // As in MongoDB, negations also match contacts without the field
+  const negated = op === 'ne' || op === 'nin';
+  return contact => {
+    const actual = read(contact);
+    if (!isPresent(actual)) return negated;
+    return negated ? !test(actual, contact) : test(actual, contact);
+  };
+}
+
+/**
+ * Predicate for a tree returned by parseFilter.
+ * @param {Object|null} filter
+ * @param {Object} [options]
+ * @param {Object} [options.neighborhoods] - NeighborhoodRegistry, so names and aliases select canonical neighborhoods
+ * @returns {(contact: Object) => boolean}
+ */
+function compileFilter(filter, { neighborhoods = null } = {}) {
+  if (!filter) return () => true;
+  if (filter.and || filter.or) {
+    const parts = (filter.and || filter.or).map(part => compileFilter(part, { neighborhoods }));
+    return filter.and
+      ? contact => parts.every(part => part(contact))
+      : contact => parts.some(part => part(contact));
+  }
+  if (filter.not) {
+    const inner = compileFilter(filter.not, { neighborhoods });
+    return contact => !inner(contact);
+  }
+  return compileCondition(filter, neighborhoods);
+}
+
+module.exports = {
+  FILTER_FIELDS: Object.keys(FIELDS),
+  SATISFACTION_LEVELS,
+  engagementOf,
+  parseFilter,
+  filterFromQuery,
+  compileFilter
+};
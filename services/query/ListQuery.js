@@ -0,0 +1,188 @@
+// services/query/ListQuery.js - Sorting, field projection and pagination for contact listings
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Dot paths into a record: "name", "survey.satisfaction"
+const FIELD_PATTERN = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+const collator = new Intl.Collator('pt-BR', { sensitivity: 'base', numeric: true });
+
+function getPath(record, field) {
+  return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+function setPath(target, field, value) {
+  const keys = field.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+// Values a sort compares: objects only count as present, blanks sort last
+function sortValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object') return true;
+  return value;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return a ? 1 : -1;
+  if (typeof a !== typeof b) return typeof a < typeof b ? -1 : 1;
+  return collator.compare(String(a), String(b));
+}
+
+// Numeric ids before string ids, each in natural order
+function compareIds(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return String(a).localeCompare(String(b));
+}
+
+function splitList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+function parseInteger(value) {
+  const text = String(value).trim();
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+function encodeCursor(keys, id) {
+  return Buffer.from(JSON.stringify({ k: keys, id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortLength) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || !Array.isArray(decoded.k) || decoded.k.length !== sortLength || decoded.id === undefined) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read listing options from a query string.
+ *   sort=-createdAt,survey.satisfaction   (a leading "-" sorts descending; ties fall back to id)
+ *   fields=name,age,survey.issue          (id is always included)
+ *   page=2&limit=50                       (1-based page) or cursor=<nextCursor>&limit=50
+ * Without page, limit or cursor every matching record is returned.
+ * @returns {{ sort, fields, paginate, page, limit, cursor }|{ error: string }}
+ */
+function parseListQuery(query = {}) {
+  const sort = [];
+  for (const item of splitList(query.sort)) {
+    const descending = item.startsWith('-');
+    const field = descending || item.startsWith('+') ? item.slice(1) : item;
+    if (!FIELD_PATTERN.test(field)) return { error: `Invalid sort field "${item}"` };
+    sort.push({ field, descending });
+  }
+
+  let fields = null;
+  if (query.fields !== undefined && query.fields !== '') {
+    fields = splitList(query.fields);
+    const invalid = fields.find(field => !FIELD_PATTERN.test(field));
+    if (invalid) return { error: `Invalid field "${invalid}"` };
+  }
+
+  const paginate = query.page !== undefined || query.limit !== undefined || query.cursor !== undefined;
+
+  const page = query.page !== undefined ? parseInteger(query.page) : 1;
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a positive integer' };
+
+  const limit = query.limit !== undefined ? parseInteger(query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined && query.cursor !== '') {
+    cursor = decodeCursor(query.cursor, sort.length);
+    if (!cursor) return { error: 'Invalid cursor (it only works with the sort it was issued for)' };
+    if (query.page !== undefined) return { error: 'Use either page or cursor, not both' };
+  }
+
+  return { sort, fields, paginate, page, limit, cursor };
+}
+
+// Copy of the record with only the requested paths (and id)
+function project(record, fields) {
+  if (!fields) return record;
+  const result = { id: record.id };
+  fields.forEach(field => {
+    const value = getPath(record, field);
+    if (value !== undefined) setPath(result, field, value);
+  });
+  return result;
+}
+
+/**
+ * Sort, paginate and project records already filtered by the caller.
+ * @param {Object[]} records
+ * @param {Object} options - Result of parseListQuery
+ * @returns {{ data: Object[], total: number, page?: number, limit?: number, pages?: number, nextCursor?: string|null }}
+ */
+function runListQuery(records, { sort = [], fields = null, paginate = false, page = 1, limit = DEFAULT_LIMIT, cursor = null } = {}) {
+  const rows = records.map(record => ({ record, keys: sort.map(({ field }) => sortValue(getPath(record, field))) }));
+
+  const compareRows = (a, b) => {
+    for (let i = 0; i < sort.length; i++) {
+      const left = a.keys[i];
+      const right = b.keys[i];
+      if (left === null || right === null) {
+        // Blank values go last whatever the direction
+        if (left !== right) return left === null ? 1 : -1;
+        continue;
+      }
+      const result = compareValues(left, right);
+      if (result !== 0) return sort[i].descending ? -result : result;
+    }
+    return compareIds(a.record.id, b.record.id);
+  };
+
+  rows.sort(compareRows);
+
+  const total = rows.length;
+  if (!paginate) {
+    return { data: rows.map(row => project(row.record, fields)), total };
+  }
+
+  let start;
+  if (cursor) {
+    const anchor = { keys: cursor.k, record: { id: cursor.id } };
+    start = rows.findIndex(row => compareRows(row, anchor) > 0);
+    if (start === -1) start = total;
+  } else {
+    start = (page - 1) * limit;
+  }
+
+  const slice = rows.slice(start, start + limit);
+  const last = slice[slice.length - 1];
+  const hasMore = start + limit < total;
+
+  return {
+    data: slice.map(row => project(row.record, fields)),
+    total,
+    page: cursor ? null : page,
+    limit,
+    pages: Math.ceil(total / limit),
+    nextCursor: hasMore && last ? encodeCursor(last.keys, last.record.id) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  getPath,
+  project,
+  parseListQuery,
+  runListQuery
+};
@@ -0,0 +1,18 @@
+// services/query/index.js - Filtering, sorting, projection and pagination behind the contact endpoints
+const { DEFAULT_LIMIT, MAX_LIMIT, getPath, project, parseListQuery, runListQuery } = require('./ListQuery');
+const { FILTER_FIELDS, SATISFACTION_LEVELS, engagementOf, parseFilter, filterFromQuery, compileFilter } = require('./ContactFilter');
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  getPath,
+  project,
+  parseListQuery,
+  runListQuery,
+  FILTER_FIELDS,
+  SATISFACTION_LEVELS,
+  engagementOf,
+  parseFilter,
+  filterFromQuery,
+  compileFilter
+};
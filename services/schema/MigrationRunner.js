@@ -0,0 +1,151 @@
+// services/schema/MigrationRunner.js - Upgrades stored contacts to the current schema and validates them
+const { MIGRATIONS, versionOf, upgradeContact } = require('./migrations');
+const { validateContact } = require('./contactSchema');
+const { newContactId, isLegacyId } = require('./contactIds');
+const { RevisionConflictError, BOOKKEEPING_FIELDS, revisionOf } = require('../storage/StorageAdapter');
+
+// Fields an upgrade adds or rewrites (migrations only ever add or fill fields, never drop them)
+function changedFields(before, after) {
+  return Object.fromEntries(Object.keys(after)
+    .filter(field => !BOOKKEEPING_FIELDS.includes(field) && JSON.stringify(after[field]) !== JSON.stringify(before[field]))
+    .map(field => [field, after[field]]));
+}
+
+class MigrationRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage adapter (see services/storage)
+   * @param {Object[]} [options.migrations] - Ordered { version, description, up(record) } steps
+   */
+  constructor({ storage, migrations = MIGRATIONS }) {
+    if (!storage) throw new Error('MigrationRunner: storage is required');
+    this.storage = storage;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    this.targetVersion = this.migrations.length ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  // How many stored records sit at each schema version (trashed contacts included)
+  async status() {
+    const records = await this.storage.find();
+    const byVersion = {};
+    records.forEach(record => {
+      const version = versionOf(record);
+      byVersion[version] = (byVersion[version] || 0) + 1;
+    });
+
+    return {
+      targetVersion: this.targetVersion,
+      total: records.length,
+      pending: records.filter(record => versionOf(record) < this.targetVersion).length,
+      newer: records.filter(record => versionOf(record) > this.targetVersion).length,
+      byVersion,
+      migrations: this.migrations.map(({ version, description }) => ({ version, description }))
+    };
+  }
+
+  /**
+   * Upgrade every outdated record after a safety backup. Only those records are written, in one
+   * batch checked against the revisions read here: when one was edited meanwhile nothing is
+   * applied and the report carries the conflict (run it again).
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report what would change without writing
+   * @param {Object} [options.context] - Change context recorded by the journal (source is always "migration")
+   * @returns {Promise<{targetVersion, total, migrated, migratedIds, dryRun, backup, invalid, conflict?}>}
+   */
+  async migrate({ dryRun = false, context = {} } = {}) {
+    const records = await this.storage.find();
+
+    const newer = records.filter(record => versionOf(record) > this.targetVersion);
+    if (newer.length) {
+      throw new Error(`MigrationRunner: ${newer.length} record(s) use a schema newer than v${this.targetVersion}; update the application first`);
+    }
+
+    const upgraded = records.map(record => upgradeContact(record, this.migrations, this.targetVersion));
+    const migrated = records.filter((record, index) => upgraded[index] !== record).map(record => record.id);
+    const report = {
+      targetVersion: this.targetVersion,
+      total: records.length,
+      migrated: migrated.length,
+      migratedIds: migrated,
+      dryRun,
+      backup: null,
+      invalid: this.findInvalid(upgraded)
+    };
+
+    if (dryRun || !migrated.length) return report;
+
+    const updates = records
+      .map((record, index) => ({ record, upgraded: upgraded[index] }))
+      .filter(({ record, upgraded }) => upgraded !== record)
+      .map(({ record, upgraded }) => ({
+        id: record.id,
+        changes: changedFields(record, upgraded),
+        expectedRevision: revisionOf(record)
+      }));
+    return this.apply(report, records, updates, context);
+  }
+
+  /**
+   * Give every contact still keyed by a numeric (Date.now()) id a ULID, keeping the old id in
+   * `legacyId` so links already sent keep resolving. ULIDs take their time part from createdAt,
+   * so the order by id does not change. Run migrate() first: records must be at the current schema.
+   * Like migrate(), the rekeyed records are written in one revision-checked batch.
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report what would change without writing
+   * @param {Object} [options.context] - Change context recorded by the journal (source is always "migration")
+   * @returns {Promise<{total, rekeyed, ids: Array<{from, to}>, dryRun, backup, conflict?}>}
+   */
+  async rekeyLegacyIds({ dryRun = false, context = {} } = {}) {
+    const records = await this.storage.find();
+
+    const outdated = records.filter(record => versionOf(record) < this.targetVersion);
+    if (outdated.length) {
+      throw new Error(`MigrationRunner: ${outdated.length} record(s) are below schema v${this.targetVersion}; run the migrations first`);
+    }
+
+    const ids = [];
+    const updates = [];
+    records.forEach(record => {
+      if (!isLegacyId(record.id)) return;
+      const createdAt = new Date(record.createdAt).getTime();
+      const id = newContactId(Number.isFinite(createdAt) ? createdAt : record.id);
+      ids.push({ from: record.id, to: id });
+      updates.push({ id: record.id, changes: { id, legacyId: record.id }, expectedRevision: revisionOf(record) });
+    });
+
+    const report = { total: records.length, rekeyed: ids.length, ids, dryRun, backup: null };
+    if (dryRun || !ids.length) return report;
+    return this.apply(report, records, updates, context);
+  }
+
+  // Back up the records read, then write the batch; a concurrent edit turns into { conflict }
+  async apply(report, records, updates, context) {
+    report.backup = this.storage.backups ? this.storage.backups.createBackup(records) : null;
+    try {
+      await this.storage.updateMany(updates, { ...context, source: 'migration' });
+    } catch (error) {
+      if (!(error instanceof RevisionConflictError)) throw error;
+      const id = error.current && error.current.id;
+      return {
+        ...report,
+        conflict: { id, error: `Contact ${id} was changed while the migration ran; nothing was applied` }
+      };
+    }
+    return report;
+  }
+
+  // Validate the stored records as they are (run migrate() first to fix outdated ones)
+  async validate() {
+    const records = await this.storage.find();
+    const invalid = this.findInvalid(records);
+    return { total: records.length, valid: records.length - invalid.length, invalid };
+  }
+
+  findInvalid(records) {
+    return records
+      .map(record => ({ id: record && record.id, errors: validateContact(record) }))
+      .filter(result => result.errors.length);
+  }
+}
+
+module.exports = MigrationRunner;
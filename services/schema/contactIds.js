@@ -0,0 +1,76 @@
+// services/schema/contactIds.js - Contact ids: ULIDs for new records, numeric timestamp ids still accepted
+const crypto = require('crypto');
+
+// Crockford base32, the ULID alphabet (no I, L, O or U)
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+// The first character is at most 7: the time part holds 48 bits
+const ULID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i;
+// Date.now() ids given before ULIDs (and anything else numeric the old routes accepted), up to
+// Number.MAX_SAFE_INTEGER (16 digits; parseContactId checks the exact bound) so no two ids read as one number
+const LEGACY_PATTERN = /^[1-9]\d{0,15}$/;
+
+let lastTime = -1;
+let lastRandom = null;
+
+function randomDigits() {
+  const bytes = crypto.randomBytes(RANDOM_LENGTH);
+  return Array.from(bytes, byte => byte % 32);
+}
+
+// Next random part for the same millisecond, so ids created together still sort in creation order
+function increment(digits) {
+  const next = [...digits];
+  for (let i = next.length - 1; i >= 0; i--) {
+    if (next[i] < 31) {
+      next[i]++;
+      return next;
+    }
+    next[i] = 0;
+  }
+  return randomDigits();
+}
+
+/**
+ * A ULID: 48-bit millisecond time plus 80 random bits, 26 characters, sortable by creation time.
+ * Unlike Date.now() ids, two contacts created in the same millisecond never collide and an id
+ * cannot be guessed from another one.
+ * @param {number} [time=Date.now()] - Milliseconds for the time part (the rekey migration passes createdAt)
+ */
+function newContactId(time = Date.now()) {
+  lastRandom = time === lastTime && lastRandom ? increment(lastRandom) : randomDigits();
+  lastTime = time;
+
+  let remaining = Math.max(0, Math.floor(time));
+  let encodedTime = '';
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    encodedTime = ENCODING[remaining % 32] + encodedTime;
+    remaining = Math.floor(remaining / 32);
+  }
+  return encodedTime + lastRandom.map(digit => ENCODING[digit]).join('');
+}
+
+function isLegacyId(id) {
+  return typeof id === 'number' && Number.isSafeInteger(id) && id > 0;
+}
+
+/**
+ * Id from a route parameter or request body, in the type it is stored with: numbers for
+ * legacy ids ("1762697451759" -> 1762697451759), upper-case strings for ULIDs.
+ * @returns {number|string|null} null when the value cannot be a contact id
+ */
+function parseContactId(raw) {
+  if (typeof raw === 'number') return isLegacyId(raw) ? raw : null;
+  const text = String(raw ?? '').trim();
+  if (LEGACY_PATTERN.test(text)) return isLegacyId(Number(text)) ? Number(text) : null;
+  if (ULID_PATTERN.test(text)) return text.toUpperCase();
+  return null;
+}
+
+module.exports = {
+  newContactId,
+  isLegacyId,
+  parseContactId
+};
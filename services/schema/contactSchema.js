@@ -0,0 +1,116 @@
+// services/schema/contactSchema.js - Declared shape of a contact record and its validation
+// The answers themselves are keyed by question id and follow the survey definition (see services/surveys)
+const SURVEY_FIELDS = {
+  answeredAt: { type: 'date', required: true }
+};
+
+/**
+ * Every field a stored contact has once it is at the current schema version.
+ * Fields without `required` are nullable but always present (null when unknown).
+ * Types: id (number or string), string, number, date (ISO string), object (with nested `fields`),
+ * array (with an `items` type for its elements).
+ */
+const CONTACT_FIELDS = {
+  id: { type: 'id', required: true },
+  schemaVersion: { type: 'number', required: true },
+  // Bumped by the storage adapters on every update; contact ETags are built from it
+  revision: { type: 'number' },
+  name: { type: 'string', required: true },
+  age: { type: 'number' },
+  neighborhood: { type: 'string' },
+  neighborhoodId: { type: 'string' },
+  whatsapp: { type: 'string', required: true },
+  createdAt: { type: 'date', required: true },
+  updatedAt: { type: 'date' },
+  whatsappSentAt: { type: 'date' },
+  whatsappMessageId: { type: 'string' },
+  whatsappProvider: { type: 'string' },
+  whatsappStatus: { type: 'string' },
+  whatsappStatusUpdatedAt: { type: 'date' },
+  whatsappLastError: { type: 'string' },
+  whatsappLastErrorAt: { type: 'date' },
+  clickedAt: { type: 'date' },
+  // Answers of the latest round of the survey residents get by default (every round is in surveyRounds)
+  survey: { type: 'object', fields: SURVEY_FIELDS },
+  // One entry per survey and round the resident was invited to or answered (see services/surveys/surveyRounds)
+  surveyRounds: { type: 'array', items: 'object' },
+  deletedAt: { type: 'date' },
+  deletedBy: { type: 'string' },
+  mergedIds: { type: 'array', items: 'id' },
+  tags: { type: 'array', items: 'string' },
+  // Numeric id the contact had before `npm run migrate rekey-ids` gave it a ULID; old links still resolve
+  legacyId: { type: 'id' },
+  // Values of the admin-defined fields, keyed by field id (see services/customFields)
+  customFields: { type: 'object' }
+};
+
+function checkType(value, type) {
+  switch (type) {
+    case 'id':
+      return (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value.length > 0);
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'date':
+      return typeof value === 'string' && !isNaN(new Date(value).getTime());
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function validateFields(record, fields, prefix, errors) {
+  Object.entries(fields).forEach(([field, rule]) => {
+    const key = prefix ? `${prefix}.${field}` : field;
+    const value = record[field];
+
+    if (value === undefined) {
+      errors.push(`${key} is missing`);
+      return;
+    }
+    if (value === null) {
+      if (rule.required) errors.push(`${key} is required`);
+      return;
+    }
+    if (!checkType(value, rule.type)) {
+      errors.push(`${key} must be a ${rule.type}`);
+      return;
+    }
+    if (rule.fields) {
+      validateFields(value, rule.fields, key, errors);
+    }
+    if (rule.items && value.some(item => !checkType(item, rule.items))) {
+      errors.push(`${key} items must be of type ${rule.items}`);
+    }
+  });
+}
+
+/**
+ * Check a record against the declared schema.
+ * Extra fields are allowed; declared ones must be present with the right type.
+ * @returns {string[]} problems found (empty when valid)
+ */
+function validateContact(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record must be an object'];
+  }
+  const errors = [];
+  validateFields(record, CONTACT_FIELDS, '', errors);
+  return errors;
+}
+
+// Every declared field set to null, for building new records
+function emptyContact() {
+  return Object.fromEntries(Object.keys(CONTACT_FIELDS).map(field => [field, null]));
+}
+
+module.exports = {
+  CONTACT_FIELDS,
+  SURVEY_FIELDS,
+  validateContact,
+  emptyContact
+};
@@ -0,0 +1,25 @@
+// services/schema/index.js - Contact schema, migrations and the runner behind `npm run migrate`
+const { CONTACT_FIELDS, SURVEY_FIELDS, validateContact, emptyContact } = require('./contactSchema');
+const { MIGRATIONS, CURRENT_SCHEMA_VERSION, versionOf, upgradeContact } = require('./migrations');
+const MigrationRunner = require('./MigrationRunner');
+const { newContactId, isLegacyId, parseContactId } = require('./contactIds');
+
+// A new record with every declared field, stamped with the current schema version
+function createContact(fields = {}) {
+  return { ...emptyContact(), revision: 0, ...fields, schemaVersion: CURRENT_SCHEMA_VERSION };
+}
+
+module.exports = {
+  CONTACT_FIELDS,
+  SURVEY_FIELDS,
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  MigrationRunner,
+  validateContact,
+  versionOf,
+  upgradeContact,
+  createContact,
+  newContactId,
+  isLegacyId,
+  parseContactId
+};
@@ -0,0 +1,169 @@
+// services/schema/migrations.js - Ordered upgrades of stored contact records
+//
+// Each migration takes a record at `version - 1` and returns it at `version`.
+// Records written before versioning have no schemaVersion and start at 0.
+// Migrations must be pure and idempotent: they also run in memory on old
+// snapshots (backups, journal reconstructions) that are never written back.
+const DEFAULT_SURVEY = require('../surveys/defaultSurvey');
+
+function withDefaults(target, defaults) {
+  const result = { ...target };
+  Object.entries(defaults).forEach(([field, value]) => {
+    if (result[field] === undefined) result[field] = value;
+  });
+  return result;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill the original contact fields and store age as a number',
+    up(record) {
+      const result = withDefaults(record, {
+        age: null,
+        neighborhood: null,
+        whatsappSentAt: null,
+        whatsappMessageId: null,
+        whatsappProvider: null,
+        whatsappStatus: null,
+        whatsappStatusUpdatedAt: null,
+        clickedAt: null,
+        survey: null
+      });
+      if (typeof result.age === 'string') {
+        const age = Number(result.age.trim());
+        result.age = result.age.trim() && Number.isFinite(age) ? age : null;
+      }
+      return result;
+    }
+  },
+  {
+    version: 2,
+    description: 'Declare survey.cep and survey.complemento (added after the first surveys)',
+    up(record) {
+      if (!record.survey || typeof record.survey !== 'object') return record;
+      return {
+        ...record,
+        survey: withDefaults(record.survey, {
+          issue: null,
+          otherIssue: null,
+          satisfaction: null,
+          participate: null,
+          cep: null,
+          complemento: null,
+          answeredAt: null
+        })
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Declare updatedAt, WhatsApp send errors and trash fields on every record',
+    up(record) {
+      return withDefaults(record, {
+        updatedAt: null,
+        whatsappLastError: null,
+        whatsappLastErrorAt: null,
+        deletedAt: null,
+        deletedBy: null
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Declare mergedIds (ids of duplicates merged into the contact)',
+    up(record) {
+      return withDefaults(record, { mergedIds: null });
+    }
+  },
+  {
+    version: 5,
+    description: 'Declare neighborhoodId (filled by `npm run normalize:neighborhoods`)',
+    up(record) {
+      return withDefaults(record, { neighborhoodId: null });
+    }
+  },
+  {
+    version: 6,
+    description: 'Declare revision (bumped on every update, used for ETag/If-Match on edits)',
+    up(record) {
+      return withDefaults(record, { revision: 0 });
+    }
+  },
+  {
+    version: 7,
+    description: 'Declare tags (free labels set by admins, e.g. from bulk operations)',
+    up(record) {
+      return withDefaults(record, { tags: null });
+    }
+  },
+  {
+    version: 8,
+    description: 'Declare customFields (values of the extra fields admins define)',
+    up(record) {
+      return withDefaults(record, { customFields: null });
+    }
+  },
+  {
+    version: 9,
+    description: 'Declare legacyId (numeric id kept when a contact is given a ULID)',
+    up(record) {
+      return withDefaults(record, { legacyId: null });
+    }
+  },
+  {
+    version: 10,
+    description: 'Declare surveyRounds (send, click and answers per survey round; the first send becomes round 1)',
+    up(record) {
+      if (record.surveyRounds !== undefined) return record;
+      if (!record.whatsappSentAt && !record.clickedAt && !record.survey) return { ...record, surveyRounds: null };
+
+      // Everything before rounds was the original neighborhood survey
+      const { answeredAt = null, ...answers } = record.survey || {};
+      return {
+        ...record,
+        surveyRounds: [{
+          surveyId: DEFAULT_SURVEY.id,
+          round: 1,
+          sentAt: record.whatsappSentAt ?? null,
+          messageId: record.whatsappMessageId ?? null,
+          provider: record.whatsappProvider ?? null,
+          status: record.whatsappStatus ?? null,
+          statusUpdatedAt: record.whatsappStatusUpdatedAt ?? null,
+          clickedAt: record.clickedAt ?? null,
+          answeredAt: record.survey ? answeredAt : null,
+          answers: record.survey ? answers : null
+        }]
+      };
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function versionOf(record) {
+  const version = Number(record && record.schemaVersion);
+  return Number.isInteger(version) && version > 0 ? version : 0;
+}
+
+/**
+ * Bring a record up to `target` by applying every pending migration in order.
+ * Records already at (or beyond) the target are returned unchanged.
+ */
+function upgradeContact(record, migrations = MIGRATIONS, target = CURRENT_SCHEMA_VERSION) {
+  if (!record || typeof record !== 'object') return record;
+  const from = versionOf(record);
+  if (from >= target) return record;
+
+  const upgraded = migrations
+    .filter(migration => migration.version > from && migration.version <= target)
+    .reduce((current, migration) => migration.up(current), record);
+  return { ...upgraded, schemaVersion: target };
+}
+
+module.exports = {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  versionOf,
+  upgradeContact
+};
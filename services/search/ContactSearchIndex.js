@@ -0,0 +1,252 @@
+// services/search/ContactSearchIndex.js - In-memory type-ahead search over active contacts, kept current by storage change events
+const { normalizeText, transpositionDistance } = require('../textMatching');
+const { isDeleted } = require('../ContactTrash');
+
+// How much a match in each field counts towards the ranking
+const FIELD_WEIGHTS = {
+  name: 3,
+  whatsapp: 2,
+  cep: 2,
+  complemento: 1
+};
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Shorter digit runs match too many phone numbers to be useful
+const MIN_DIGITS = 3;
+
+// Typos forgiven per word: none below 4 letters, one up to 7, two from 8
+function allowedEdits(length) {
+  if (length >= 8) return 2;
+  return length >= 4 ? 1 : 0;
+}
+
+function digitsOf(value) {
+  return String(value ?? '').replace(/\D/g, '');
+}
+
+function keyOf(id) {
+  return String(id);
+}
+
+// Best score of one query word against one indexed word: exact, start of the word, or close to either
+function wordScore(word, token, fuzzy) {
+  if (token === word) return 1;
+  if (token.startsWith(word)) return 0.85;
+
+  const edits = fuzzy ? allowedEdits(word.length) : 0;
+  if (!edits || token.length < word.length - edits) return 0;
+  const distance = Math.min(
+    transpositionDistance(word, token.slice(0, word.length)),
+    transpositionDistance(word, token)
+  );
+  if (distance > edits) return 0;
+  return distance === 1 ? 0.7 : 0.5;
+}
+
+class ContactSearchIndex {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage adapter; its 'change' events keep the index current
+   */
+  constructor({ storage }) {
+    if (!storage) throw new Error('ContactSearchIndex: storage is required');
+    this.storage = storage;
+
+    // id -> { contact, digits: { whatsapp, cep }, tokens: Set }
+    this.documents = new Map();
+    // word -> Map(id -> field), the heaviest field the word appears in for that contact
+    this.words = new Map();
+
+    this.loading = null;
+    this.building = false;
+    this.pending = [];
+    this.onChange = event => this.applyChange(event);
+    if (typeof storage.on === 'function') storage.on('change', this.onChange);
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // Loads every contact once; searches wait for it
+  ready() {
+    if (!this.loading) {
+      this.loading = this.build().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async build() {
+    this.building = true;
+    this.pending = [];
+    try {
+      this.reset(await this.storage.find());
+      // Writes that happened while reading are replayed on top
+      this.pending.forEach(event => this.applyChange(event));
+    } finally {
+      this.building = false;
+      this.pending = [];
+    }
+    return this;
+  }
+
+  applyChange(event) {
+    if (this.building) {
+      this.pending.push(event);
+      return;
+    }
+    switch (event.type) {
+      case 'insert':
+        this.upsert(event.record);
+        break;
+      case 'update':
+        // A rekeyed contact (see MigrationRunner.rekeyLegacyIds) is no longer found by its old id
+        if (event.previous && event.record && keyOf(event.previous.id) !== keyOf(event.record.id)) this.remove(event.previous.id);
+        this.upsert(event.record);
+        break;
+      case 'delete':
+        this.remove(event.id);
+        break;
+      case 'replace':
+        this.reset(event.records || []);
+        break;
+    }
+  }
+
+  reset(records) {
+    this.documents.clear();
+    this.words.clear();
+    records.forEach(record => this.upsert(record));
+  }
+
+  // Trashed contacts leave the index and come back when restored
+  upsert(record) {
+    if (!record || record.id === undefined || record.id === null) return;
+    const key = keyOf(record.id);
+    this.remove(key);
+    if (isDeleted(record)) return;
+
+    const survey = record.survey || {};
+    const document = {
+      contact: record,
+      digits: { whatsapp: digitsOf(record.whatsapp), cep: digitsOf(survey.cep) },
+      tokens: new Set()
+    };
+
+    [['name', record.name], ['complemento', survey.complemento]].forEach(([field, value]) => {
+      normalizeText(value).split(' ').filter(Boolean).forEach(token => {
+        const postings = this.words.get(token) || new Map();
+        const current = postings.get(key);
+        if (!current || FIELD_WEIGHTS[field] > FIELD_WEIGHTS[current]) postings.set(key, field);
+        this.words.set(token, postings);
+        document.tokens.add(token);
+      });
+    });
+
+    this.documents.set(key, document);
+  }
+
+  remove(id) {
+    const key = keyOf(id);
+    const document = this.documents.get(key);
+    if (!document) return;
+
+    document.tokens.forEach(token => {
+      const postings = this.words.get(token);
+      if (!postings) return;
+      postings.delete(key);
+      if (!postings.size) this.words.delete(token);
+    });
+    this.documents.delete(key);
+  }
+
+  // id -> { score, field } for one query word
+  matchWord(word, { fuzzy = true } = {}) {
+    const matches = new Map();
+    this.words.forEach((postings, token) => {
+      const score = wordScore(word, token, fuzzy);
+      if (!score) return;
+      postings.forEach((field, key) => {
+        const weighted = score * FIELD_WEIGHTS[field];
+        const current = matches.get(key);
+        if (!current || weighted > current.score) matches.set(key, { score: weighted, field });
+      });
+    });
+    return matches;
+  }
+
+  // Phone fragments anywhere in the number, CEPs from the start (formatting ignored);
+  // numbers in names and complementos ("Apto 12") must match exactly
+  matchDigits(digits) {
+    const matches = this.matchWord(digits, { fuzzy: false });
+    if (digits.length < MIN_DIGITS) return matches;
+
+    this.documents.forEach((document, key) => {
+      const { whatsapp, cep } = document.digits;
+      let best = null;
+      if (whatsapp.includes(digits)) {
+        best = { score: (whatsapp.endsWith(digits) ? 1 : 0.8) * FIELD_WEIGHTS.whatsapp, field: 'whatsapp' };
+      }
+      if (cep.startsWith(digits)) {
+        const score = (cep === digits ? 1 : 0.85) * FIELD_WEIGHTS.cep;
+        if (!best || score > best.score) best = { score, field: 'cep' };
+      }
+      const current = matches.get(key);
+      if (best && (!current || best.score > current.score)) matches.set(key, best);
+    });
+    return matches;
+  }
+
+  /**
+   * Contacts matching every word of the query, best first.
+   * Names and complementos match ignoring accents and case, by word start and with small typos;
+   * a query made only of digits (and punctuation) matches phone numbers and CEPs.
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit=10]
+   * @returns {Array<{ contact: Object, score: number, matches: string[] }>}
+   */
+  search(query, { limit = DEFAULT_LIMIT } = {}) {
+    const text = String(query ?? '').trim();
+    const digitsOnly = !/\p{L}/u.test(text);
+    const words = digitsOnly ? [digitsOf(text)].filter(Boolean) : normalizeText(text).split(' ').filter(Boolean);
+    if (!words.length) return [];
+
+    let results = null;
+    for (const word of words) {
+      const matches = /^\d+$/.test(word) ? this.matchDigits(word) : this.matchWord(word);
+      const next = new Map();
+      matches.forEach((match, key) => {
+        if (results && !results.has(key)) return;
+        const previous = results ? results.get(key) : { score: 0, fields: new Set() };
+        next.set(key, { score: previous.score + match.score, fields: new Set([...previous.fields, match.field]) });
+      });
+      results = next;
+      if (!results.size) return [];
+    }
+
+    // Names starting with the whole query get a nudge, less than an exact word is worth over a word start
+    const phrase = normalizeText(text);
+    return [...results.entries()]
+      .map(([key, result]) => {
+        const { contact } = this.documents.get(key);
+        const bonus = !digitsOnly && normalizeText(contact.name).startsWith(phrase) ? 0.3 : 0;
+        return { contact, score: Math.round((result.score + bonus) * 100) / 100, matches: [...result.fields] };
+      })
+      .sort((a, b) => b.score - a.score || String(a.contact.name ?? '').localeCompare(String(b.contact.name ?? ''), 'pt-BR'))
+      .slice(0, Math.min(Math.max(1, limit), MAX_LIMIT));
+  }
+
+  close() {
+    if (typeof this.storage.off === 'function') this.storage.off('change', this.onChange);
+  }
+}
+
+module.exports = ContactSearchIndex;
+module.exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
+module.exports.MAX_LIMIT = MAX_LIMIT;
@@ -0,0 +1,8 @@
+// services/search/index.js - Contact search behind /api/contacts/search
+const ContactSearchIndex = require('./ContactSearchIndex');
+
+module.exports = {
+  ContactSearchIndex,
+  DEFAULT_LIMIT: ContactSearchIndex.DEFAULT_LIMIT,
+  MAX_LIMIT: ContactSearchIndex.MAX_LIMIT
+};
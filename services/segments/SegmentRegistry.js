@@ -0,0 +1,188 @@
+// services/segments/SegmentRegistry.js - Saved contact segments: a name for a filter, evaluated on every use
+const fs = require('fs');
+const { normalizeText } = require('../textMatching');
+const { parseFilter } = require('../query');
+const { slugify } = require('../neighborhoods/NeighborhoodRegistry');
+
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 280;
+
+function cleanText(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Entries look like { id, name, description, filter, createdAt, updatedAt }, where filter is kept
+ * as written (text syntax or object, see services/query/ContactFilter) so the admin sees it back
+ * unchanged. Segments are dynamic: membership is worked out from the filter each time one is used,
+ * so contacts join and leave as their data changes. Filters may use segment=<other segment>.
+ * The list lives in a small JSON file, read once and rewritten on every change.
+ */
+class SegmentRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file holding the list (in memory only when omitted)
+   */
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.entries = null;
+    this.byId = new Map();
+    this.byName = new Map();
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+    let entries = [];
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '[]');
+      if (!Array.isArray(data)) throw new Error('SegmentRegistry: file does not contain an array');
+      entries = data;
+    }
+    this.setEntries(entries);
+    return this.entries;
+  }
+
+  setEntries(entries) {
+    this.entries = entries;
+    this.byId = new Map(entries.map(entry => [entry.id, entry]));
+    this.byName = new Map(entries.map(entry => [normalizeText(entry.name), entry]));
+  }
+
+  // Atomic replace, same approach as JsonFileStorage
+  save(entries) {
+    if (this.filePath) {
+      const tmpFile = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(entries, null, 2));
+      fs.renameSync(tmpFile, this.filePath);
+    }
+    this.setEntries(entries);
+  }
+
+  list() {
+    return [...this.load()].sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+  }
+
+  get(id) {
+    this.load();
+    return this.byId.get(id) || null;
+  }
+
+  // Segment by id or by name (case and accents ignored), or null
+  resolve(text) {
+    this.load();
+    const value = cleanText(text);
+    if (!value) return null;
+    return this.byId.get(value) || this.byName.get(normalizeText(value)) || null;
+  }
+
+  /**
+   * Parsed filter of a segment, with the segments it refers to expanded.
+   * @returns {{ filter: Object }|{ error: string }}
+   */
+  filterOf(idOrName) {
+    return parseFilter({ segment: idOrName }, { segments: this });
+  }
+
+  /**
+   * Other segments whose filter reaches this one, directly or through another segment.
+   * @param {boolean} [byName=false] - Only references by name (the ones a rename would break)
+   */
+  dependentsOf(id, { byName = false } = {}) {
+    return this.load().filter(entry => {
+      if (entry.id === id) return false;
+      let reached = false;
+      const watcher = {
+        resolve: (text) => {
+          const found = this.resolve(text);
+          if (found && found.id === id && !(byName && cleanText(text) === id)) reached = true;
+          return found;
+        }
+      };
+      parseFilter(entry.filter, { segments: watcher });
+      return reached;
+    });
+  }
+
+  validate(fields, currentId = null) {
+    const name = cleanText(fields.name);
+    if (!name) return { error: 'Name is required' };
+    if (name.length > MAX_NAME_LENGTH) return { error: `Names are at most ${MAX_NAME_LENGTH} characters` };
+
+    const owner = this.byName.get(normalizeText(name));
+    if (owner && owner.id !== currentId) return { error: `"${name}" is already a segment`, conflict: owner };
+
+    const description = cleanText(fields.description) || null;
+    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `Descriptions are at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+
+    const filter = typeof fields.filter === 'string' ? fields.filter.trim() : fields.filter;
+    const parsed = parseFilter(filter ?? null, { segments: this, expanding: currentId ? [currentId] : [] });
+    if (parsed.error) return { error: `Invalid filter: ${parsed.error}` };
+    // A segment of everyone is just the full contact list
+    if (!parsed.filter) return { error: 'filter is required' };
+
+    return { name, description, filter };
+  }
+
+  /**
+   * @returns {{ entry: Object }|{ error: string, conflict?: Object }}
+   */
+  create(fields = {}) {
+    this.load();
+    const valid = this.validate(fields);
+    if (valid.error) return valid;
+
+    const base = slugify(valid.name) || 'segmento';
+    let id = base;
+    for (let n = 2; this.get(id); n++) id = `${base}-${n}`;
+
+    const now = new Date().toISOString();
+    const entry = { id, name: valid.name, description: valid.description, filter: valid.filter, createdAt: now, updatedAt: now };
+    this.save([...this.load(), entry]);
+    return { entry };
+  }
+
+  /**
+   * Change name, description or filter; the id never changes so filters naming it by id keep working.
+   * @returns {{ entry: Object }|{ error: string, conflict?: Object }|null} null when the id is unknown
+   */
+  update(id, fields = {}) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const valid = this.validate({
+      name: fields.name ?? current.name,
+      description: fields.description !== undefined ? fields.description : current.description,
+      filter: fields.filter !== undefined ? fields.filter : current.filter
+    }, id);
+    if (valid.error) return valid;
+
+    // Other segments may refer to this one by its old name
+    if (normalizeText(valid.name) !== normalizeText(current.name)) {
+      const dependents = this.dependentsOf(id, { byName: true });
+      if (dependents.length) {
+        return { error: `Segment is used by ${dependents.map(entry => entry.name).join(', ')}`, conflict: dependents[0] };
+      }
+    }
+
+    const entry = { ...current, ...valid, updatedAt: new Date().toISOString() };
+    this.save(this.load().map(item => (item.id === id ? entry : item)));
+    return { entry };
+  }
+
+  /**
+   * @returns {{ removed: true }|{ error: string, conflict: Object }|null} null when the id is unknown
+   */
+  remove(id) {
+    if (!this.get(id)) return null;
+    const dependents = this.dependentsOf(id);
+    if (dependents.length) {
+      return { error: `Segment is used by ${dependents.map(entry => entry.name).join(', ')}`, conflict: dependents[0] };
+    }
+    this.save(this.load().filter(entry => entry.id !== id));
+    return { removed: true };
+  }
+}
+
+module.exports = SegmentRegistry;
@@ -0,0 +1,30 @@
+// services/segments/index.js - Saved contact segments and the shared instance
+const { resolveDataFile } = require('../storage');
+const SegmentRegistry = require('./SegmentRegistry');
+
+function resolveSegmentsConfig(env = process.env) {
+  return {
+    filePath: resolveDataFile(env.SEGMENTS_FILE || 'segments.json')
+  };
+}
+
+// Process-wide instance shared by server routes, bulk operations and DataAccessLayer
+let defaultRegistry = null;
+
+function getSegmentRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new SegmentRegistry(resolveSegmentsConfig());
+  }
+  return defaultRegistry;
+}
+
+function setSegmentRegistry(registry) {
+  defaultRegistry = registry;
+}
+
+module.exports = {
+  SegmentRegistry,
+  resolveSegmentsConfig,
+  getSegmentRegistry,
+  setSegmentRegistry
+};
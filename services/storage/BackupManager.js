@@ -0,0 +1,199 @@
+// services/storage/BackupManager.js - Snapshots of the contact data with tiered retention
+const fs = require('fs');
+const path = require('path');
+const { BOOKKEEPING_FIELDS } = require('./StorageAdapter');
+
+const BACKUP_PATTERN = /^data\.backup\.(\d+)\.json$/;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class BackupManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory where snapshots are written and pruned
+   * @param {string} [options.legacyDir] - Read-only directory with older data.backup.*.json files (repo root)
+   * @param {number} [options.keepLast=20] - Always keep the N most recent snapshots
+   * @param {number} [options.keepHourly=24] - Keep the newest snapshot of each of the last N hours
+   * @param {number} [options.keepDaily=30] - Keep the newest snapshot of each of the last N days
+   * @param {boolean} [options.onWrite=true] - Snapshot the data file before every write
+   */
+  constructor({ dir, legacyDir = null, keepLast = 20, keepHourly = 24, keepDaily = 30, onWrite = true }) {
+    if (!dir) throw new Error('BackupManager: dir is required');
+    this.dir = dir;
+    this.legacyDir = legacyDir && path.resolve(legacyDir) !== path.resolve(dir) ? legacyDir : null;
+    this.policy = { keepLast, keepHourly, keepDaily };
+    this.onWrite = onWrite;
+    this.lastTimestamp = 0;
+  }
+
+  static isValidId(id) {
+    return BACKUP_PATTERN.test(String(id || ''));
+  }
+
+  ensureDir() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  // Millisecond names can collide when two writes land together; bump to keep them unique
+  nextTimestamp() {
+    const now = Date.now();
+    this.lastTimestamp = now > this.lastTimestamp ? now : this.lastTimestamp + 1;
+    return this.lastTimestamp;
+  }
+
+  scanDir(dir, legacy) {
+    if (!dir || !fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .map(file => ({ file, match: BACKUP_PATTERN.exec(file) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const filePath = path.join(dir, file);
+        const timestamp = Number(match[1]);
+        return {
+          id: file,
+          createdAt: new Date(timestamp).toISOString(),
+          timestamp,
+          size: fs.statSync(filePath).size,
+          legacy,
+          filePath
+        };
+      });
+  }
+
+  // Newest first
+  listBackups() {
+    return [...this.scanDir(this.dir, false), ...this.scanDir(this.legacyDir, true)]
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  getBackup(id) {
+    if (!BackupManager.isValidId(id)) return null;
+    return this.listBackups().find(backup => backup.id === id) || null;
+  }
+
+  getLatestBackup() {
+    return this.listBackups()[0] || null;
+  }
+
+  readBackup(id) {
+    const backup = this.getBackup(id);
+    if (!backup) return null;
+    const data = JSON.parse(fs.readFileSync(backup.filePath, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  }
+
+  // Copy the live data file (JSON backend, called before each write)
+  snapshotFile(sourcePath) {
+    if (!this.onWrite || !fs.existsSync(sourcePath)) return null;
+    this.ensureDir();
+    const target = path.join(this.dir, `data.backup.${this.nextTimestamp()}.json`);
+    fs.copyFileSync(sourcePath, target);
+    this.prune();
+    return path.basename(target);
+  }
+
+  // Write a snapshot from records (manual backups, safety copy before a restore, Mongo backend)
+  createBackup(records) {
+    this.ensureDir();
+    const target = path.join(this.dir, `data.backup.${this.nextTimestamp()}.json`);
+    fs.writeFileSync(target, JSON.stringify(records, null, 2));
+    this.prune();
+    return this.getBackup(path.basename(target));
+  }
+
+  // Which managed snapshots survive the keep-last / hourly / daily tiers
+  selectRetained(backups, now = Date.now()) {
+    const { keepLast, keepHourly, keepDaily } = this.policy;
+    const sorted = [...backups].sort((a, b) => b.timestamp - a.timestamp);
+    const retained = new Set(sorted.slice(0, keepLast).map(b => b.id));
+
+    const keepNewestPerBucket = (bucketMs, windowMs) => {
+      const seen = new Set();
+      sorted.forEach(backup => {
+        if (now - backup.timestamp > windowMs) return;
+        const bucket = Math.floor(backup.timestamp / bucketMs);
+        if (!seen.has(bucket)) {
+          seen.add(bucket);
+          retained.add(backup.id);
+        }
+      });
+    };
+
+    keepNewestPerBucket(HOUR_MS, keepHourly * HOUR_MS);
+    keepNewestPerBucket(DAY_MS, keepDaily * DAY_MS);
+    return retained;
+  }
+
+  // Legacy snapshots are never pruned; move them in with importLegacyBackups() first
+  prune(now = Date.now()) {
+    const managed = this.scanDir(this.dir, false);
+    const retained = this.selectRetained(managed, now);
+    const removed = managed.filter(backup => !retained.has(backup.id));
+    removed.forEach(backup => fs.unlinkSync(backup.filePath));
+    return { kept: retained.size, removed: removed.map(b => b.id) };
+  }
+
+  importLegacyBackups() {
+    const legacy = this.scanDir(this.legacyDir, true);
+    if (!legacy.length) return { imported: 0, pruned: 0 };
+
+    this.ensureDir();
+    legacy.forEach(backup => {
+      fs.renameSync(backup.filePath, path.join(this.dir, backup.id));
+    });
+    const { removed } = this.prune();
+    return { imported: legacy.length, pruned: removed.length };
+  }
+
+  /**
+   * Compare a snapshot with the current records, keyed by contact id.
+   * Changed contacts list the top-level fields that differ with before/after values.
+   */
+  diff(backupRecords, currentRecords) {
+    const byId = (records) => new Map(records.map(record => [String(record.id), record]));
+    const before = byId(backupRecords);
+    const after = byId(currentRecords);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    after.forEach((record, id) => {
+      if (!before.has(id)) added.push({ id: record.id, name: record.name });
+    });
+
+    before.forEach((record, id) => {
+      const current = after.get(id);
+      if (!current) {
+        removed.push({ id: record.id, name: record.name });
+        return;
+      }
+
+      const fields = [...new Set([...Object.keys(record), ...Object.keys(current)])]
+        .filter(key => !BOOKKEEPING_FIELDS.includes(key))
+        .filter(key => JSON.stringify(record[key] ?? null) !== JSON.stringify(current[key] ?? null))
+        .map(key => ({ field: key, before: record[key] ?? null, after: current[key] ?? null }));
+
+      if (fields.length) {
+        changed.push({ id: record.id, name: current.name || record.name, fields });
+      }
+    });
+
+    return {
+      summary: {
+        backupCount: backupRecords.length,
+        currentCount: currentRecords.length,
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length
+      },
+      added,
+      removed,
+      changed
+    };
+  }
+}
+
+module.exports = BackupManager;
@@ -0,0 +1,225 @@
+// services/storage/ChangeJournal.js - Append-only history of contact changes with point-in-time rebuilds
+const WriteQueue = require('./WriteQueue');
+const { sameId, BOOKKEEPING_FIELDS } = require('./StorageAdapter');
+
+// Fields touched by WhatsApp delivery/click tracking; updates limited to them are "status" events
+const STATUS_FIELD_PATTERN = /^(whatsapp[A-Z]\w*|clickedAt)$/;
+
+// Events that carry the full dataset and therefore start a reconstruction
+const CHECKPOINT_TYPES = ['baseline', 'restore', 'migration'];
+
+// Whole-dataset rewrites that upgrade data in place rather than bring back an older state
+const BULK_REWRITE_SOURCES = ['migration', 'normalize'];
+
+function toTime(value) {
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// Field-level before/after for every top-level key that differs
+function diffFields(before = {}, after = {}) {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys
+    .filter(key => JSON.stringify(before?.[key] ?? null) !== JSON.stringify(after?.[key] ?? null))
+    .map(key => ({ field: key, before: before?.[key] ?? null, after: after?.[key] ?? null }));
+}
+
+/**
+ * Base class for journal backends (NDJSON file or MongoDB collection).
+ * Entries look like:
+ *   { seq, at, type, contactId, changes: [{ field, before, after }], record, records, actor, ip, source }
+ * where type is baseline | create | update | status | trash | untrash | merge | delete | restore | migration
+ * (trash/untrash are soft deletions and their undo, merge is a duplicate absorbed by the contact,
+ * delete is a permanent removal, migration is a schema upgrade or data normalization of the whole dataset).
+ * Subclasses implement writeEntry(entry), readEntries() and lastSeq().
+ */
+class ChangeJournal {
+  constructor(driver) {
+    this.driver = driver;
+    this.queue = new WriteQueue();
+    this.seq = null;
+  }
+
+  async writeEntry(entry) {
+    throw new Error(`${this.constructor.name}: writeEntry not implemented`);
+  }
+
+  async readEntries() {
+    throw new Error(`${this.constructor.name}: readEntries not implemented`);
+  }
+
+  async lastSeq() {
+    throw new Error(`${this.constructor.name}: lastSeq not implemented`);
+  }
+
+  // Appends are serialized so sequence numbers follow the order of the storage events
+  append(entry) {
+    return this.queue.run(() => this.writeNext(entry));
+  }
+
+  async writeNext(entry) {
+    if (this.seq === null) this.seq = await this.lastSeq();
+    const stored = { seq: ++this.seq, at: entry.at || new Date().toISOString(), ...entry };
+    await this.writeEntry(stored);
+    return stored;
+  }
+
+  // Translate a storage 'change' event into a journal entry (null when nothing changed)
+  entryFromChange(event) {
+    const context = event.context || {};
+    const base = {
+      at: event.at,
+      contactId: event.id ?? null,
+      actor: context.actor || null,
+      ip: context.ip || null,
+      source: context.source || null
+    };
+
+    switch (event.type) {
+      case 'insert':
+        return { ...base, type: 'create', changes: diffFields({}, event.record), record: event.record };
+      case 'update': {
+        const changes = diffFields(event.previous, event.record).filter(change => !BOOKKEEPING_FIELDS.includes(change.field));
+        if (!changes.length) return null;
+        return { ...base, type: this.classifyUpdate(changes), changes, record: event.record };
+      }
+      case 'delete':
+        return { ...base, type: 'delete', changes: [], record: event.previous || event.record };
+      case 'replace':
+        return {
+          ...base,
+          type: BULK_REWRITE_SOURCES.includes(context.source) ? 'migration' : 'restore',
+          changes: [],
+          records: event.records || []
+        };
+      default:
+        return null;
+    }
+  }
+
+  classifyUpdate(changes) {
+    const trashChange = changes.find(c => c.field === 'deletedAt');
+    if (trashChange) return trashChange.after ? 'trash' : 'untrash';
+    if (changes.some(c => c.field === 'mergedIds')) return 'merge';
+    return changes.every(c => STATUS_FIELD_PATTERN.test(c.field)) ? 'status' : 'update';
+  }
+
+  /**
+   * Record every mutation of a storage backend.
+   * An empty journal starts with a baseline entry holding the current dataset,
+   * so reconstruction works for data created before the journal existed.
+   * @returns {Promise} resolves once the baseline (if any) is written
+   */
+  attach(storage) {
+    storage.journal = this;
+    storage.on('change', event => {
+      const entry = this.entryFromChange(event);
+      if (!entry) return;
+      this.append(entry).catch(err => {
+        console.error(`[ChangeJournal] Failed to record ${entry.type} for contact ${entry.contactId}:`, err.message);
+      });
+    });
+
+    return this.queue.run(async () => {
+      if (await this.lastSeq() > 0) return null;
+      const records = await storage.find();
+      return this.writeNext({ type: 'baseline', contactId: null, changes: [], records, source: 'journal' });
+    });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string|Date} [options.since] - only entries at or after this time
+   * @param {string|Date} [options.until] - only entries at or before this time
+   * @param {*} [options.contactId] - only entries for this contact
+   * @param {string[]} [options.types]
+   */
+  async getEntries({ since = null, until = null, contactId = null, types = null } = {}) {
+    const sinceTime = since ? toTime(since) : null;
+    const untilTime = until ? toTime(until) : null;
+
+    // Include appends that are still queued
+    await this.flush();
+    return (await this.readEntries())
+      .filter(entry => {
+        const time = toTime(entry.at);
+        if (sinceTime !== null && time < sinceTime) return false;
+        if (untilTime !== null && time > untilTime) return false;
+        if (contactId !== null && contactId !== undefined && !sameId(entry.contactId, contactId)) return false;
+        if (types && !types.includes(entry.type)) return false;
+        return true;
+      })
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Audit trail of one contact, newest first: who changed which fields, when and from where.
+   * Full record snapshots stay in the journal; only field-level before/after values are returned.
+   */
+  async getHistory(contactId) {
+    const entries = await this.getEntries({ contactId });
+    return entries.reverse().map(entry => ({
+      seq: entry.seq,
+      at: entry.at,
+      type: entry.type,
+      actor: entry.actor || null,
+      ip: entry.ip || null,
+      source: entry.source || null,
+      changes: entry.type === 'delete'
+        ? diffFields(entry.record, {})
+        : entry.changes || []
+    }));
+  }
+
+  // When history begins (the first baseline), or null for an empty journal
+  async getStartedAt() {
+    const [first] = await this.getEntries();
+    return first ? first.at : null;
+  }
+
+  /**
+   * Rebuild the contact list as it was at `asOf`.
+   * Replays from the latest baseline/restore/migration at or before that time; returns []
+   * for moments before the journal started (see getStartedAt()).
+   */
+  async reconstruct(asOf) {
+    const asOfTime = toTime(asOf);
+    if (asOfTime === null) throw new Error(`ChangeJournal: invalid timestamp "${asOf}"`);
+
+    const entries = await this.getEntries({ until: new Date(asOfTime) });
+    let start = -1;
+    entries.forEach((entry, index) => {
+      if (CHECKPOINT_TYPES.includes(entry.type)) start = index;
+    });
+    if (start === -1) return [];
+
+    const state = new Map();
+    entries.slice(start).forEach(entry => {
+      if (CHECKPOINT_TYPES.includes(entry.type)) {
+        state.clear();
+        (entry.records || []).forEach(record => state.set(String(record.id), record));
+      } else if (entry.type === 'delete') {
+        state.delete(String(entry.contactId));
+      } else if (entry.record) {
+        // A rekeyed contact (see MigrationRunner.rekeyLegacyIds) leaves its old id behind
+        const rekey = (entry.changes || []).find(change => change.field === 'id');
+        if (rekey) state.delete(String(rekey.before));
+        state.set(String(entry.contactId), entry.record);
+      }
+    });
+
+    return JSON.parse(JSON.stringify([...state.values()]));
+  }
+
+  async flush() {
+    await this.queue.drain();
+  }
+
+  async close() {
+    await this.flush();
+  }
+}
+
+module.exports = ChangeJournal;
+module.exports.diffFields = diffFields;
+module.exports.STATUS_FIELD_PATTERN = STATUS_FIELD_PATTERN;
@@ -0,0 +1,177 @@
+// services/storage/JsonFileStorage.js - Contact storage backed by a single JSON array file
+const fs = require('fs');
+const StorageAdapter = require('./StorageAdapter');
+const WriteQueue = require('./WriteQueue');
+const { matchesFilter, sameId, compactChanges, revisionOf, checkRevision, splitTaken } = StorageAdapter;
+
+class JsonFileStorage extends StorageAdapter {
+  constructor({ filePath, backups = null }) {
+    super('json');
+    if (!filePath) throw new Error('JsonFileStorage: filePath is required');
+    this.filePath = filePath;
+    this.backups = backups;
+    // Every mutation is a read-modify-write of the whole file, so they run one at a time
+    this.writeQueue = new WriteQueue();
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  // strict=true is used before writing: an unreadable file must never be replaced by []
+  readAll({ strict = false } = {}) {
+    try {
+      if (!this.exists()) return [];
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      const data = JSON.parse(raw || '[]');
+      if (!Array.isArray(data)) throw new Error('DB file does not contain an array');
+      return data;
+    } catch (err) {
+      console.error('[JsonFileStorage] Error reading DB:', err);
+      if (strict) throw err;
+      return [];
+    }
+  }
+
+  // Atomic replace: write a temp file, fsync it, then rename over the original
+  writeAll(records) {
+    const tmpFile = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      // Backup before writing (retention is handled by the BackupManager)
+      if (this.backups) {
+        this.backups.snapshotFile(this.filePath);
+      }
+
+      const fd = fs.openSync(tmpFile, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify(records, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tmpFile, this.filePath);
+    } catch (err) {
+      console.error('[JsonFileStorage] Error writing DB:', err);
+      if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+      throw err;
+    }
+  }
+
+  // Run a read-modify-write under the write queue
+  mutate(fn) {
+    return this.writeQueue.run(() => {
+      const records = this.readAll({ strict: true });
+      const result = fn(records);
+      if (result && result.changed) {
+        this.writeAll(records);
+      }
+      return result;
+    });
+  }
+
+  async find(filter = {}) {
+    return this.readAll().filter(record => matchesFilter(record, filter));
+  }
+
+  async findById(id) {
+    return this.readAll().find(record => sameId(record.id, id)) || null;
+  }
+
+  async insert(record, context = {}) {
+    await this.mutate(records => {
+      records.push(record);
+      return { changed: true };
+    });
+    this.notifyChange('insert', record.id, record, { context });
+    return record;
+  }
+
+  // One file write, with the uniqueBy check made on the file as it is inside the write queue
+  async insertMany(newRecords, context = {}, { uniqueBy = null } = {}) {
+    const { accepted, skipped } = await this.mutate(records => {
+      const split = splitTaken(newRecords, uniqueBy ? records : [], uniqueBy);
+      records.push(...split.accepted);
+      return { changed: split.accepted.length > 0, ...split };
+    });
+    accepted.forEach(record => this.notifyChange('insert', record.id, record, { context }));
+    return { inserted: accepted, skipped };
+  }
+
+  async update(id, changes, context = {}, options = {}) {
+    const { record, previous } = await this.mutate(records => {
+      const target = records.find(r => sameId(r.id, id));
+      if (!target) return { changed: false, record: null };
+      checkRevision(target, options);
+
+      const before = { ...target };
+      Object.assign(target, compactChanges(changes), { revision: revisionOf(before) + 1 });
+      return { changed: true, record: target, previous: before };
+    });
+    if (record) this.notifyChange('update', record.id, record, { previous, context });
+    return record;
+  }
+
+  // The whole batch is a single file write, so it lands completely or not at all
+  async updateMany(updates, context = {}) {
+    const { applied } = await this.mutate(records => {
+      const targets = updates.map(({ id, expectedRevision }) => {
+        const target = records.find(r => sameId(r.id, id));
+        if (!target) throw new Error(`JsonFileStorage: contact ${id} not found`);
+        checkRevision(target, { expectedRevision });
+        return target;
+      });
+
+      return {
+        changed: targets.length > 0,
+        applied: targets.map((target, index) => {
+          const previous = { ...target };
+          Object.assign(target, compactChanges(updates[index].changes), { revision: revisionOf(previous) + 1 });
+          return { record: target, previous };
+        })
+      };
+    });
+
+    applied.forEach(({ record, previous }) => this.notifyChange('update', record.id, record, { previous, context }));
+    return applied.map(entry => entry.record);
+  }
+
+  async delete(id, context = {}, options = {}) {
+    const { record } = await this.mutate(records => {
+      const index = records.findIndex(r => sameId(r.id, id));
+      if (index === -1) return { changed: false, record: null };
+      checkRevision(records[index], options);
+
+      const [removed] = records.splice(index, 1);
+      return { changed: true, record: removed };
+    });
+    if (!record) return false;
+
+    this.notifyChange('delete', record.id, record, { previous: record, context });
+    return true;
+  }
+
+  async replaceAll(nextRecords, context = {}) {
+    await this.mutate(records => {
+      records.splice(0, records.length, ...nextRecords);
+      return { changed: true };
+    });
+    this.notifyChange('replace', null, null, { records: nextRecords, context });
+    return nextRecords.length;
+  }
+
+  async describe() {
+    return {
+      driver: this.driver,
+      filePath: this.filePath,
+      lastModified: this.exists() ? fs.statSync(this.filePath).mtime : null,
+      pendingWrites: this.writeQueue.pending
+    };
+  }
+
+  async close() {
+    await this.writeQueue.drain();
+    if (this.journal) await this.journal.close();
+  }
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,51 @@
+// services/storage/MongoJournal.js - Change journal stored in a MongoDB collection
+const ChangeJournal = require('./ChangeJournal');
+
+function buildEventSchema(mongoose, collection) {
+  return new mongoose.Schema({}, { strict: false, collection, versionKey: false });
+}
+
+class MongoJournal extends ChangeJournal {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.connect] - async () => mongoose connection (shared with MongoStorage)
+   * @param {string} [options.collection='contact_events']
+   * @param {Object} [options.model] - Pre-built Mongoose model or an in-memory stand-in with the same API
+   */
+  constructor({ connect = null, collection = 'contact_events', model = null } = {}) {
+    super('mongo');
+    if (!connect && !model) throw new Error('MongoJournal: connect or model is required');
+    this.connect = connect;
+    this.collection = collection;
+    this.model = model;
+  }
+
+  async getModel() {
+    if (this.model) return this.model;
+    const mongoose = require('mongoose');
+    const connection = await this.connect();
+    this.model = connection.model('ContactEvent', buildEventSchema(mongoose, this.collection), this.collection);
+    await this.model.collection.createIndex({ seq: 1 }, { unique: true });
+    await this.model.collection.createIndex({ contactId: 1, seq: 1 });
+    return this.model;
+  }
+
+  async writeEntry(entry) {
+    const model = await this.getModel();
+    await model.create(entry);
+  }
+
+  async readEntries() {
+    const model = await this.getModel();
+    const docs = await model.find({}).lean();
+    return docs.map(({ _id, ...entry }) => entry);
+  }
+
+  async lastSeq() {
+    const model = await this.getModel();
+    const docs = await model.find({}).sort({ seq: -1 }).limit(1).lean();
+    return docs.length ? docs[0].seq || 0 : 0;
+  }
+}
+
+module.exports = MongoJournal;
@@ -0,0 +1,201 @@
+// services/storage/MongoStorage.js - Contact storage backed by a MongoDB collection (Mongoose)
+const StorageAdapter = require('./StorageAdapter');
+const { compactChanges, revisionOf, checkRevision, RevisionConflictError, splitTaken } = StorageAdapter;
+
+// Attempts at a compare-and-set update before giving up on a contact that keeps changing
+const UPDATE_ATTEMPTS = 5;
+
+// Flexible schema: accepts every field already present in data.json
+function buildContactSchema(mongoose, collection) {
+  return new mongoose.Schema({}, { strict: false, collection, versionKey: false });
+}
+
+function toPlainRecord(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+  delete plain._id;
+  delete plain.__v;
+  return plain;
+}
+
+class MongoStorage extends StorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.uri] - MongoDB connection string (ignored when a model is injected)
+   * @param {string} [options.dbName]
+   * @param {string} [options.collection='contacts']
+   * @param {Object} [options.model] - Pre-built Mongoose model or an in-memory stand-in with the same API
+   */
+  constructor({ uri = null, dbName = null, collection = 'contacts', model = null } = {}) {
+    super('mongo');
+    if (!uri && !model) throw new Error('MongoStorage: uri or model is required');
+    this.uri = uri;
+    this.dbName = dbName;
+    this.collection = collection;
+    this.model = model;
+    this.connection = null;
+    this.connecting = null;
+  }
+
+  async getModel() {
+    if (this.model) return this.model;
+    if (!this.connecting) {
+      this.connecting = (async () => {
+        const mongoose = require('mongoose');
+        this.connection = mongoose.createConnection(this.uri, { dbName: this.dbName || undefined });
+        await this.connection.asPromise();
+        this.model = this.connection.model('Contact', buildContactSchema(mongoose, this.collection), this.collection);
+        await this.model.collection.createIndex({ id: 1 }, { sparse: true });
+        await this.model.collection.createIndex({ whatsapp: 1 }, { sparse: true });
+        console.log(`[MongoStorage] Connected to collection "${this.collection}"`);
+        return this.model;
+      })().catch(err => {
+        this.connecting = null;
+        throw err;
+      });
+    }
+    return this.connecting;
+  }
+
+  async find(filter = {}) {
+    const model = await this.getModel();
+    const docs = await model.find(filter).lean();
+    return docs.map(toPlainRecord);
+  }
+
+  async findOne(filter = {}) {
+    const model = await this.getModel();
+    return toPlainRecord(await model.findOne(filter).lean());
+  }
+
+  async findById(id) {
+    return this.findOne({ id });
+  }
+
+  async insert(record, context = {}) {
+    const model = await this.getModel();
+    const created = toPlainRecord(await model.create(record));
+    this.notifyChange('insert', created.id, created, { context });
+    return created;
+  }
+
+  // One insertMany call; the inserted documents are removed again if it fails partway
+  async insertMany(records, context = {}, { uniqueBy = null } = {}) {
+    const model = await this.getModel();
+    const { accepted, skipped } = splitTaken(records, uniqueBy ? await this.find() : [], uniqueBy);
+    if (!accepted.length) return { inserted: [], skipped };
+
+    let created;
+    try {
+      created = (await model.insertMany(accepted)).map(toPlainRecord);
+    } catch (error) {
+      await model.deleteMany({ id: { $in: accepted.map(record => record.id) } }).catch(rollbackError => {
+        console.error('[MongoStorage] Could not roll back the inserted contacts:', rollbackError.message);
+      });
+      throw error;
+    }
+    created.forEach(record => this.notifyChange('insert', record.id, record, { context }));
+    return { inserted: created, skipped };
+  }
+
+  // Compare-and-set on the revision read just before, so concurrent writers never lose updates;
+  // without an expected revision a lost race is simply retried on the newer record
+  async update(id, changes, context = {}, options = {}) {
+    const model = await this.getModel();
+
+    for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+      const previous = await this.findById(id);
+      if (!previous) return null;
+      checkRevision(previous, options);
+
+      const updated = toPlainRecord(await model.findOneAndUpdate(
+        { id, revision: previous.revision ?? null },
+        { $set: { ...compactChanges(changes), revision: revisionOf(previous) + 1 } },
+        { new: true }
+      ).lean());
+      if (updated) {
+        this.notifyChange('update', updated.id, updated, { previous, context });
+        return updated;
+      }
+    }
+    throw new Error(`MongoStorage: contact ${id} kept changing, update not applied`);
+  }
+
+  async delete(id, context = {}, options = {}) {
+    const model = await this.getModel();
+    const existing = await this.findById(id);
+    if (!existing) return false;
+    checkRevision(existing, options);
+
+    // Conditional deletes only match the revision checked above
+    const conditional = options.expectedRevision !== undefined && options.expectedRevision !== null;
+    const result = await model.deleteOne(conditional ? { id, revision: existing.revision ?? null } : { id });
+    const deleted = (result && result.deletedCount) > 0;
+    if (!deleted && conditional) {
+      const current = await this.findById(id);
+      if (current) throw new RevisionConflictError(current);
+    }
+    if (deleted) this.notifyChange('delete', existing.id, existing, { previous: existing, context });
+    return deleted;
+  }
+
+  // The new dataset is written to a collection of its own and renamed over the live one, so
+  // readers never see it empty and a failed write leaves the contacts as they were
+  async replaceAll(records, context = {}) {
+    const model = await this.getModel();
+    const native = this.connection && this.connection.db;
+    if (native) {
+      await this.swapCollection(native, records);
+    } else {
+      // Injected stand-ins (tests) have no collections to swap
+      await model.deleteMany({});
+      if (records.length) {
+        await model.insertMany(records);
+      }
+    }
+    this.notifyChange('replace', null, null, { records, context });
+    return records.length;
+  }
+
+  async swapCollection(native, records) {
+    const tmpName = `${this.collection}.replace.${process.pid}.${Date.now()}`;
+    const tmp = native.collection(tmpName);
+    try {
+      if (records.length) {
+        // The driver adds _id to what it inserts; copies keep the caller's records clean
+        await tmp.insertMany(records.map(record => ({ ...record })));
+      } else {
+        await native.createCollection(tmpName);
+      }
+      await tmp.createIndex({ id: 1 }, { sparse: true });
+      await tmp.createIndex({ whatsapp: 1 }, { sparse: true });
+      await tmp.rename(this.collection, { dropTarget: true });
+    } catch (error) {
+      await tmp.drop().catch(() => {});
+      throw error;
+    }
+  }
+
+
+  async describe() {
+    return {
+      driver: this.driver,
+      collection: this.collection,
+      connected: !!this.model
+    };
+  }
+
+  async close() {
+    // The journal may share this connection, so let it finish first
+    if (this.journal) await this.journal.close();
+    if (this.connection) {
+      await this.connection.close();
+      this.connection = null;
+      this.connecting = null;
+      this.model = null;
+    }
+  }
+}
+
+module.exports = MongoStorage;
+module.exports.buildContactSchema = buildContactSchema;
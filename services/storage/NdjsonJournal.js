@@ -0,0 +1,40 @@
+// services/storage/NdjsonJournal.js - Change journal stored as one JSON entry per line
+const fs = require('fs');
+const path = require('path');
+const ChangeJournal = require('./ChangeJournal');
+
+class NdjsonJournal extends ChangeJournal {
+  constructor({ filePath }) {
+    super('ndjson');
+    if (!filePath) throw new Error('NdjsonJournal: filePath is required');
+    this.filePath = filePath;
+  }
+
+  // Append-only: existing lines are never rewritten
+  async writeEntry(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+  }
+
+  async readEntries() {
+    if (!fs.existsSync(this.filePath)) return [];
+    const entries = [];
+    fs.readFileSync(this.filePath, 'utf8').split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        // A crash mid-append can leave a truncated last line; skip it instead of losing the history
+        console.warn(`[NdjsonJournal] Skipping unreadable line ${index + 1} in ${this.filePath}`);
+      }
+    });
+    return entries;
+  }
+
+  async lastSeq() {
+    const entries = await this.readEntries();
+    return entries.reduce((max, entry) => Math.max(max, entry.seq || 0), 0);
+  }
+}
+
+module.exports = NdjsonJournal;
@@ -0,0 +1,251 @@
+// services/storage/StorageAdapter.js - Contract shared by every contact storage backend
+const { EventEmitter } = require('events');
+
+// Thrown by update() when the record is no longer at the revision the caller read
+class RevisionConflictError extends Error {
+  constructor(current) {
+    super(`Contact ${current && current.id} was changed by someone else (now at revision ${revisionOf(current)})`);
+    this.name = 'RevisionConflictError';
+    this.current = current;
+  }
+}
+
+/**
+ * Base class for contact storage backends.
+ * Every method is async so file and database backends are interchangeable.
+ * Backends emit a 'change' event ({ type, id, record, previous, context }) after each mutation
+ * and count them in `changeCount`, which readers can compare instead of subscribing.
+ * The optional `context` argument of the write methods ({ actor, ip, source }) is passed
+ * through untouched so listeners such as the ChangeJournal can tell who made the change.
+ * Every update bumps the record's `revision`; passing `{ expectedRevision }` as the options
+ * argument makes the update (or delete) conditional (RevisionConflictError when it no longer matches).
+ */
+// Reads of a record updateWith() makes before giving up on one that keeps changing
+const UPDATE_WITH_ATTEMPTS = 5;
+
+class StorageAdapter extends EventEmitter {
+  constructor(driver) {
+    super();
+    this.driver = driver;
+    // Optional BackupManager and ChangeJournal, attached by createStorage()
+    this.backups = null;
+    this.journal = null;
+    this.changeCount = 0;
+  }
+
+  async find(filter = {}) {
+    throw new Error(`${this.constructor.name}: find not implemented`);
+  }
+
+  async findOne(filter = {}) {
+    const results = await this.find(filter);
+    return results[0] || null;
+  }
+
+  async findById(id) {
+    throw new Error(`${this.constructor.name}: findById not implemented`);
+  }
+
+  async insert(record, context = {}) {
+    throw new Error(`${this.constructor.name}: insert not implemented`);
+  }
+
+  /**
+   * Insert several records as one unit, checked against the data as stored when they are written:
+   * a record whose `uniqueBy(record)` key (null for none) is already taken by a stored record is
+   * left out and reported instead. This default inserts them one at a time and removes the inserted
+   * ones when one fails; backends that can write the whole batch at once override it.
+   * @param {Object[]} records
+   * @param {Object} [options]
+   * @param {Function} [options.uniqueBy] - (record) => key | null, applied to stored and new records
+   * @returns {Promise<{ inserted: Object[], skipped: Array<{ record: Object, existing: Object }> }>}
+   */
+  async insertMany(records, context = {}, { uniqueBy = null } = {}) {
+    const { accepted, skipped } = splitTaken(records, uniqueBy ? await this.find() : [], uniqueBy);
+    const inserted = [];
+    try {
+      for (const record of accepted) {
+        inserted.push(await this.insert(record, context));
+      }
+    } catch (error) {
+      for (const record of inserted.reverse()) {
+        await this.delete(record.id, { ...context, source: 'rollback' }).catch(rollbackError => {
+          console.error(`[${this.constructor.name}] Could not roll back contact ${record.id}:`, rollbackError.message);
+        });
+      }
+      throw error;
+    }
+    return { inserted, skipped };
+  }
+
+  async update(id, changes, context = {}, options = {}) {
+    throw new Error(`${this.constructor.name}: update not implemented`);
+  }
+
+  async delete(id, context = {}, options = {}) {
+    throw new Error(`${this.constructor.name}: delete not implemented`);
+  }
+
+  /**
+   * Read-modify-write of one record: `buildChanges(current)` gets the record as stored now and
+   * returns the changes to apply (null leaves it alone). The update is conditional on the revision
+   * read, and the changes are built again from a fresh read when someone else wrote in between,
+   * so fields derived from the record (such as surveyRounds) never overwrite a concurrent write.
+   * @param {Function} buildChanges - (current) => changes | null, may be async
+   * @param {Object} [options]
+   * @param {number} [options.attempts=5] - Reads before giving up with the RevisionConflictError
+   * @returns {Promise<{ record: Object, changes: Object|null }|null>} null when the record does not exist
+   */
+  async updateWith(id, buildChanges, context = {}, { attempts = UPDATE_WITH_ATTEMPTS } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.findById(id);
+      if (!current) return null;
+      const changes = await buildChanges(current);
+      if (!changes) return { record: current, changes: null };
+
+      try {
+        const record = await this.update(id, changes, context, { expectedRevision: revisionOf(current) });
+        return record ? { record, changes } : null;
+      } catch (error) {
+        if (!(error instanceof RevisionConflictError) || attempt >= attempts) throw error;
+      }
+    }
+  }
+
+  /**
+   * Apply several updates as one unit: all of them or none.
+   * This default runs them one at a time and reverts the applied ones when one fails;
+   * backends that can write the whole batch at once override it.
+   * @param {Array<{ id: *, changes: Object, expectedRevision?: number }>} updates
+   * @returns {Promise<Object[]>} the updated records, in the same order
+   */
+  async updateMany(updates, context = {}) {
+    const applied = [];
+    try {
+      for (const { id, changes, expectedRevision } of updates) {
+        const previous = await this.findById(id);
+        if (!previous) throw new Error(`${this.constructor.name}: contact ${id} not found`);
+        const record = await this.update(id, changes, context, { expectedRevision: expectedRevision ?? revisionOf(previous) });
+        if (!record) throw new Error(`${this.constructor.name}: contact ${id} not found`);
+        applied.push({ previous, record, changes });
+      }
+    } catch (error) {
+      for (const { previous, record, changes } of applied.reverse()) {
+        const undo = Object.fromEntries(Object.keys(compactChanges(changes)).map(field => [field, previous[field] ?? null]));
+        await this.update(record.id, undo, { ...context, source: 'rollback' }).catch(rollbackError => {
+          console.error(`[${this.constructor.name}] Could not roll back contact ${previous.id}:`, rollbackError.message);
+        });
+      }
+      throw error;
+    }
+    return applied.map(entry => entry.record);
+  }
+
+  // Replace the whole dataset (backup restore)
+  async replaceAll(records, context = {}) {
+    throw new Error(`${this.constructor.name}: replaceAll not implemented`);
+  }
+
+  async describe() {
+    return { driver: this.driver };
+  }
+
+  async close() {}
+
+  /**
+   * @param {string} type - insert | update | delete | replace
+   * @param {*} id - contact id (null for replace)
+   * @param {Object|null} record - record after the change (removed record for delete)
+   * @param {Object} [details] - { previous, records, context }
+   */
+  notifyChange(type, id, record = null, details = {}) {
+    this.changeCount++;
+    this.emit('change', {
+      type,
+      id,
+      record,
+      previous: details.previous || null,
+      records: details.records || null,
+      context: details.context || {},
+      at: new Date().toISOString()
+    });
+  }
+}
+
+// --- Helpers shared by in-process backends ---
+
+// Bumped on every update, so never a change worth reporting by itself (journal, backup diffs)
+const BOOKKEEPING_FIELDS = ['revision'];
+
+// Records written before revisions existed count as revision 0
+function revisionOf(record) {
+  const revision = Number(record && record.revision);
+  return Number.isInteger(revision) && revision > 0 ? revision : 0;
+}
+
+function checkRevision(record, options = {}) {
+  if (options.expectedRevision === undefined || options.expectedRevision === null) return;
+  if (revisionOf(record) !== Number(options.expectedRevision)) {
+    throw new RevisionConflictError(record);
+  }
+}
+
+function getPath(record, key) {
+  return String(key).split('.').reduce((value, part) => (value == null ? undefined : value[part]), record);
+}
+
+function sameId(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  return String(a) === String(b);
+}
+
+// Equality match on (dot-path) fields; null matches missing values and array fields
+// match when they contain the value, as in MongoDB
+function matchesFilter(record, filter = {}) {
+  return Object.entries(filter).every(([key, expected]) => {
+    const actual = getPath(record, key);
+    if (expected === null) return actual === null || actual === undefined;
+    if (key === 'id') return sameId(actual, expected);
+    if (Array.isArray(actual)) return actual.includes(expected);
+    return actual === expected;
+  });
+}
+
+// Drop undefined values so partial updates never erase fields by accident
+// Split new records into those whose uniqueBy key is free and those taken by a stored record
+function splitTaken(records, current, uniqueBy) {
+  if (!uniqueBy) return { accepted: records, skipped: [] };
+  const taken = new Map();
+  current.forEach(record => {
+    const key = uniqueBy(record);
+    if (key !== null && key !== undefined && !taken.has(key)) taken.set(key, record);
+  });
+
+  const accepted = [];
+  const skipped = [];
+  records.forEach(record => {
+    const key = uniqueBy(record);
+    const existing = key !== null && key !== undefined ? taken.get(key) : null;
+    if (existing) {
+      skipped.push({ record, existing });
+    } else {
+      accepted.push(record);
+    }
+  });
+  return { accepted, skipped };
+}
+
+function compactChanges(changes = {}) {
+  return Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+}
+
+module.exports = StorageAdapter;
+module.exports.getPath = getPath;
+module.exports.sameId = sameId;
+module.exports.matchesFilter = matchesFilter;
+module.exports.compactChanges = compactChanges;
+module.exports.splitTaken = splitTaken;
+module.exports.revisionOf = revisionOf;
+module.exports.BOOKKEEPING_FIELDS = BOOKKEEPING_FIELDS;
+module.exports.checkRevision = checkRevision;
+module.exports.RevisionConflictError = RevisionConflictError;
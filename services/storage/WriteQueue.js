@@ -0,0 +1,33 @@
+// services/storage/WriteQueue.js - Serializes mutations so concurrent requests never interleave
+class WriteQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+    this.pending = 0;
+  }
+
+  /**
+   * Run a task after every previously queued task has settled.
+   * A failing task rejects its own promise but never blocks the queue.
+   * @param {Function} task - sync or async function
+   * @returns {Promise<*>} result of the task
+   */
+  run(task) {
+    this.pending++;
+    const result = this.tail.then(() => task());
+    this.tail = result
+      .catch(() => {})
+      .finally(() => {
+        this.pending--;
+      });
+    return result;
+  }
+
+  // Resolves once everything queued so far has been written
+  async drain() {
+    while (this.pending > 0) {
+      await this.tail;
+    }
+  }
+}
+
+module.exports = WriteQueue;
@@ -0,0 +1,123 @@
+// services/storage/index.js - Storage backend selection (STORAGE_DRIVER=json|mongo)
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const JsonFileStorage = require('./JsonFileStorage');
+const MongoStorage = require('./MongoStorage');
+const BackupManager = require('./BackupManager');
+const ChangeJournal = require('./ChangeJournal');
+const NdjsonJournal = require('./NdjsonJournal');
+const MongoJournal = require('./MongoJournal');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+function resolveDataFile(dbFile) {
+  const file = dbFile || 'data.json';
+  return path.isAbsolute(file) ? file : path.join(ROOT_DIR, file);
+}
+
+function intFromEnv(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function resolveStorageConfig(env = process.env) {
+  const filePath = resolveDataFile(env.DB_FILE);
+  return {
+    driver: String(env.STORAGE_DRIVER || 'json').toLowerCase(),
+    filePath,
+    mongo: {
+      uri: env.MONGODB_URI || null,
+      dbName: env.MONGO_DB_NAME || null,
+      collection: env.MONGO_COLLECTION || 'contacts'
+    },
+    backups: {
+      dir: resolveDataFile(env.BACKUP_DIR || 'backups'),
+      legacyDir: ROOT_DIR,
+      keepLast: intFromEnv(env.BACKUP_KEEP_LAST, 20),
+      keepHourly: intFromEnv(env.BACKUP_KEEP_HOURLY, 24),
+      keepDaily: intFromEnv(env.BACKUP_KEEP_DAILY, 30),
+      onWrite: String(env.BACKUP_ON_WRITE || 'true').toLowerCase() !== 'false'
+    },
+    journal: {
+      enabled: String(env.JOURNAL_ENABLED || 'true').toLowerCase() !== 'false',
+      // Lives next to the data file by default (data.json -> data.journal.ndjson)
+      filePath: env.JOURNAL_FILE ? resolveDataFile(env.JOURNAL_FILE) : filePath.replace(/(\.json)?$/, '.journal.ndjson'),
+      collection: env.JOURNAL_COLLECTION || 'contact_events'
+    }
+  };
+}
+
+function createStorage(config = resolveStorageConfig()) {
+  const backups = config.backups ? new BackupManager(config.backups) : null;
+  let storage;
+
+  switch (config.driver) {
+    case 'json':
+      storage = new JsonFileStorage({ filePath: config.filePath, backups });
+      break;
+    case 'mongo':
+    case 'mongodb':
+      if (!config.mongo || !config.mongo.uri) {
+        throw new Error('STORAGE_DRIVER=mongo requires MONGODB_URI');
+      }
+      storage = new MongoStorage(config.mongo);
+      break;
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${config.driver}" (expected json or mongo)`);
+  }
+
+  // Mongo only gets manual snapshots; the JSON backend also snapshots before each write
+  storage.backups = backups;
+
+  if (config.journal && config.journal.enabled) {
+    createJournal(storage, config.journal).attach(storage).catch(err => {
+      console.error('[ChangeJournal] Could not write the baseline entry:', err.message);
+    });
+  }
+  return storage;
+}
+
+// The journal follows the storage driver: NDJSON next to data.json, or a collection beside contacts
+function createJournal(storage, journalConfig) {
+  if (storage.driver === 'mongo') {
+    return new MongoJournal({
+      collection: journalConfig.collection,
+      connect: async () => {
+        await storage.getModel();
+        return storage.connection;
+      }
+    });
+  }
+  return new NdjsonJournal({ filePath: journalConfig.filePath });
+}
+
+// Process-wide instance shared by server routes, DataAccessLayer and agents
+let defaultStorage = null;
+
+function getStorage() {
+  if (!defaultStorage) {
+    defaultStorage = createStorage();
+  }
+  return defaultStorage;
+}
+
+function setStorage(storage) {
+  defaultStorage = storage;
+}
+
+module.exports = {
+  StorageAdapter,
+  RevisionConflictError: StorageAdapter.RevisionConflictError,
+  revisionOf: StorageAdapter.revisionOf,
+  JsonFileStorage,
+  MongoStorage,
+  BackupManager,
+  ChangeJournal,
+  NdjsonJournal,
+  MongoJournal,
+  resolveDataFile,
+  resolveStorageConfig,
+  createStorage,
+  getStorage,
+  setStorage
+};
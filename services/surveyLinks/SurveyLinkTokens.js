@@ -0,0 +1,108 @@
+// services/surveyLinks/SurveyLinkTokens.js - Signed, expiring tokens that stand for a contact in survey links
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * A token is `<payload>.<signature>`: the payload is base64url JSON
+ *   { c: contact id, s: survey id, r: round, e: expiry (epoch ms, 0 = never), j: token id, u: 1 when single-use }
+ * and the signature an HMAC-SHA256 of it with the server secret, so ids in links can no longer be
+ * guessed or changed. Nothing is stored when a token is issued; single-use tokens are spent once the
+ * round they were sent for is answered (the caller checks that against the contact).
+ */
+class SurveyLinkTokens {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - HMAC key; tokens signed with another key are invalid
+   * @param {number} [options.ttlDays=30] - Lifetime of new tokens (0 = they never expire)
+   * @param {boolean} [options.singleUse=true] - Whether new tokens stop working once their round is answered
+   * @param {Date|null} [options.idLinksUntil] - Links with a raw contact id (sent before tokens) work until then;
+   *   null keeps them working, an invalid or past date refuses them (the server always passes a date,
+   *   see resolveSurveyLinksConfig)
+   */
+  constructor({ secret, ttlDays = 30, singleUse = true, idLinksUntil = null } = {}) {
+    if (!secret) throw new Error('SurveyLinkTokens: secret is required');
+    this.secret = secret;
+    this.ttlDays = ttlDays;
+    this.singleUse = singleUse;
+    this.idLinksUntil = idLinksUntil;
+  }
+
+  sign(payload) {
+    return base64url(crypto.createHmac('sha256', this.secret).update(`${VERSION}.${payload}`).digest());
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string|number} options.contactId
+   * @param {string} options.surveyId
+   * @param {number} options.round
+   * @param {boolean} [options.singleUse] - Defaults to the configured policy
+   * @param {Date} [options.now]
+   * @returns {{ token: string, tokenId: string, expiresAt: string|null }}
+   */
+  issue({ contactId, surveyId, round, singleUse = this.singleUse, now = new Date() }) {
+    const expires = this.ttlDays > 0 ? now.getTime() + this.ttlDays * DAY_MS : 0;
+    const tokenId = base64url(crypto.randomBytes(9));
+    const payload = base64url(JSON.stringify({ c: contactId, s: surveyId, r: round, e: expires, j: tokenId, ...(singleUse ? { u: 1 } : {}) }));
+    return {
+      token: `${payload}.${this.sign(payload)}`,
+      tokenId,
+      expiresAt: expires ? new Date(expires).toISOString() : null
+    };
+  }
+
+  // Tokens have a dot; contact ids (numbers and ULIDs) never do
+  isToken(text) {
+    return typeof text === 'string' && /^[\w-]+\.[\w-]+$/.test(text);
+  }
+
+  /**
+   * @returns {{ link: { contactId, surveyId, round, tokenId, singleUse, expiresAt } }|{ error: string, reason: 'invalid'|'expired' }}
+   */
+  verify(token, now = new Date()) {
+    if (!this.isToken(token)) return { error: 'Invalid survey link', reason: 'invalid' };
+
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(this.sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return { error: 'Invalid survey link', reason: 'invalid' };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fromBase64url(payload).toString('utf8'));
+    } catch {
+      return { error: 'Invalid survey link', reason: 'invalid' };
+    }
+    if (data.e && data.e <= now.getTime()) return { error: 'Survey link expired', reason: 'expired' };
+
+    return {
+      link: {
+        contactId: data.c,
+        surveyId: data.s,
+        round: data.r,
+        tokenId: data.j,
+        singleUse: data.u === 1,
+        expiresAt: data.e ? new Date(data.e).toISOString() : null
+      }
+    };
+  }
+
+  // Whether links carrying a raw contact id are still in their grace period
+  acceptsIdLinks(now = new Date()) {
+    return this.idLinksUntil === null || now < this.idLinksUntil;
+  }
+}
+
+module.exports = SurveyLinkTokens;
@@ -0,0 +1,74 @@
+// services/surveyLinks/index.js - Signed survey link tokens and the shared instance
+const crypto = require('crypto');
+const SurveyLinkTokens = require('./SurveyLinkTokens');
+
+// Links with a raw contact id were replaced by tokens in the release of this date; without
+// SURVEY_ID_LINKS_UNTIL they keep working for DEFAULT_ID_LINK_GRACE_DAYS after it, never for ever
+const TOKEN_LINKS_SINCE = '2026-10-19T00:00:00.000Z';
+const DEFAULT_ID_LINK_GRACE_DAYS = 90;
+const DEFAULT_ID_LINKS_UNTIL = new Date(Date.parse(TOKEN_LINKS_SINCE) + DEFAULT_ID_LINK_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+// SURVEY_ID_LINKS_UNTIL: a date ends the grace period of raw id links, "false" ends it now,
+// empty uses the default end
+function parseGraceEnd(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return DEFAULT_ID_LINKS_UNTIL;
+  if (text.toLowerCase() === 'false') return new Date(0);
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+// SURVEY_ID_LINKS_UNTIL is the one setting for raw id links. LEGACY_SURVEY_LINKS=false, which refused
+// numeric ids before tokens existed, is read as SURVEY_ID_LINKS_UNTIL=false when the latter is not set
+function idLinksSetting(env) {
+  if (env.SURVEY_ID_LINKS_UNTIL !== undefined) return env.SURVEY_ID_LINKS_UNTIL;
+  return String(env.LEGACY_SURVEY_LINKS ?? '').trim().toLowerCase() === 'false' ? 'false' : undefined;
+}
+
+function resolveSurveyLinksConfig(env = process.env) {
+  const ttlDays = Number(env.SURVEY_TOKEN_TTL_DAYS ?? 30);
+  return {
+    secret: env.SURVEY_TOKEN_SECRET || env.SESSION_SECRET || null,
+    ttlDays: Number.isFinite(ttlDays) && ttlDays >= 0 ? ttlDays : 30,
+    singleUse: String(env.SURVEY_TOKEN_SINGLE_USE ?? 'true').toLowerCase() !== 'false',
+    idLinksUntil: parseGraceEnd(idLinksSetting(env)),
+    idLinksDefault: !String(idLinksSetting(env) ?? '').trim()
+  };
+}
+
+// Process-wide instance shared by the server routes
+let defaultTokens = null;
+
+function getSurveyLinkTokens() {
+  if (!defaultTokens) {
+    const config = resolveSurveyLinksConfig();
+    if (process.env.LEGACY_SURVEY_LINKS !== undefined) {
+      console.warn('[SurveyLinks] LEGACY_SURVEY_LINKS is deprecated; SURVEY_ID_LINKS_UNTIL decides whether raw id links are accepted');
+    }
+    if (config.idLinksDefault) {
+      const until = config.idLinksUntil.toISOString().slice(0, 10);
+      console.log(Date.now() < config.idLinksUntil.getTime()
+        ? `[SurveyLinks] Links with a raw contact id are accepted until ${until} (default grace period; set SURVEY_ID_LINKS_UNTIL to change it)`
+        : `[SurveyLinks] Links with a raw contact id are refused since ${until} (default grace period; set SURVEY_ID_LINKS_UNTIL to change it)`);
+    }
+    if (!config.secret) {
+      // Links still work until the server restarts, then every token sent so far becomes invalid
+      console.warn('[SurveyLinks] SURVEY_TOKEN_SECRET is not set; using a random key for this process');
+      config.secret = crypto.randomBytes(32).toString('hex');
+    }
+    defaultTokens = new SurveyLinkTokens(config);
+  }
+  return defaultTokens;
+}
+
+function setSurveyLinkTokens(tokens) {
+  defaultTokens = tokens;
+}
+
+module.exports = {
+  SurveyLinkTokens,
+  DEFAULT_ID_LINKS_UNTIL,
+  resolveSurveyLinksConfig,
+  getSurveyLinkTokens,
+  setSurveyLinkTokens
+};
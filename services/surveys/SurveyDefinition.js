@@ -0,0 +1,421 @@
+// services/surveys/SurveyDefinition.js - Survey questions as data: shape checks, answer validation and option scales
+const { normalizeText } = require('../textMatching');
+
+const QUESTION_TYPES = ['single', 'multi', 'scale', 'text', 'cep'];
+const CHOICE_TYPES = ['single', 'multi', 'scale'];
+
+const QUESTION_ID = /^[a-z][a-zA-Z0-9]{0,39}$/;
+// Stored next to the answers in contact.survey (the CEP's address and the channel among them, see
+// services/cep and surveyRounds), or posted with them to /api/survey and /api/survey/open, so no question can take them
+const RESERVED_IDS = [
+  'id', 'token', 'answeredAt', 'complemento', 'survey', 'round',
+  'logradouro', 'bairro', 'cidade', 'uf', 'neighborhoodMismatch',
+  'channel', 'whatsapp', 'name', 'device'
+];
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_LABEL_LENGTH = 200;
+const MAX_OPTION_LENGTH = 60;
+const MAX_OTHER_LENGTH = 200;
+const MAX_QUESTIONS = 50;
+const MAX_OPTIONS = 30;
+const MAX_CONDITIONS = 5;
+const DEFAULT_MAX_LENGTH = 500;
+const MAX_TEXT_LENGTH = 2000;
+
+function cleanText(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && !value.trim()) ||
+    (Array.isArray(value) && !value.length);
+}
+
+function optionalText(value, maxLength, name) {
+  const text = cleanText(value);
+  if (text.length > maxLength) return { error: `${name} is at most ${maxLength} characters` };
+  return { text: text || null };
+}
+
+// Options are given as plain strings or as { value, label, score, other }
+function normalizeOptions(question, raw) {
+  if (!Array.isArray(raw) || !raw.length) return { error: `Question "${question.id}" needs at least one option` };
+  if (raw.length > MAX_OPTIONS) return { error: `Question "${question.id}" takes at most ${MAX_OPTIONS} options` };
+
+  const seen = new Set();
+  const options = [];
+  for (const item of raw) {
+    const source = item && typeof item === 'object' ? item : { value: item };
+    const value = cleanText(source.value);
+    if (!value) return { error: `Question "${question.id}" has an empty option` };
+    if (value.length > MAX_OPTION_LENGTH) return { error: `Options are at most ${MAX_OPTION_LENGTH} characters` };
+    if (seen.has(normalizeText(value))) return { error: `Question "${question.id}" repeats the option "${value}"` };
+    seen.add(normalizeText(value));
+
+    const option = { value };
+    const label = cleanText(source.label);
+    if (label && label !== value) option.label = label;
+    if (question.type === 'scale') {
+      const score = Number(source.score);
+      if (isEmpty(source.score) || !Number.isFinite(score)) {
+        return { error: `Every option of the scale "${question.id}" needs a numeric score` };
+      }
+      option.score = score;
+    }
+    if (source.other === true) {
+      if (question.type === 'scale') return { error: `Scale "${question.id}" cannot have an "other" option` };
+      option.other = true;
+    }
+    options.push(option);
+  }
+
+  if (question.type === 'scale') {
+    if (options.length < 2) return { error: `Scale "${question.id}" needs at least two options` };
+    if (new Set(options.map(option => option.score)).size !== options.length) {
+      return { error: `Scale "${question.id}" gives the same score to two options` };
+    }
+  }
+  if (options.filter(option => option.other).length > 1) {
+    return { error: `Question "${question.id}" can have only one "other" option` };
+  }
+  return { options };
+}
+
+function normalizeQuestion(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Questions must be objects' };
+
+  const id = cleanText(raw.id);
+  if (!QUESTION_ID.test(id)) {
+    return { error: `Question id "${id}" must start with a lowercase letter and have only letters and digits` };
+  }
+  if (RESERVED_IDS.includes(id)) return { error: `"${id}" is reserved and cannot be a question id` };
+  if (!QUESTION_TYPES.includes(raw.type)) {
+    return { error: `Question "${id}": type must be one of: ${QUESTION_TYPES.join(', ')}` };
+  }
+
+  const label = cleanText(raw.label);
+  if (!label) return { error: `Question "${id}" needs a label` };
+  if (label.length > MAX_LABEL_LENGTH) return { error: `Labels are at most ${MAX_LABEL_LENGTH} characters` };
+
+  const requiredMessage = optionalText(raw.requiredMessage, MAX_LABEL_LENGTH, 'requiredMessage');
+  if (requiredMessage.error) return requiredMessage;
+
+  const question = { id, type: raw.type, label, required: raw.required === true || raw.required === 'true' };
+  if (requiredMessage.text) question.requiredMessage = requiredMessage.text;
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    const result = normalizeOptions(question, raw.options);
+    if (result.error) return result;
+    question.options = result.options;
+
+    if (question.options.some(option => option.other)) {
+      // The text typed for the "other" option is stored next to the answer (issue -> otherIssue)
+      question.otherId = cleanText(raw.otherId) || `other${id[0].toUpperCase()}${id.slice(1)}`;
+      if (!QUESTION_ID.test(question.otherId) || RESERVED_IDS.includes(question.otherId)) {
+        return { error: `Question "${id}": otherId "${question.otherId}" is not a valid id` };
+      }
+      const otherLabel = optionalText(raw.otherLabel, MAX_LABEL_LENGTH, 'otherLabel');
+      if (otherLabel.error) return otherLabel;
+      if (otherLabel.text) question.otherLabel = otherLabel.text;
+    }
+  }
+
+  if (question.type === 'text') {
+    const maxLength = isEmpty(raw.maxLength) ? DEFAULT_MAX_LENGTH : Number(raw.maxLength);
+    if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_TEXT_LENGTH) {
+      return { error: `Question "${id}": maxLength must be an integer between 1 and ${MAX_TEXT_LENGTH}` };
+    }
+    question.maxLength = maxLength;
+  }
+
+  return question;
+}
+
+/**
+ * showIf of a question: conditions on the answers to earlier choice questions, all of which must hold
+ * for the question to be asked. { question, in: [...] } asks it when one of those options was chosen;
+ * { question, notIn: [...] } skips it when one was. A single condition may be given without the array.
+ * @param {Object[]} earlier - Questions before this one (rules only look back, so they cannot loop)
+ * @returns {{ showIf: Object[] }|{ error: string }}
+ */
+function normalizeShowIf(question, raw, earlier) {
+  const list = Array.isArray(raw) ? raw : [raw];
+  if (!list.length || list.length > MAX_CONDITIONS) {
+    return { error: `Question "${question.id}": showIf takes 1 to ${MAX_CONDITIONS} conditions` };
+  }
+
+  const conditions = [];
+  for (const item of list) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { error: `Question "${question.id}": showIf conditions must be objects` };
+    }
+    const source = earlier.find(candidate => candidate.id === cleanText(item.question));
+    if (!source) return { error: `Question "${question.id}": showIf must name an earlier question` };
+    if (!CHOICE_TYPES.includes(source.type)) {
+      return { error: `Question "${question.id}": showIf can only depend on ${CHOICE_TYPES.join(', ')} questions` };
+    }
+
+    const operators = ['in', 'notIn'].filter(key => item[key] !== undefined);
+    if (operators.length !== 1) return { error: `Question "${question.id}": showIf conditions take either in or notIn` };
+    const operator = operators[0];
+    const values = Array.isArray(item[operator]) ? item[operator] : [item[operator]];
+    if (!values.length) return { error: `Question "${question.id}": showIf needs at least one option of "${source.id}"` };
+
+    const options = [];
+    for (const value of values) {
+      const option = typeof value === 'string' || typeof value === 'number' ? findOption(source, value) : null;
+      if (!option) return { error: `Question "${question.id}": "${value}" is not an option of "${source.id}"` };
+      if (!options.includes(option.value)) options.push(option.value);
+    }
+    conditions.push({ question: source.id, [operator]: options });
+  }
+  return { showIf: conditions };
+}
+
+/**
+ * A survey definition checked and cleaned:
+ *   { title, description, open, questions: [{ id, type, label, required, requiredMessage?, options?, otherId?, otherLabel?, maxLength?, showIf? }] }
+ * open surveys can also be answered by anyone through their public link, without an invitation.
+ * Types: single (one option), multi (any options), scale (one option, each with a numeric score),
+ * text (free text up to maxLength), cep (a CEP, stored as 12345-678 with the complemento found for it).
+ * Answers are stored in contact.survey under the question id; single and multi questions may have
+ * one "other" option whose typed text goes under otherId. A survey has at most one CEP question.
+ * Questions with showIf are asked only when earlier answers match it (see normalizeShowIf); when they
+ * are not asked they are stored as null and required does not apply.
+ * @param {Object} input
+ * @param {Object} [current] - Definition being replaced: its questions keep their type, so stored answers keep their meaning
+ * @returns {Object|{ error: string }}
+ */
+function normalizeDefinition(input = {}, current = null) {
+  const title = cleanText(input.title);
+  if (!title) return { error: 'Title is required' };
+  if (title.length > MAX_TITLE_LENGTH) return { error: `Titles are at most ${MAX_TITLE_LENGTH} characters` };
+
+  const description = optionalText(input.description, MAX_DESCRIPTION_LENGTH, 'description');
+  if (description.error) return description;
+
+  if (!Array.isArray(input.questions) || !input.questions.length) return { error: 'A survey needs at least one question' };
+  if (input.questions.length > MAX_QUESTIONS) return { error: `A survey has at most ${MAX_QUESTIONS} questions` };
+
+  const questions = [];
+  const taken = new Set();
+  for (const raw of input.questions) {
+    const question = normalizeQuestion(raw);
+    if (question.error) return question;
+
+    for (const key of [question.id, question.otherId].filter(Boolean)) {
+      if (taken.has(key)) return { error: `"${key}" is used by two questions` };
+      taken.add(key);
+    }
+
+    if (raw.showIf !== undefined && raw.showIf !== null) {
+      const rule = normalizeShowIf(question, raw.showIf, questions);
+      if (rule.error) return rule;
+      question.showIf = rule.showIf;
+    }
+
+    const previous = current?.questions.find(candidate => candidate.id === question.id);
+    if (previous && previous.type !== question.type) {
+      return { error: `The type of question "${question.id}" cannot be changed; add a new question instead` };
+    }
+    questions.push(question);
+  }
+
+  if (questions.filter(question => question.type === 'cep').length > 1) {
+    return { error: 'A survey has at most one CEP question' };
+  }
+
+  if (input.open !== undefined && input.open !== null && typeof input.open !== 'boolean') {
+    return { error: 'open must be true or false' };
+  }
+
+  return { title, description: description.text, open: input.open === true, questions };
+}
+
+function findOption(question, raw) {
+  const key = normalizeText(raw);
+  return question.options.find(option => normalizeText(option.value) === key) || null;
+}
+
+// Values stored for an unanswered question: its id, and otherId or complemento
+function blankValues(question) {
+  const values = { [question.id]: null };
+  if (question.otherId) values[question.otherId] = null;
+  if (question.type === 'cep') values.complemento = null;
+  return values;
+}
+
+/**
+ * Whether a question is asked, given the options chosen in the earlier questions
+ * @param {Object} chosen - Option values chosen per question id (before "other" texts replace them)
+ */
+function isAsked(question, chosen) {
+  return !question.showIf || question.showIf.every(condition => {
+    const picked = chosen[condition.question] || [];
+    return condition.in
+      ? picked.some(value => condition.in.includes(value))
+      : !picked.some(value => condition.notIn.includes(value));
+  });
+}
+
+/**
+ * One answer checked against its question; empty answers become null.
+ * @returns {{ values: Object, chosen?: string[] }|{ error: string }} values stored for the question,
+ *   and for choice questions the options chosen
+ */
+function answerQuestion(question, input) {
+  const raw = input[question.id];
+  const values = blankValues(question);
+
+  if (isEmpty(raw)) {
+    return question.required ? { error: `${question.id} required` } : { values };
+  }
+  const expected = () => ({ error: `${question.id} must be one of: ${question.options.map(option => option.value).join(', ')}` });
+  const otherText = () => (typeof input[question.otherId] === 'string' ? cleanText(input[question.otherId]).slice(0, MAX_OTHER_LENGTH) : '');
+
+  switch (question.type) {
+    case 'single':
+    case 'scale': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return expected();
+      const option = findOption(question, raw);
+      if (!option) return expected();
+      values[question.id] = option.value;
+      if (option.other) {
+        // Same as the original form: the typed text replaces "Outros" and is also kept on its own
+        const text = otherText();
+        values[question.id] = text || option.value;
+        values[question.otherId] = text || null;
+      }
+      return { values, chosen: [option.value] };
+    }
+    case 'multi': {
+      const list = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : null;
+      if (!list || list.some(item => typeof item !== 'string')) return expected();
+      const chosen = [];
+      for (const item of list.filter(item => item.trim())) {
+        const option = findOption(question, item);
+        if (!option) return expected();
+        if (!chosen.includes(option)) chosen.push(option);
+      }
+      if (!chosen.length) return question.required ? { error: `${question.id} required` } : { values };
+      // Kept in the order of the options, whatever order they were sent in
+      values[question.id] = question.options.filter(option => chosen.includes(option)).map(option => option.value);
+      if (chosen.some(option => option.other)) values[question.otherId] = otherText() || null;
+      return { values, chosen: values[question.id] };
+    }
+    case 'cep': {
+      const digits = String(raw).replace(/\D/g, '');
+      if (typeof raw === 'object' || digits.length !== 8) return { error: 'Invalid CEP format' };
+      values[question.id] = `${digits.slice(0, 5)}-${digits.slice(5)}`;
+      values.complemento = typeof input.complemento === 'string' ? cleanText(input.complemento) || null : null;
+      return { values };
+    }
+    default: {
+      if (typeof raw === 'object') return { error: `${question.id} must be text` };
+      const text = cleanText(raw);
+      if (text.length > question.maxLength) return { error: `${question.id} is at most ${question.maxLength} characters` };
+      values[question.id] = text;
+      return { values };
+    }
+  }
+}
+
+/**
+ * Answers sent for a survey (a flat object keyed by question id, as survey.html posts them),
+ * checked question by question. Keys that are not questions are ignored; an answer to a question
+ * the earlier answers skip (showIf) is refused.
+ * @returns {{ answers: Object }|{ error: string, field: string }} every question present, null when unanswered
+ */
+function validateAnswers(definition, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Answers must be an object', field: null };
+
+  const answers = {};
+  const chosen = {};
+  for (const question of definition.questions) {
+    if (!isAsked(question, chosen)) {
+      if (!isEmpty(input[question.id])) return { error: `${question.id} is not asked for these answers`, field: question.id };
+      Object.assign(answers, blankValues(question));
+      continue;
+    }
+    const result = answerQuestion(question, input);
+    if (result.error) return { error: result.error, field: question.id };
+    Object.assign(answers, result.values);
+    if (result.chosen) chosen[question.id] = result.chosen;
+  }
+  return { answers };
+}
+
+/**
+ * Answers typed so far in a survey left half done, for saving and filling the form again: valid answers
+ * to the questions the earlier answers ask, as the form posts them (options chosen rather than the text
+ * that replaces "other"); anything else is dropped without an error.
+ * @returns {{ answers: Object, answered: string[], stoppedAt: string|null }} stoppedAt is the first
+ *   question asked after the last one answered (null when the resident got to the end)
+ */
+function draftAnswers(definition, input) {
+  const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const answers = {};
+  const answered = [];
+  const chosen = {};
+  const asked = [];
+
+  for (const question of definition.questions) {
+    if (!isAsked(question, chosen)) continue;
+    asked.push(question.id);
+    const result = isEmpty(source[question.id]) ? null : answerQuestion(question, source);
+    if (!result || result.error) continue;
+
+    answered.push(question.id);
+    if (result.chosen) {
+      chosen[question.id] = result.chosen;
+      answers[question.id] = question.type === 'multi' ? result.chosen : result.chosen[0];
+    } else {
+      answers[question.id] = result.values[question.id];
+    }
+    if (question.otherId && result.values[question.otherId]) answers[question.otherId] = result.values[question.otherId];
+    if (question.type === 'cep' && result.values.complemento) answers.complemento = result.values.complemento;
+  }
+
+  const last = asked.indexOf(answered[answered.length - 1]);
+  return { answers, answered, stoppedAt: asked[last + 1] ?? null };
+}
+
+/**
+ * The options of a scale question ordered by score, for analyses: average scores, the order of
+ * cross-tab buckets and which answers count as dissatisfied (below the middle of the scale).
+ * @returns {Object|null} null when the survey has no scale question with that id
+ */
+function scaleOf(definition, questionId) {
+  const question = definition?.questions.find(candidate => candidate.id === questionId && candidate.type === 'scale');
+  if (!question) return null;
+
+  const options = [...question.options].sort((a, b) => a.score - b.score);
+  const minScore = options[0].score;
+  const maxScore = options[options.length - 1].score;
+  const middle = (minScore + maxScore) / 2;
+  const byValue = new Map(options.map(option => [normalizeText(option.value), option.score]));
+
+  return {
+    questionId,
+    // Lowest to highest
+    values: options.map(option => option.value),
+    minScore,
+    maxScore,
+    middle,
+    low: options.filter(option => option.score < middle).map(option => option.value),
+    neutral: options.filter(option => option.score === middle).map(option => option.value),
+    high: options.filter(option => option.score > middle).map(option => option.value),
+    // null for answers that are not on the scale
+    scoreOf: value => (isEmpty(value) ? null : byValue.get(normalizeText(value)) ?? null)
+  };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  normalizeDefinition,
+  validateAnswers,
+  draftAnswers,
+  scaleOf
+};
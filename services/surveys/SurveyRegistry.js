@@ -0,0 +1,182 @@
+// services/surveys/SurveyRegistry.js - Survey definitions admins can change without touching survey.html
+const fs = require('fs');
+const { slugify } = require('../neighborhoods/NeighborhoodRegistry');
+const { normalizeText } = require('../textMatching');
+const { normalizeDefinition } = require('./SurveyDefinition');
+const DEFAULT_SURVEY = require('./defaultSurvey');
+
+const MAX_ROUND_LABEL_LENGTH = 60;
+
+function firstRound(openedAt) {
+  return { number: 1, label: 'Rodada 1', openedAt };
+}
+
+/**
+ * Entries look like { id, title, description, questions, rounds, createdAt, updatedAt } (see SurveyDefinition).
+ * The first entry is the survey residents get through survey.html and /api/survey; until a file
+ * exists the list holds the original neighborhood survey. Like the other registries the list lives
+ * in a small JSON file, read once and rewritten on every change.
+ *
+ * rounds ([{ number, label, openedAt }]) are the waves a survey is sent in, e.g. the same questions
+ * again six months later; invitations and answers go to the last one opened unless another is named.
+ */
+class SurveyRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file holding the list (in memory only when omitted)
+   */
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.entries = null;
+    this.byId = new Map();
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+    let entries = null;
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '[]');
+      if (!Array.isArray(data)) throw new Error('SurveyRegistry: file does not contain an array');
+      entries = data.length ? data : null;
+    }
+    // Files written before rounds existed hold surveys that were only ever sent once
+    this.setEntries((entries || [SurveyRegistry.builtIn()]).map(entry => (entry.rounds ? entry : { ...entry, rounds: [firstRound(entry.createdAt ?? null)] })));
+    return this.entries;
+  }
+
+  // The original survey.html questions, as a definition
+  static builtIn() {
+    const { id, ...fields } = DEFAULT_SURVEY;
+    return { id, ...normalizeDefinition(fields), rounds: [firstRound(null)], createdAt: null, updatedAt: null };
+  }
+
+  setEntries(entries) {
+    this.entries = entries;
+    this.byId = new Map(entries.map(entry => [entry.id, entry]));
+  }
+
+  // Atomic replace, same approach as JsonFileStorage
+  save(entries) {
+    if (this.filePath) {
+      const tmpFile = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(entries, null, 2));
+      fs.renameSync(tmpFile, this.filePath);
+    }
+    this.setEntries(entries);
+  }
+
+  list() {
+    return [...this.load()];
+  }
+
+  get(id) {
+    this.load();
+    return this.byId.get(id) || null;
+  }
+
+  // The survey residents answer
+  getDefault() {
+    return this.load()[0];
+  }
+
+  validate(fields, current = null) {
+    const valid = normalizeDefinition(fields, current);
+    if (valid.error) return valid;
+
+    const owner = this.load().find(entry => normalizeText(entry.title) === normalizeText(valid.title));
+    if (owner && owner.id !== current?.id) return { error: `"${valid.title}" is already a survey`, conflict: owner };
+    return valid;
+  }
+
+  /**
+   * @returns {{ entry: Object }|{ error: string, conflict?: Object }}
+   */
+  create(fields = {}) {
+    const valid = this.validate(fields);
+    if (valid.error) return valid;
+
+    const base = slugify(valid.title) || 'pesquisa';
+    let id = base;
+    for (let n = 2; this.get(id); n++) id = `${base}-${n}`;
+
+    const now = new Date().toISOString();
+    const entry = { id, ...valid, rounds: [firstRound(now)], createdAt: now, updatedAt: now };
+    this.save([...this.load(), entry]);
+    return { entry };
+  }
+
+  /**
+   * Replace the title, description or questions; questions keep their type (see normalizeDefinition).
+   * @returns {{ entry: Object }|{ error: string, conflict?: Object }|null} null when the id is unknown
+   */
+  update(id, fields = {}) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const valid = this.validate({ ...current, ...fields }, current);
+    if (valid.error) return valid;
+
+    const entry = { ...current, ...valid, updatedAt: new Date().toISOString() };
+    this.save(this.load().map(item => (item.id === id ? entry : item)));
+    return { entry };
+  }
+
+  // The round invitations and answers go to when none is named
+  currentRound(id) {
+    const survey = this.get(id);
+    return survey ? survey.rounds[survey.rounds.length - 1] : null;
+  }
+
+  getRound(id, number) {
+    return this.get(id)?.rounds.find(round => round.number === Number(number)) || null;
+  }
+
+  /**
+   * Survey and round named by a request: the default survey and its current round when omitted.
+   * @returns {{ survey: Object, round: Object }|{ error: string, notFound?: boolean }}
+   */
+  resolveRound(surveyId = null, roundNumber = null) {
+    const survey = surveyId === null || surveyId === undefined || surveyId === '' ? this.getDefault() : this.get(String(surveyId));
+    if (!survey) return { error: 'Survey not found', notFound: true };
+    if (roundNumber === null || roundNumber === undefined || roundNumber === '') {
+      return { survey, round: this.currentRound(survey.id) };
+    }
+    const round = this.getRound(survey.id, roundNumber);
+    if (!round) return { error: `Survey "${survey.id}" has no round ${roundNumber}` };
+    return { survey, round };
+  }
+
+  /**
+   * Start a new wave of a survey; later sends and answers go to it, earlier rounds keep their answers.
+   * @param {string} id
+   * @param {Object} [fields] - { label } (defaults to "Rodada <n>")
+   * @returns {{ round: Object, entry: Object }|{ error: string }|null} null when the id is unknown
+   */
+  openRound(id, { label = null } = {}) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const number = Math.max(...current.rounds.map(round => round.number)) + 1;
+    const text = String(label ?? '').replace(/\s+/g, ' ').trim() || `Rodada ${number}`;
+    if (text.length > MAX_ROUND_LABEL_LENGTH) return { error: `Round labels are at most ${MAX_ROUND_LABEL_LENGTH} characters` };
+    if (current.rounds.some(round => normalizeText(round.label) === normalizeText(text))) {
+      return { error: `"${text}" is already a round of this survey` };
+    }
+
+    const now = new Date().toISOString();
+    const round = { number, label: text, openedAt: now };
+    const entry = { ...current, rounds: [...current.rounds, round], updatedAt: now };
+    this.save(this.load().map(item => (item.id === id ? entry : item)));
+    return { round, entry };
+  }
+
+  // The survey residents answer cannot be removed; answers already given stay on the contacts
+  remove(id) {
+    if (!this.get(id)) return null;
+    if (this.getDefault().id === id) return { error: 'The survey residents answer cannot be removed' };
+    this.save(this.load().filter(entry => entry.id !== id));
+    return { removed: true };
+  }
+}
+
+module.exports = SurveyRegistry;
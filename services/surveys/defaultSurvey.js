@@ -0,0 +1,56 @@
+// services/surveys/defaultSurvey.js - The neighborhood survey as it was first sent, used until admins define their own
+module.exports = {
+  id: 'pesquisa-informativa',
+  title: 'Pesquisa Informativa',
+  description: 'Sua opinião é muito importante para nós!',
+  questions: [
+    {
+      id: 'cep',
+      type: 'cep',
+      label: 'Qual o seu CEP?',
+      required: true
+    },
+    {
+      id: 'issue',
+      type: 'single',
+      label: 'Qual o maior problema no seu bairro?',
+      required: true,
+      requiredMessage: 'Por favor, selecione qual o maior problema no seu bairro',
+      options: [
+        { value: 'Educação' },
+        { value: 'Emprego' },
+        { value: 'Saúde' },
+        { value: 'Segurança' },
+        { value: 'Transporte' },
+        { value: 'Outros', other: true }
+      ],
+      otherId: 'otherIssue',
+      otherLabel: 'Descreva o problema:'
+    },
+    {
+      id: 'satisfaction',
+      type: 'scale',
+      label: 'Está satisfeito com os serviços prestados pela cidade?',
+      required: true,
+      requiredMessage: 'Por favor, avalie sua satisfação com os serviços da cidade',
+      options: [
+        { value: 'Muito satisfeito', score: 5 },
+        { value: 'Satisfeito', score: 4 },
+        { value: 'Neutro', score: 3 },
+        { value: 'Insatisfeito', score: 2 },
+        { value: 'Muito insatisfeito', score: 1 }
+      ]
+    },
+    {
+      id: 'participate',
+      type: 'single',
+      label: 'Gostaria de participar de mais eventos promovidos pela Luana Lia e Marion?',
+      required: true,
+      requiredMessage: 'Por favor, informe se gostaria de participar de encontros comunitários',
+      options: [
+        { value: 'Sim' },
+        { value: 'Não' }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,55 @@
+// services/surveys/index.js - Survey definitions, answer validation, rounds per resident and the shared instance
+const { resolveDataFile } = require('../storage');
+const SurveyRegistry = require('./SurveyRegistry');
+const { QUESTION_TYPES, normalizeDefinition, validateAnswers, draftAnswers, scaleOf } = require('./SurveyDefinition');
+const DEFAULT_SURVEY = require('./defaultSurvey');
+const { CHANNELS, channelOf, roundsOf, findRound, latestRound, withRound, surveyMirror } = require('./surveyRounds');
+
+function resolveSurveysConfig(env = process.env) {
+  return {
+    filePath: resolveDataFile(env.SURVEYS_FILE || 'surveys.json')
+  };
+}
+
+// Process-wide instance shared by server routes, DataAccessLayer, MunicipalAnalysisEngine and filters
+let defaultRegistry = null;
+
+function getSurveyRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new SurveyRegistry(resolveSurveysConfig());
+  }
+  return defaultRegistry;
+}
+
+function setSurveyRegistry(registry) {
+  defaultRegistry = registry;
+}
+
+/**
+ * Satisfaction scale of the survey residents answer, read by the analyses and the satisfaction filter.
+ * Falls back to the original five levels when that survey has no `satisfaction` scale question.
+ */
+function getSatisfactionScale(registry = getSurveyRegistry()) {
+  return scaleOf(registry.getDefault(), 'satisfaction') || scaleOf(SurveyRegistry.builtIn(), 'satisfaction');
+}
+
+module.exports = {
+  SurveyRegistry,
+  DEFAULT_SURVEY,
+  QUESTION_TYPES,
+  normalizeDefinition,
+  validateAnswers,
+  draftAnswers,
+  scaleOf,
+  CHANNELS,
+  channelOf,
+  roundsOf,
+  findRound,
+  latestRound,
+  withRound,
+  surveyMirror,
+  resolveSurveysConfig,
+  getSurveyRegistry,
+  setSurveyRegistry,
+  getSatisfactionScale
+};
@@ -0,0 +1,77 @@
+// services/surveys/surveyRounds.js - A resident's invitations and answers, one entry per survey round
+const { upgradeContact } = require('../schema');
+
+/**
+ * contact.surveyRounds holds one entry per survey and round the resident was invited to or answered:
+ *   { surveyId, round, sentAt, messageId, provider, status, statusUpdatedAt, clickedAt, answeredAt, answers, channel, draft }
+ * answers are keyed by question id as validateAnswers returns them. channel is 'open' when they came
+ * through the survey's public link rather than an invitation (null, like in older entries, is 'invited').
+ * draft holds what survey.html saved
+ * while the resident was still answering, { answers, answered, stoppedAt, startedAt, savedAt } as
+ * draftAnswers describes them, until the round is answered. The contact-level fields
+ * (whatsappSentAt, clickedAt, survey) keep describing the latest send and the latest answer to the
+ * survey residents get by default, so filters and older reports read them unchanged.
+ */
+const ROUND_FIELDS = ['sentAt', 'messageId', 'provider', 'status', 'statusUpdatedAt', 'clickedAt', 'answeredAt', 'answers', 'channel', 'draft'];
+
+// How an answer arrived: through an invitation link, or the public link of an open survey
+const CHANNELS = ['invited', 'open'];
+
+// Channel of a round entry or of contact.survey
+function channelOf(entry) {
+  return entry?.channel === 'open' ? 'open' : 'invited';
+}
+
+// Entries of a record at any schema version (older records get theirs from the legacy fields)
+function roundsOf(contact) {
+  return upgradeContact(contact)?.surveyRounds || [];
+}
+
+function findRound(contact, surveyId, round) {
+  return roundsOf(contact).find(entry => entry.surveyId === surveyId && entry.round === round) || null;
+}
+
+// The entry added last, for one survey or any
+function latestRound(contact, surveyId = null) {
+  const entries = roundsOf(contact).filter(entry => surveyId === null || entry.surveyId === surveyId);
+  return entries.length ? entries[entries.length - 1] : null;
+}
+
+/**
+ * The contact's list with one entry changed, or added when the resident has none for that round yet.
+ * @returns {Object[]} new list (the contact is not modified)
+ */
+function withRound(contact, surveyId, round, changes) {
+  const rounds = roundsOf(contact);
+  const index = rounds.findIndex(entry => entry.surveyId === surveyId && entry.round === round);
+  if (index === -1) {
+    const blank = Object.fromEntries(ROUND_FIELDS.map(field => [field, null]));
+    return [...rounds, { surveyId, round, ...blank, ...changes }];
+  }
+  return rounds.map((entry, position) => (position === index ? { ...entry, ...changes } : entry));
+}
+
+/**
+ * contact.survey as it should read after the rounds change: the answers of the highest answered
+ * round of the given survey (the one residents get by default) with their channel when it is not an
+ * invitation, or the current value when it has none.
+ */
+function surveyMirror(rounds, surveyId, current = null) {
+  const answered = rounds
+    .filter(entry => entry.surveyId === surveyId && entry.answeredAt)
+    .sort((a, b) => a.round - b.round);
+  const latest = answered[answered.length - 1];
+  if (!latest) return current;
+  return { ...latest.answers, answeredAt: latest.answeredAt, ...(latest.channel ? { channel: latest.channel } : {}) };
+}
+
+module.exports = {
+  ROUND_FIELDS,
+  CHANNELS,
+  channelOf,
+  roundsOf,
+  findRound,
+  latestRound,
+  withRound,
+  surveyMirror
+};
@@ -0,0 +1,76 @@
+// services/tags.js - Free-form contact tags ("voluntário", "liderança comunitária", "evento março")
+const { normalizeText } = require('./textMatching');
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS = 30;
+
+// Tags keep the spelling they were first given; spaces are collapsed
+function normalizeTag(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ');
+}
+
+// Same tag regardless of case and accents
+function hasTag(contact, tag) {
+  const key = normalizeText(tag);
+  return (contact.tags || []).some(existing => normalizeText(existing) === key);
+}
+
+/**
+ * Tag list to store on a contact, from an array or a comma-separated string.
+ * Blanks are dropped and repeats (any case or accents) keep their first spelling.
+ * @returns {{ tags: string[] }|{ error: string }}
+ */
+function cleanTags(values) {
+  if (values === null || values === undefined) return { tags: [] };
+  if (!Array.isArray(values) && typeof values !== 'string') return { error: 'tags must be a list or a comma-separated string' };
+
+  const list = Array.isArray(values) ? values : values.split(',');
+  const seen = new Set();
+  const tags = [];
+  for (const value of list) {
+    if (value !== null && typeof value === 'object') return { error: 'tags must be text' };
+    const tag = normalizeTag(value);
+    const key = normalizeText(tag);
+    if (!key || seen.has(key)) continue;
+    if (tag.length > MAX_TAG_LENGTH) return { error: `Tags are at most ${MAX_TAG_LENGTH} characters` };
+    seen.add(key);
+    tags.push(tag);
+  }
+  if (tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags per contact` };
+  return { tags };
+}
+
+/**
+ * Tags in use with how many contacts carry each, most used first.
+ * Spellings that differ only in case or accents are counted together under the most common one.
+ * @returns {Array<{ tag: string, count: number }>}
+ */
+function countTags(contacts) {
+  const groups = new Map();
+  contacts.forEach(contact => {
+    (contact.tags || []).forEach(tag => {
+      const key = normalizeText(tag);
+      if (!key) return;
+      const group = groups.get(key) || { count: 0, spellings: new Map() };
+      group.count++;
+      group.spellings.set(tag, (group.spellings.get(tag) || 0) + 1);
+      groups.set(key, group);
+    });
+  });
+
+  return [...groups.values()]
+    .map(({ count, spellings }) => ({
+      tag: [...spellings.entries()].sort((a, b) => b[1] - a[1])[0][0],
+      count
+    }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'pt-BR'));
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS,
+  normalizeTag,
+  hasTag,
+  cleanTags,
+  countTags
+};
@@ -50,7 +50,7 @@ async function testDataAccessLayer() {
   
   // Test 1: Normal data loading
   try {
-    const data = dal.loadData();
+    const data = await dal.loadData();
     assert(Array.isArray(data), 'loadData() returns an array');
     assert(data.length > 0, `loadData() returns data (found ${data.length} contacts)`);
     
@@ -67,20 +67,20 @@ async function testDataAccessLayer() {
   
   // Test 2: Data access methods
   try {
-    const allContacts = dal.getAllContacts();
+    const allContacts = await dal.getAllContacts();
     assert(Array.isArray(allContacts), 'getAllContacts() returns an array');
     
-    const answered = dal.getAllContacts({ answered: true });
+    const answered = await dal.getAllContacts({ answered: true });
     assert(Array.isArray(answered), 'getAllContacts({ answered: true }) returns an array');
     
-    const unanswered = dal.getAllContacts({ answered: false });
+    const unanswered = await dal.getAllContacts({ answered: false });
     assert(Array.isArray(unanswered), 'getAllContacts({ answered: false }) returns an array');
     
-    const sent = dal.getAllContacts({ sent: true });
+    const sent = await dal.getAllContacts({ sent: true });
     assert(Array.isArray(sent), 'getAllContacts({ sent: true }) returns an array');
     
     // Test neighborhood filter
-    const neighborhoods = dal.getAllContacts({ neighborhood: 'Centro' });
+    const neighborhoods = await dal.getAllContacts({ neighborhood: 'Centro' });
     assert(Array.isArray(neighborhoods), 'getAllContacts({ neighborhood }) returns an array');
   } catch (error) {
     assert(false, `Data access methods failed: ${error.message}`);
@@ -88,7 +88,7 @@ async function testDataAccessLayer() {
   
   // Test 3: Survey responses
   try {
-    const surveyResponses = dal.getSurveyResponses();
+    const surveyResponses = await dal.getSurveyResponses();
     assert(Array.isArray(surveyResponses), 'getSurveyResponses() returns an array');
     
     surveyResponses.forEach(response => {
@@ -101,7 +101,7 @@ async function testDataAccessLayer() {
   
   // Test 4: Engagement data
   try {
-    const engagement = dal.getEngagementRawData();
+    const engagement = await dal.getEngagementRawData();
     assert(typeof engagement === 'object', 'getEngagementRawData() returns an object');
     assert(typeof engagement.total === 'number', 'Engagement has total count');
     assert(typeof engagement.sent === 'number', 'Engagement has sent count');
@@ -114,7 +114,7 @@ async function testDataAccessLayer() {
   
   // Test 5: Data stats
   try {
-    const stats = dal.getDataStats();
+    const stats = await dal.getDataStats();
     assert(typeof stats === 'object', 'getDataStats() returns an object');
     assert(typeof stats.contacts === 'number', 'Stats has contacts count');
     assert(stats.contacts >= 0, 'Contacts count is non-negative');
@@ -124,7 +124,7 @@ async function testDataAccessLayer() {
   
   // Test 6: Edge case - empty filters
   try {
-    const emptyFilter = dal.getAllContacts({});
+    const emptyFilter = await dal.getAllContacts({});
     assert(Array.isArray(emptyFilter), 'getAllContacts({}) handles empty filters');
   } catch (error) {
     assert(false, `Empty filter handling failed: ${error.message}`);
@@ -365,7 +365,7 @@ async function testErrorHandling() {
     process.env.DB_FILE = '/nonexistent/path/data.json';
     
     const dal = new DataAccessLayer();
-    const data = dal.loadData();
+    const data = await dal.loadData();
     
     // Should return empty array, not throw
     assert(Array.isArray(data), 'DataAccessLayer handles missing file gracefully');
@@ -0,0 +1,198 @@
+/**
+ * CEP Lookup Test
+ * CEP lookups through a local dataset (CSV and JSON), ViaCEP (with a fake HTTP client) and the
+ * persistent cache, the provider chain when providers miss or fail, and the address stored with
+ * survey answers, flagged when its bairro is not the resident's registered neighborhood
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CepService,
+  CepCache,
+  ViaCepProvider,
+  LocalCepDataset,
+  cepDigits,
+  withSurveyAddress,
+  resolveCepConfig,
+  createCepService
+} = require('../services/cep');
+const { NeighborhoodRegistry } = require('../services/neighborhoods');
+const { SurveyRegistry } = require('../services/surveys');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+const PAULISTA = { cep: '01310-100', logradouro: 'Avenida Paulista', complemento: 'de 612 a 1510 - lado par', bairro: 'Bela Vista', localidade: 'São Paulo', uf: 'SP' };
+
+// Answers like axios does; records the CEPs asked
+function fakeHttp(responses) {
+  const asked = [];
+  return {
+    asked,
+    async get(url) {
+      const digits = url.match(/\/(\d{8})\/json\/$/)[1];
+      asked.push(digits);
+      const response = responses[digits];
+      if (response instanceof Error) throw response;
+      return { data: response || { erro: true } };
+    }
+  };
+}
+
+async function testProviders(tmpDir) {
+  console.log('\n=== Providers ===');
+
+  assert(cepDigits('01310-100') === '01310100' && cepDigits(1310100) === '01310100' && cepDigits('0131') === null && cepDigits({}) === null,
+    'CEPs are read as 8 digits, numbers losing their leading zero included');
+
+  const csvFile = path.join(tmpDir, 'ceps.csv');
+  fs.writeFileSync(csvFile, '﻿CEP;Logradouro;Bairro;Localidade;UF\n01310-100;Avenida Paulista;Bela Vista;São Paulo;sp\n;sem cep;;;\n04538-133;"Rua Funchal; 100";Vila Olímpia;São Paulo;SP\n');
+  const csv = new LocalCepDataset({ filePath: csvFile });
+  const paulista = await csv.lookup('01310100');
+  assert(paulista.cep === '01310-100' && paulista.cidade === 'São Paulo' && paulista.uf === 'SP' && paulista.complemento === null,
+    'CSV datasets take pt-BR separators, localidade as the city and blank fields as null');
+  assert(csv.size === 2 && (await csv.lookup('04538133')).logradouro === 'Rua Funchal; 100', 'rows without a CEP are skipped; quoted cells keep separators');
+  assert(await csv.lookup('99999999') === null && csv.authoritative === false, 'a CEP missing from a dataset is not final by default');
+
+  const jsonFile = path.join(tmpDir, 'ceps.json');
+  fs.writeFileSync(jsonFile, JSON.stringify({ '01310100': { logradouro: 'Avenida Paulista', bairro: 'Bela Vista', cidade: 'São Paulo', uf: 'SP' } }));
+  assert((await new LocalCepDataset({ filePath: jsonFile, complete: true }).lookup('01310100')).bairro === 'Bela Vista',
+    'JSON datasets may be keyed by CEP');
+
+  const badFile = path.join(tmpDir, 'bad.csv');
+  fs.writeFileSync(badFile, 'rua;bairro\nA;B\n');
+  let thrown = null;
+  try {
+    new LocalCepDataset({ filePath: badFile }).load();
+  } catch (error) {
+    thrown = error;
+  }
+  assert(thrown && thrown.message.includes('"cep" column'), 'datasets need a CEP column');
+
+  const http = fakeHttp({ '01310100': PAULISTA });
+  const viaCep = new ViaCepProvider({ http });
+  assert((await viaCep.lookup('01310100')).cidade === 'São Paulo' && await viaCep.lookup('99999999') === null && viaCep.authoritative,
+    'ViaCEP answers are mapped to the same fields, its misses are final');
+}
+
+async function testService(tmpDir) {
+  console.log('\n=== Lookups ===');
+
+  const cacheFile = path.join(tmpDir, 'cep-cache.json');
+  const http = fakeHttp({ '01310100': PAULISTA, '20040020': new Error('timeout of 3000ms exceeded') });
+  const local = new LocalCepDataset({ filePath: path.join(tmpDir, 'ceps.csv') });
+  const cache = new CepCache({ filePath: cacheFile });
+  const service = new CepService({ providers: [local, new ViaCepProvider({ http })], cache });
+
+  assert((await service.lookup('0131')).error === 'Invalid CEP format', 'CEPs without 8 digits are refused before any lookup');
+
+  const fromDataset = await service.lookup('04538-133');
+  assert(fromDataset.found && fromDataset.source === 'local' && http.asked.length === 0, 'the local dataset answers first, offline');
+
+  const inDataset = await service.lookup('01310100');
+  assert(inDataset.found && inDataset.source === 'local', 'CEPs in the dataset never reach ViaCEP');
+  const missing = await service.lookup('99999-999');
+  assert(!missing.found && !missing.unavailable && missing.source === 'viacep' && http.asked.join(',') === '99999999',
+    'misses in the dataset go on to ViaCEP, whose miss means the CEP does not exist');
+
+  const down = await service.lookup('20040-020');
+  assert(!down.found && down.unavailable && down.cep === '20040-020', 'when no provider can tell, the lookup is unavailable rather than a miss');
+
+  http.asked.length = 0;
+  const again = await service.lookup('99999999');
+  assert(!again.found && again.source === 'cache' && http.asked.length === 0, 'answers are cached, misses included');
+  assert((await service.lookup('20040020')).unavailable && http.asked.join(',') === '20040020', 'failed lookups are not cached');
+
+  assert(!fs.existsSync(cacheFile) && cache.size === 3, 'lookups are written to the file together, not one by one');
+  cache.flush();
+  const reloaded = new CepCache({ filePath: cacheFile });
+  assert(reloaded.get('04538133').address.bairro === 'Vila Olímpia' && reloaded.get('99999999').address === null,
+    'the cache survives restarts');
+  const later = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+  assert(reloaded.get('04538133', later) && reloaded.get('99999999', later) === null, 'misses are kept for a day, addresses for longer');
+  const old = new Date(Date.now() + 91 * 24 * 60 * 60 * 1000);
+  assert(reloaded.get('04538133', old) === null, 'addresses expire after CEP_CACHE_TTL_DAYS');
+
+  const small = new CepCache({ maxEntries: 2 });
+  ['11111111', '22222222', '33333333'].forEach(digits => small.set(digits, null, 'viacep'));
+  assert(small.size === 2 && small.get('11111111') === null && small.get('33333333'), 'the oldest entries go when the cache is full');
+
+  const config = resolveCepConfig({ CEP_DATASET_FILE: 'ceps.csv', CEP_CACHE_TTL_DAYS: '7' });
+  assert(config.providers.join(',') === 'local,viacep' && path.isAbsolute(config.datasetFile) && config.cacheTtlDays === 7,
+    'the local dataset is tried before ViaCEP by default');
+  assert(config.rateLimit === 30 && config.rateWindowMinutes === 10 && resolveCepConfig({ CEP_LOOKUP_RATE_LIMIT: '0' }).rateLimit === 0,
+    'public CEP lookups are limited per IP by default (CEP_LOOKUP_RATE_*)');
+  assert(createCepService({ ...resolveCepConfig({}), cacheFile: null }).providers.map(provider => provider.name).join(',') === 'viacep',
+    'without a dataset file only ViaCEP is asked');
+  let thrown = null;
+  try {
+    createCepService({ ...resolveCepConfig({ CEP_PROVIDERS: 'correios' }), cacheFile: null });
+  } catch (error) {
+    thrown = error;
+  }
+  assert(thrown && thrown.message.includes('correios'), 'unknown providers are reported');
+}
+
+function testSurveyAddress() {
+  console.log('\n=== Survey answers ===');
+
+  const neighborhoods = new NeighborhoodRegistry();
+  neighborhoods.create({ name: 'Bela Vista', aliases: ['Bixiga'] });
+  const address = { cep: '01310-100', logradouro: 'Avenida Paulista', complemento: 'lado par', bairro: 'Bela Vista', cidade: 'São Paulo', uf: 'SP' };
+  const answers = { cep: '01310-100', complemento: null, issue: 'Saúde' };
+
+  const same = withSurveyAddress(answers, address, { neighborhood: 'Bixiga' }, neighborhoods);
+  assert(same.logradouro === 'Avenida Paulista' && same.bairro === 'Bela Vista' && same.cidade === 'São Paulo' && same.uf === 'SP',
+    'the street, bairro and city of the CEP are stored with the answers');
+  assert(same.neighborhoodMismatch === false && same.complemento === 'lado par', 'aliases count as the same neighborhood; a missing complemento is filled');
+
+  const other = withSurveyAddress({ ...answers, complemento: 'apto 4' }, address, { neighborhood: 'Jardim Europa' }, neighborhoods);
+  assert(other.neighborhoodMismatch === true && other.complemento === 'apto 4', 'another registered neighborhood is flagged; a typed complemento is kept');
+  assert(withSurveyAddress(answers, address, { neighborhood: null }, neighborhoods).neighborhoodMismatch === null,
+    'residents without a neighborhood are not flagged');
+
+  const offline = withSurveyAddress(answers, null, { neighborhood: 'Centro' }, neighborhoods);
+  assert(offline.bairro === null && offline.neighborhoodMismatch === null && offline.issue === 'Saúde', 'answers saved without a lookup have an empty address');
+  assert(withSurveyAddress({ ...answers, bairro: 'Meu bairro' }, address, {}, neighborhoods).bairro === 'Meu bairro', 'keys used by a question are left alone');
+
+  const surveys = new SurveyRegistry();
+  const created = surveys.create({ title: 'Endereço', questions: [{ id: 'bairro', type: 'text', label: 'Bairro' }] });
+  assert(created.error && created.error.includes('reserved'), 'new questions cannot take the address fields');
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cep-lookup-test-'));
+  const warn = console.warn;
+  // Failed lookups are logged; keep the test output readable
+  console.warn = () => {};
+
+  try {
+    await testProviders(tmpDir);
+    await testService(tmpDir);
+    testSurveyAddress();
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    console.warn = warn;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
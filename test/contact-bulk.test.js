@@ -0,0 +1,126 @@
+/**
+ * Contact Bulk Operations Test
+ * Selection by ids and by filter, each operation, the per-contact report, dry runs
+ * and the all-or-nothing write when a selected contact changes meanwhile
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStorage } = require('../services/storage');
+const ContactTrash = require('../services/ContactTrash');
+const { NeighborhoodRegistry } = require('../services/neighborhoods');
+const { ContactBulkOperations } = require('../services/bulk');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+function statuses(report) {
+  return report.results.map(result => `${result.id}:${result.status}`).join(',');
+}
+
+const contacts = [
+  { id: 1, name: 'Ana Souza', neighborhood: 'centro', whatsapp: '5511911111111', tags: ['Evento'], revision: 0 },
+  { id: 2, name: 'Bruno Lima', neighborhood: 'Jardim', whatsapp: '5511922222222', whatsappSentAt: '2025-01-01T00:00:00.000Z' },
+  { id: 3, name: 'Carla Dias', neighborhood: 'Jardim', whatsapp: '5511933333333' },
+  { id: 4, name: 'Davi Alves', neighborhood: 'Jardim', whatsapp: '5511944444444', deletedAt: '2025-01-01T00:00:00.000Z' }
+];
+
+async function testValidation(bulk) {
+  console.log('\n=== Input validation ===');
+
+  assert((await bulk.run({ ids: [1], operation: 'explode' })).error.includes('Unknown operation'), 'unknown operations are rejected');
+  assert((await bulk.run({ ids: [1], filter: 'answered', operation: 'mark-sent' })).error.includes('either ids or filter'),
+    'ids and filter are mutually exclusive');
+  assert((await bulk.run({ filter: {}, operation: 'delete' })).error.includes('every contact'), 'an empty filter is refused');
+  assert((await bulk.run({ filter: 'age>', operation: 'delete' })).error, 'filter syntax errors are reported');
+  assert((await bulk.run({ ids: [1], operation: 'add-tag', params: { tag: '  ' } })).error.includes('params.tag'),
+    'operations validate their params');
+  assert((await bulk.run({ ids: [], operation: 'mark-sent' })).error.includes('non-empty'), 'an empty id list is refused');
+}
+
+async function testOperations(storage, bulk) {
+  console.log('\n=== Operations and report ===');
+
+  const preview = await bulk.run({ ids: [1, 2, 3, 4, 99, 3], operation: 'mark-sent', dryRun: true });
+  assert(statuses(preview) === '1:changed,2:unchanged,3:changed,4:not_found,99:not_found', 'the report has one entry per distinct id');
+  assert(preview.summary.changed === 2 && preview.summary.notFound === 2 && !preview.applied, 'dry runs summarize without writing');
+  assert(!(await storage.findById(1)).whatsappSentAt, 'dry runs leave the data untouched');
+
+  const sent = await bulk.run({ ids: [1, 3], operation: 'mark-sent', context: { actor: 'admin' } });
+  const [ana, carla] = [await storage.findById(1), await storage.findById(3)];
+  assert(sent.applied && ana.whatsappStatus === 'sent' && ana.whatsappProvider === 'manual' && carla.whatsappSentAt,
+    'mark-sent records a manual send');
+
+  const tagged = await bulk.run({ filter: { neighborhood: 'Jardim' }, operation: 'add-tag', params: { tag: ' evento  ' } });
+  assert(statuses(tagged) === '2:changed,3:changed', 'filters select active contacts only');
+  assert((await bulk.run({ ids: [1, 2], operation: 'add-tag', params: { tag: 'EVENTO' } })).summary.unchanged === 2,
+    'tags already present (any case) leave the contact unchanged');
+  assert(JSON.stringify((await storage.findById(2)).tags) === '["evento"]', 'new tags are trimmed');
+
+  const moved = await bulk.run({ ids: [1, 2], operation: 'set-neighborhood', params: { neighborhood: 'centro' } });
+  const bruno = await storage.findById(2);
+  assert(statuses(moved) === '1:changed,2:changed' && bruno.neighborhood === 'Centro' && bruno.neighborhoodId,
+    'set-neighborhood stores the canonical name and id');
+  assert((await bulk.run({ ids: [1, 2], operation: 'set-neighborhood', params: { neighborhood: 'CENTRO' } })).summary.unchanged === 2,
+    'contacts already in the neighborhood are unchanged');
+
+  const deleted = await bulk.run({ filter: 'neighborhood=Jardim', operation: 'delete', context: { actor: 'admin' } });
+  const trashed = await storage.findById(3);
+  assert(statuses(deleted) === '3:changed' && trashed.deletedAt && trashed.deletedBy === 'admin', 'delete moves contacts to the trash');
+}
+
+async function testAllOrNothing(storage, bulk) {
+  console.log('\n=== All or nothing ===');
+
+  // Someone edits contact 2 between the selection and the write
+  const originalUpdateMany = storage.updateMany.bind(storage);
+  storage.updateMany = async (updates, context) => {
+    await storage.update(2, { name: 'Bruno Lima Neto' });
+    return originalUpdateMany(updates, context);
+  };
+  const report = await bulk.run({ ids: [1, 2], operation: 'add-tag', params: { tag: 'Mutirão' } });
+  storage.updateMany = originalUpdateMany;
+
+  assert(report.conflict && report.conflict.id === 2 && !report.applied, 'a concurrent edit aborts the operation with a conflict');
+  assert(!(await storage.findById(1)).tags.includes('Mutirão'), 'no contact of the batch is written');
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-bulk-test-'));
+  const filePath = path.join(tmpDir, 'data.json');
+  fs.writeFileSync(filePath, JSON.stringify(contacts));
+  const storage = new JsonFileStorage({ filePath });
+  const trash = new ContactTrash({ storage });
+  const neighborhoods = new NeighborhoodRegistry();
+  neighborhoods.create({ name: 'Centro' });
+  const bulk = new ContactBulkOperations({ storage, trash, neighborhoods });
+
+  try {
+    await testValidation(bulk);
+    await testOperations(storage, bulk);
+    await testAllOrNothing(storage, bulk);
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    await storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,158 @@
+/**
+ * Contact Filter Test
+ * Object, JSON and text forms of the filter language, every field type and operator,
+ * boolean combinations and the DataAccessLayer using it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFilter, filterFromQuery, compileFilter } = require('../services/query');
+const { JsonFileStorage } = require('../services/storage');
+const { NeighborhoodRegistry } = require('../services/neighborhoods');
+const DataAccessLayer = require('../services/DataAccessLayer');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+// Noon UTC, so day filters give the same result in any server time zone
+const contacts = [
+  {
+    id: 1, name: 'Ana Souza', age: 22, neighborhood: 'Centro', createdAt: '2025-01-10T12:00:00.000Z',
+    whatsappSentAt: '2025-01-11T12:00:00.000Z', whatsappStatus: 'read', clickedAt: '2025-01-11T13:00:00.000Z',
+    survey: { issue: 'Saúde', satisfaction: 'Insatisfeito', participate: 'Sim', cep: '01310-100', answeredAt: '2025-01-12T12:00:00.000Z' }
+  },
+  {
+    id: 2, name: 'Bruno Lima', age: 65, neighborhood: 'Centro Histórico', createdAt: '2025-01-20T12:00:00.000Z',
+    whatsappSentAt: '2025-01-21T12:00:00.000Z', whatsappStatus: 'delivered', survey: null
+  },
+  {
+    id: 3, name: 'Carla Dias', age: 40, neighborhood: 'Vila Nova', createdAt: '2025-02-01T12:00:00.000Z',
+    whatsappSentAt: '2025-02-02T12:00:00.000Z', whatsappStatus: 'sent', whatsappProvider: 'twilio',
+    survey: { issue: 'Transporte', satisfaction: 'Muito satisfeito', participate: 'Não', cep: '04567000', answeredAt: '2025-02-03T12:00:00.000Z' }
+  },
+  { id: 4, name: 'Davi Alves', age: 31, neighborhood: 'vila nova', createdAt: '2025-02-15T12:00:00.000Z', survey: null },
+  {
+    id: 5, name: 'Eva Rocha', age: 70, neighborhood: 'Jardim', createdAt: '2025-03-01T12:00:00.000Z',
+    survey: { issue: 'Saúde', satisfaction: 'Muito insatisfeito', participate: 'Talvez', cep: '01311000', answeredAt: '2025-03-02T12:00:00.000Z' }
+  }
+];
+
+const neighborhoods = new NeighborhoodRegistry();
+neighborhoods.create({ name: 'Centro', aliases: ['Centro Histórico'] });
+
+function select(input) {
+  const { filter, error } = parseFilter(input);
+  if (error) return `error: ${error}`;
+  return contacts.filter(compileFilter(filter, { neighborhoods })).map(contact => contact.id).join(',');
+}
+
+function testFieldTypes() {
+  console.log('\n=== Field types ===');
+
+  assert(select({ age: { gte: 30, lt: 70 } }) === '2,3,4', 'numbers take range operators');
+  assert(select({ age: '30..65' }) === '2,3,4' && select({ age: '..30' }) === '1', '"a..b" is an inclusive range');
+  assert(select({ satisfaction: { lte: 'Insatisfeito' } }) === '1,5' && select({ satisfaction: { gte: 4 } }) === '3',
+    'satisfaction is an ordered scale, by name or 1-5');
+  assert(select({ satisfaction: 'muito insatisfeito' }) === '5', 'choices ignore case and accents');
+  assert(select({ participate: true }) === '1' && select({ participate: { ne: 'Sim' } }) === '2,3,4,5',
+    'participate takes true/false, and negations include contacts who did not answer');
+  assert(select({ issue: 'saude' }) === '1,5' && select({ name: { contains: 'li' } }) === '2',
+    'text matches ignore case and accents');
+  assert(select({ cep: '0131' }) === '1,5' && select({ cep: ['01310', '045'] }) === '1,3', 'CEPs match by prefix, formatted or not');
+  assert(select({ createdAt: { gte: '2025-02-01', lte: '2025-02-15' } }) === '3,4', 'date bounds include the whole day');
+  assert(select({ createdAt: '2025-01-10' }) === '1' && select({ answeredAt: { gt: '2025-01-12' } }) === '3,5',
+    'a date alone means that day; gt starts after it');
+  assert(select({ clickedAt: { exists: true } }) === '1' && select({ answered: false }) === '2,4', 'presence fields and exists');
+  assert(select({ engagement: ['delivered', 'not_sent'] }) === '2,4', 'engagement is derived like in the admin table');
+  assert(select({ status: 'DELIVERED' }) === '2' && select({ provider: 'twilio' }) === '3', 'WhatsApp status and provider');
+  assert(select({ neighborhood: 'centro historico' }) === '1,2', 'neighborhood names and aliases select the canonical neighborhood');
+  assert(select({ id: { in: ['2', 4] } }) === '2,4', 'ids compare as text or number');
+}
+
+function testCombinationsAndText() {
+  console.log('\n=== Combinations and text syntax ===');
+
+  assert(select({ or: [{ age: { gte: 65 } }, { satisfaction: 'Insatisfeito' }], not: { neighborhood: 'Jardim' } }) === '1,2',
+    'or/not combine with the other keys of the object');
+  assert(select('age>=60 and (satisfaction<=2 or not answered)') === '2,5', 'the text syntax supports and/or/not and parentheses');
+  assert(select('neighborhood="vila nova" createdAt=2025-02-01..2025-02-28') === '3,4', 'side-by-side conditions are combined with and');
+  assert(select('engagement not in (not_sent, responded) or cep^=045') === '2,3', 'in lists, not in and prefix');
+  assert(select('{"issue": "Saúde", "age": {"gt": 60}}') === '5', 'a string holding JSON is read as the object form');
+  assert(parseFilter('').filter === null && parseFilter({}).filter === null, 'an empty filter selects everything');
+
+  assert(select('age>=60 and').includes('ends unexpectedly'), 'incomplete expressions are rejected');
+  assert(select('neighborhood=Jardim São').includes('Unknown filter field "São"'), 'unquoted spaces give a hint');
+  assert(select({ salary: 10 }).includes('Unknown filter field'), 'unknown fields are rejected');
+  assert(select({ age: { contains: '3' } }).includes('not supported'), 'operators must fit the field type');
+  assert(select({ satisfaction: 'Ótimo' }).includes('expected 1-5'), 'unknown scale values list the accepted ones');
+  assert(select({ createdAt: '2025-02-30' }).includes('Invalid value'), 'impossible dates are rejected');
+  assert(select('('.repeat(50) + 'answered' + ')'.repeat(50)).includes('nested too deeply'), 'nesting depth is bounded');
+}
+
+function testQueryString() {
+  console.log('\n=== Query string ===');
+
+  const { filter } = filterFromQuery({ neighborhood: 'Centro', answered: 'false', page: '2', sort: '-age', filter: 'age>60' });
+  assert(contacts.filter(compileFilter(filter, { neighborhoods })).map(contact => contact.id).join(',') === '2',
+    'plain field parameters and filter= are combined, listing parameters are ignored');
+  const nested = filterFromQuery({ age: { gte: '30' }, or: 'ignored' });
+  assert(!nested.error && contacts.filter(compileFilter(nested.filter)).length === 4, 'bracket operators (age[gte]=30) are read');
+  assert(filterFromQuery({ answered: 'maybe' }).error, 'bad plain parameters are reported');
+}
+
+async function testDataAccessLayer() {
+  console.log('\n=== DataAccessLayer.getAllContacts ===');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-filter-test-'));
+  try {
+    const filePath = path.join(tmpDir, 'data.json');
+    fs.writeFileSync(filePath, JSON.stringify(contacts));
+    const storage = new JsonFileStorage({ filePath });
+    const dataAccess = new DataAccessLayer({ storage, neighborhoods });
+
+    assert((await dataAccess.getAllContacts({ answered: true, satisfaction: 'Insatisfeito' })).length === 1,
+      'the previous filter keys keep working');
+    assert((await dataAccess.getAllContacts('age>=60')).map(contact => contact.id).join(',') === '2,5', 'text filters are accepted');
+    assert((await dataAccess.getSurveyResponses({ neighborhood: 'Centro' })).length === 1, 'survey responses take the same filters');
+
+    let message = '';
+    try {
+      await dataAccess.getAllContacts({ nope: 1 });
+    } catch (error) {
+      message = error.message;
+    }
+    assert(message.includes('Unknown filter field'), 'invalid filters throw');
+    await storage.close();
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  try {
+    testFieldTypes();
+    testCombinationsAndText();
+    testQueryString();
+    await testDataAccessLayer();
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
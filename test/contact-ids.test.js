@@ -0,0 +1,157 @@
+/**
+ * Contact Ids Test
+ * ULID generation (unique and ordered within one millisecond), parsing of route ids (numeric
+ * legacy ids and ULIDs), the rekey migration and old numeric ids resolving to rekeyed contacts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStorage, BackupManager, NdjsonJournal } = require('../services/storage');
+const { ContactMerger } = require('../services/duplicates');
+const ContactTrash = require('../services/ContactTrash');
+const { ContactSearchIndex } = require('../services/search');
+const {
+  MigrationRunner,
+  createContact,
+  upgradeContact,
+  validateContact,
+  newContactId,
+  parseContactId
+} = require('../services/schema');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+const ULID = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+
+function testGeneration() {
+  console.log('\n=== Id generation ===');
+
+  const sameMillisecond = Array.from({ length: 500 }, () => newContactId(1760000000000));
+  assert(sameMillisecond.every(id => ULID.test(id)), 'ids are 26-character ULIDs');
+  assert(new Set(sameMillisecond).size === 500, 'ids created in the same millisecond never collide');
+  assert(sameMillisecond.every((id, index) => index === 0 || id > sameMillisecond[index - 1]),
+    'ids created in the same millisecond keep their creation order');
+
+  const earlier = newContactId(1700000000000);
+  const later = newContactId(1700000000001);
+  assert(earlier < later && earlier.slice(0, 10) !== later.slice(0, 10), 'ids sort by the time they were created');
+  assert(newContactId(1700000000000).slice(10) !== earlier.slice(10), 'the random part is not predictable from another id');
+}
+
+function testParsing() {
+  console.log('\n=== Route ids ===');
+
+  const id = newContactId();
+  assert(parseContactId('1762697451759') === 1762697451759, 'numeric ids are read as numbers, as they are stored');
+  assert(parseContactId(1762697451759) === 1762697451759, 'numbers from JSON bodies are kept');
+  assert(parseContactId(id.toLowerCase()) === id && parseContactId(` ${id} `) === id, 'ULIDs are read in upper case, spaces ignored');
+  assert([null, undefined, '', '0', '12abc', 'x'.repeat(26), 'U'.repeat(26), 1.5, -3].every(value => parseContactId(value) === null),
+    'anything else is not a contact id');
+  assert(parseContactId('9007199254740991') === Number.MAX_SAFE_INTEGER && parseContactId('9007199254740992') === null
+    && parseContactId('9007199254740993') === null, 'numeric ids beyond the safe-integer range are refused, so two ids never read as one number');
+}
+
+function testSchema() {
+  console.log('\n=== Schema ===');
+
+  const old = upgradeContact({ id: 1700000000000, name: 'Ana', whatsapp: '5511911111111', createdAt: '2023-11-14T22:13:20.000Z' });
+  assert(old.legacyId === null && validateContact(old).length === 0, 'older records are upgraded with an empty legacyId');
+
+  const fresh = createContact({ id: newContactId(), name: 'Bia', whatsapp: '5511922222222', createdAt: new Date().toISOString() });
+  assert(validateContact(fresh).length === 0, 'records with ULID ids match the schema');
+}
+
+async function testRekey(tmpDir) {
+  console.log('\n=== Rekey migration ===');
+
+  const filePath = path.join(tmpDir, 'data.json');
+  const contact = (fields) => createContact({ whatsapp: '5511900000000', ...fields });
+  const kept = newContactId();
+  fs.writeFileSync(filePath, JSON.stringify([
+    contact({ id: 1700000000000, name: 'Ana', createdAt: '2023-11-14T22:13:20.000Z', whatsapp: '5511911111111' }),
+    contact({ id: 1700000000001, name: 'Ana Souza', createdAt: '2023-11-14T22:13:20.001Z', whatsapp: '5511911111111' }),
+    contact({ id: 1710000000000, name: 'Caio', createdAt: '2024-03-09T16:00:00.000Z' }),
+    contact({ id: kept, name: 'Dora', createdAt: new Date().toISOString() })
+  ], null, 2));
+
+  const backups = new BackupManager({ dir: path.join(tmpDir, 'backups'), onWrite: false });
+  const storage = new JsonFileStorage({ filePath, backups });
+  storage.backups = backups;
+  const journal = new NdjsonJournal({ filePath: path.join(tmpDir, 'data.journal.ndjson') });
+  await journal.attach(storage);
+  const searchIndex = new ContactSearchIndex({ storage });
+  await searchIndex.ready();
+  const runner = new MigrationRunner({ storage });
+
+  const dryRun = await runner.rekeyLegacyIds({ dryRun: true });
+  assert(dryRun.rekeyed === 3 && (await storage.findById(1700000000000)), 'a dry run reports the numeric ids and writes nothing');
+
+  const report = await runner.rekeyLegacyIds();
+  const stored = await storage.find();
+  assert(report.rekeyed === 3 && report.backup && stored.every(record => typeof record.id === 'string'), 'numeric ids are replaced by ULIDs after a backup');
+  assert(stored.find(record => record.name === 'Caio').legacyId === 1710000000000 && stored.find(record => record.id === kept).legacyId === null,
+    'the old id is kept in legacyId; ULID contacts are untouched');
+  const byId = [...stored].sort((a, b) => (a.id < b.id ? -1 : 1)).map(record => record.name);
+  assert(byId.join(',') === 'Ana,Ana Souza,Caio,Dora', 'the order by id still follows createdAt');
+  assert((await runner.rekeyLegacyIds()).rekeyed === 0, 'running again is a no-op');
+  assert(searchIndex.size === 4 && searchIndex.documents.has(String(stored.find(record => record.name === 'Caio').id)),
+    'the search index follows contacts to their new ids');
+  await journal.flush();
+  const rebuilt = await journal.reconstruct(new Date());
+  assert(rebuilt.length === 4 && rebuilt.every(record => typeof record.id === 'string'), 'the journal replays rekeyed contacts without their old ids');
+
+  const trash = new ContactTrash({ storage });
+  const merger = new ContactMerger({ storage, trash });
+  const caio = await merger.resolve(1710000000000);
+  assert(caio && caio.name === 'Caio', 'old numeric ids resolve to the rekeyed contact');
+
+  const survivor = stored.find(record => record.name === 'Ana');
+  const duplicate = stored.find(record => record.name === 'Ana Souza');
+  await merger.merge(survivor.id, duplicate.id);
+  assert((await merger.resolve(1700000000001)).id === survivor.id && (await merger.resolve(duplicate.id)).id === survivor.id,
+    'the old and new ids of a merged duplicate both lead to the survivor');
+
+  fs.writeFileSync(filePath, JSON.stringify([{ id: 1, name: 'Old', whatsapp: '5511933333333', createdAt: '2020-01-01T00:00:00.000Z' }]));
+  const outdated = new MigrationRunner({ storage: new JsonFileStorage({ filePath }) });
+  let error = null;
+  try {
+    await outdated.rekeyLegacyIds();
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('run the migrations first'), 'records below the current schema are not rekeyed');
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-ids-test-'));
+
+  try {
+    testGeneration();
+    testParsing();
+    testSchema();
+    await testRekey(tmpDir);
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,269 @@
+/**
+ * Contact Import Test
+ * Parses CSV and XLSX spreadsheets and checks the importer's validation,
+ * duplicate detection, dry-run report and commit against a temporary JSON store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { JsonFileStorage, BackupManager } = require('../services/storage');
+const { ContactImporter, parseCsv, readXlsx, parseSpreadsheet } = require('../services/import');
+const ContactTrash = require('../services/ContactTrash');
+const { validateContact } = require('../services/schema');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+// --- Minimal XLSX writer (zip with deflated SpreadsheetML parts) ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const data = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const nameBuffer = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// Strings go to sharedStrings.xml, numbers stay inline, like Excel does
+function buildXlsx(rows) {
+  const shared = [];
+  const columnName = index => String.fromCharCode(65 + index);
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null) return '';
+      if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+      shared.push(value);
+      return `<c r="${ref}" t="s"><v>${shared.length - 1}</v></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+  return buildZip({
+    '[Content_Types].xml': '<?xml version="1.0"?><Types/>',
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Inscrições" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst>${shared.map(text => `<si><t>${escape(text)}</t></si>`).join('')}</sst>`,
+    'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${sheetRows}</sheetData></worksheet>`
+  });
+}
+
+function testParsers() {
+  console.log('\n=== Spreadsheet parsing ===');
+
+  const rows = parseCsv('Nome,Idade\n"Silva, Ana",40\r\n"Diz ""oi""",\n');
+  assert(rows.length === 3 && rows[1][0] === 'Silva, Ana' && rows[2][0] === 'Diz "oi"' && rows[2][1] === '',
+    'CSV quotes, escaped quotes and CRLF are handled');
+
+  const semicolon = parseSpreadsheet(Buffer.from('\ufeffNome;Bairro\nAna;Centro\n'), { filename: 'lista.csv' });
+  assert(semicolon.format === 'csv' && semicolon.rows[0][0] === 'Nome' && semicolon.rows[1][1] === 'Centro',
+    'semicolon separated files (Excel pt-BR) and the BOM are handled');
+
+  const xlsx = buildXlsx([['Nome', 'Telefone'], ['José & Cia', 11987654321], [null, 11912345678]]);
+  const sheet = readXlsx(xlsx);
+  assert(sheet[1][0] === 'José & Cia' && sheet[1][1] === '11987654321', 'XLSX shared strings and numbers are read');
+  assert(sheet[2][0] === '' && sheet[2][1] === '11912345678', 'XLSX gaps keep cells in their columns');
+  assert(parseSpreadsheet(xlsx).format === 'xlsx', 'XLSX is detected from the zip signature');
+
+  const readError = buffer => {
+    try {
+      readXlsx(buffer, { maxEntryBytes: 2000 });
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+  const big = buildXlsx(Array.from({ length: 200 }, (_, i) => ['Nome', i]));
+  assert(/sheet1\.xml" is larger than .* once unzipped/.test(readError(big)), 'parts declared larger than the limit are refused before inflating');
+  // A deflate bomb declares a small size in the central directory; the inflater still stops at the limit
+  const directory = big.lastIndexOf(Buffer.from('PK\x01\x02', 'latin1'));
+  const lying = Buffer.from(big);
+  lying.writeUInt32LE(100, directory + 24);
+  assert(/once unzipped/.test(readError(lying)), 'parts that inflate past the limit are stopped whatever size they declare');
+}
+
+async function testImporter(tmpDir) {
+  console.log('\n=== Contact importer ===');
+
+  const filePath = path.join(tmpDir, 'data.json');
+  fs.writeFileSync(filePath, JSON.stringify([
+    { id: 1, name: 'Já Cadastrado', age: 50, neighborhood: 'Centro', whatsapp: '5511900000001', createdAt: new Date().toISOString() },
+    { id: 2, name: 'Na Lixeira', age: 50, neighborhood: 'Centro', whatsapp: '5511900000002', createdAt: new Date().toISOString(), deletedAt: new Date().toISOString() }
+  ]));
+  const backups = new BackupManager({ dir: path.join(tmpDir, 'backups'), onWrite: false });
+  const storage = new JsonFileStorage({ filePath, backups });
+  storage.backups = backups;
+  const importer = new ContactImporter({ storage, trash: new ContactTrash({ storage }) });
+
+  const csv = Buffer.from([
+    'Nome Completo;Idade;Bairro;Celular',
+    'Ana Souza;34;Centro;(11) 98765-4321',
+    'Sem Telefone;20;Centro;',
+    'Idade Ruim;abc;Vila Nova;11987650000',
+    'Repetida;22;Centro;11 98765 4321',
+    'Existente;60;Centro;11900000001',
+    'Voltou da Lixeira;45;Centro;11900000002',
+    ';;;',
+    'Bruno Lima;28,0;Jardim;11912345678'
+  ].join('\n'));
+
+  const preview = await importer.import(csv, { filename: 'evento.csv' });
+  assert(preview.dryRun && preview.missingColumns.length === 0, 'headers are mapped from common Portuguese names');
+  assert(preview.summary.totalRows === 7, 'blank rows are skipped');
+  assert(preview.accepted.map(r => r.name).join(',') === 'Ana Souza,Voltou da Lixeira,Bruno Lima',
+    'valid rows are accepted (trashed contacts do not block a number)');
+  assert(preview.accepted[0].whatsapp === '5511987654321' && preview.accepted[2].age === 28,
+    'phones are formatted and ages parsed');
+
+  const reasons = Object.fromEntries(preview.rejected.map(r => [r.row, r.reasons.map(reason => reason.code).join(',')]));
+  assert(reasons[3] === 'missing_whatsapp' && reasons[4] === 'invalid_age', 'rejected rows carry their spreadsheet row and reasons');
+
+  const duplicates = Object.fromEntries(preview.duplicates.map(d => [d.row, d]));
+  assert(duplicates[5].source === 'file' && duplicates[5].firstRow === 2, 'repeated numbers inside the file are duplicates');
+  assert(duplicates[6].source === 'existing' && duplicates[6].existingId === 1, 'numbers already registered are duplicates');
+  assert((await storage.find()).length === 2, 'a dry run writes nothing');
+
+  const unmapped = await importer.import(Buffer.from('Nome,Fone\nAna,1133334444\n'));
+  assert(unmapped.missingColumns.join(',') === 'age,neighborhood' && unmapped.accepted.length === 0,
+    'unknown headers are reported as missing columns');
+  const mapped = await importer.import(Buffer.from('Pessoa,Anos de vida,Onde,Fone Fixo\nAna,30,Centro,1133334444\n'), {
+    mapping: { name: 'Pessoa', age: 1, neighborhood: 'onde', whatsapp: 'FONE FIXO' }
+  });
+  assert(mapped.missingColumns.length === 0 && mapped.accepted.length === 1, 'explicit mappings accept header names or column indexes');
+
+  let writes = 0;
+  const writeAll = storage.writeAll.bind(storage);
+  storage.writeAll = records => {
+    writes++;
+    return writeAll(records);
+  };
+  const committed = await importer.import(csv, { dryRun: false, context: { actor: 'admin' } });
+  assert(committed.imported === 3 && committed.backup, 'committing imports the accepted rows after a backup');
+  assert(writes === 1, 'the accepted rows are written in a single batch');
+
+  const stored = await storage.find();
+  const imported = stored.filter(record => committed.accepted.some(r => r.id === record.id));
+  assert(imported.length === 3 && new Set(imported.map(r => r.id)).size === 3, 'imported contacts get unique ids');
+  assert(imported.every(record => validateContact(record).length === 0), 'imported contacts match the schema');
+
+  const again = await importer.import(csv, { dryRun: false });
+  assert(again.imported === 0 && again.duplicates.length === 5, 'importing the same file twice adds nothing');
+
+  // Two imports racing with the same new number: the second batch sees the first one's contact
+  const racing = Buffer.from('Nome;Idade;Bairro;Celular\nDaniel;31;Centro;11977776666\n');
+  const other = new ContactImporter({ storage, trash: new ContactTrash({ storage }) });
+  const [first, second] = await Promise.all([
+    importer.import(racing, { dryRun: false }),
+    other.import(racing, { dryRun: false })
+  ]);
+  const daniels = (await storage.find()).filter(record => record.whatsapp === '5511977776666');
+  assert(daniels.length === 1 && first.imported + second.imported === 1, 'concurrent imports store a new number once');
+  const loser = first.imported ? second : first;
+  assert(loser.accepted.length === 0 && loser.duplicates[0].source === 'existing' && loser.duplicates[0].existingId === daniels[0].id,
+    'the import that lost the race reports the row as a duplicate');
+
+  const before = await storage.find();
+  storage.writeAll = () => {
+    throw new Error('disk full');
+  };
+  let failure = null;
+  try {
+    await importer.import(Buffer.from('Nome;Idade;Bairro;Celular\nElisa;40;Centro;11966665555\nFabio;41;Centro;11966664444\n'), { dryRun: false });
+  } catch (error) {
+    failure = error;
+  }
+  storage.writeAll = writeAll;
+  assert(failure && (await storage.find()).length === before.length, 'a failed write leaves none of the rows stored');
+
+  assert(typeof (await importer.import(Buffer.from('PK\u0003\u0004broken'))).error === 'string',
+    'unreadable files produce an error instead of a report');
+
+  const xlsxReport = await importer.import(buildXlsx([
+    ['Nome', 'Idade', 'Bairro', 'WhatsApp'],
+    ['Carla Dias', 41, 'Centro', 11955554444]
+  ]));
+  assert(xlsxReport.format === 'xlsx' && xlsxReport.accepted[0].whatsapp === '5511955554444', 'XLSX files are imported too');
+  await storage.close();
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-test-'));
+
+  try {
+    testParsers();
+    await testImporter(tmpDir);
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
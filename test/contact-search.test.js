@@ -0,0 +1,120 @@
+/**
+ * Contact Search Test
+ * Ranking, accent and typo tolerance, phone/CEP fragments and keeping the index current
+ * through storage writes (insert, update, trash, restore, purge, replace)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStorage } = require('../services/storage');
+const { ContactSearchIndex } = require('../services/search');
+const { transpositionDistance } = require('../services/textMatching');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+function ids(results) {
+  return results.map(result => result.contact.id).join(',');
+}
+
+const contacts = [
+  { id: 1, name: 'José Antônio da Silva', whatsapp: '5511987654321', survey: { cep: '01310-100', complemento: 'Apto 12' } },
+  { id: 2, name: 'Maria José Souza', whatsapp: '5511912345678', survey: null },
+  { id: 3, name: 'Mariana Costa', whatsapp: '5521998877665', survey: { cep: '20040002', complemento: 'Casa 3, fundos' } },
+  { id: 4, name: 'Joselito Rocha', whatsapp: '5511955554444', survey: null },
+  { id: 5, name: 'Antonia Josefa', whatsapp: '5511900001111', survey: null, deletedAt: '2025-01-01T00:00:00.000Z' }
+];
+
+async function testRanking(index) {
+  console.log('\n=== Matching and ranking ===');
+
+  assert(ids(index.search('jose')) === '1,2,4', 'accents and case are ignored; whole words rank above word starts');
+  assert(ids(index.search('José Antônio')) === '1', 'every word must match');
+  assert(ids(index.search('mari')) === '3,2' || ids(index.search('mari')) === '2,3', 'word starts match while typing');
+  assert(index.search('mari')[0].contact.name.startsWith('Mari'), 'names starting with the query come first');
+  assert(ids(index.search('mraiana')) === '3' && ids(index.search('silvs')) === '1', 'small typos and swapped letters are tolerated');
+  assert(index.search('jos').length === 3 && index.search('xyz').length === 0, 'short words must match exactly or by start');
+  assert(ids(index.search('antonia')) === '1', 'trashed contacts are not indexed');
+  assert(index.search('jose', { limit: 2 }).length === 2, 'results are limited');
+  assert(index.search('   ').length === 0 && index.search('--').length === 0, 'blank queries return nothing');
+}
+
+function testDigits(index) {
+  console.log('\n=== Phones, CEPs and complementos ===');
+
+  const phone = index.search('98765-4321');
+  assert(ids(phone) === '1' && phone[0].matches.includes('whatsapp'), 'phone fragments match with any formatting');
+  assert(ids(index.search('98')) === '', 'digit runs shorter than 3 do not scan phone numbers');
+  assert(ids(index.search('5554')) === '4', 'fragments match anywhere in the number');
+  const cep = index.search('01310');
+  assert(ids(cep) === '1' && cep[0].matches.includes('cep'), 'CEPs match from the start');
+  assert(ids(index.search('200400-02')) === '3', 'formatted CEPs match');
+  assert(ids(index.search('fundos')) === '3' && ids(index.search('apto 12')) === '1', 'complementos are searchable');
+  assert(ids(index.search('apto 13')) === '', 'numbers in text do not match with typos');
+}
+
+async function testLiveUpdates(storage, index) {
+  console.log('\n=== Index follows storage writes ===');
+
+  await storage.insert({ id: 6, name: 'Gustavo Mendes', whatsapp: '5511966667777' }, { actor: 'test' });
+  assert(ids(index.search('gustavo')) === '6', 'inserted contacts are found');
+
+  await storage.update(6, { name: 'Gustavo Menezes' }, { actor: 'test' });
+  assert(ids(index.search('menezes')) === '6' && index.search('mendes').length === 0, 'updates replace the indexed words');
+
+  await storage.update(6, { deletedAt: new Date().toISOString() }, { actor: 'test' });
+  assert(index.search('gustavo').length === 0, 'trashed contacts disappear');
+  await storage.update(6, { deletedAt: null }, { actor: 'test' });
+  assert(ids(index.search('gustavo')) === '6', 'restored contacts come back');
+
+  await storage.delete(6, { actor: 'test' });
+  assert(index.search('gustavo').length === 0 && index.size === 4, 'purged contacts are removed');
+
+  await storage.replaceAll([{ id: 9, name: 'Helena Prado', whatsapp: '5511900009999' }], { actor: 'test' });
+  assert(index.size === 1 && ids(index.search('helena')) === '9' && index.search('jose').length === 0,
+    'replacing the dataset rebuilds the index');
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-search-test-'));
+  const filePath = path.join(tmpDir, 'data.json');
+  fs.writeFileSync(filePath, JSON.stringify(contacts));
+  const storage = new JsonFileStorage({ filePath });
+
+  try {
+    assert(transpositionDistance('maria', 'mraia') === 1 && transpositionDistance('maria', 'mario') === 1,
+      'a swap of adjacent letters is one edit');
+
+    const index = new ContactSearchIndex({ storage });
+    await index.ready();
+    assert(index.size === 4, 'active contacts are indexed on first use');
+
+    await testRanking(index);
+    testDigits(index);
+    await testLiveUpdates(storage, index);
+    index.close();
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    await storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
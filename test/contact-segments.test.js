@@ -0,0 +1,124 @@
+/**
+ * Contact Tags and Segments Test
+ * Tag cleaning and counting, the tags filter field, saved segments (validation, nesting,
+ * cycles, references from other segments, persistence) and segment=<name> in filters
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFilter, filterFromQuery, compileFilter } = require('../services/query');
+const { SegmentRegistry } = require('../services/segments');
+const { cleanTags, countTags } = require('../services/tags');
+const ResidentFilterService = require('../services/ResidentFilterService');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+const contacts = [
+  { id: 1, name: 'Ana Souza', age: 67, neighborhood: 'Centro', tags: ['Voluntário', 'Evento março'] },
+  { id: 2, name: 'Bruno Lima', age: 34, neighborhood: 'Jardim', tags: ['voluntario'] },
+  { id: 3, name: 'Carla Dias', age: 71, neighborhood: 'Centro', tags: ['Liderança comunitária'] },
+  { id: 4, name: 'Davi Alves', age: 25, neighborhood: 'Jardim', tags: [] },
+  { id: 5, name: 'Eva Rocha', age: 62, neighborhood: 'Jardim' }
+];
+
+function select(input, segments) {
+  const parsed = parseFilter(input, { segments });
+  if (parsed.error) return parsed.error;
+  return contacts.filter(compileFilter(parsed.filter)).map(contact => contact.id).join(',');
+}
+
+function testTags() {
+  console.log('\n=== Tags ===');
+
+  assert(JSON.stringify(cleanTags(' Voluntário , voluntario,, Evento  março ').tags) === '["Voluntário","Evento março"]',
+    'comma lists are trimmed and repeats (any case or accents) dropped');
+  assert(cleanTags(['x'.repeat(41)]).error && cleanTags([{}]).error && cleanTags(5).error, 'long, non-text and non-list tags are refused');
+  assert(JSON.stringify(cleanTags(null).tags) === '[]', 'null clears the tags');
+
+  const counts = countTags(contacts);
+  assert(counts[0].tag === 'Voluntário' && counts[0].count === 2 && counts.length === 3,
+    'counts group spellings and sort by use');
+
+  assert(select('tags=VOLUNTARIO') === '1,2', 'tags match ignoring case and accents');
+  assert(select({ tags: ['liderança comunitária', 'evento março'] }) === '1,3', 'a list matches any of the tags');
+  assert(select('tags!=voluntário') === '3,4,5', 'ne matches contacts without the tag, untagged included');
+  assert(select('not tags') === '4,5', 'empty tag lists count as no tags');
+  assert(parseFilter('tags>3').error.includes('not supported'), 'ordering operators are refused for tags');
+}
+
+function testSegments(filePath) {
+  console.log('\n=== Saved segments ===');
+
+  const segments = new SegmentRegistry({ filePath });
+  const volunteers = segments.create({ name: 'Voluntários', description: 'Quem ajuda nos mutirões', filter: 'tags=voluntário' }).entry;
+  assert(volunteers.id === 'voluntarios' && volunteers.filter === 'tags=voluntário', 'segments keep the filter as written');
+
+  assert(segments.create({ name: 'VOLUNTARIOS', filter: 'age>1' }).conflict, 'names are unique ignoring case and accents');
+  assert(segments.create({ name: 'Todos', filter: '' }).error === 'filter is required', 'a segment must filter something');
+  assert(segments.create({ name: 'Ruim', filter: 'age>' }).error.startsWith('Invalid filter'), 'filter syntax errors are reported');
+  assert(segments.create({ name: 'Fantasma', filter: 'segment=inexistente' }).error.includes('Unknown segment'),
+    'unknown segment references are refused');
+
+  segments.create({ name: 'Voluntários idosos', filter: { segment: 'Voluntários', age: { gte: 60 } } });
+  assert(select('segment="voluntários idosos"', segments) === '1', 'segments may build on other segments');
+  assert(select({ segment: ['voluntarios-idosos', 'voluntarios'] }, segments) === '1,2', 'a list matches any segment');
+  assert(select('segment!=voluntarios neighborhood=Jardim', segments) === '4,5', 'segments combine with other conditions');
+  assert(select('segment=Nenhum', segments).includes('Unknown segment'), 'unknown segments are filter errors');
+  assert(parseFilter('segment=voluntarios').error.includes('not available'), 'segments need the registry');
+
+  assert(segments.update('voluntarios', { filter: 'segment=voluntarios-idosos' }).error.includes('refers back'),
+    'a segment cannot end up including itself');
+  assert(segments.remove('voluntarios').error.includes('Voluntários idosos'), 'segments used by others cannot be removed');
+  assert(segments.update('voluntarios', { name: 'Voluntariado' }).error, 'segments referred to by name keep their name');
+  segments.update('voluntarios-idosos', { filter: 'segment=voluntarios age>=60' });
+  assert(segments.update('voluntarios', { name: 'Voluntariado' }).entry.name === 'Voluntariado',
+    'references by id survive a rename');
+  assert(select('segment=voluntarios-idosos', segments) === '1', 'segments are evaluated when used');
+
+  const reloaded = new SegmentRegistry({ filePath });
+  assert(reloaded.list().length === 2 && reloaded.resolve('voluntariado').description === 'Quem ajuda nos mutirões',
+    'segments are persisted');
+
+  const parsed = filterFromQuery({ segment: 'voluntariado', tags: 'evento março' }, { segments: reloaded });
+  assert(contacts.filter(compileFilter(parsed.filter)).map(contact => contact.id).join(',') === '1',
+    'segment and tags work as query parameters');
+
+  const residents = new ResidentFilterService().filterResidents(contacts, {
+    type: 'segment',
+    matches: compileFilter(reloaded.filterOf('voluntariado').filter)
+  });
+  assert(residents.map(resident => resident.id).join(',') === '1,2' && residents[0].tags.length === 2,
+    'the notification agent lists the residents of a segment');
+}
+
+function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-segments-test-'));
+
+  try {
+    testTags();
+    testSegments(path.join(tmpDir, 'segments.json'));
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
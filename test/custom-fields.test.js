@@ -0,0 +1,163 @@
+/**
+ * Custom Fields Test
+ * Field definitions (types, rules, fixed type, persistence), value checks for new and edited
+ * contacts, custom.<id> in filters and admin-defined fields as cross-tab dimensions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CustomFieldRegistry } = require('../services/customFields');
+const { parseFilter, compileFilter } = require('../services/query');
+const { JsonFileStorage } = require('../services/storage');
+const { NeighborhoodRegistry } = require('../services/neighborhoods');
+const { SegmentRegistry } = require('../services/segments');
+const { upgradeContact, validateContact, createContact } = require('../services/schema');
+const DataAccessLayer = require('../services/DataAccessLayer');
+const MunicipalAnalysisEngine = require('../services/MunicipalAnalysisEngine');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+function buildFields(filePath) {
+  const fields = new CustomFieldRegistry({ filePath });
+  fields.create({ label: 'Escola dos filhos', type: 'text', maxLength: 20 });
+  fields.create({ label: 'Linha de ônibus', type: 'select', options: 'Linha 12, Linha 3, linha 12', required: true });
+  fields.create({ label: 'Filhos', type: 'number', min: 0, max: 15 });
+  fields.create({ label: 'Pessoa com deficiência', type: 'boolean' });
+  fields.create({ label: 'Data de mudança', type: 'date' });
+  return fields;
+}
+
+function testDefinitions(filePath) {
+  console.log('\n=== Field definitions ===');
+
+  const fields = buildFields(filePath);
+  assert(fields.list().map(field => field.id).join(',') === 'escola-dos-filhos,linha-de-onibus,filhos,pessoa-com-deficiencia,data-de-mudanca',
+    'fields keep the order they were added in, with ids from the label');
+  assert(fields.get('linha-de-onibus').options.join('|') === 'Linha 12|Linha 3', 'select options are cleaned and deduplicated');
+
+  assert(fields.create({ label: 'FILHOS', type: 'text' }).conflict, 'labels are unique ignoring case and accents');
+  assert(fields.create({ label: 'Cor', type: 'color' }).error.includes('type must be'), 'unknown types are refused');
+  assert(fields.create({ label: 'Turno', type: 'select' }).error.includes('at least one option'), 'select fields need options');
+  assert(fields.create({ label: 'Renda', type: 'number', min: 10, max: 1 }).error.includes('min'), 'number limits must be in order');
+
+  assert(fields.update('filhos', { type: 'text' }).error.includes('cannot be changed'), 'the type of a field is fixed');
+  assert(fields.update('filhos', { label: 'Número de filhos', max: 20 }).entry.max === 20, 'labels and rules can change');
+
+  const reloaded = new CustomFieldRegistry({ filePath });
+  assert(reloaded.get('filhos').label === 'Número de filhos' && reloaded.list().length === 5, 'definitions are persisted');
+  return reloaded;
+}
+
+function testValues(fields) {
+  console.log('\n=== Values ===');
+
+  const created = fields.validateValues({
+    'linha-de-onibus': 'LINHA 12',
+    filhos: '2',
+    'pessoa-com-deficiencia': 'não',
+    'data-de-mudanca': '05/03/2024'
+  });
+  const { values } = created;
+  assert(values['linha-de-onibus'] === 'Linha 12' && values.filhos === 2 && values['pessoa-com-deficiencia'] === false &&
+    values['data-de-mudanca'] === '2024-03-05' && values['escola-dos-filhos'] === null,
+  'values are converted to their type and every field is present on new contacts');
+
+  assert(fields.validateValues({}).error === 'Linha de ônibus is required', 'required fields must be filled on new contacts');
+  assert(fields.validateValues({ filhos: 1 }, { partial: true }).values.filhos === 1, 'edits only carry the fields sent');
+  assert(fields.validateValues({ 'linha-de-onibus': '' }, { partial: true }).error.includes('required'), 'required fields cannot be cleared');
+  assert(fields.validateValues({ 'linha-de-onibus': 'Linha 99' }).error.includes('expected one of'), 'select values must be an option');
+  assert(fields.validateValues({ 'linha-de-onibus': 'Linha 3', filhos: 30 }).field === 'filhos', 'number limits are enforced');
+  assert(fields.validateValues({ 'linha-de-onibus': 'Linha 3', 'data-de-mudanca': '31/02/2024' }).error.includes('date'), 'impossible dates are refused');
+  assert(fields.validateValues({ 'linha-de-onibus': 'Linha 3', 'escola-dos-filhos': 'x'.repeat(21) }).error.includes('20'), 'text length is limited');
+  assert(fields.validateValues({ renda: 1 }, { partial: true }).error.includes('Unknown custom field'), 'unknown fields are refused');
+
+  const old = upgradeContact({ id: 1, name: 'Ana', whatsapp: '5511911111111', createdAt: '2024-01-01T00:00:00.000Z' });
+  assert(old.customFields === null && validateContact(old).length === 0, 'older records are upgraded with empty custom fields');
+  assert(validateContact(createContact({ id: 2, name: 'Bia', whatsapp: '5511922222222', createdAt: '2024-01-01T00:00:00.000Z', customFields: values })).length === 0,
+    'new records with custom values match the schema');
+}
+
+function testFilters() {
+  console.log('\n=== Filters ===');
+
+  const contacts = [
+    { id: 1, customFields: { 'linha-de-onibus': 'Linha 12', filhos: 2, 'pessoa-com-deficiencia': true } },
+    { id: 2, customFields: { 'linha-de-onibus': 'Linha 3', filhos: 0, 'pessoa-com-deficiencia': false } },
+    { id: 3 }
+  ];
+  const select = (input) => contacts.filter(compileFilter(parseFilter(input).filter)).map(contact => contact.id).join(',');
+
+  assert(select('custom.linha-de-onibus="linha 12"') === '1', 'select values match ignoring case');
+  assert(select('custom.filhos>=1') === '1' && select('custom.filhos=0..1') === '2', 'numbers compare by value');
+  assert(select('custom.pessoa-com-deficiencia=sim') === '1' && select('not custom.filhos') === '3', 'yes/no and presence checks work');
+  assert(parseFilter('customfilhos=1').error.includes('Unknown filter field'), 'other field names are still refused');
+}
+
+async function testCrossTab(tmpDir, fields) {
+  console.log('\n=== Cross-tabs ===');
+
+  const filePath = path.join(tmpDir, 'data.json');
+  const contact = (fields) => ({ name: 'Contato', whatsapp: '5511900000000', createdAt: '2025-01-10T00:00:00.000Z', ...fields });
+  fs.writeFileSync(filePath, JSON.stringify([
+    contact({ id: 1, neighborhood: 'Centro', customFields: { 'linha-de-onibus': 'Linha 3', 'pessoa-com-deficiencia': true }, survey: { satisfaction: 'Satisfeito' } }),
+    contact({ id: 2, neighborhood: 'centro', customFields: { 'linha-de-onibus': 'Linha 12' } }),
+    contact({ id: 3, neighborhood: 'Jardim', customFields: { 'linha-de-onibus': 'Linha 12', 'pessoa-com-deficiencia': false } }),
+    contact({ id: 4, neighborhood: 'Jardim' })
+  ]));
+  const storage = new JsonFileStorage({ filePath });
+  const neighborhoods = new NeighborhoodRegistry();
+  neighborhoods.create({ name: 'Centro' });
+  const dataAccess = new DataAccessLayer({ storage, neighborhoods, segments: new SegmentRegistry() });
+  const engine = new MunicipalAnalysisEngine({ dataAccess, customFields: fields });
+
+  const dimensions = engine.listDimensions().map(dimension => dimension.key);
+  assert(dimensions.includes('neighborhood') && dimensions.includes('custom.linha-de-onibus'), 'custom fields are offered as dimensions');
+
+  const tab = await engine.crossTab('neighborhood', 'custom.linha-de-onibus');
+  assert(tab.columnValues.join('|') === 'Linha 12|Linha 3|Não informado', 'select columns follow the option order, missing values last');
+  const centro = tab.table.find(row => row.value === 'Centro');
+  assert(centro.total === 2 && centro.counts['Linha 12'] === 1 && centro.counts['Linha 3'] === 1 && tab.total === 4,
+    'contacts are counted in one cell per row and column');
+
+  const yesNo = await engine.crossTab('custom.pessoa-com-deficiencia', 'answered', { filter: 'custom.linha-de-onibus' });
+  assert(yesNo.table.map(row => `${row.value}:${row.counts.Sim || 0}/${row.counts['Não'] || 0}`).join(',') === 'Sim:1/0,Não:0/1,Não informado:0/1',
+    'yes/no fields become Sim/Não buckets and filters narrow the contacts');
+
+  assert((await engine.crossTab('neighborhood', 'custom.renda')).error.includes('Unknown dimension'), 'unknown dimensions are reported');
+  assert((await engine.crossTab('neighborhood', 'issue', { filter: 'age>' })).error, 'invalid filters are reported');
+  await storage.close();
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'custom-fields-test-'));
+
+  try {
+    const fields = testDefinitions(path.join(tmpDir, 'custom-fields.json'));
+    testValues(fields);
+    testFilters();
+    await testCrossTab(tmpDir, fields);
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
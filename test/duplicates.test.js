@@ -0,0 +1,185 @@
+/**
+ * Duplicates Test
+ * Scores candidate duplicate pairs and merges contacts against a temporary JSON store,
+ * checking that merged ids keep resolving to the surviving contact
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStorage } = require('../services/storage');
+const { DuplicateFinder, ContactMerger, phoneKey, scorePair, mergeRecords } = require('../services/duplicates');
+const ContactTrash = require('../services/ContactTrash');
+const { createContact, validateContact } = require('../services/schema');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+function contact(fields) {
+  return createContact({ createdAt: '2025-01-10T12:00:00.000Z', ...fields });
+}
+
+function testScoring() {
+  console.log('\n=== Duplicate scoring ===');
+
+  assert(phoneKey('5511987654321') === phoneKey('551187654321') && phoneKey('(11) 98765-4321') === '1187654321',
+    'phone variants (country code, ninth digit, punctuation) share a key');
+
+  const typo = scorePair(
+    { name: 'José da Silva', age: 40, neighborhood: 'Vila Nova', whatsapp: '5511987654321' },
+    { name: 'Jose Silva', age: 41, neighborhood: 'vila nova', whatsapp: '551187654321' }
+  );
+  assert(typo.score >= 0.85 && typo.signals.phone === 0.9 && typo.signals.name === 1,
+    'accents, particles, a birthday and the ninth digit still score high');
+
+  const household = scorePair(
+    { name: 'Maria Souza', age: 62, neighborhood: 'Centro', whatsapp: '5511900000001' },
+    { name: 'Pedro Souza', age: 30, neighborhood: 'Centro', whatsapp: '5511900000001' }
+  );
+  assert(household.score < 0.6, 'relatives sharing a phone are not duplicates');
+
+  const noAge = scorePair(
+    { name: 'Ana Lima', age: null, neighborhood: 'Centro', whatsapp: '5511911112222' },
+    { name: 'Ana Lima', age: 30, neighborhood: 'Centro', whatsapp: '5511911112222' }
+  );
+  assert(noAge.signals.age === null && noAge.score === 1, 'missing signals are left out of the score');
+}
+
+function testFinder() {
+  console.log('\n=== Duplicate finder ===');
+
+  const contacts = [
+    contact({ id: 1, name: 'José da Silva', age: 40, neighborhood: 'Vila Nova', whatsapp: '5511987654321' }),
+    contact({ id: 2, name: 'Jose Silva', age: 40, neighborhood: 'Vila Nova', whatsapp: '551187654321' }),
+    contact({ id: 3, name: 'Carla Mendes', age: 25, neighborhood: 'Jardim', whatsapp: '5511955554444' }),
+    contact({ id: 4, name: 'Carla Mendez', age: 26, neighborhood: 'Jardim', whatsapp: '5511933332222' }),
+    contact({ id: 5, name: 'Bruno Lima', age: 33, neighborhood: 'Centro', whatsapp: '5511922221111' })
+  ];
+
+  const pairs = new DuplicateFinder().findPairs(contacts);
+  assert(pairs.map(pair => pair.id).join(',') === '1:2,3:4', 'similar contacts are paired, best match first');
+  assert(pairs[1].signals.phone === 0 && pairs[1].score >= 0.6, 'a name typo with another phone is still a candidate');
+  assert(new DuplicateFinder({ minScore: 0.9 }).findPairs(contacts).length === 1, 'minScore filters weaker pairs');
+
+  contacts[1].survey = { issue: 'Saúde', answeredAt: '2025-02-01T10:00:00.000Z' };
+  assert(new DuplicateFinder().findPairs(contacts)[0].survivorId === 2, 'the contact that answered is suggested as survivor');
+}
+
+function testMergeRecords() {
+  console.log('\n=== Merge rules ===');
+
+  const survivor = contact({
+    id: 1, name: 'José Silva', age: null, neighborhood: 'Vila Nova', whatsapp: '5511987654321',
+    createdAt: '2025-03-01T00:00:00.000Z',
+    whatsappSentAt: '2025-03-02T00:00:00.000Z', whatsappMessageId: 'wamid.A', whatsappStatus: 'sent',
+    survey: { issue: 'Saúde', otherIssue: null, satisfaction: null, participate: 'Sim', cep: null, complemento: null, answeredAt: '2025-03-05T00:00:00.000Z' }
+  });
+  const duplicate = contact({
+    id: 2, name: 'Jose da Silva', age: 40, neighborhood: 'Vila Nova', whatsapp: '551187654321',
+    createdAt: '2025-01-01T00:00:00.000Z',
+    whatsappSentAt: '2025-01-02T00:00:00.000Z', whatsappMessageId: 'wamid.B', whatsappStatus: 'read',
+    clickedAt: '2025-01-03T00:00:00.000Z',
+    survey: { issue: 'Transporte', otherIssue: null, satisfaction: 'Satisfeito', participate: 'Não', cep: '01001-000', complemento: null, answeredAt: '2025-01-04T00:00:00.000Z' },
+    mergedIds: [7]
+  });
+
+  const { record, discarded } = mergeRecords(survivor, duplicate, { name: 'duplicate' });
+  assert(record.id === 1 && record.name === 'Jose da Silva' && record.whatsapp === '5511987654321',
+    'the survivor keeps its id and values unless a field is taken from the duplicate');
+  assert(record.age === 40, 'blank fields are filled from the duplicate');
+  assert(record.whatsappMessageId === 'wamid.B' && record.whatsappStatus === 'read',
+    'the send that got furthest is kept as a whole');
+  assert(record.createdAt === duplicate.createdAt && record.clickedAt === duplicate.clickedAt,
+    'the earliest registration and click are kept');
+  assert(record.survey.issue === 'Transporte' && discarded.survey.issue === 'Saúde',
+    'the first survey answer wins and the later one is reported as discarded');
+  assert(JSON.stringify(record.mergedIds) === '[2,7]', 'merged ids include the duplicate and whatever it had absorbed');
+  assert(validateContact(record).length === 0, 'the merged record matches the schema');
+}
+
+async function testMerger(tmpDir) {
+  console.log('\n=== Contact merger ===');
+
+  const filePath = path.join(tmpDir, 'data.json');
+  fs.writeFileSync(filePath, JSON.stringify([
+    contact({ id: 1, name: 'José Silva', age: 40, neighborhood: 'Vila Nova', whatsapp: '5511987654321' }),
+    contact({ id: 2, name: 'Jose da Silva', age: 40, neighborhood: 'Vila Nova', whatsapp: '551187654321', clickedAt: '2025-01-11T00:00:00.000Z' }),
+    contact({ id: 3, name: 'Na Lixeira', age: 50, neighborhood: 'Centro', whatsapp: '5511900000003', deletedAt: '2025-01-12T00:00:00.000Z' }),
+    contact({ id: 4, name: 'Maria Souza', age: 30, neighborhood: 'Centro', whatsapp: '5511900000004' }),
+    contact({ id: 5, name: 'Maria de Souza', age: 30, neighborhood: 'Centro', whatsapp: '5511900000005' })
+  ]));
+  const storage = new JsonFileStorage({ filePath });
+  const trash = new ContactTrash({ storage });
+  const merger = new ContactMerger({ storage, trash });
+
+  const events = [];
+  storage.on('change', event => events.push(event));
+
+  assert((await merger.merge(1, 1)).error, 'a contact cannot be merged into itself');
+  assert((await merger.merge(1, 2, { fields: { deletedAt: 'duplicate' } })).error, 'unknown field choices are rejected');
+  assert((await merger.merge(1, 3)) === null, 'trashed contacts are not merged');
+
+  const result = await merger.merge(1, 2, { context: { actor: 'admin' } });
+  assert(result.mergedId === 2 && result.record.clickedAt === '2025-01-11T00:00:00.000Z',
+    'the duplicate engagement is carried into the survivor');
+  assert((await storage.findById(2)) === null, 'the duplicate is removed');
+  assert(events.map(event => event.type).join(',') === 'update,delete' && events.every(event => event.context.source === 'merge'),
+    'the merge is recorded with source "merge"');
+
+  assert((await merger.resolve(2)).id === 1 && (await merger.resolve(1)).id === 1, 'merged ids resolve to the survivor');
+  assert((await merger.resolve(3)) === null && (await merger.resolve(99)) === null, 'trashed and unknown ids do not resolve');
+  assert((await storage.find({ mergedIds: 2 })).length === 1, 'storage filters match values inside array fields');
+
+  // An admin edits one of the pair after the merge has read it
+  const racing = editedWhileMerging => new ContactMerger({
+    storage,
+    trash: Object.assign(Object.create(trash), {
+      async findActiveById(id) {
+        const record = await trash.findActiveById(id);
+        if (id === editedWhileMerging) await storage.update(id, { age: 31 });
+        return record;
+      }
+    })
+  });
+  const survivorEdited = await racing(4).merge(4, 5);
+  assert(survivorEdited.conflict && survivorEdited.conflict.id === 4 && (await storage.findById(5)) && (await storage.findById(4)).age === 31,
+    'an edit to the survivor during the merge is kept and nothing is merged');
+  const duplicateEdited = await racing(5).merge(4, 5);
+  const survivor = await storage.findById(4);
+  assert(duplicateEdited.conflict && duplicateEdited.conflict.id === 5 && (await storage.findById(5)).age === 31,
+    'an edit to the duplicate during the merge keeps it from being removed');
+  assert(!survivor.mergedIds && survivor.name === 'Maria Souza', 'the survivor is put back when the duplicate cannot be removed');
+  await storage.close();
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-test-'));
+
+  try {
+    testScoring();
+    testFinder();
+    testMergeRecords();
+    await testMerger(tmpDir);
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,112 @@
+/**
+ * List Query Test
+ * Query-string parsing, sorting on nested fields, projection and page/cursor pagination
+ * used by the contact listing
+ */
+
+const { parseListQuery, runListQuery, MAX_LIMIT } = require('../services/query');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+function ids(result) {
+  return result.data.map(record => record.id).join(',');
+}
+
+const records = [
+  { id: 1, name: 'Bruno', age: 40, createdAt: '2025-01-03T00:00:00.000Z', survey: { answeredAt: '2025-02-01T00:00:00.000Z', satisfaction: 3 } },
+  { id: 2, name: 'ana', age: 25, createdAt: '2025-01-01T00:00:00.000Z', survey: null },
+  { id: 3, name: 'Ágata', age: 31, createdAt: '2025-01-05T00:00:00.000Z', survey: { answeredAt: '2025-02-03T00:00:00.000Z', satisfaction: 5 } },
+  { id: 4, name: 'Carlos', age: 25, createdAt: '2025-01-02T00:00:00.000Z' },
+  { id: 5, name: 'Bruno', age: 52, createdAt: '2025-01-04T00:00:00.000Z', survey: { answeredAt: '2025-02-02T00:00:00.000Z', satisfaction: 3 } }
+];
+
+function testParsing() {
+  console.log('\n=== Query parsing ===');
+
+  const parsed = parseListQuery({ sort: '-createdAt, survey.satisfaction', fields: 'name,survey.issue' });
+  assert(parsed.sort.length === 2 && parsed.sort[0].descending && parsed.sort[0].field === 'createdAt' && !parsed.sort[1].descending,
+    'sort takes a comma list with "-" for descending');
+  assert(parsed.fields.join(',') === 'name,survey.issue' && parsed.paginate === false, 'fields are split and listing is unpaged by default');
+  assert(parseListQuery({ limit: '10' }).paginate && parseListQuery({ limit: '10' }).page === 1, 'a limit alone starts paging at page 1');
+
+  assert(parseListQuery({ sort: 'name;drop' }).error, 'malformed sort fields are rejected');
+  assert(parseListQuery({ fields: 'a..b' }).error, 'malformed projection fields are rejected');
+  assert(parseListQuery({ page: '0' }).error && parseListQuery({ page: '1.5' }).error, 'page must be a positive integer');
+  assert(parseListQuery({ limit: String(MAX_LIMIT + 1) }).error && parseListQuery({ limit: 'abc' }).error,
+    `limit must be between 1 and ${MAX_LIMIT}`);
+  assert(parseListQuery({ cursor: 'not-a-cursor' }).error, 'garbage cursors are rejected');
+}
+
+function testSorting() {
+  console.log('\n=== Sorting ===');
+
+  assert(ids(runListQuery(records, parseListQuery({}))) === '1,2,3,4,5', 'without sort records come in id order');
+  assert(ids(runListQuery(records, parseListQuery({ sort: 'name' }))) === '3,2,1,5,4',
+    'text sorts ignore case and accents, ties fall back to id');
+  assert(ids(runListQuery(records, parseListQuery({ sort: '-age' }))) === '5,1,3,2,4', 'numbers sort numerically, descending');
+  assert(ids(runListQuery(records, parseListQuery({ sort: 'survey.answeredAt' }))) === '1,5,3,2,4',
+    'nested fields sort with blanks last');
+  assert(ids(runListQuery(records, parseListQuery({ sort: '-survey.answeredAt' }))) === '3,5,1,2,4',
+    'blanks stay last when descending');
+  assert(ids(runListQuery(records, parseListQuery({ sort: '-survey.satisfaction,-createdAt' }))) === '3,5,1,4,2',
+    'later sort fields break ties');
+}
+
+function testProjectionAndPaging() {
+  console.log('\n=== Projection and pagination ===');
+
+  const projected = runListQuery(records, parseListQuery({ fields: 'name,survey.satisfaction' }));
+  assert(JSON.stringify(projected.data[0]) === JSON.stringify({ id: 1, name: 'Bruno', survey: { satisfaction: 3 } }),
+    'projection keeps the id and only the requested paths');
+  assert(JSON.stringify(projected.data[1]) === JSON.stringify({ id: 2, name: 'ana' }), 'missing paths are left out');
+  assert(records[0].age === 40 && records[0].survey.answeredAt, 'projection does not touch the stored records');
+
+  const second = runListQuery(records, parseListQuery({ sort: 'name', page: '2', limit: '2' }));
+  assert(ids(second) === '1,5' && second.total === 5 && second.pages === 3 && second.page === 2,
+    'pages report the slice, total and page count');
+  assert(runListQuery(records, parseListQuery({ page: '9', limit: '2' })).data.length === 0, 'pages past the end are empty');
+
+  const seen = [];
+  let query = { sort: '-survey.answeredAt', limit: '2' };
+  for (let i = 0; i < 5; i++) {
+    const result = runListQuery(records, parseListQuery(query));
+    seen.push(ids(result));
+    if (!result.nextCursor) break;
+    query = { sort: query.sort, limit: '2', cursor: result.nextCursor };
+  }
+  assert(seen.join('|') === '3,5|1,2|4', 'cursors walk every record once, blanks included');
+
+  const first = runListQuery(records, parseListQuery({ sort: 'name', limit: '2' }));
+  const grown = [...records, { id: 6, name: 'Aaron', age: 20 }];
+  assert(ids(runListQuery(grown, parseListQuery({ sort: 'name', limit: '2', cursor: first.nextCursor }))) === '1,5',
+    'a cursor continues after its last row even when earlier records are added');
+  assert(parseListQuery({ sort: '-age,name', cursor: first.nextCursor }).error, 'a cursor only works with its own sort');
+}
+
+function runAllTests() {
+  try {
+    testParsing();
+    testSorting();
+    testProjectionAndPaging();
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,199 @@
+/**
+ * Neighborhoods Test
+ * Registry matching (aliases, accents), the contact normalizer against a temporary JSON store,
+ * and analyses grouping spelling variants under one canonical neighborhood
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStorage, BackupManager } = require('../services/storage');
+const { NeighborhoodRegistry, NeighborhoodNormalizer } = require('../services/neighborhoods');
+const { ContactImporter } = require('../services/import');
+const { createContact, validateContact } = require('../services/schema');
+const DataAccessLayer = require('../services/DataAccessLayer');
+const MunicipalAnalysisEngine = require('../services/MunicipalAnalysisEngine');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+function contact(fields) {
+  return createContact({ name: 'Teste', age: 30, whatsapp: '5511900000000', createdAt: '2025-01-10T12:00:00.000Z', ...fields });
+}
+
+function testRegistry(tmpDir) {
+  console.log('\n=== Neighborhood registry ===');
+
+  const filePath = path.join(tmpDir, 'neighborhoods.json');
+  const registry = new NeighborhoodRegistry({ filePath });
+
+  const { entry } = registry.create({ name: 'Jardim São José', aliases: 'Jd São José, JSJ', region: 'Norte' });
+  assert(entry.id === 'jardim-sao-jose' && entry.aliases.length === 2 && entry.region === 'Norte',
+    'entries get a slug id, cleaned aliases and a region');
+  assert(registry.resolve('  jardim sao jose ').id === entry.id && registry.resolve('JD. SÃO JOSÉ').id === entry.id,
+    'names and aliases match ignoring case, accents, punctuation and spacing');
+
+  registry.create({ name: 'Centro', region: 'Centro' });
+  const conflict = registry.create({ name: 'Vila Nova', aliases: ['centro'] });
+  assert(conflict.error && conflict.conflict.id === 'centro', 'an alias already used by another entry is rejected');
+  assert(registry.update('centro', { name: 'JSJ' }).error, 'renaming onto another entry alias is rejected');
+  assert(registry.update('centro', { aliases: ['Centro Histórico'] }).entry.id === 'centro', 'updates keep the id');
+  assert(registry.update('nowhere', { name: 'X' }) === null, 'updating an unknown id returns null');
+
+  assert(registry.suggest('Jardim Sao Jsoe')[0].id === entry.id, 'typos get the closest entry as a suggestion');
+  assert(JSON.stringify(registry.normalize('centro historico')) === JSON.stringify({ neighborhood: 'Centro', neighborhoodId: 'centro', known: true }),
+    'normalize returns the canonical name and id');
+  assert(registry.normalize(' Bairro   Novo ').neighborhoodId === null && registry.normalize(' Bairro   Novo ').neighborhood === 'Bairro Novo',
+    'unknown text is only cleaned');
+
+  const reloaded = new NeighborhoodRegistry({ filePath });
+  assert(reloaded.list().map(item => item.name).join(',') === 'Centro,Jardim São José' && reloaded.regions().join(',') === 'Centro,Norte',
+    'the list is persisted and sorted');
+
+  assert(registry.remove('centro') && !registry.remove('centro') && registry.resolve('Centro') === null,
+    'removed entries stop resolving');
+}
+
+async function testNormalizer(tmpDir) {
+  console.log('\n=== Contact normalizer ===');
+
+  const filePath = path.join(tmpDir, 'data.json');
+  fs.writeFileSync(filePath, JSON.stringify([
+    contact({ id: 1, neighborhood: 'Jd São José' }),
+    contact({ id: 2, neighborhood: 'jardim sao jose ' }),
+    contact({ id: 3, neighborhood: 'Vila  Esperança' }),
+    contact({ id: 4, neighborhood: 'vila esperanca' }),
+    contact({ id: 5, neighborhood: 'Vila Esperança' }),
+    contact({ id: 6, neighborhood: 'Jardim São José', deletedAt: '2025-02-01T00:00:00.000Z' })
+  ]));
+  const backups = new BackupManager({ dir: path.join(tmpDir, 'backups') });
+  const storage = new JsonFileStorage({ filePath, backups });
+  const registry = new NeighborhoodRegistry();
+  registry.create({ name: 'Jardim São José', aliases: ['Jd São José'] });
+  const normalizer = new NeighborhoodNormalizer({ storage, registry });
+
+  const events = [];
+  storage.on('change', event => events.push(event));
+
+  const preview = await normalizer.run();
+  assert(preview.dryRun && preview.changed === 4 && events.length === 0, 'the default run is a dry run and writes nothing');
+  assert(preview.unmatched.length === 1 && preview.unmatched[0].count === 3, 'spelling variants of an unknown value are reported together');
+
+  const report = await normalizer.run({ dryRun: false, seed: true, context: { actor: 'admin' } });
+  const esperanca = registry.resolve('vila esperanca');
+  assert(report.seeded.length === 1 && esperanca && esperanca.name === 'Vila Esperança',
+    'seeding registers unknown values once, named after the most frequent spelling');
+
+  const records = await storage.find();
+  assert(records.filter(record => record.neighborhoodId === 'jardim-sao-jose').length === 3
+    && records.every(record => record.neighborhoodId), 'every contact, trashed ones included, points at an entry');
+  assert(records.find(record => record.id === 2).neighborhood === 'Jardim São José', 'the text is rewritten to the canonical name');
+  assert(records.every(record => validateContact(record).length === 0), 'normalized records match the schema');
+  assert(events.length === report.changed && events.every(event => event.type === 'update' && event.context.source === 'normalize')
+    && report.backup, 'the changed contacts are written as journaled updates, with a backup taken first');
+
+  assert((await normalizer.run({ dryRun: false })).changed === 0 && events.length === report.changed,
+    'running again changes nothing and writes nothing');
+
+  // A contact edited between the read and the write: nothing is applied and the edit survives
+  await storage.update(3, { neighborhood: 'vila  esperanca' });
+  await storage.update(4, { neighborhood: 'VILA ESPERANCA' });
+  const find = storage.find.bind(storage);
+  storage.find = async (...args) => {
+    const found = await find(...args);
+    await storage.update(4, { name: 'Editada' });
+    return found;
+  };
+  const raced = await normalizer.run({ dryRun: false });
+  delete storage.find;
+  const afterRace = await storage.find();
+  assert(raced.conflict && raced.conflict.id === 4, 'a contact changed during the run is reported as a conflict');
+  assert(afterRace.find(record => record.id === 4).name === 'Editada'
+    && afterRace.find(record => record.id === 3).neighborhood === 'vila  esperanca',
+    'on a conflict the concurrent edit is kept and no contact is remapped');
+
+  storage.find = async (...args) => {
+    const found = await find(...args);
+    await storage.update(1, { name: 'Outra' });
+    return found;
+  };
+  const retried = await normalizer.run({ dryRun: false });
+  delete storage.find;
+  const afterRetry = await storage.find();
+  assert(!retried.conflict && retried.changed === 2 && afterRetry.find(record => record.id === 1).name === 'Outra'
+    && afterRetry.find(record => record.id === 4).neighborhood === 'Vila Esperança',
+    'edits to contacts the run leaves alone are not overwritten');
+  await storage.close();
+}
+
+async function testAnalyses(tmpDir) {
+  console.log('\n=== Canonical grouping in analyses ===');
+
+  const filePath = path.join(tmpDir, 'analysis.json');
+  fs.writeFileSync(filePath, JSON.stringify([
+    contact({ id: 1, neighborhood: 'Centro', neighborhoodId: 'centro', whatsappSentAt: '2025-01-11T00:00:00.000Z' }),
+    contact({ id: 2, neighborhood: 'centro ' }),
+    contact({ id: 3, neighborhood: 'Centro Histórico' }),
+    contact({ id: 4, neighborhood: 'Vila Nova' }),
+    contact({ id: 5, neighborhood: 'vila nova' })
+  ]));
+  const storage = new JsonFileStorage({ filePath });
+  const neighborhoods = new NeighborhoodRegistry();
+  neighborhoods.create({ name: 'Centro', aliases: ['Centro Histórico'], region: 'Central' });
+
+  const dataAccess = new DataAccessLayer({ storage, neighborhoods });
+  const raw = await dataAccess.getNeighborhoodRawData();
+  assert(raw.centro.total === 3 && raw.centro.sent === 1 && raw.centro.region === 'Central',
+    'registered spellings and aliases are counted under the canonical id');
+  assert(raw['text:vila nova'].total === 2, 'unregistered values are grouped ignoring case and accents');
+
+  const filtered = await dataAccess.getAllContacts({ neighborhood: 'centro historico' });
+  assert(filtered.length === 3, 'filtering by an alias selects the whole neighborhood');
+
+  const engine = new MunicipalAnalysisEngine();
+  engine.dataAccess = dataAccess;
+  const analysis = await engine.analyzeNeighborhoods();
+  const centro = analysis.neighborhoods.find(item => item.neighborhoodId === 'centro');
+  assert(centro && centro.neighborhood === 'Centro' && analysis.neighborhoods.length === 2,
+    'the neighborhood analysis reports one row per canonical neighborhood');
+  assert(analysis.regions.some(region => region.region === 'Central'), 'regions are summarized');
+
+  const importer = new ContactImporter({ storage, neighborhoods });
+  const parsed = importer.parseRow(['Ana', '30', 'CENTRO HISTORICO', '11987654321'], { name: 0, age: 1, neighborhood: 2, whatsapp: 3 });
+  assert(parsed.contact.neighborhood === 'Centro' && parsed.contact.neighborhoodId === 'centro', 'imported rows are normalized');
+  neighborhoods.strict = true;
+  const rejected = importer.parseRow(['Ana', '30', 'Bairro Novo', '11987654321'], { name: 0, age: 1, neighborhood: 2, whatsapp: 3 });
+  assert(rejected.reasons.some(reason => reason.code === 'unknown_neighborhood'), 'strict mode rejects unknown neighborhoods on import');
+  await storage.close();
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'neighborhoods-test-'));
+
+  try {
+    testRegistry(tmpDir);
+    await testNormalizer(tmpDir);
+    await testAnalyses(tmpDir);
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,236 @@
+/**
+ * Open Survey Test
+ * Surveys answered through their public link: the open flag, the rate limit per IP, repeated answers
+ * (same device, same answers from the same IP), anonymous answers kept apart from contacts, and the
+ * channel that lets filters and the round analyses tell invited answers from public ones
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OpenResponseStore, SubmissionLimiter, resolveOpenSurveyConfig } = require('../services/openSurvey');
+const { SurveyRegistry, channelOf, withRound, surveyMirror } = require('../services/surveys');
+const { JsonFileStorage } = require('../services/storage');
+const { NeighborhoodRegistry } = require('../services/neighborhoods');
+const { SegmentRegistry } = require('../services/segments');
+const { CustomFieldRegistry } = require('../services/customFields');
+const { parseFilter, compileFilter } = require('../services/query');
+const { mergeRecords } = require('../services/duplicates/ContactMerger');
+const DataAccessLayer = require('../services/DataAccessLayer');
+const MunicipalAnalysisEngine = require('../services/MunicipalAnalysisEngine');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+const SURVEY_ID = 'pesquisa-informativa';
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+const MINUTE_MS = 60 * 1000;
+
+function testOpenFlag() {
+  console.log('\n=== Open surveys ===');
+
+  const surveys = new SurveyRegistry();
+  assert(surveys.getDefault().open === false, 'surveys are not open to the public by default');
+  const { entry } = surveys.update(SURVEY_ID, { open: true });
+  assert(entry.open === true && surveys.update(SURVEY_ID, { title: 'Pesquisa do bairro' }).entry.open === true,
+    'admins open a survey, and it stays open when other fields change');
+  assert(surveys.update(SURVEY_ID, { open: 'sim' }).error === 'open must be true or false', 'open takes only true or false');
+
+  const created = surveys.create({ title: 'Enquete', questions: [{ id: 'whatsapp', type: 'text', label: 'WhatsApp' }] });
+  assert(created.error && created.error.includes('reserved'), 'the contact fields of the public link cannot be question ids');
+}
+
+function testLimiter() {
+  console.log('\n=== Rate limit ===');
+
+  const limiter = new SubmissionLimiter({ limit: 2, windowMs: 10 * MINUTE_MS });
+  const start = NOW.getTime();
+  assert(limiter.hit('1.1.1.1', start).allowed && limiter.hit('1.1.1.1', start + 1000).remaining === 0, 'answers are counted per IP');
+  const blocked = limiter.hit('1.1.1.1', start + 2000);
+  assert(!blocked.allowed && blocked.retryAfter === 598, 'past the limit the IP is told when to try again');
+  assert(limiter.hit('2.2.2.2', start + 2000).allowed, 'other IPs are not affected');
+  assert(limiter.hit('1.1.1.1', start + 10 * MINUTE_MS).remaining === 1, 'a new window starts once the old one is over');
+  limiter.prune(start + 30 * MINUTE_MS);
+  assert(limiter.windows.size === 0, 'windows that are over are forgotten');
+
+  const unlimited = new SubmissionLimiter({ limit: 0 });
+  assert([1, 2, 3].every(() => unlimited.hit('1.1.1.1').allowed), 'a limit of 0 turns it off');
+
+  const config = resolveOpenSurveyConfig({ SESSION_SECRET: 's1', OPEN_SURVEY_RATE_LIMIT: '0', OPEN_SURVEY_RATE_WINDOW_MINUTES: 'x' });
+  assert(config.secret === 's1' && config.rateLimit === 0 && config.rateWindowMinutes === 60 && config.ipWindowMinutes === 30 && path.isAbsolute(config.filePath),
+    'OPEN_SURVEY_* settings have defaults and the secret falls back to SESSION_SECRET');
+}
+
+function testDuplicates(tmpDir) {
+  console.log('\n=== Repeated answers ===');
+
+  const filePath = path.join(tmpDir, 'open-responses.json');
+  const store = new OpenResponseStore({ secret: 'segredo', filePath, ipWindowMinutes: 30 });
+  const answers = { issue: 'Saúde', satisfaction: 'Satisfeito', cep: null };
+  const at = minutes => new Date(NOW.getTime() + minutes * MINUTE_MS);
+
+  const anonymous = store.record({ surveyId: SURVEY_ID, round: 1, answers, answeredAt: NOW.toISOString(), device: 'aparelho-1', ip: '10.0.0.1' });
+  assert(anonymous.answers.issue === 'Saúde' && anonymous.contactId === null, 'answers without a WhatsApp number are kept in the store');
+  assert(!JSON.stringify(anonymous).includes('aparelho-1') && !JSON.stringify(anonymous).includes('10.0.0.1'), 'devices and IPs are stored as hashes only');
+
+  const check = fields => store.findDuplicate({ surveyId: SURVEY_ID, round: 1, answers, now: at(5), ...fields });
+  assert(check({ device: 'aparelho-1', ip: '10.9.9.9' }).reason === 'device', 'a second answer from the same device is refused');
+  assert(check({ device: 'aparelho-2', ip: '10.0.0.1', answers: { satisfaction: 'Satisfeito', cep: null, issue: 'Saúde' } }).reason === 'ip',
+    'the same answers from the same IP within the window are a resubmission');
+  assert(check({ device: 'aparelho-2', ip: '10.0.0.1', answers: { ...answers, issue: 'Emprego' } }) === null,
+    'other answers from the same IP (a neighbour on the same connection) are accepted');
+  assert(check({ device: 'aparelho-2', ip: '10.0.0.1', now: at(31) }) === null, 'after the window the same answers are accepted again');
+  assert(store.findDuplicate({ surveyId: SURVEY_ID, round: 2, answers, device: 'aparelho-1' }) === null, 'each round is answered once per device');
+  assert(check({ device: null, ip: null }) === null, 'answers without a device or IP are only limited by the rest');
+
+  const linked = store.record({ surveyId: SURVEY_ID, round: 1, answers, answeredAt: NOW.toISOString(), contactId: 'C1', createdContact: true });
+  assert(linked.answers === null && linked.createdContact === true, 'answers given with a WhatsApp number stay on the contact only');
+  const claimed = store.record({ surveyId: SURVEY_ID, round: 1, answers, answeredAt: NOW.toISOString(), claimedContactId: 'C2' });
+  assert(claimed.contactId === null && claimed.claimedContactId === 'C2' && claimed.answers.issue === 'Saúde',
+    'answers given with the number of a registered resident are kept here, unverified, not on that resident');
+
+  // One number typed on two devices: the second answer is a repeat whatever device sends it
+  const phone = '5511988887777';
+  const first = store.record({ surveyId: SURVEY_ID, round: 1, answers, answeredAt: NOW.toISOString(), claimedContactId: 'C3', phone, device: 'aparelho-3', ip: '10.0.0.3' });
+  assert(first.phone && !JSON.stringify(first).includes(phone), 'WhatsApp numbers are stored as hashes only');
+  assert(check({ phone, device: 'aparelho-4', ip: '10.0.0.4', answers: { ...answers, issue: 'Emprego' } }).reason === 'phone',
+    'a number that already answered the round is a repeat from any device');
+  assert(check({ phone: '5511988886666', device: 'aparelho-4', ip: '10.0.0.4' }) === null
+    && store.findDuplicate({ surveyId: SURVEY_ID, round: 2, answers, phone }) === null, 'other numbers, and other rounds, are accepted');
+
+  const reloaded = new OpenResponseStore({ secret: 'segredo', filePath });
+  assert(reloaded.list(SURVEY_ID).length === 4 && reloaded.findDuplicate({ surveyId: SURVEY_ID, round: 1, device: 'aparelho-1' }),
+    'answers are kept across restarts');
+  assert(new OpenResponseStore({ secret: 'outro', filePath }).findDuplicate({ surveyId: SURVEY_ID, round: 1, device: 'aparelho-1' }) === null,
+    'hashes made with another secret do not match');
+}
+
+function testChannel() {
+  console.log('\n=== Channel ===');
+
+  const contact = { id: 1, name: 'Ana', whatsapp: '5511911111111', createdAt: NOW.toISOString(), surveyRounds: null };
+  const rounds = withRound(contact, SURVEY_ID, 1, { answeredAt: NOW.toISOString(), answers: { issue: 'Saúde' }, channel: 'open' });
+  const survey = surveyMirror(rounds, SURVEY_ID);
+  assert(survey.channel === 'open' && survey.issue === 'Saúde', 'contact.survey says when the answers came through the public link');
+  assert(channelOf(rounds[0]) === 'open' && channelOf({ answeredAt: NOW.toISOString() }) === 'invited' && channelOf(null) === 'invited',
+    'entries without a channel were invited');
+
+  const matches = (filter, record) => compileFilter(parseFilter(filter).filter)(record);
+  const invited = { ...contact, survey: { issue: 'Saúde', answeredAt: NOW.toISOString() } };
+  assert(matches('channel=open', { ...contact, survey }) && !matches('channel=open', invited) && matches('channel=invited', invited),
+    'the channel can be filtered on');
+  assert(!matches('channel=invited', contact), 'residents who did not answer have no channel');
+
+  // The survivor answered first by invitation; the open answer of the duplicate is dropped with its channel
+  const survivor = { ...contact, surveyRounds: withRound(contact, SURVEY_ID, 1, { answeredAt: '2026-02-01T00:00:00.000Z', answers: { issue: 'Saúde' } }) };
+  const duplicate = { ...contact, id: 2, surveyRounds: rounds };
+  const [merged] = mergeRecords(survivor, duplicate).record.surveyRounds;
+  assert(merged.answers.issue === 'Saúde' && channelOf(merged) === 'invited', 'merged rounds keep the channel of the answers kept');
+}
+
+async function testAnalyses(tmpDir) {
+  console.log('\n=== Analyses ===');
+
+  const surveys = new SurveyRegistry();
+  surveys.openRound(SURVEY_ID, { label: 'Julho' });
+  const round = (number, satisfaction, extra = {}) => ({
+    surveyId: SURVEY_ID, round: number, sentAt: '2026-01-01T00:00:00.000Z', messageId: null, provider: 'mock', status: 'delivered',
+    statusUpdatedAt: null, clickedAt: '2026-01-01T01:00:00.000Z', answeredAt: '2026-01-01T02:00:00.000Z',
+    answers: { issue: 'Saúde', satisfaction }, channel: null, draft: null, ...extra
+  });
+  const openRound = (number, satisfaction) => ({
+    surveyId: SURVEY_ID, round: number, sentAt: null, messageId: null, provider: null, status: null, statusUpdatedAt: null, clickedAt: null,
+    answeredAt: '2026-01-05T02:00:00.000Z', answers: { issue: 'Emprego', satisfaction }, channel: 'open', draft: null
+  });
+  const contact = (id, rounds) => ({ id, name: `Contato ${id}`, whatsapp: '5511900000000', neighborhood: 'Centro', createdAt: '2026-01-01T00:00:00.000Z', surveyRounds: rounds });
+  const filePath = path.join(tmpDir, 'data.json');
+  fs.writeFileSync(filePath, JSON.stringify([
+    contact(1, [round(1, 'Satisfeito'), round(2, 'Insatisfeito')]),
+    contact(2, [round(1, 'Neutro'), round(2, null, { clickedAt: null, answeredAt: null, answers: null })]),
+    contact(3, [openRound(2, 'Muito satisfeito')])
+  ]));
+
+  const openResponses = new OpenResponseStore({ secret: 'segredo' });
+  openResponses.record({ surveyId: SURVEY_ID, round: 2, answers: { issue: 'Emprego', satisfaction: 'Muito insatisfeito' }, answeredAt: '2026-01-06T00:00:00.000Z' });
+  openResponses.record({ surveyId: SURVEY_ID, round: 2, answers: null, answeredAt: '2026-01-05T02:00:00.000Z', contactId: 3 });
+
+  const storage = new JsonFileStorage({ filePath });
+  const dataAccess = new DataAccessLayer({ storage, neighborhoods: new NeighborhoodRegistry(), segments: new SegmentRegistry(), surveys, openResponses });
+  const engine = new MunicipalAnalysisEngine({ dataAccess, customFields: new CustomFieldRegistry(), surveys });
+
+  try {
+    const entries = await dataAccess.getSurveyRoundEntries(SURVEY_ID);
+    const anonymous = entries.filter(({ contact }) => contact === null);
+    assert(anonymous.length === 1 && anonymous[0].entry.channel === 'open' && anonymous[0].entry.answers.satisfaction === 'Muito insatisfeito',
+      'anonymous public answers are round entries without a contact; answers stored on a contact are not counted twice');
+    assert((await dataAccess.getSurveyRoundEntries(SURVEY_ID, { neighborhood: 'Centro' })).every(({ contact }) => contact),
+      'filters describe contacts, so they leave anonymous answers out');
+
+    const [, second] = (await engine.analyzeRoundFunnel()).rounds;
+    assert(second.answered === 3 && second.answeredBy.invited === 1 && second.answeredBy.open === 2, 'the funnel counts public answers apart');
+    assert(second.invited === 2 && second.rates.response === '50.0' && second.rates.completion === '100.0',
+      'response rates follow the invitations only');
+
+    const all = await engine.compareRounds();
+    const open = await engine.compareRounds({ channel: 'open' });
+    const byInvitation = await engine.compareRounds({ channel: 'invited' });
+    assert(all.to.respondents === 3 && open.to.respondents === 2 && byInvitation.to.respondents === 1 && open.from.respondents === 0,
+      'rounds can be compared on invited or public answers only');
+    assert(all.sameResidents.count === 1 && open.channel === 'open', 'anonymous answers are never paired with another round');
+    assert((await engine.compareRounds({ channel: 'instagram' })).error.includes('Unknown channel'), 'unknown channels are reported');
+
+    const dropoff = await engine.analyzeDropOff({ round: 2 });
+    assert(dropoff.completed === 1, 'the drop-off analysis reads invited answers only (public links save nothing half done)');
+
+    // One more public answer and one through the link handed out at registration, neither of them sent
+    await storage.insert(contact(4, [openRound(2, 'Satisfeito')]));
+    await storage.insert(contact(5, [round(2, 'Neutro', { sentAt: null, status: null })]));
+    const [, withUninvited] = (await engine.analyzeRoundFunnel()).rounds;
+    assert(withUninvited.answered === 5 && withUninvited.answeredBy.invited === 1 && withUninvited.answeredBy.open === 3
+      && withUninvited.answeredBy.direct === 1, 'answers without an invitation are counted apart from the invited ones');
+    assert(withUninvited.invited === 2 && withUninvited.clicked === 1 && withUninvited.rates.click === '50.0'
+      && withUninvited.rates.response === '50.0' && withUninvited.rates.completion === '100.0',
+      'clicks and answers without an invitation do not push the rates past 100%');
+
+    // Unverified answers given with the numbers of residents 1 (who answered round 2) and 2 (who did not)
+    openResponses.record({ surveyId: SURVEY_ID, round: 2, answers: { issue: 'Lazer', satisfaction: 'Neutro' }, answeredAt: '2026-01-07T00:00:00.000Z', claimedContactId: 1 });
+    openResponses.record({ surveyId: SURVEY_ID, round: 2, answers: { issue: 'Lazer', satisfaction: 'Neutro' }, answeredAt: '2026-01-07T00:00:00.000Z', claimedContactId: 2 });
+    const claimed = (await dataAccess.getSurveyRoundEntries(SURVEY_ID)).filter(({ contact, entry }) => contact === null && entry.answers.issue === 'Lazer');
+    assert(claimed.length === 1, 'an unverified answer is not counted for a number whose resident answered the round');
+  } finally {
+    await storage.close();
+  }
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'open-survey-test-'));
+
+  try {
+    testOpenFlag();
+    testLimiter();
+    testDuplicates(tmpDir);
+    testChannel();
+    await testAnalyses(tmpDir);
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
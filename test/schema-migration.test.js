@@ -0,0 +1,194 @@
+/**
+ * Contact Schema & Migration Test
+ * Upgrades records written by older versions of the app, validates them against
+ * the declared schema and runs the MigrationRunner on a temporary JSON store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStorage, BackupManager, NdjsonJournal } = require('../services/storage');
+const {
+  CURRENT_SCHEMA_VERSION,
+  MigrationRunner,
+  validateContact,
+  versionOf,
+  upgradeContact,
+  createContact
+} = require('../services/schema');
+const DataAccessLayer = require('../services/DataAccessLayer');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+// Shapes found in older data.json files
+function legacyContacts() {
+  return [
+    {
+      id: 1,
+      name: 'Morador Antigo',
+      age: '42',
+      neighborhood: 'Centro',
+      whatsapp: '5511999000001',
+      createdAt: '2024-01-10T10:00:00.000Z',
+      whatsappSentAt: null,
+      survey: { issue: 'Saúde', satisfaction: 'Satisfeito', participate: 'Sim', answeredAt: '2024-01-11T10:00:00.000Z' }
+    },
+    {
+      id: 2,
+      name: 'Morador Editado',
+      age: 30,
+      neighborhood: 'Vila Nova',
+      whatsapp: '5511999000002',
+      createdAt: '2024-02-10T10:00:00.000Z',
+      updatedAt: '2024-02-12T10:00:00.000Z',
+      whatsappLastError: 'Timeout',
+      whatsappLastErrorAt: '2024-02-11T10:00:00.000Z',
+      survey: null
+    }
+  ];
+}
+
+function testUpgrade() {
+  console.log('\n=== Record upgrades ===');
+
+  const [old, edited] = legacyContacts();
+  assert(versionOf(old) === 0, 'records without schemaVersion are treated as version 0');
+  assert(validateContact(old).length > 0, 'legacy records do not match the declared schema');
+
+  const upgraded = upgradeContact(old);
+  assert(upgraded.schemaVersion === CURRENT_SCHEMA_VERSION, 'upgradeContact() stamps the current version');
+  assert(upgraded.age === 42, 'numeric string ages become numbers');
+  assert(upgraded.survey.cep === null && upgraded.survey.complemento === null && upgraded.survey.otherIssue === null,
+    'old surveys get cep/complemento/otherIssue');
+  assert(upgraded.updatedAt === null && upgraded.whatsappLastError === null && upgraded.clickedAt === null,
+    'missing optional fields are declared as null');
+  assert(validateContact(upgraded).length === 0, 'upgraded records pass validation');
+  assert(old.schemaVersion === undefined && old.survey.cep === undefined, 'upgrading does not mutate the input');
+  assert(upgradeContact(upgraded) === upgraded, 'records at the current version are returned unchanged');
+
+  const upgradedEdited = upgradeContact(edited);
+  assert(upgradedEdited.updatedAt === edited.updatedAt && upgradedEdited.whatsappLastError === 'Timeout',
+    'existing values are kept');
+
+  const fresh = createContact({ id: 3, name: 'Novo', age: 20, neighborhood: 'Centro', whatsapp: '5511999000003', createdAt: new Date().toISOString() });
+  assert(validateContact(fresh).length === 0, 'createContact() builds a valid record');
+
+  const broken = { ...fresh, name: null, age: 'abc', createdAt: 'ontem' };
+  const errors = validateContact(broken);
+  assert(errors.includes('name is required') && errors.includes('age must be a number') && errors.includes('createdAt must be a date'),
+    'validation reports required fields and wrong types');
+  assert(validateContact({ ...fresh, survey: { issue: 'Saúde' } }).some(e => e.startsWith('survey.')),
+    'nested survey fields are validated');
+}
+
+async function testRunner(tmpDir) {
+  console.log('\n=== Migration runner ===');
+
+  const filePath = path.join(tmpDir, 'data.json');
+  fs.writeFileSync(filePath, JSON.stringify(legacyContacts(), null, 2));
+  const backups = new BackupManager({ dir: path.join(tmpDir, 'backups'), onWrite: false });
+  const storage = new JsonFileStorage({ filePath, backups });
+  storage.backups = backups;
+  const journal = new NdjsonJournal({ filePath: path.join(tmpDir, 'data.journal.ndjson') });
+  await journal.attach(storage);
+  const runner = new MigrationRunner({ storage });
+
+  let status = await runner.status();
+  assert(status.total === 2 && status.pending === 2 && status.byVersion[0] === 2, 'status() counts records per version');
+
+  let validation = await runner.validate();
+  assert(validation.valid === 0 && validation.invalid.length === 2, 'validate() flags outdated records');
+
+  const dryRun = await runner.migrate({ dryRun: true });
+  assert(dryRun.migrated === 2 && dryRun.invalid.length === 0, 'a dry run reports the records to upgrade');
+  assert((await storage.find()).every(record => record.schemaVersion === undefined), 'a dry run writes nothing');
+
+  const report = await runner.migrate();
+  assert(report.migrated === 2 && report.backup && report.backup.id.startsWith('data.backup.'), 'migrate() upgrades after a safety backup');
+  assert(backups.readBackup(report.backup.id).every(record => record.schemaVersion === undefined), 'the backup holds the data before the upgrade');
+
+  const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert(stored.every(record => record.schemaVersion === CURRENT_SCHEMA_VERSION), 'upgraded records are persisted');
+
+  validation = await runner.validate();
+  assert(validation.valid === 2, 'everything validates after migrating');
+
+  const again = await runner.migrate();
+  assert(again.migrated === 0 && again.backup === null, 'running again is a no-op');
+
+  await journal.flush();
+  const entries = await journal.getEntries();
+  assert(entries.map(entry => entry.type).join(',') === 'baseline,update,update'
+    && entries.slice(1).every(entry => entry.source === 'migration'), 'the journal records each upgraded contact as a migration update');
+
+  // A contact edited between the read and the write: nothing is applied and the edit survives
+  fs.writeFileSync(filePath, JSON.stringify(legacyContacts(), null, 2));
+  const find = storage.find.bind(storage);
+  storage.find = async (...args) => {
+    const found = await find(...args);
+    await storage.update(2, { name: 'Editado' });
+    return found;
+  };
+  const raced = await runner.migrate();
+  delete storage.find;
+  const afterRace = await storage.find();
+  assert(raced.conflict && raced.conflict.id === 2 && afterRace.find(record => record.id === 2).name === 'Editado'
+    && afterRace.every(record => record.schemaVersion === undefined), 'a contact changed during the upgrade is reported and nothing is applied');
+  await runner.migrate();
+
+  await storage.update(1, { schemaVersion: CURRENT_SCHEMA_VERSION + 1 });
+  let error = null;
+  try {
+    await runner.migrate();
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('newer'), 'records from a newer schema are not touched');
+  await storage.close();
+}
+
+async function testDataAccessLayer(tmpDir) {
+  console.log('\n=== DataAccessLayer reads ===');
+
+  const filePath = path.join(tmpDir, 'legacy.json');
+  fs.writeFileSync(filePath, JSON.stringify(legacyContacts(), null, 2));
+  const storage = new JsonFileStorage({ filePath });
+  const contacts = await new DataAccessLayer({ storage }).getAllContacts();
+
+  assert(contacts.length === 2 && contacts.every(contact => validateContact(contact).length === 0),
+    'DataAccessLayer returns legacy records in the current shape');
+  assert(JSON.parse(fs.readFileSync(filePath, 'utf8'))[0].schemaVersion === undefined,
+    'reading does not rewrite the data file');
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-test-'));
+
+  try {
+    testUpgrade();
+    await testRunner(tmpDir);
+    await testDataAccessLayer(tmpDir);
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,565 @@
+/**
+ * Storage Adapter Contract Test
+ * Runs the same contract against the JSON file backend and the MongoDB backend
+ * (the latter through an in-memory stand-in for the Mongoose model)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStorage, MongoStorage, BackupManager, NdjsonJournal, MongoJournal, createStorage, RevisionConflictError } = require('../services/storage');
+const { matchesFilter } = require('../services/storage/StorageAdapter');
+const DataAccessLayer = require('../services/DataAccessLayer');
+const MunicipalAnalysisEngine = require('../services/MunicipalAnalysisEngine');
+const ContactTrash = require('../services/ContactTrash');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+/**
+ * Minimal in-memory stand-in for a Mongoose model.
+ * Implements only the calls MongoStorage and MongoJournal make: find(...).sort().limit().lean(),
+ * findOne/findOneAndUpdate(...).lean(), create, deleteOne, deleteMany and insertMany.
+ */
+function createInMemoryModel() {
+  const docs = [];
+  let nextObjectId = 1;
+  const query = (result) => ({
+    sort: (spec) => {
+      const [[key, direction]] = Object.entries(spec);
+      return query([...result].sort((a, b) => (a[key] - b[key]) * direction));
+    },
+    limit: (n) => query(result.slice(0, n)),
+    lean: async () => (result === null ? null : JSON.parse(JSON.stringify(result)))
+  });
+
+  return {
+    docs,
+    find: (filter = {}) => query(docs.filter(doc => matchesFilter(doc, filter))),
+    findOne: (filter = {}) => query(docs.find(doc => matchesFilter(doc, filter)) || null),
+    create: async (record) => {
+      const doc = { _id: String(nextObjectId++), ...JSON.parse(JSON.stringify(record)) };
+      docs.push(doc);
+      return { toObject: () => ({ ...doc }) };
+    },
+    findOneAndUpdate: (filter, update) => {
+      const doc = docs.find(d => matchesFilter(d, filter));
+      if (doc) Object.assign(doc, update.$set);
+      return query(doc || null);
+    },
+    deleteOne: async (filter) => {
+      const index = docs.findIndex(d => matchesFilter(d, filter));
+      if (index === -1) return { deletedCount: 0 };
+      docs.splice(index, 1);
+      return { deletedCount: 1 };
+    },
+    deleteMany: async () => {
+      const deletedCount = docs.length;
+      docs.splice(0, docs.length);
+      return { deletedCount };
+    },
+    insertMany: async (records) => {
+      records.forEach(record => docs.push({ _id: String(nextObjectId++), ...JSON.parse(JSON.stringify(record)) }));
+      return records;
+    }
+  };
+}
+
+function sampleContact(id, overrides = {}) {
+  return {
+    id,
+    name: `Morador ${id}`,
+    age: 30,
+    neighborhood: 'Centro',
+    whatsapp: `5511999${String(id).padStart(6, '0')}`,
+    createdAt: new Date().toISOString(),
+    whatsappSentAt: null,
+    whatsappMessageId: null,
+    clickedAt: null,
+    survey: null,
+    ...overrides
+  };
+}
+
+async function runContract(label, storage) {
+  console.log(`\n=== Storage contract: ${label} ===`);
+
+  const changes = [];
+  const events = [];
+  storage.on('change', event => {
+    changes.push(event.type);
+    events.push(event);
+  });
+
+  await storage.insert(sampleContact(1));
+  await storage.insert(sampleContact(2, { neighborhood: 'Jardim', survey: { satisfaction: 'Satisfeito' } }));
+  await storage.insert(sampleContact(3, { whatsappMessageId: 'wamid.3' }));
+
+  const all = await storage.find();
+  assert(all.length === 3, `${label}: find() returns every record`);
+  assert(all.every(record => record._id === undefined), `${label}: records come back without internal _id`);
+
+  const centro = await storage.find({ neighborhood: 'Centro' });
+  assert(centro.length === 2, `${label}: find(filter) matches by field`);
+
+  const satisfied = await storage.find({ 'survey.satisfaction': 'Satisfeito' });
+  assert(satisfied.length === 1 && satisfied[0].id === 2, `${label}: find(filter) supports nested paths`);
+
+  const byMessage = await storage.findOne({ whatsappMessageId: 'wamid.3' });
+  assert(byMessage && byMessage.id === 3, `${label}: findOne(filter) returns the first match`);
+
+  const found = await storage.findById(2);
+  assert(found && found.name === 'Morador 2', `${label}: findById() returns the record`);
+  assert(await storage.findById(99) === null, `${label}: findById() returns null when missing`);
+
+  const updated = await storage.update(1, { clickedAt: '2025-01-01T00:00:00.000Z', name: undefined });
+  assert(updated && updated.clickedAt === '2025-01-01T00:00:00.000Z', `${label}: update() applies changes`);
+  assert(updated.name === 'Morador 1', `${label}: update() ignores undefined values`);
+  assert(await storage.update(99, { name: 'x' }) === null, `${label}: update() returns null when missing`);
+
+  assert(await storage.delete(3) === true, `${label}: delete() removes an existing record`);
+  assert(await storage.delete(3) === false, `${label}: delete() returns false when missing`);
+  assert((await storage.find()).length === 2, `${label}: deleted record is gone`);
+
+  assert(changes.join(',') === 'insert,insert,insert,update,delete', `${label}: emits change events for each mutation`);
+
+  await storage.update(2, { neighborhood: 'Vila Nova' }, { actor: 'admin', ip: '127.0.0.1', source: 'test' });
+  const updateEvent = events[events.length - 1];
+  assert(updateEvent.previous && updateEvent.previous.neighborhood === 'Jardim' && updateEvent.record.neighborhood === 'Vila Nova',
+    `${label}: update events carry the previous record`);
+  assert(updateEvent.context.actor === 'admin' && updateEvent.context.source === 'test', `${label}: write context reaches change listeners`);
+
+  assert(updateEvent.record.revision === 1 && (await storage.update(2, { age: 41 })).revision === 2, `${label}: update() bumps the revision`);
+  let conflict = null;
+  try {
+    await storage.update(2, { age: 50 }, {}, { expectedRevision: 1 });
+  } catch (error) {
+    conflict = error;
+  }
+  assert(conflict instanceof RevisionConflictError && conflict.current.revision === 2 && (await storage.findById(2)).age === 41,
+    `${label}: update() at a stale expected revision is refused with the current record`);
+  assert((await storage.update(2, { age: 50 }, {}, { expectedRevision: 2 })).revision === 3,
+    `${label}: update() at the current revision applies`);
+
+  const batch = await storage.updateMany([{ id: 1, changes: { age: 20 } }, { id: 2, changes: { age: 21 } }]);
+  assert(batch.map(record => record.age).join(',') === '20,21', `${label}: updateMany() applies every update`);
+  let batchError = null;
+  try {
+    await storage.updateMany([{ id: 1, changes: { age: 30 } }, { id: 2, changes: { age: 31 }, expectedRevision: 1 }]);
+  } catch (error) {
+    batchError = error;
+  }
+  assert(batchError instanceof RevisionConflictError && (await storage.findById(1)).age === 20 && (await storage.findById(2)).age === 21,
+    `${label}: updateMany() applies nothing when one update fails`);
+
+  // Another write lands between updateWith()'s read and its write
+  let builds = 0;
+  const appended = await storage.updateWith(1, async current => {
+    builds++;
+    if (builds === 1) await storage.update(1, { tags: ['nova'] });
+    return { tags: [...(current.tags || []), 'lida'] };
+  });
+  assert(builds === 2 && appended.record.tags.join(',') === 'nova,lida', `${label}: updateWith() rebuilds its changes when the record changed meanwhile`);
+  assert((await storage.updateWith(1, () => null)).changes === null && await storage.updateWith(99, () => ({ age: 1 })) === null,
+    `${label}: updateWith() leaves the record alone when there is nothing to change, and misses unknown ids`);
+
+  const inserts = changes.length;
+  const stored = (await storage.find()).length;
+  const { inserted, skipped } = await storage.insertMany(
+    [sampleContact(4), sampleContact(5, { whatsapp: sampleContact(1).whatsapp }), sampleContact(6)],
+    {},
+    { uniqueBy: record => record.whatsapp }
+  );
+  assert(inserted.map(r => r.id).join(',') === '4,6' && (await storage.find()).length === stored + 2,
+    `${label}: insertMany() stores the records whose unique key is free`);
+  assert(skipped.length === 1 && skipped[0].record.id === 5 && skipped[0].existing.id === 1,
+    `${label}: insertMany() reports records whose key is already stored`);
+  assert(changes.length === inserts + 2 && changes.slice(inserts).every(type => type === 'insert'),
+    `${label}: insertMany() emits an insert event per stored record`);
+
+  const restored = await storage.replaceAll([sampleContact(7), sampleContact(8)]);
+  const afterReplace = await storage.find();
+  assert(restored === 2 && afterReplace.map(r => r.id).join(',') === '7,8', `${label}: replaceAll() swaps the whole dataset`);
+  assert(changes[changes.length - 1] === 'replace' && events[events.length - 1].records.length === 2,
+    `${label}: replaceAll() emits a replace event with the new records`);
+}
+
+async function testDataAccessLayerOnMongo() {
+  console.log('\n=== DataAccessLayer on the Mongo backend ===');
+
+  const storage = new MongoStorage({ model: createInMemoryModel() });
+  await storage.insert(sampleContact(10, { survey: { satisfaction: 'Insatisfeito', issue: 'Saúde' }, whatsappSentAt: '2025-01-01T00:00:00.000Z' }));
+  await storage.insert(sampleContact(11));
+
+  const dal = new DataAccessLayer({ storage });
+  const contacts = await dal.getAllContacts();
+  assert(contacts.length === 2, 'DataAccessLayer reads contacts through the storage adapter');
+
+  const dissatisfied = await dal.getDissatisfiedContactsRaw();
+  assert(dissatisfied.length === 1, 'DataAccessLayer filters work on Mongo-backed data');
+
+  await storage.insert(sampleContact(12));
+  const refreshed = await dal.loadData();
+  assert(refreshed.length === 3, 'DataAccessLayer cache is invalidated by storage writes');
+
+  // Routes build one DataAccessLayer per request; none of them may stay subscribed to the storage
+  for (let i = 0; i < 50; i++) await new DataAccessLayer({ storage }).loadData();
+  assert(storage.listenerCount('change') === 0, 'DataAccessLayer instances leave no listener on the shared storage');
+
+  const stats = await dal.getDataStats();
+  assert(stats.storage === 'mongo', 'getDataStats() reports the active storage driver');
+}
+
+async function testJsonConcurrency(tmpDir) {
+  console.log('\n=== JSON backend: serialized, atomic writes ===');
+
+  const filePath = path.join(tmpDir, 'concurrent.json');
+  const storage = new JsonFileStorage({ filePath });
+  for (let id = 1; id <= 5; id++) {
+    await storage.insert(sampleContact(id));
+  }
+
+  // Interleave status updates, survey answers and inserts the way webhooks and bulk sends do
+  await Promise.all([
+    ...[1, 2, 3, 4, 5].map(id => storage.update(id, { whatsappStatus: 'delivered' })),
+    ...[1, 2, 3, 4, 5].map(id => storage.update(id, { survey: { satisfaction: 'Neutro' } })),
+    storage.insert(sampleContact(6)),
+    storage.delete(5)
+  ]);
+
+  const onDisk = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert(onDisk.length === 5, 'Concurrent inserts and deletes are all applied');
+  assert(onDisk.filter(c => c.id <= 4).every(c => c.whatsappStatus === 'delivered' && c.survey),
+    'No concurrent update is lost');
+
+  const leftovers = fs.readdirSync(tmpDir).filter(f => f.endsWith('.tmp'));
+  assert(leftovers.length === 0, 'Atomic writes leave no temp files behind');
+
+  // A corrupt file must fail the write instead of being replaced by an empty list
+  fs.writeFileSync(filePath, '[{"id": 1,');
+  let error = null;
+  try {
+    await storage.update(1, { name: 'x' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error !== null, 'Writes refuse to run on an unreadable file');
+  assert(fs.readFileSync(filePath, 'utf8') === '[{"id": 1,', 'Unreadable file is left untouched');
+
+  // The queue keeps working after a failed task
+  fs.writeFileSync(filePath, '[]');
+  await storage.insert(sampleContact(7));
+  assert((await storage.find()).length === 1, 'Write queue recovers after a failed mutation');
+}
+
+async function testBackups(tmpDir) {
+  console.log('\n=== Backups: retention, diff, restore ===');
+
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+  const now = Date.UTC(2025, 5, 15, 12, 0, 0);
+  const manager = new BackupManager({ dir: path.join(tmpDir, 'retention'), keepLast: 3, keepHourly: 4, keepDaily: 3 });
+  const fake = (timestamp) => ({ id: `data.backup.${timestamp}.json`, timestamp });
+
+  const candidates = [
+    fake(now - 1000), fake(now - 2000), fake(now - 3000), fake(now - 4000), // same hour, only the last 3 survive
+    fake(now - 150 * MINUTE), fake(now - 151 * MINUTE),                      // hourly tier keeps the newest
+    fake(now - 2 * DAY), fake(now - 2 * DAY - HOUR),                         // daily tier keeps the newest
+    fake(now - 10 * DAY)                                                     // outside every tier
+  ];
+  const retained = manager.selectRetained(candidates, now);
+  assert(retained.has(fake(now - 1000).id) && retained.has(fake(now - 3000).id), 'Retention keeps the last N snapshots');
+  assert(!retained.has(fake(now - 4000).id), 'Retention drops extra snapshots inside an already covered hour');
+  assert(retained.has(fake(now - 150 * MINUTE).id) && !retained.has(fake(now - 151 * MINUTE).id), 'Hourly tier keeps the newest snapshot per hour');
+  assert(retained.has(fake(now - 2 * DAY).id) && !retained.has(fake(now - 2 * DAY - HOUR).id), 'Daily tier keeps the newest snapshot per day');
+  assert(!retained.has(fake(now - 10 * DAY).id), 'Snapshots older than every tier are dropped');
+
+  // The JSON backend snapshots before each write and prunes to the policy
+  const legacyDir = path.join(tmpDir, 'legacy');
+  fs.mkdirSync(legacyDir);
+  fs.writeFileSync(path.join(legacyDir, 'data.backup.1000.json'), JSON.stringify([sampleContact(99)]));
+  fs.writeFileSync(path.join(legacyDir, 'notes.json'), '[]');
+
+  const backups = new BackupManager({ dir: path.join(tmpDir, 'backups'), legacyDir, keepLast: 2, keepHourly: 0, keepDaily: 0 });
+  const storage = new JsonFileStorage({ filePath: path.join(tmpDir, 'backed-up.json'), backups });
+  for (let id = 1; id <= 4; id++) {
+    await storage.insert(sampleContact(id));
+  }
+  const managed = backups.listBackups().filter(b => !b.legacy);
+  assert(managed.length === 2, 'Write snapshots go to the backups directory and are pruned to keepLast');
+  assert(backups.listBackups().some(b => b.legacy && b.id === 'data.backup.1000.json'), 'Legacy root snapshots are listed but not pruned');
+  assert(backups.getBackup('../data.json') === null, 'Backup ids outside the naming pattern are rejected');
+
+  // Later write snapshots prune this one (keepLast: 2), so keep its contents around
+  const snapshot = backups.createBackup(await storage.find());
+  const snapshotRecords = backups.readBackup(snapshot.id);
+  await storage.update(1, { neighborhood: 'Jardim' });
+  await storage.delete(2);
+  await storage.insert(sampleContact(5));
+
+  const diff = backups.diff(snapshotRecords, await storage.find());
+  assert(diff.summary.added === 1 && diff.added[0].id === 5, 'Diff lists contacts added since the backup');
+  assert(diff.summary.removed === 1 && diff.removed[0].id === 2, 'Diff lists contacts removed since the backup');
+  const change = diff.changed.find(c => c.id === 1);
+  assert(diff.summary.changed === 1 && change.fields.length === 1 &&
+    change.fields[0].before === 'Centro' && change.fields[0].after === 'Jardim', 'Diff reports field-level before/after values');
+
+  await storage.replaceAll(snapshotRecords);
+  const restored = await storage.find();
+  assert(restored.map(c => c.id).join(',') === '1,2,3,4' && restored[0].neighborhood === 'Centro', 'Restoring a backup brings back its records');
+
+  const { imported } = backups.importLegacyBackups();
+  assert(imported === 1 && !fs.existsSync(path.join(legacyDir, 'data.backup.1000.json')), 'Legacy snapshots can be moved into the backups directory');
+
+  // With the data file gone, DataAccessLayer falls back to the newest snapshot from the manager
+  const missing = new JsonFileStorage({ filePath: path.join(tmpDir, 'missing', 'data.json'), backups });
+  const latest = backups.getLatestBackup();
+  const cwd = process.cwd();
+  process.chdir(fs.mkdtempSync(path.join(tmpDir, 'cwd-'))); // no data.json in the working directory either
+  try {
+    const dal = new DataAccessLayer({ storage: missing });
+    const data = await dal.loadData();
+    assert(data.length === backups.readBackup(latest.id).length, 'DataAccessLayer fallback reads the latest backup through the manager');
+  } finally {
+    process.chdir(cwd);
+  }
+}
+
+async function runJournal(label, storage, journal) {
+  console.log(`\n=== Change journal: ${label} ===`);
+
+  await storage.insert(sampleContact(1));
+  await storage.insert(sampleContact(2));
+  await journal.attach(storage);
+
+  let entries = await journal.getEntries();
+  assert(entries.length === 1 && entries[0].type === 'baseline' && entries[0].records.length === 2,
+    `${label}: an empty journal starts with a baseline of the current data`);
+
+  const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+  const afterBaseline = new Date().toISOString();
+  await tick();
+
+  await storage.update(1, { whatsappStatus: 'delivered', whatsappStatusUpdatedAt: new Date().toISOString() }, { source: 'webhook:meta' });
+  await storage.update(1, { survey: { satisfaction: 'Satisfeito' } }, { actor: 'admin', ip: '10.0.0.1', source: 'survey' });
+  await storage.update(1, { survey: { satisfaction: 'Satisfeito' } });
+  await tick();
+  const beforeDelete = new Date().toISOString();
+  await tick();
+  await storage.delete(2, { actor: 'admin' });
+  await storage.insert(sampleContact(3));
+
+  entries = await journal.getEntries();
+  assert(entries.map(e => e.type).join(',') === 'baseline,status,update,delete,create',
+    `${label}: create/update/status/delete are journaled in order and no-op updates are skipped`);
+  assert(entries.every((e, i) => e.seq === i + 1), `${label}: entries get increasing sequence numbers`);
+
+  const surveyEntry = entries.find(e => e.type === 'update');
+  assert(surveyEntry.actor === 'admin' && surveyEntry.ip === '10.0.0.1' && surveyEntry.source === 'survey',
+    `${label}: entries record who made the change`);
+  assert(surveyEntry.changes.length === 1 && surveyEntry.changes[0].field === 'survey' && surveyEntry.changes[0].before === null,
+    `${label}: entries record field-level before/after values`);
+
+  const forContact = await journal.getEntries({ contactId: 1 });
+  assert(forContact.length === 2, `${label}: entries can be filtered by contact`);
+
+  const history = await journal.getHistory(1);
+  assert(history.length === 2 && history[0].type === 'update' && history[0].actor === 'admin' && history[0].record === undefined,
+    `${label}: getHistory() lists a contact's audit trail newest first without record snapshots`);
+  const deletion = (await journal.getHistory(2))[0];
+  assert(deletion.type === 'delete' && deletion.changes.some(c => c.field === 'name' && c.before === 'Morador 2' && c.after === null),
+    `${label}: deletions keep the removed values in the audit trail`);
+
+  const atBaseline = await journal.reconstruct(afterBaseline);
+  assert(atBaseline.length === 2 && atBaseline.every(c => !c.survey && !c.whatsappStatus),
+    `${label}: reconstruct() returns the dataset before later changes`);
+
+  const midway = await journal.reconstruct(beforeDelete);
+  assert(midway.length === 2 && midway.find(c => c.id === 1).survey.satisfaction === 'Satisfeito',
+    `${label}: reconstruct() replays updates up to the requested time`);
+
+  const latest = await journal.reconstruct(new Date());
+  const current = await storage.find();
+  assert(JSON.stringify(latest.map(c => c.id).sort()) === JSON.stringify(current.map(c => c.id).sort()),
+    `${label}: reconstructing "now" matches the live data`);
+
+  assert((await journal.reconstruct('2000-01-01')).length === 0, `${label}: times before the journal started rebuild nothing`);
+
+  await storage.replaceAll([sampleContact(9)], { source: 'backup:test' });
+  assert((await journal.reconstruct(new Date())).map(c => c.id).join(',') === '9', `${label}: restores act as new checkpoints`);
+  assert((await journal.reconstruct(beforeDelete)).length === 2, `${label}: history before a restore is kept`);
+
+  // Historical analysis through the engine
+  const engine = new MunicipalAnalysisEngine({ dataAccess: new DataAccessLayer({ storage, asOf: beforeDelete }) });
+  const satisfaction = await engine.analyzeSatisfaction();
+  assert(satisfaction.total === 1, `${label}: MunicipalAnalysisEngine can analyze a historical state`);
+}
+
+async function testTrash() {
+  console.log('\n=== Contact trash ===');
+
+  const storage = new MongoStorage({ model: createInMemoryModel() });
+  const journal = new MongoJournal({ model: createInMemoryModel() });
+  await storage.insert(sampleContact(1));
+  await storage.insert(sampleContact(2));
+  await storage.insert(sampleContact(3));
+  await journal.attach(storage);
+  const trash = new ContactTrash({ storage, retentionDays: 30 });
+
+  const deleted = await trash.softDelete(1, { actor: 'admin' });
+  assert(deleted.deletedAt && deleted.deletedBy === 'admin' && deleted.purgeAt,
+    'softDelete() marks the contact and reports its purge date');
+  assert(await trash.softDelete(1) === null, 'a contact already in the trash cannot be deleted again');
+  assert((await trash.findActive()).map(c => c.id).join(',') === '2,3', 'findActive() hides trashed contacts');
+  assert(await trash.findActiveById(1) === null && (await storage.findById(1)) !== null,
+    'trashed contacts stay in storage but are not found as active');
+
+  const dal = new DataAccessLayer({ storage });
+  assert((await dal.getAllContacts()).length === 2, 'DataAccessLayer leaves trashed contacts out of analyses');
+
+  assert((await trash.listDeleted()).map(c => c.id).join(',') === '1', 'listDeleted() lists the trash');
+
+  const restored = await trash.restore(1);
+  assert(restored.record && !restored.record.deletedAt, 'restore() brings a contact back');
+  assert(await trash.restore(2) === null, 'restore() ignores contacts that are not in the trash');
+
+  await trash.softDelete(2);
+  await storage.insert(sampleContact(4, { whatsapp: sampleContact(2).whatsapp }));
+  const conflict = await trash.restore(2);
+  assert(conflict.error && conflict.conflict.id === 4, 'restore() refuses when another active contact has the number');
+
+  assert(await trash.purge(3) === false && (await storage.findById(3)) !== null, 'purge() only removes contacts in the trash');
+  assert(await trash.purge(2) === true && (await storage.findById(2)) === null, 'purge() removes a trashed contact for good');
+
+  await trash.softDelete(3);
+  await storage.update(3, { deletedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString() });
+  await trash.softDelete(4);
+  const purged = await trash.purgeExpired();
+  assert(purged.join(',') === '3' && (await storage.findById(4)) !== null, 'purgeExpired() only removes contacts past the retention period');
+
+  const types = (await journal.getEntries({ contactId: 1 })).map(e => e.type).join(',');
+  assert(types === 'trash,untrash', 'the journal records soft deletions and restores');
+}
+
+// Stand-in for the driver's Db: enough of collection(), createCollection() and rename() to
+// watch replaceAll() build the new dataset aside and swap it in
+function createNativeDb(collections) {
+  const handle = name => ({
+    async insertMany(docs) {
+      if (collections.failInsert) throw new Error('insert failed');
+      collections.set(name, (collections.get(name) || []).concat(docs));
+    },
+    async createIndex() {},
+    async rename(target, { dropTarget } = {}) {
+      if (!dropTarget && collections.has(target)) throw new Error('target exists');
+      collections.set(target, collections.get(name));
+      collections.delete(name);
+    },
+    async drop() {
+      collections.delete(name);
+    }
+  });
+  return {
+    collection: handle,
+    async createCollection(name) {
+      collections.set(name, []);
+    }
+  };
+}
+
+async function testMongoReplaceAll() {
+  console.log('\n=== MongoStorage replaceAll ===');
+
+  const collections = new Map([['contacts', [sampleContact(1)]]]);
+  const storage = new MongoStorage({ model: createInMemoryModel() });
+  storage.connection = { db: createNativeDb(collections) };
+
+  await storage.replaceAll([sampleContact(2), sampleContact(3)]);
+  assert(collections.get('contacts').map(c => c.id).join(',') === '2,3' && collections.size === 1,
+    'replaceAll() swaps a fully written collection in place of the live one');
+
+  collections.failInsert = true;
+  let error = null;
+  try {
+    await storage.replaceAll([sampleContact(4)]);
+  } catch (e) {
+    error = e;
+  }
+  assert(error && collections.get('contacts').map(c => c.id).join(',') === '2,3' && collections.size === 1,
+    'a failed replaceAll() leaves the live collection untouched and drops the partial copy');
+
+  collections.failInsert = false;
+  await storage.replaceAll([]);
+  assert(collections.get('contacts').length === 0, 'replaceAll([]) swaps in an empty collection');
+}
+
+function testFactory() {
+  console.log('\n=== Storage factory ===');
+
+  const json = createStorage({ driver: 'json', filePath: path.join(os.tmpdir(), 'factory.json') });
+  assert(json instanceof JsonFileStorage, 'driver=json creates a JsonFileStorage');
+
+  const withBackups = createStorage({
+    driver: 'json',
+    filePath: path.join(os.tmpdir(), 'factory.json'),
+    backups: { dir: path.join(os.tmpdir(), 'factory-backups'), keepLast: 5 }
+  });
+  assert(withBackups.backups instanceof BackupManager && withBackups.backups.policy.keepLast === 5,
+    'backups config attaches a BackupManager with the retention policy');
+
+  let error = null;
+  try {
+    createStorage({ driver: 'mongo', mongo: {} });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('MONGODB_URI'), 'driver=mongo without MONGODB_URI fails fast');
+
+  error = null;
+  try {
+    createStorage({ driver: 'sqlite' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('Unknown STORAGE_DRIVER'), 'unknown drivers are rejected');
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+
+  try {
+    await runContract('json', new JsonFileStorage({ filePath: path.join(tmpDir, 'data.json') }));
+    await runContract('mongo', new MongoStorage({ model: createInMemoryModel() }));
+    await testDataAccessLayerOnMongo();
+    await testMongoReplaceAll();
+    await testJsonConcurrency(tmpDir);
+    await testBackups(tmpDir);
+    const journalStorage = new JsonFileStorage({ filePath: path.join(tmpDir, 'journaled.json') });
+    await runJournal('ndjson', journalStorage, new NdjsonJournal({ filePath: path.join(tmpDir, 'journaled.journal.ndjson') }));
+    await runJournal('mongo', new MongoStorage({ model: createInMemoryModel() }), new MongoJournal({ model: createInMemoryModel() }));
+    await testTrash();
+    testFactory();
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
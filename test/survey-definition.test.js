@@ -0,0 +1,257 @@
+/**
+ * Survey Definition Test
+ * Survey definitions (question types, options, scales, fixed question types, show/skip rules, persistence),
+ * answers checked against them as POST /api/survey does, and analyses and filters reading the satisfaction scale
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SurveyRegistry, validateAnswers, scaleOf, getSurveyRegistry, setSurveyRegistry } = require('../services/surveys');
+const { parseFilter, compileFilter } = require('../services/query');
+const { JsonFileStorage } = require('../services/storage');
+const { NeighborhoodRegistry } = require('../services/neighborhoods');
+const { SegmentRegistry } = require('../services/segments');
+const { CustomFieldRegistry } = require('../services/customFields');
+const { upgradeContact, validateContact } = require('../services/schema');
+const DataAccessLayer = require('../services/DataAccessLayer');
+const MunicipalAnalysisEngine = require('../services/MunicipalAnalysisEngine');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+// A themed survey with a 0-10 scale and every question type
+const HEALTH_SURVEY = {
+  title: 'Serviços de saúde',
+  description: 'Avaliação das unidades de saúde',
+  questions: [
+    { id: 'unit', type: 'single', label: 'Qual unidade você usa?', required: true, options: ['UBS Centro', 'UBS Jardim', { value: 'Outra', other: true }] },
+    { id: 'services', type: 'multi', label: 'Quais serviços usou?', options: ['Consulta', 'Vacina', 'Exames'] },
+    {
+      id: 'satisfaction',
+      type: 'scale',
+      label: 'De 0 a 10, qual sua nota?',
+      required: true,
+      options: Array.from({ length: 11 }, (_, score) => ({ value: String(score), score }))
+    },
+    { id: 'comment', type: 'text', label: 'Comentário', maxLength: 30 },
+    { id: 'cep', type: 'cep', label: 'CEP' }
+  ]
+};
+
+function testDefinitions(filePath) {
+  console.log('\n=== Definitions ===');
+
+  const surveys = new SurveyRegistry({ filePath });
+  const builtIn = surveys.getDefault();
+  assert(builtIn.id === 'pesquisa-informativa' && builtIn.questions.map(question => question.id).join(',') === 'cep,issue,satisfaction,participate',
+    'without a file the original survey.html questions are used');
+  assert(builtIn.questions[1].otherId === 'otherIssue' && builtIn.questions[1].options.find(option => option.other).value === 'Outros',
+    'the "Outros" text keeps going to otherIssue');
+  assert(!fs.existsSync(filePath), 'nothing is written until a survey changes');
+
+  const { entry } = surveys.create(HEALTH_SURVEY);
+  assert(entry.id === 'servicos-de-saude' && entry.questions[0].otherId === 'otherUnit', 'new surveys get an id from the title and default otherIds');
+  assert(surveys.create({ ...HEALTH_SURVEY, title: 'SERVIÇOS DE SAÚDE' }).conflict, 'titles are unique ignoring case and accents');
+
+  const invalid = (questions) => surveys.create({ title: 'Teste', questions }).error || '';
+  assert(invalid([]).includes('at least one question'), 'surveys need questions');
+  assert(invalid([{ id: 'nota', type: 'stars', label: 'Nota' }]).includes('type must be'), 'unknown question types are refused');
+  assert(invalid([{ id: 'answeredAt', type: 'text', label: 'Quando' }]).includes('reserved'), 'ids stored next to the answers are reserved');
+  assert(invalid([{ id: 'nota', type: 'scale', label: 'Nota', options: [{ value: 'Boa', score: 2 }, { value: 'Ruim' }] }]).includes('numeric score'),
+    'every scale option needs a score');
+  assert(invalid([{ id: 'regiao', type: 'single', label: 'Região', options: ['Centro', 'centro'] }]).includes('repeats'), 'options cannot repeat');
+  assert(invalid([{ id: 'cep', type: 'cep', label: 'CEP' }, { id: 'cep2', type: 'cep', label: 'Outro CEP' }]).includes('one CEP'),
+    'a survey has at most one CEP question');
+  assert(invalid([{ id: 'unit', type: 'single', label: 'A', options: ['x'] }, { id: 'unit', type: 'text', label: 'B' }]).includes('two questions'),
+    'question ids are unique');
+
+  const changed = { ...HEALTH_SURVEY, questions: HEALTH_SURVEY.questions.map(question => (question.id === 'comment' ? { ...question, type: 'single', options: ['Sim'] } : question)) };
+  assert(surveys.update(entry.id, changed).error.includes('cannot be changed'), 'a question keeps its type, so stored answers keep their meaning');
+  assert(surveys.update(entry.id, { description: 'Nova descrição' }).entry.description === 'Nova descrição', 'titles, descriptions and questions can change');
+
+  assert(surveys.remove(builtIn.id).error && surveys.remove('servicos-de-saude').removed, 'the survey residents answer cannot be removed, others can');
+  surveys.create(HEALTH_SURVEY);
+
+  const reloaded = new SurveyRegistry({ filePath });
+  assert(reloaded.list().length === 2 && reloaded.getDefault().id === builtIn.id, 'definitions are persisted, the original survey included');
+  return reloaded;
+}
+
+function testAnswers(surveys) {
+  console.log('\n=== Answers ===');
+
+  const builtIn = surveys.getDefault();
+  const base = { cep: '01310100', issue: 'saúde', satisfaction: 'Satisfeito', participate: 'Sim' };
+  const { answers } = validateAnswers(builtIn, { ...base, id: 1, complemento: '  lado ímpar ' });
+  assert(answers.cep === '01310-100' && answers.complemento === 'lado ímpar' && answers.issue === 'Saúde' && answers.otherIssue === null,
+    'answers are stored as the options are written, CEP formatted, other keys ignored');
+
+  const other = validateAnswers(builtIn, { ...base, issue: 'Outros', otherIssue: ' Iluminação pública ' }).answers;
+  assert(other.issue === 'Iluminação pública' && other.otherIssue === 'Iluminação pública', 'the "Outros" text replaces the answer, as before');
+  assert(validateAnswers(builtIn, { ...base, issue: 'Outros' }).answers.issue === 'Outros', '"Outros" without a text stays "Outros"');
+
+  assert(validateAnswers(builtIn, { ...base, cep: '' }).error === 'cep required', 'required questions must be answered');
+  assert(validateAnswers(builtIn, { ...base, cep: '0131' }).error === 'Invalid CEP format', 'CEPs have 8 digits');
+  const wrong = validateAnswers(builtIn, { ...base, satisfaction: 'Ótimo' });
+  assert(wrong.field === 'satisfaction' && wrong.error.includes('must be one of'), 'answers must be one of the options');
+  assert(validateAnswers(builtIn, { ...base, participate: ['Sim'] }).error, 'single choice questions take one value');
+
+  const health = surveys.get('servicos-de-saude');
+  const full = validateAnswers(health, { unit: 'Outra', otherUnit: 'UPA Norte', services: ['exames', 'Consulta', 'Exames'], satisfaction: 7, comment: 'Boa' }).answers;
+  assert(full.unit === 'UPA Norte' && full.services.join(',') === 'Consulta,Exames' && full.satisfaction === '7',
+    'multi choice answers follow the option order without repeats; scale answers may be sent as numbers');
+  assert(full.cep === null && full.complemento === null, 'optional questions left blank are stored as null');
+  assert(validateAnswers(health, { unit: 'UBS Centro', satisfaction: '5', services: 'Vacina, Raio X' }).error.includes('must be one of'),
+    'every multi choice answer must be an option');
+  assert(validateAnswers(health, { unit: 'UBS Centro', satisfaction: '5', comment: 'x'.repeat(31) }).error.includes('30'), 'text answers are limited');
+
+  const record = upgradeContact({ id: 1, name: 'Ana', whatsapp: '5511911111111', createdAt: '2025-01-01T00:00:00.000Z', survey: { ...full, answeredAt: '2025-01-02T00:00:00.000Z' } });
+  assert(validateContact(record).length === 0, 'answers of any survey match the contact schema');
+}
+
+function testConditions(surveys) {
+  console.log('\n=== Conditional questions ===');
+
+  const builtIn = surveys.getDefault();
+  const conditional = {
+    title: 'Pesquisa com ramificações',
+    questions: [
+      ...builtIn.questions,
+      {
+        id: 'healthService', type: 'single', label: 'Qual serviço de saúde?', required: true,
+        options: ['UBS', 'Hospital', 'Farmácia popular'], showIf: { question: 'issue', in: ['saude'] }
+      },
+      {
+        id: 'reason', type: 'text', label: 'Por que está insatisfeito?', required: true,
+        showIf: [{ question: 'satisfaction', in: ['Insatisfeito', 'Muito insatisfeito'] }]
+      },
+      { id: 'events', type: 'multi', label: 'Quais eventos?', options: ['Feira', 'Mutirão'], showIf: { question: 'participate', notIn: 'Não' } },
+      { id: 'eventsOther', type: 'text', label: 'Sugestões de evento', showIf: { question: 'events', in: ['Mutirão'] } }
+    ]
+  };
+  const { entry } = surveys.create(conditional);
+  assert(entry.questions[4].showIf[0].in.join(',') === 'Saúde' && entry.questions[6].showIf[0].notIn.join(',') === 'Não',
+    'rules are stored as lists of conditions with the options as written');
+
+  const invalid = (showIf, extra = {}) => surveys.create({ title: 'Regras', questions: [
+    { id: 'issue', type: 'single', label: 'Problema', options: ['Saúde', 'Emprego'] },
+    { id: 'comment', type: 'text', label: 'Comentário' },
+    { id: 'detail', type: 'text', label: 'Detalhe', showIf, ...extra }
+  ] }).error || '';
+  assert(invalid({ question: 'later', in: ['x'] }).includes('earlier question'), 'rules name an earlier question, so they cannot loop');
+  assert(invalid({ question: 'comment', in: ['x'] }).includes('can only depend'), 'rules depend on choice questions');
+  assert(invalid({ question: 'issue', in: ['Lazer'] }).includes('not an option'), 'rules use the options of the question');
+  assert(invalid({ question: 'issue', in: ['Saúde'], notIn: ['Emprego'] }).includes('either in or notIn'), 'a condition has one operator');
+  assert(invalid([]).includes('1 to'), 'a rule needs at least one condition');
+
+  const base = { cep: '01310100', issue: 'Emprego', satisfaction: 'Satisfeito', participate: 'Não' };
+  const plain = validateAnswers(entry, base);
+  assert(plain.answers && plain.answers.healthService === null && plain.answers.reason === null && plain.answers.events === null,
+    'skipped questions are stored as null and their required does not apply');
+
+  assert(validateAnswers(entry, { ...base, issue: 'Saúde' }).error === 'healthService required', 'a question asked by the answers is required as usual');
+  assert(validateAnswers(entry, { ...base, issue: 'Saúde', healthService: 'UBS' }).answers.healthService === 'UBS', 'issue = Saúde asks for the health service');
+  const refused = validateAnswers(entry, { ...base, healthService: 'UBS' });
+  assert(refused.field === 'healthService' && refused.error.includes('not asked'), 'answers to skipped questions are refused');
+
+  const unhappy = validateAnswers(entry, { ...base, satisfaction: 'Muito insatisfeito', reason: 'Ruas sem iluminação' });
+  assert(unhappy.answers.reason === 'Ruas sem iluminação', 'dissatisfied residents are asked why');
+  assert(validateAnswers(entry, { ...base, satisfaction: 'Neutro', reason: 'x' }).field === 'reason', 'others are not');
+
+  const events = { ...base, participate: 'Sim', events: ['Mutirão'], eventsOther: 'Plantio' };
+  assert(validateAnswers(entry, events).answers.eventsOther === 'Plantio', 'notIn asks the question unless one of the options is chosen');
+  assert(validateAnswers(entry, { ...events, participate: 'Não' }).field === 'events', 'and skips it when one is');
+  assert(validateAnswers(entry, { ...events, events: ['Feira'] }).field === 'eventsOther', 'multi choice answers match when any option matches');
+
+  const other = validateAnswers(entry, { ...base, issue: 'Outros', otherIssue: 'Saúde mental', healthService: 'UBS' });
+  assert(other.field === 'healthService', 'rules compare the option chosen, not the text typed for "Outros"');
+  surveys.remove(entry.id);
+}
+
+function testScales(surveys) {
+  console.log('\n=== Scales ===');
+
+  const five = scaleOf(surveys.getDefault(), 'satisfaction');
+  assert(five.values.join(',') === 'Muito insatisfeito,Insatisfeito,Neutro,Satisfeito,Muito satisfeito', 'scale values go from the lowest score up');
+  assert(five.low.join(',') === 'Muito insatisfeito,Insatisfeito' && five.neutral.join(',') === 'Neutro' && five.high.length === 2,
+    'answers below the middle count as dissatisfied');
+  assert(five.scoreOf('muito satisfeito') === 5 && five.scoreOf('Talvez') === null, 'scores are found ignoring case');
+
+  const eleven = scaleOf(surveys.get('servicos-de-saude'), 'satisfaction');
+  assert(eleven.low.length === 5 && eleven.neutral.join(',') === '5' && eleven.maxScore === 10, 'other scales have their own middle');
+  assert(scaleOf(surveys.getDefault(), 'issue') === null, 'only scale questions have a scale');
+}
+
+async function testAnalyses(tmpDir, surveys) {
+  console.log('\n=== Analyses ===');
+
+  // The health survey becomes the one residents answer
+  const healthFirst = new SurveyRegistry();
+  healthFirst.setEntries([surveys.get('servicos-de-saude'), surveys.getDefault()]);
+
+  const filePath = path.join(tmpDir, 'data.json');
+  const contact = (id, satisfaction, age) => ({
+    id, name: `Contato ${id}`, whatsapp: '5511900000000', age, createdAt: '2025-01-10T00:00:00.000Z',
+    survey: { unit: 'UBS Centro', satisfaction, answeredAt: '2025-01-11T00:00:00.000Z' }
+  });
+  fs.writeFileSync(filePath, JSON.stringify([contact(1, '10', 30), contact(2, '0', 31), contact(3, '5', 70), contact(4, '2', 72)]));
+  const storage = new JsonFileStorage({ filePath });
+  const dataAccess = new DataAccessLayer({ storage, neighborhoods: new NeighborhoodRegistry(), segments: new SegmentRegistry(), surveys: healthFirst });
+  const engine = new MunicipalAnalysisEngine({ dataAccess, customFields: new CustomFieldRegistry(), surveys: healthFirst });
+
+  const satisfaction = await engine.analyzeSatisfaction();
+  assert(satisfaction.averageScore === 2.7 && satisfaction.maxScore === 5, 'scores of other scales are reported on the usual 1-5 range');
+  assert(satisfaction.dissatisfiedCount === 2 && (await dataAccess.getDissatisfiedContactsRaw()).length === 2,
+    'dissatisfied residents are those below the middle of the scale');
+
+  const dissatisfied = await engine.getDissatisfiedResidents();
+  assert(dissatisfied.residents.find(resident => resident.satisfaction === '0').priority === 'HIGH', 'the bottom of the scale has the highest priority');
+
+  const tab = await engine.crossTab('satisfaction', 'answered');
+  assert(tab.table.map(row => row.value).join(',') === '10,5,2,0', 'satisfaction buckets follow the scale, best first');
+
+  const previous = getSurveyRegistry();
+  setSurveyRegistry(healthFirst);
+  try {
+    const contacts = [{ id: 1, survey: { satisfaction: '8' } }, { id: 2, survey: { satisfaction: '3' } }];
+    const matches = contacts.filter(compileFilter(parseFilter('satisfaction<=5').filter)).map(match => match.id);
+    assert(matches.join(',') === '2', 'satisfaction filters compare by the current scale');
+  } finally {
+    setSurveyRegistry(previous);
+  }
+  await storage.close();
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'survey-definition-test-'));
+
+  try {
+    const surveys = testDefinitions(path.join(tmpDir, 'surveys.json'));
+    testAnswers(surveys);
+    testConditions(surveys);
+    testScales(surveys);
+    await testAnalyses(tmpDir, surveys);
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
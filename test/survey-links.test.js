@@ -0,0 +1,112 @@
+/**
+ * Survey Links Test
+ * Signed survey link tokens (issue, verify, tampering, other secrets, expiry, single use),
+ * telling tokens from contact ids and the SURVEY_TOKEN_* / SURVEY_ID_LINKS_UNTIL settings
+ */
+
+const { SurveyLinkTokens, DEFAULT_ID_LINKS_UNTIL, resolveSurveyLinksConfig } = require('../services/surveyLinks');
+const { newContactId } = require('../services/schema');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function testTokens() {
+  console.log('\n=== Tokens ===');
+
+  const tokens = new SurveyLinkTokens({ secret: 'segredo', ttlDays: 7 });
+  const contactId = newContactId();
+  const issued = tokens.issue({ contactId, surveyId: 'pesquisa-informativa', round: 2, now: NOW });
+  assert(issued.expiresAt === new Date(NOW.getTime() + 7 * DAY_MS).toISOString(), 'tokens expire after the configured days');
+
+  const { link } = tokens.verify(issued.token, NOW);
+  assert(link.contactId === contactId && link.surveyId === 'pesquisa-informativa' && link.round === 2,
+    'a token names the contact, survey and round');
+  assert(link.tokenId === issued.tokenId && link.singleUse === true, 'tokens are single-use by default');
+  assert(tokens.issue({ contactId, surveyId: 'pesquisa-informativa', round: 2 }).token !== issued.token, 'every link gets its own token');
+  assert(tokens.verify(tokens.issue({ contactId: 12, surveyId: 'x', round: 1 }).token).link.contactId === 12, 'numeric legacy ids are kept as numbers');
+
+  const [payload, signature] = issued.token.split('.');
+  const forged = Buffer.from(JSON.stringify({ c: 1, s: 'pesquisa-informativa', r: 2, e: 0, j: 'x' })).toString('base64url');
+  assert(tokens.verify(`${forged}.${signature}`, NOW).reason === 'invalid', 'a changed payload is refused');
+  assert(tokens.verify(`${payload}.${signature.slice(0, -2)}`, NOW).reason === 'invalid', 'a cut signature is refused');
+  assert(new SurveyLinkTokens({ secret: 'outro' }).verify(issued.token, NOW).reason === 'invalid', 'tokens signed with another secret are refused');
+  assert(tokens.verify('abc', NOW).reason === 'invalid' && tokens.verify(null, NOW).reason === 'invalid', 'anything that is not a token is refused');
+
+  const late = new Date(NOW.getTime() + 7 * DAY_MS);
+  const expired = tokens.verify(issued.token, late);
+  assert(expired.reason === 'expired' && expired.error === 'Survey link expired', 'tokens stop working when they expire');
+
+  const forever = new SurveyLinkTokens({ secret: 'segredo', ttlDays: 0, singleUse: false });
+  const open = forever.issue({ contactId, surveyId: 'pesquisa-informativa', round: 1, now: NOW });
+  assert(open.expiresAt === null && forever.verify(open.token, new Date('2099-01-01')).link.expiresAt === null, 'a ttl of 0 days never expires');
+  assert(forever.verify(open.token).link.singleUse === false, 'single use can be turned off');
+  assert(tokens.verify(open.token).link.singleUse === false, 'the policy a token was issued with stays with it');
+  const once = forever.issue({ contactId, surveyId: 'pesquisa-informativa', round: 1, singleUse: true });
+  assert(forever.verify(once.token).link.singleUse === true, 'single use can be asked for one token');
+
+  assert(tokens.isToken(issued.token) && !tokens.isToken(contactId) && !tokens.isToken('1760000000000'),
+    'tokens are told apart from ULIDs and numeric ids');
+
+  let thrown = null;
+  try {
+    new SurveyLinkTokens({});
+  } catch (error) {
+    thrown = error;
+  }
+  assert(thrown && thrown.message.includes('secret'), 'a secret is required');
+}
+
+function testConfig() {
+  console.log('\n=== Configuration ===');
+
+  const defaults = resolveSurveyLinksConfig({});
+  assert(defaults.secret === null && defaults.ttlDays === 30 && defaults.singleUse === true,
+    'by default tokens last 30 days and are single-use');
+  assert(defaults.idLinksUntil.getTime() === DEFAULT_ID_LINKS_UNTIL.getTime() && defaults.idLinksDefault === true
+    && DEFAULT_ID_LINKS_UNTIL.toISOString().startsWith('2027-01-17'), 'raw id links have a finite grace period by default');
+  assert(resolveSurveyLinksConfig({ SESSION_SECRET: 's1' }).secret === 's1'
+    && resolveSurveyLinksConfig({ SESSION_SECRET: 's1', SURVEY_TOKEN_SECRET: 's2' }).secret === 's2',
+  'SURVEY_TOKEN_SECRET falls back to SESSION_SECRET');
+  assert(resolveSurveyLinksConfig({ SURVEY_TOKEN_TTL_DAYS: '0' }).ttlDays === 0 && resolveSurveyLinksConfig({ SURVEY_TOKEN_TTL_DAYS: 'abc' }).ttlDays === 30,
+    'SURVEY_TOKEN_TTL_DAYS takes 0 and ignores invalid values');
+  assert(resolveSurveyLinksConfig({ SURVEY_TOKEN_SINGLE_USE: 'FALSE' }).singleUse === false, 'SURVEY_TOKEN_SINGLE_USE=false turns single use off');
+
+  const until = (value) => new SurveyLinkTokens({ secret: 's', idLinksUntil: resolveSurveyLinksConfig({ SURVEY_ID_LINKS_UNTIL: value }).idLinksUntil });
+  assert(until('2026-04-01').acceptsIdLinks(NOW) && !until('2026-02-01').acceptsIdLinks(NOW), 'raw id links work until the grace period ends');
+  assert(!until('false').acceptsIdLinks(NOW) && !until('amanhã').acceptsIdLinks(NOW), 'false or an unreadable date refuses them now');
+  assert(until('').acceptsIdLinks(NOW) && !until('').acceptsIdLinks(new Date('2027-01-18T00:00:00.000Z')),
+    'an empty value is the default grace period');
+
+  const legacy = env => resolveSurveyLinksConfig(env).idLinksUntil;
+  assert(legacy({ LEGACY_SURVEY_LINKS: 'false' }).getTime() === 0 && legacy({ LEGACY_SURVEY_LINKS: 'false', SURVEY_ID_LINKS_UNTIL: '2026-04-01' }).toISOString().startsWith('2026-04-01'),
+    'the old LEGACY_SURVEY_LINKS=false refuses id links unless SURVEY_ID_LINKS_UNTIL says otherwise');
+}
+
+function runAllTests() {
+  try {
+    testTokens();
+    testConfig();
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
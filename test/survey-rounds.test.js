@@ -0,0 +1,287 @@
+/**
+ * Survey Rounds Test
+ * Rounds of a survey (opening, persistence), each resident's send/click/answer per round (migration of
+ * the single survey, helpers, bulk mark-sent, merges), answers saved half done and the analyses comparing
+ * rounds and showing where residents stop answering
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SurveyRegistry, draftAnswers, roundsOf, findRound, latestRound, withRound, surveyMirror } = require('../services/surveys');
+const { JsonFileStorage } = require('../services/storage');
+const { NeighborhoodRegistry } = require('../services/neighborhoods');
+const { SegmentRegistry } = require('../services/segments');
+const { CustomFieldRegistry } = require('../services/customFields');
+const { ContactBulkOperations } = require('../services/bulk');
+const { mergeRecords } = require('../services/duplicates/ContactMerger');
+const { upgradeContact, validateContact } = require('../services/schema');
+const ContactTrash = require('../services/ContactTrash');
+const DataAccessLayer = require('../services/DataAccessLayer');
+const MunicipalAnalysisEngine = require('../services/MunicipalAnalysisEngine');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ FAILED: ${message}`);
+  }
+}
+
+const SURVEY_ID = 'pesquisa-informativa';
+
+// A contact as stored before rounds: one send, one click, one answer
+const legacy = {
+  id: 1,
+  name: 'Ana',
+  whatsapp: '5511911111111',
+  createdAt: '2025-01-01T00:00:00.000Z',
+  whatsappSentAt: '2025-01-02T00:00:00.000Z',
+  whatsappMessageId: 'wamid.1',
+  whatsappStatus: 'read',
+  clickedAt: '2025-01-02T01:00:00.000Z',
+  survey: { issue: 'Saúde', satisfaction: 'Insatisfeito', answeredAt: '2025-01-02T02:00:00.000Z' }
+};
+
+function testMigration() {
+  console.log('\n=== Migration ===');
+
+  const upgraded = upgradeContact(legacy);
+  const [entry] = upgraded.surveyRounds;
+  assert(upgraded.surveyRounds.length === 1 && entry.surveyId === SURVEY_ID && entry.round === 1,
+    'the send and answer made before rounds become round 1 of the original survey');
+  assert(entry.sentAt === legacy.whatsappSentAt && entry.messageId === 'wamid.1' && entry.status === 'read' && entry.clickedAt === legacy.clickedAt,
+    'the funnel of that send is kept on the round');
+  assert(entry.answeredAt === legacy.survey.answeredAt && entry.answers.satisfaction === 'Insatisfeito' && !('answeredAt' in entry.answers),
+    'the answers move to the round, answeredAt next to them');
+  assert(upgraded.survey.satisfaction === 'Insatisfeito', 'contact.survey stays as it was');
+  assert(validateContact(upgraded).length === 0, 'upgraded records match the schema');
+
+  const untouched = upgradeContact({ id: 2, name: 'Bruno', whatsapp: '5511922222222', createdAt: '2025-01-01T00:00:00.000Z' });
+  assert(untouched.surveyRounds === null && validateContact(untouched).length === 0, 'contacts never sent anything have no rounds');
+}
+
+function testRegistry(filePath) {
+  console.log('\n=== Rounds of a survey ===');
+
+  const surveys = new SurveyRegistry({ filePath });
+  assert(surveys.currentRound(SURVEY_ID).number === 1 && surveys.getDefault().rounds.length === 1, 'every survey starts with round 1');
+
+  const { round } = surveys.openRound(SURVEY_ID, { label: '  Rodada de julho ' });
+  assert(round.number === 2 && round.label === 'Rodada de julho' && round.openedAt, 'opening a round numbers it after the last one');
+  assert(surveys.openRound(SURVEY_ID).round.label === 'Rodada 3', 'rounds get a default label');
+  assert(surveys.openRound(SURVEY_ID, { label: 'rodada de JULHO' }).error, 'round labels are unique within a survey');
+  assert(surveys.openRound('nao-existe') === null, 'unknown surveys have no rounds to open');
+
+  assert(surveys.resolveRound().round.number === 3, 'sends and answers go to the current round by default');
+  assert(surveys.resolveRound(SURVEY_ID, '2').round.label === 'Rodada de julho', 'a round can be named by its number');
+  assert(surveys.resolveRound(SURVEY_ID, 9).error && surveys.resolveRound('nao-existe').notFound, 'unknown rounds and surveys are reported');
+
+  surveys.update(SURVEY_ID, { description: 'Segunda edição' });
+  const reloaded = new SurveyRegistry({ filePath });
+  assert(reloaded.getDefault().rounds.length === 3 && reloaded.getDefault().description === 'Segunda edição',
+    'rounds are persisted and survive edits of the questions');
+
+  // Files written before rounds existed
+  fs.writeFileSync(filePath, JSON.stringify([{ ...SurveyRegistry.builtIn(), rounds: undefined }]));
+  assert(new SurveyRegistry({ filePath }).currentRound(SURVEY_ID).number === 1, 'surveys saved without rounds were sent in round 1');
+}
+
+function testHelpers() {
+  console.log('\n=== Rounds of a resident ===');
+
+  const second = withRound(legacy, SURVEY_ID, 2, { sentAt: '2025-07-01T00:00:00.000Z' });
+  assert(second.length === 2 && second[1].answeredAt === null && second[1].clickedAt === null, 'a new round is added with an empty funnel');
+  assert(roundsOf(legacy).length === 1, 'records below the current version are read with their round 1');
+
+  const contact = { ...upgradeContact(legacy), surveyRounds: second };
+  const answered = withRound(contact, SURVEY_ID, 2, { answeredAt: '2025-07-02T00:00:00.000Z', answers: { satisfaction: 'Satisfeito' } });
+  assert(answered[1].sentAt === '2025-07-01T00:00:00.000Z' && answered[1].answers.satisfaction === 'Satisfeito', 'updating a round keeps its other fields');
+  assert(findRound(contact, SURVEY_ID, 2).sentAt && !findRound(contact, 'outra', 1), 'rounds are found by survey and number');
+  assert(latestRound(contact).round === 2 && latestRound(contact, 'outra') === null, 'the latest invitation is the last entry');
+
+  const mirror = surveyMirror(answered, SURVEY_ID);
+  assert(mirror.satisfaction === 'Satisfeito' && mirror.answeredAt === '2025-07-02T00:00:00.000Z', 'contact.survey follows the latest answered round');
+  const late = withRound({ surveyRounds: answered }, SURVEY_ID, 1, { answeredAt: '2025-08-01T00:00:00.000Z', answers: { satisfaction: 'Neutro' } });
+  assert(surveyMirror(late, SURVEY_ID).satisfaction === 'Satisfeito', 'a late answer to an earlier round does not replace it');
+
+  const survivor = { ...upgradeContact(legacy), surveyRounds: answered };
+  const duplicate = upgradeContact({
+    id: 3, name: 'Ana S.', whatsapp: '5511911111111', createdAt: '2025-03-01T00:00:00.000Z',
+    surveyRounds: [{ ...answered[0], answeredAt: '2025-01-01T00:00:00.000Z', answers: { satisfaction: 'Neutro' } }, { surveyId: 'saude', round: 1, answeredAt: '2025-05-01T00:00:00.000Z', answers: {} }]
+  });
+  const { record } = mergeRecords(survivor, duplicate);
+  assert(record.surveyRounds.length === 3 && findRound(record, SURVEY_ID, 1).answers.satisfaction === 'Neutro',
+    'merged contacts keep the rounds of both, the first answer of a shared round');
+}
+
+async function testBulkMarkSent(tmpDir, surveys) {
+  console.log('\n=== Bulk mark-sent ===');
+
+  const filePath = path.join(tmpDir, 'bulk.json');
+  fs.writeFileSync(filePath, JSON.stringify([legacy, { id: 2, name: 'Bruno', whatsapp: '5511922222222', createdAt: '2025-01-01T00:00:00.000Z' }]));
+  const storage = new JsonFileStorage({ filePath });
+  const bulk = new ContactBulkOperations({ storage, trash: new ContactTrash({ storage }), surveys });
+
+  try {
+    const report = await bulk.run({ ids: [1, 2], operation: 'mark-sent', params: { round: 1 } });
+    assert(report.summary.unchanged === 1 && report.summary.changed === 1, 'residents already sent in the round keep their send');
+
+    await bulk.run({ ids: [1], operation: 'mark-sent' });
+    const ana = await storage.findById(1);
+    assert(ana.surveyRounds.length === 2 && findRound(ana, SURVEY_ID, 3).provider === 'manual', 'a new round can be marked as sent to residents of earlier ones');
+    assert((await bulk.run({ ids: [1], operation: 'mark-sent', params: { round: 7 } })).error, 'unknown rounds are refused');
+  } finally {
+    await storage.close();
+  }
+}
+
+async function testAnalyses(tmpDir) {
+  console.log('\n=== Analyses ===');
+
+  const surveys = new SurveyRegistry();
+  surveys.openRound(SURVEY_ID, { label: 'Julho' });
+
+  const round = (number, satisfaction, { issue = 'Saúde', ...extra } = {}) => ({
+    surveyId: SURVEY_ID, round: number, sentAt: `2025-0${number}-01T00:00:00.000Z`, messageId: null, provider: 'mock', status: 'delivered',
+    statusUpdatedAt: null, clickedAt: satisfaction ? `2025-0${number}-01T01:00:00.000Z` : null,
+    answeredAt: satisfaction ? `2025-0${number}-01T02:00:00.000Z` : null,
+    answers: satisfaction ? { issue, satisfaction } : null,
+    ...extra
+  });
+  const contact = (id, neighborhood, rounds) => ({
+    id, name: `Contato ${id}`, whatsapp: '5511900000000', neighborhood, createdAt: '2025-01-01T00:00:00.000Z', surveyRounds: rounds
+  });
+  const filePath = path.join(tmpDir, 'data.json');
+  fs.writeFileSync(filePath, JSON.stringify([
+    contact(1, 'Centro', [round(1, 'Insatisfeito'), round(2, 'Satisfeito')]),
+    contact(2, 'Centro', [round(1, 'Satisfeito'), round(2, 'Satisfeito', { issue: 'Emprego' })]),
+    contact(3, 'Jardim', [round(1, 'Satisfeito'), round(2, 'Muito insatisfeito', { status: 'read' })]),
+    contact(4, 'Jardim', [round(1, 'Neutro'), round(2, null, { status: 'failed' })]),
+    contact(5, 'Jardim', [round(2, 'Muito satisfeito')])
+  ]));
+  const storage = new JsonFileStorage({ filePath });
+  const dataAccess = new DataAccessLayer({ storage, neighborhoods: new NeighborhoodRegistry(), segments: new SegmentRegistry(), surveys });
+  const engine = new MunicipalAnalysisEngine({ dataAccess, customFields: new CustomFieldRegistry(), surveys });
+
+  try {
+    const funnel = await engine.analyzeRoundFunnel();
+    const [first, second] = funnel.rounds;
+    assert(first.invited === 4 && first.answered === 4 && second.label === 'Julho', 'the funnel has one line per round');
+    assert(second.invited === 5 && second.delivered === 4 && second.clicked === 4 && second.answered === 4 && second.rates.response === '80.0',
+      'each round counts its own sends, deliveries, clicks and answers');
+    assert((await engine.analyzeRoundFunnel('nao-existe')).error, 'unknown surveys are reported');
+
+    const comparison = await engine.compareRounds();
+    assert(comparison.from.round === 1 && comparison.to.round === 2 && comparison.from.respondents === 4 && comparison.to.respondents === 4,
+      'the last two rounds are compared by default');
+    assert(comparison.from.averageScore === 3.25 && comparison.to.averageScore === 3.5, 'each round has its own average');
+
+    const same = comparison.sameResidents;
+    assert(same.count === 3 && same.improved === 1 && same.worsened === 1 && same.unchanged === 1,
+      'only residents who answered both rounds are compared one by one');
+    assert(same.averageFrom === 3.33 && same.averageTo === 3 && same.change === -0.33, 'the average change is measured on the same residents');
+    assert(same.byNeighborhood[0].neighborhood === 'Jardim' && same.byNeighborhood[0].change === -3, 'neighborhoods where satisfaction fell come first');
+
+    const issue = comparison.questions.find(question => question.id === 'issue');
+    const health = issue.options.find(option => option.value === 'Saúde');
+    assert(health.from.count === 4 && health.to.count === 3 && health.change === -25, 'choice questions are compared option by option');
+    assert(comparison.insights.some(text => text.includes('caiu')), 'insights describe the change');
+
+    assert((await engine.compareRounds({ from: 2, to: 2 })).error, 'a round is not compared with itself');
+    assert((await engine.compareRounds({ from: 1, to: 5 })).error.includes('Unknown round'), 'unknown rounds are reported');
+  } finally {
+    await storage.close();
+  }
+}
+
+async function testDrafts(tmpDir) {
+  console.log('\n=== Answers in progress ===');
+
+  const surveys = new SurveyRegistry();
+  const definition = surveys.getDefault();
+  const partial = draftAnswers(definition, { cep: '0131', issue: 'outros', otherIssue: ' Buracos na rua ', satisfaction: 'Ótimo' });
+  assert(partial.answers.issue === 'Outros' && partial.answers.otherIssue === 'Buracos na rua' && !('cep' in partial.answers) && !('satisfaction' in partial.answers),
+    'valid answers are kept as the form posts them, the rest is dropped');
+  assert(partial.answered.join(',') === 'issue' && partial.stoppedAt === 'satisfaction', 'the resident stopped at the question after the last one answered');
+  assert(draftAnswers(definition, {}).stoppedAt === 'cep' && draftAnswers(definition, null).answered.length === 0, 'nothing answered stops at the first question');
+  const full = draftAnswers(definition, { cep: '01310100', issue: 'Saúde', satisfaction: 'Neutro', participate: 'Sim' });
+  assert(full.stoppedAt === null && full.answers.cep === '01310-100', 'every question answered stops before sending');
+
+  const draft = { answers: { issue: 'Saúde' }, answered: ['issue'], stoppedAt: 'satisfaction', startedAt: '2025-02-01T00:00:00.000Z', savedAt: '2025-02-01T00:01:00.000Z' };
+  const survivor = { ...upgradeContact(legacy) };
+  const duplicate = upgradeContact({ id: 3, name: 'Ana S.', whatsapp: '5511911111111', createdAt: '2025-03-01T00:00:00.000Z', surveyRounds: [{ surveyId: SURVEY_ID, round: 1, draft }] });
+  assert(findRound(mergeRecords(survivor, duplicate).record, SURVEY_ID, 1).draft === null, 'a merged round answered on either record drops the answers in progress');
+
+  const entry = (extra) => ({ surveyId: SURVEY_ID, round: 1, sentAt: '2025-02-01T00:00:00.000Z', clickedAt: '2025-02-01T01:00:00.000Z', ...extra });
+  const progress = (answered, stoppedAt) => ({ draft: { ...draft, answered, stoppedAt } });
+  const contact = (id, rounds, extra = {}) => ({
+    id, name: `Contato ${id}`, whatsapp: '5511900000000', createdAt: '2025-01-01T00:00:00.000Z', clickedAt: '2025-02-01T01:00:00.000Z', surveyRounds: rounds, ...extra
+  });
+  const answers = { cep: '01310-100', issue: 'Saúde', satisfaction: 'Neutro', participate: null };
+  const filePath = path.join(tmpDir, 'drafts.json');
+  fs.writeFileSync(filePath, JSON.stringify([
+    contact(1, [entry({ answeredAt: '2025-02-01T02:00:00.000Z', answers, draft: null })], { survey: { ...answers, answeredAt: '2025-02-01T02:00:00.000Z' } }),
+    contact(2, [entry(progress(['cep', 'issue'], 'satisfaction'))]),
+    contact(3, [entry(progress(['cep'], 'issue'))]),
+    contact(4, [entry(progress(['cep', 'issue'], 'satisfaction'))]),
+    contact(5, [entry(progress(['cep', 'issue', 'satisfaction', 'participate'], null))]),
+    contact(6, [entry({})])
+  ]));
+  const storage = new JsonFileStorage({ filePath });
+  const dataAccess = new DataAccessLayer({ storage, neighborhoods: new NeighborhoodRegistry(), segments: new SegmentRegistry(), surveys });
+  const engine = new MunicipalAnalysisEngine({ dataAccess, customFields: new CustomFieldRegistry(), surveys });
+
+  try {
+    const report = await engine.analyzeDropOff();
+    assert(report.clicked === 6 && report.started === 5 && report.completed === 1 && report.abandoned === 4 && report.abandonRate === 80,
+      'residents who saved answers and never sent them count as abandoned');
+    const byId = Object.fromEntries(report.questions.map(question => [question.id, question]));
+    assert(byId.satisfaction.stoppedHere === 2 && byId.satisfaction.stoppedPercent === 50 && byId.issue.stoppedHere === 1,
+      'each question counts the residents who stopped at it');
+    assert(byId.issue.answered === 4 && byId.participate.answered === 1, 'answers sent and saved are both counted');
+    assert(report.stoppedBeforeSending === 1 && report.insights.some(text => text.includes(definition.questions[2].label)),
+      'the question most residents stop at is pointed out');
+    assert((await engine.analyzeDropOff({ round: 4 })).error && (await engine.analyzeDropOff({ survey: 'nao-existe' })).error,
+      'unknown surveys and rounds are reported');
+
+    const nonRespondents = await engine.getNonRespondents();
+    assert(nonRespondents.clickedButNotResponded === 5 && nonRespondents.startedNotSent === 4 &&
+      nonRespondents.residents.filter(resident => resident.status === 'Started but not sent').length === 4,
+    'non-respondents who started answering are told apart from those who only opened the link');
+  } finally {
+    await storage.close();
+  }
+}
+
+async function runAllTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'survey-rounds-test-'));
+
+  try {
+    testMigration();
+    testRegistry(path.join(tmpDir, 'surveys.json'));
+    testHelpers();
+    const surveys = new SurveyRegistry();
+    surveys.openRound(SURVEY_ID);
+    surveys.openRound(SURVEY_ID);
+    await testBulkMarkSent(tmpDir, surveys);
+    await testAnalyses(tmpDir);
+    await testDrafts(tmpDir);
+  } catch (error) {
+    testsFailed++;
+    console.error('\n💥 Fatal error during testing:', error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runAllTests();
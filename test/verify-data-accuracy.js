@@ -20,9 +20,9 @@ class DataAccuracyTest {
   /**
    * Get actual data from data.json
    */
-  getActualData() {
-    const data = this.dataAccess.loadData();
-    const responses = this.dataAccess.getSurveyResponses();
+  async getActualData() {
+    const data = await this.dataAccess.loadData();
+    const responses = await this.dataAccess.getSurveyResponses();
     
     return {
       totalContacts: data.length,
@@ -90,7 +90,7 @@ class DataAccuracyTest {
   async testAgeSatisfactionDataAccuracy() {
     console.log('\n📊 Testing Age Satisfaction Data Accuracy...');
     
-    const actualData = this.getActualData();
+    const actualData = await this.getActualData();
     const result = await this.engine.analyzeSatisfactionByAge();
 
     // Verify total responses match
@@ -140,7 +140,7 @@ class DataAccuracyTest {
   async testSatisfactionDataAccuracy() {
     console.log('\n📊 Testing Satisfaction Analysis Data Accuracy...');
     
-    const actualData = this.getActualData();
+    const actualData = await this.getActualData();
     const result = await this.engine.analyzeSatisfaction();
 
     // Verify total matches
@@ -192,7 +192,7 @@ class DataAccuracyTest {
   async testNeighborhoodDataAccuracy() {
     console.log('\n📊 Testing Neighborhood Analysis Data Accuracy...');
     
-    const actualData = this.getActualData();
+    const actualData = await this.getActualData();
     const result = await this.engine.analyzeNeighborhoods();
 
     // Verify neighborhoods match actual data
@@ -230,7 +230,7 @@ class DataAccuracyTest {
   async testIssuesDataAccuracy() {
     console.log('\n📊 Testing Issues Analysis Data Accuracy...');
     
-    const actualData = this.getActualData();
+    const actualData = await this.getActualData();
     const result = await this.engine.analyzeIssues();
 
     // Verify total matches
@@ -274,7 +274,7 @@ class DataAccuracyTest {
   async testEngagementDataAccuracy() {
     console.log('\n📊 Testing Engagement Analysis Data Accuracy...');
     
-    const actualData = this.getActualData();
+    const actualData = await this.getActualData();
     const result = await this.engine.analyzeEngagement();
 
     // Verify totals match
@@ -306,7 +306,7 @@ class DataAccuracyTest {
   async testParticipationDataAccuracy() {
     console.log('\n📊 Testing Participation Analysis Data Accuracy...');
     
-    const actualData = this.getActualData();
+    const actualData = await this.getActualData();
     const result = await this.engine.analyzeParticipation();
 
     // Verify total matches
@@ -338,7 +338,7 @@ class DataAccuracyTest {
     console.log('🔍 Starting Data Accuracy Verification Test\n');
     console.log('='.repeat(60));
 
-    const actualData = this.getActualData();
+    const actualData = await this.getActualData();
     console.log(`\n📋 Actual Data Summary:`);
     console.log(`  Total Contacts: ${actualData.totalContacts}`);
     console.log(`  Total Responses: ${actualData.totalResponses}`);